@@ -1,12 +1,56 @@
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
-const { Anthropic } = require('@anthropic-ai/sdk');
 const fs = require('fs');
 const path = require('path');
-const JSZip = require('jszip');
-const ffmpeg = require('fluent-ffmpeg');
-const { file: tmpFile, dir: tmpDir } = require('tmp-promise');
+const crypto = require('crypto');
+const { setTimeout: sleep } = require('timers/promises');
+const { createTaskStore, ACTIVE_STATUSES } = require('./lib/taskStore');
+const { createHistoryStore } = require('./lib/historyStore');
+const { createJobQueue } = require('./lib/jobQueue');
+const { extractCode, composeHtmlDocument } = require('./lib/codeExtractor');
+const { buildCompleteHtml, buildStandaloneHtml, writeGenerationFiles, writeSiteFiles, updateGenerationTokens } = require('./lib/generationFiles');
+const { getTargetLabel, createConversionPrompt, extractComponent } = require('./lib/exportTargets');
+const { compileTailwind } = require('./lib/tailwind');
+const {
+  getImageSize,
+  listImages,
+  createAssetDetectionPrompt,
+  parseAssetBoxes,
+  cropAssets,
+  rewriteImageSources,
+  dropMissingAssetSources,
+  filterReferencedAssets,
+  inlineAssetSources
+} = require('./lib/assetExtraction');
+const {
+  quantizePalette,
+  createTypographyPrompt,
+  parseTypography,
+  createTokens,
+  applyTokenBlock,
+  parseTokenBlock,
+  createTokenInstructions
+} = require('./lib/designTokens');
+const {
+  planPages,
+  createSharedLayoutPrompt,
+  parseSharedLayout,
+  createPagePrompt,
+  includeComponents,
+  findPageLinks
+} = require('./lib/multiPage');
+const { getBreakpoint, sortByWidth, createResponsivePrompt } = require('./lib/breakpoints');
+const { measureVisualMatch } = require('./lib/visualDiff');
+const { replayInteractions, formatReplay } = require('./lib/interactionReplay');
+const { MAX_FRAMES, extractFramesFromVideo, describeFrameExtraction, createFrameThumbnail } = require('./lib/frameExtraction');
+const { DEFAULT_VIDEO_ANALYSIS, createFrameBatches, describeVideoAnalysis } = require('./lib/videoAnalysis');
+const { createInteractionModelPrompt, parseInteractionModel, createInteractionContract } = require('./lib/interactionModel');
+const { auditAccessibility, createAccessibilityFixPrompt } = require('./lib/accessibility');
+const { addUsage } = require('./lib/usage');
+const { getTaskError, errorHandler } = require('./lib/api/errors');
+const { createV1Router, BASE_PATH } = require('./lib/api/v1');
+const { createProvider } = require('./lib/providers');
 require('dotenv').config();
 
 const app = express();
@@ -28,134 +72,59 @@ if (!fs.existsSync(tempDir)) {
   fs.mkdirSync(tempDir);
 }
 
-// Serve static files from the temp directory
-app.use('/temp', express.static(tempDir));
+// Store generation tasks with their status in a journal that survives restarts
+const tasks = createTaskStore(path.join(__dirname, 'data', 'tasks.jsonl'));
 
-// Store active generation tasks with their status
-const activeTasks = new Map();
+// Finished generations with their thumbnails, to reopen, download or refine
+// again after a reload
+const history = createHistoryStore(path.join(__dirname, 'data', 'history'));
 
-// Function to extract frames from a video
-async function extractFramesFromVideo(videoBuffer, options = {}) {
-  try {
-    const {
-      maxFrames = 15,
-      minInterval = 0.5, // Minimum seconds between frames
-      motionThreshold = 0.15 // Threshold for motion detection (0-1)
-    } = options;
-    
-    // Create temporary files for video and frames
-    const { path: videoPath } = await tmpFile({ postfix: '.mp4' });
-    const { path: framesDir } = await tmpDir();
-    
-    // Write video buffer to temporary file
-    fs.writeFileSync(videoPath, videoBuffer);
-    
-    // Extract video metadata using ffprobe
-    return new Promise((resolve, reject) => {
-      ffmpeg.ffprobe(videoPath, (err, metadata) => {
-        if (err) {
-          fs.unlinkSync(videoPath);
-          return reject(err);
-        }
-        
-        const duration = metadata.format.duration;
-        const fps = metadata.streams[0].r_frame_rate ? 
-                   eval(metadata.streams[0].r_frame_rate) : 30;
-        
-        // Calculate optimal frame extraction strategy
-        let frameCount;
-        let interval;
-        
-        if (duration <= 5) {
-          // For short videos, extract more frames
-          frameCount = Math.min(Math.ceil(duration / 0.3), maxFrames);
-          interval = duration / frameCount;
-        } else if (duration <= 15) {
-          // For medium videos
-          frameCount = Math.min(Math.ceil(duration / 0.5), maxFrames);
-          interval = duration / frameCount;
-        } else {
-          // For longer videos
-          frameCount = maxFrames;
-          interval = duration / frameCount;
-        }
-        
-        // Ensure we don't extract frames too close together
-        interval = Math.max(interval, minInterval);
-        
-        // Calculate timestamps for frame extraction
-        const timestamps = [];
-        
-        // Always capture the first frame (UI initial state)
-        timestamps.push(0);
-        
-        // Calculate intervals for remaining frames
-        if (frameCount > 1) {
-          for (let i = 1; i < frameCount; i++) {
-            timestamps.push(Math.min(i * interval, duration - 0.1));
-          }
-        }
-        
-        console.log(`Extracting ${timestamps.length} frames from ${duration.toFixed(1)}s video`);
-        
-        // Extract frames at the calculated timestamps
-        const framePromises = timestamps.map((timestamp, index) => {
-          return new Promise((resolveFrame, rejectFrame) => {
-            const outputPath = path.join(framesDir, `frame_${index}.jpg`);
-            
-            ffmpeg(videoPath)
-              .screenshots({
-                timestamps: [timestamp],
-                filename: `frame_${index}.jpg`,
-                folder: framesDir,
-                size: '1280x720' // Standardize frame size
-              })
-              .on('end', () => {
-                // Read the frame data
-                const frameData = fs.readFileSync(outputPath);
-                resolveFrame({
-                  buffer: frameData,
-                  timestamp: timestamp,
-                  index: index,
-                  path: outputPath
-                });
-              })
-              .on('error', (err) => {
-                rejectFrame(err);
-              });
-          });
-        });
-        
-        // Wait for all frames to be extracted
-        Promise.all(framePromises)
-          .then(frames => {
-            // Clean up temporary files
-            fs.unlinkSync(videoPath);
-            
-            resolve({
-              frames,
-              duration,
-              fps,
-              totalFrames: Math.round(duration * fps)
-            });
-          })
-          .catch(err => {
-            // Clean up on error
-            fs.unlinkSync(videoPath);
-            reject(err);
-          });
-      });
-    });
-  } catch (error) {
-    console.error('Error extracting frames:', error);
-    throw error;
-  }
+// Abort controllers for running tasks, so they can be cancelled
+const taskControllers = new Map();
+
+// Streamed model output of running tasks, kept in memory only
+const partialOutputs = new Map();
+
+// Queue that limits how many tasks run at once, overall and per API key
+const jobQueue = createJobQueue({
+  concurrency: parseInt(process.env.QUEUE_CONCURRENCY, 10) || 2,
+  perKeyConcurrency: parseInt(process.env.QUEUE_PER_KEY_CONCURRENCY, 10) || 1,
+  onChange: updateQueuePositions
+});
+
+// Refinements re-run existing work, so they go ahead of fresh generations
+const TASK_PRIORITIES = { refine: 1, generate: 0 };
+
+// Refinement stops once the rendered HTML reaches this SSIM against the original
+const SIMILARITY_THRESHOLD = parseFloat(process.env.SIMILARITY_THRESHOLD) || 0.9;
+
+// Rounds of accessibility fixes a refinement makes before giving up on the
+// remaining violations
+const MAX_ACCESSIBILITY_FIXES = 2;
+
+// How frames are picked from an uploaded video
+const VIDEO_FRAME_OPTIONS = {
+  maxFrames: MAX_FRAMES,
+  minInterval: 0.2 // Minimum 0.2 seconds between frames
+};
+
+// The note the user attached to a frame they picked, for its prompt
+function createFrameNotePrompt(note) {
+  return note ? `\n\nThe person who recorded the video noted about this frame: "${note}". Treat this as the ground truth of what happens here.` : '';
 }
 
-// Function to create a frame analysis prompt
-function createFrameAnalysisPrompt(frameIndex, totalFrames, timestamp, duration, previousFrameIndex = null) {
+// Function to create a frame analysis prompt. Frames picked at a scene
+// change pass the time the change started; frames picked by the user may
+// pass their note.
+function createFrameAnalysisPrompt(frameIndex, totalFrames, timestamp, duration, previousFrameIndex = null, { changeStartTime = null, note = '' } = {}) {
   let prompt = `This is frame ${frameIndex + 1} of ${totalFrames}, captured at ${timestamp.toFixed(1)} seconds into the ${duration.toFixed(1)}-second video.`;
   
+  if (changeStartTime !== null) {
+    prompt += ` The UI started changing at ${changeStartTime.toFixed(2)} seconds; this frame shows it once the change has settled, so the change took about ${Math.max(timestamp - changeStartTime, 0).toFixed(2)} seconds.`;
+  }
+  
+  prompt += createFrameNotePrompt(note);
+  
   if (frameIndex === 0) {
     prompt += `\n\nThis is the initial state of the UI. Please analyze the layout, components, and overall structure in extreme detail. Identify ALL interactive elements that might change in later frames. Note the exact visual appearance including colors, sizes, positions, and typography.`;
   } else {
@@ -185,6 +154,47 @@ function createInteractionSummaryPrompt(frameCount, duration) {
 This summary will be used to generate JavaScript that EXACTLY replicates these interactions, so be as comprehensive and precise as possible. The goal is to create a web page that behaves IDENTICALLY to what's shown in the video.`;
 }
 
+// Function to create one request of the batched video analysis: the frame
+// before the batch for reference, then each frame of the batch with its
+// timestamp, and a request for the summary of the interactions they show
+function createFrameBatchContent({ reference, frames }, totalFrames, duration) {
+  const first = frames[0].index + 1;
+  const last = frames.at(-1).index + 1;
+  const toImage = frame => ({ type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: frame.buffer.toString('base64') } });
+
+  const content = [{
+    type: 'text',
+    text: `Here ${first === last ? `is frame ${first}` : `are frames ${first} to ${last}`} of the ${totalFrames} key frames of the ${duration.toFixed(1)}-second video, in order. ${reference.index === 0 ? 'They follow the initial state shown above.' : `Frame ${reference.index + 1}, the last frame before them, comes first for reference.`}`
+  }];
+  if (reference.index > 0) {
+    content.push({ type: 'text', text: `Frame ${reference.index + 1}, captured at ${reference.timestamp.toFixed(1)} seconds (reference):` }, toImage(reference));
+  }
+
+  frames.forEach(frame => {
+    let label = `Frame ${frame.index + 1}, captured at ${frame.timestamp.toFixed(1)} seconds.`;
+    if (frame.changeStartTime !== null) {
+      label += ` The UI started changing at ${frame.changeStartTime.toFixed(2)} seconds.`;
+    }
+    label += createFrameNotePrompt(frame.note);
+    content.push({ type: 'text', text: label }, toImage(frame));
+  });
+
+  content.push({
+    type: 'text',
+    text: `Compare each frame with the one before it and provide an EXTREMELY DETAILED summary of the UI interactions these frames show.
+
+1. EXACTLY which UI elements change between frames (position, size, color, visibility, etc.)
+2. The user interaction that most likely caused each change (click, hover, drag, scroll, etc.) and when it happened
+3. Animations or transitions, including their timing and easing
+4. State changes in the UI (e.g., form validation, toggling, selection states)
+5. Micro-interactions or subtle effects that might be easy to miss
+
+This summary will be used to generate JavaScript that EXACTLY replicates these interactions, so be as comprehensive and precise as possible.`
+  });
+
+  return content;
+}
+
 // Function to create the final implementation prompt
 function createImplementationPrompt(frameCount, duration, interactionSummary) {
   return `Based on your analysis of all ${frameCount} frames from the ${duration.toFixed(1)}-second video and the interaction summary:
@@ -206,17 +216,35 @@ DO NOT simplify or omit any interactions or visual elements. The goal is to crea
 Provide the complete code with separate HTML, CSS, and JavaScript sections. The JavaScript must include ALL event handlers and interaction logic needed to make the UI fully functional.`;
 }
 
-// Function to handle Claude API calls with retry logic
-async function callClaudeWithRetry(anthropic, options, maxRetries = 3, initialDelay = 2000) {
+// Function to handle model API calls with retry logic
+// Pass a `stream` from streamToTask to forward the response text as it arrives
+async function callModelWithRetry(provider, options, { maxRetries = 3, initialDelay = 2000, signal, stream, onUsage } = {}) {
   let lastError;
   let retryCount = 0;
   
   while (retryCount < maxRetries) {
     try {
-      return await anthropic.messages.create(options);
+      let message;
+      if (stream) {
+        // Every attempt starts the streamed text over
+        stream.onStart();
+        message = await provider.streamMessage(options, { signal, onText: stream.onText });
+      } else {
+        message = await provider.createMessage(options, { signal });
+      }
+      
+      if (onUsage) {
+        onUsage(message, { provider: provider.name, model: options.model });
+      }
+      return message;
     } catch (error) {
       lastError = error;
       
+      // A cancelled task must not be retried
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      
       // Check if this is a retryable error
       const isOverloaded = error.status === 529 || 
                           (error.error && error.error.type === 'overloaded_error');
@@ -226,10 +254,10 @@ async function callClaudeWithRetry(anthropic, options, maxRetries = 3, initialDe
       if (isOverloaded || isRateLimited || isServerError) {
         // Calculate exponential backoff delay
         const delay = initialDelay * Math.pow(2, retryCount);
-        console.log(`Claude API error (${error.status || 'unknown'}): ${error.message}. Retrying in ${delay}ms...`);
+        console.log(`Model API error (${error.status || 'unknown'}): ${error.message}. Retrying in ${delay}ms...`);
         
         // Wait before retrying
-        await new Promise(resolve => setTimeout(resolve, delay));
+        await sleep(delay, undefined, { signal });
         retryCount++;
       } else {
         // Non-retryable error
@@ -243,93 +271,460 @@ async function callClaudeWithRetry(anthropic, options, maxRetries = 3, initialDe
   throw lastError;
 }
 
-// Route to generate HTML from an image or video
-app.post('/generate-html', upload.single('media'), async (req, res) => {
-  try {
-    // Get the API key from the request
-    const apiKey = req.headers['x-api-key'];
-    if (!apiKey) {
-      return res.status(400).json({ error: 'API key is required' });
+// Function to forward streamed model text to a task's event subscribers
+function streamToTask(taskId) {
+  return {
+    onStart: () => {
+      partialOutputs.set(taskId, '');
+      tasks.publish(taskId, 'partial', { reset: true });
+    },
+    onText: (delta) => {
+      partialOutputs.set(taskId, partialOutputs.get(taskId) + delta);
+      tasks.publish(taskId, 'partial', { delta });
     }
+  };
+}
+
+// Function to add the token usage of a model call to a task's running totals
+function trackUsage(taskId, step) {
+  return (message, { provider, model }) => {
+    const task = tasks.get(taskId);
+    if (!task) return;
+    
+    tasks.update(taskId, { usage: addUsage(task.usage, { step, provider, model, message }) });
+  };
+}
+
+// Function to convert generated code into a component of a framework
+// target. Returns null for plain HTML, which needs no conversion.
+async function convertToTarget(taskId, { provider, model, parts, target, signal }) {
+  if (target === 'html') return null;
+
+  tasks.update(taskId, { message: `Converting to a ${getTargetLabel(target)} component...` });
+
+  const conversionMessage = await callModelWithRetry(
+    provider,
+    {
+      model: model,
+      max_tokens: 4000,
+      messages: [{ role: 'user', content: createConversionPrompt(target, parts) }]
+    },
+    { signal, onUsage: trackUsage(taskId, `${getTargetLabel(target)} conversion`) }
+  );
+
+  return extractComponent(target, conversionMessage.content[0].text);
+}
+
+// Function to crop the logos, avatars, icons and photos of a design out of
+// the original and point the markup's images at them. The crops are a bonus,
+// so anything going wrong just leaves them out.
+async function extractAssets(taskId, { provider, model, image, mediaType, parts, signal }) {
+  tasks.update(taskId, { message: 'Extracting images from the design...' });
+
+  try {
+    const size = await getImageSize(image);
+    const detectionMessage = await callModelWithRetry(
+      provider,
+      {
+        model: model,
+        max_tokens: 2000,
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'image', source: { type: 'base64', media_type: mediaType, data: image.toString('base64') } },
+            { type: 'text', text: createAssetDetectionPrompt(parts.html, size) }
+          ]
+        }]
+      },
+      { signal, onUsage: trackUsage(taskId, 'Asset detection') }
+    );
+
+    // Regions no <img> shows would never be referenced, so are not cropped
+    const boxes = parseAssetBoxes(detectionMessage.content[0].text, { ...size, imageCount: listImages(parts.html).length })
+      .filter(box => box.image !== null);
+    const crops = await cropAssets(image, boxes);
+    const html = rewriteImageSources(parts.html, crops);
+    return { parts: { ...parts, html }, assets: filterReferencedAssets(html, crops) };
+  } catch (error) {
+    signal.throwIfAborted();
+    console.error('Error extracting image assets:', error);
+    return { parts, assets: [] };
+  }
+}
+
+// Function to measure the design tokens of a design before generating: the
+// palette is quantized locally and the model reads the typography scale.
+// Without tokens the generation still works, so failures return null.
+async function extractDesignTokens(taskId, { provider, model, image, mediaType, signal }) {
+  tasks.update(taskId, { message: 'Extracting design tokens...' });
+
+  try {
+    const palette = await quantizePalette(image);
+    const typographyMessage = await callModelWithRetry(
+      provider,
+      {
+        model: model,
+        max_tokens: 1000,
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'image', source: { type: 'base64', media_type: mediaType, data: image.toString('base64') } },
+            { type: 'text', text: createTypographyPrompt() }
+          ]
+        }]
+      },
+      { signal, onUsage: trackUsage(taskId, 'Design tokens') }
+    );
+
+    return createTokens(palette, parseTypography(typographyMessage.content[0].text));
+  } catch (error) {
+    signal.throwIfAborted();
+    console.error('Error extracting design tokens:', error);
+    return null;
+  }
+}
+
+// Function to turn the interaction summary of a video into a state machine
+// the generated script has to implement. Returns null if the model's answer
+// cannot be used, so the page is still generated from the summary alone.
+async function extractInteractionModel(taskId, { provider, model, frames, duration, summary, signal }) {
+  tasks.update(taskId, { message: 'Describing the interactions as a state machine...' });
+
+  try {
+    const interactionMessage = await callModelWithRetry(
+      provider,
+      {
+        model: model,
+        max_tokens: 2000,
+        messages: [{
+          role: 'user',
+          content: [{ type: 'text', text: createInteractionModelPrompt({ frames, duration, summary }) }]
+        }]
+      },
+      { signal, onUsage: trackUsage(taskId, 'Interaction model') }
+    );
+
+    return parseInteractionModel(interactionMessage.content[0].text, frames);
+  } catch (error) {
+    signal.throwIfAborted();
+    console.error('Error extracting the interaction model:', error);
+    return null;
+  }
+}
+
+// Function to describe the assets of a generation in its result
+function describeAssets(generationId, assets) {
+  return {
+    assets: assets.map(({ buffer, ...asset }) => asset),
+    assetBaseUrl: `${BASE_PATH}/generations/${generationId}/assets`
+  };
+}
+
+// Function to build a page that renders on its own, with the crops of the
+// design and the compiled Tailwind CSS inlined
+async function buildRenderablePage(html, { tailwindVersion, assets = [], baseStyles = 'refine' }) {
+  const parts = extractCode(inlineAssetSources(html, assets));
+  const tailwindCss = await compileTailwind([parts.html, parts.js], { version: tailwindVersion });
+  return buildCompleteHtml(parts, { includeScript: Boolean(parts.js), baseStyles, inline: true, tailwindCss });
+}
+
+// Function to render HTML headlessly and score it against the original image.
+// Returns null when rendering fails, so refinement can fall back to the
+// model's own verdict.
+async function scoreRenderedHtml(html, referenceImage, { signal, tailwindVersion, assets = [] }) {
+  try {
+    const page = await buildRenderablePage(html, { tailwindVersion, assets });
+    return await measureVisualMatch(page, referenceImage, { signal });
+  } catch (error) {
+    signal.throwIfAborted();
+    console.error('Error rendering HTML for visual comparison:', error);
+    return null;
+  }
+}
+
+// Function to audit the accessibility of HTML rendered headlessly with the
+// base styles it is written with. Returns null when rendering fails.
+async function auditRenderedHtml(html, { signal, tailwindVersion, assets = [], baseStyles }) {
+  try {
+    const page = await buildRenderablePage(html, { tailwindVersion, assets, baseStyles });
+    return await auditAccessibility(page, { signal });
+  } catch (error) {
+    signal.throwIfAborted();
+    console.error('Error auditing the accessibility of HTML:', error);
+    return null;
+  }
+}
+
+// Function to replay the interactions of a video on the HTML rendered
+// headlessly and compare every step with its frame. Returns null when
+// rendering fails.
+async function replayRenderedHtml(html, { signal, tailwindVersion, assets = [], baseStyles, interactions, frames }) {
+  try {
+    const page = await buildRenderablePage(html, { tailwindVersion, assets, baseStyles });
+    return await replayInteractions(page, { interactions, frames, signal });
+  } catch (error) {
+    signal.throwIfAborted();
+    console.error('Error replaying the interactions:', error);
+    return null;
+  }
+}
+
+// Function to describe a replay in a result, with the URLs of the screenshot
+// and the frame of every step instead of the images
+function describeReplay(generationId, replay) {
+  if (!replay) return null;
+
+  const generationPath = `${BASE_PATH}/generations/${generationId}`;
+  return {
+    ...replay,
+    steps: replay.steps.map(({ screenshot, ...step }) => ({
+      ...step,
+      screenshotPath: screenshot ? `${generationPath}/replay/step_${step.index}.png` : null,
+      framePath: step.frame ? `${generationPath}/frames/frame_${step.frame.index}.jpg` : null
+    }))
+  };
+}
+
+// Function to describe the outcome of an accessibility audit for messages
+function formatAccessibility(accessibility) {
+  if (!accessibility) return 'accessibility could not be checked';
+
+  const count = accessibility.violations.length;
+  return count === 0 ? 'no accessibility violations' : `${count} accessibility violation${count === 1 ? '' : 's'}`;
+}
+
+// Function to summarize the similarity scores of a refinement for its result
+function summarizeSimilarity(history) {
+  if (history.length === 0) return null;
+
+  const latest = history[history.length - 1];
+  return {
+    ssim: latest.ssim,
+    pixelSimilarity: latest.pixelSimilarity,
+    threshold: SIMILARITY_THRESHOLD,
+    history
+  };
+}
+
+// Function to describe a similarity score for messages and prompts
+function formatSimilarity(score) {
+  return `${(score * 100).toFixed(1)}%`;
+}
+
+// Function to add the result of a completed task to the history. The task
+// is done either way, so failing to save it is only logged.
+async function recordHistory(taskId, { kind, model, providerOptions, sourceType, thumbnailImage = null, source = null }) {
+  const task = tasks.get(taskId);
+  if (task.status !== 'completed') return;
+  
+  try {
+    await history.add(task.result.generationId, {
+      taskId,
+      kind,
+      model,
+      provider: providerOptions.name,
+      sourceType,
+      iterationCount: task.result.iterationCount,
+      result: task.result
+    }, { thumbnailImage, source });
+  } catch (error) {
+    console.error(`Error saving generation ${task.result.generationId} to the history:`, error);
+  }
+}
+
+// Function to describe a history entry for API responses; the result is
+// only included for a single entry, since it holds all generated code
+function describeHistoryEntry(entry, { withResult = false } = {}) {
+  const { result, hasThumbnail, sourceMimeType, ...fields } = entry;
+  const self = `${BASE_PATH}/history/${entry.id}`;
+  
+  return {
+    ...fields,
+    zipPath: result.zipPath,
+    standalonePath: result.standalonePath,
+    pageCount: result.pages ? result.pages.length : 0,
+    thumbnailPath: hasThumbnail ? `${self}/thumbnail` : null,
+    sourcePath: sourceMimeType ? `${self}/source` : null,
+    sourceMimeType,
+    ...(withResult && { result })
+  };
+}
+
+// Function to pin or unpin a generation; pinned generations are kept by the
+// hourly cleanup
+function setHistoryPinned(generationId, pinned) {
+  return history.update(generationId, { pinned });
+}
+
+// Function to drop the tasks whose result is a generation that was deleted,
+// so they do not link to files that are gone
+function removeGenerationTasks(generationId) {
+  tasks.list()
+    .filter(task => task.result?.generationId === generationId)
+    .forEach(task => tasks.remove(task.id));
+}
+
+// Function to delete a generation from the history along with its files
+function deleteHistoryEntry(generationId) {
+  if (!history.remove(generationId)) return false;
+  
+  fs.rmSync(path.join(tempDir, generationId), { recursive: true, force: true });
+  removeGenerationTasks(generationId);
+  return true;
+}
 
-    // Get the model from the request
-    const model = req.body.model || 'claude-3-opus-20240229';
+// Function to keep the queue position of every waiting task up to date
+function updateQueuePositions(waitingTaskIds) {
+  waitingTaskIds.forEach((taskId, index) => {
+    const task = tasks.get(taskId);
+    if (task && task.status === 'queued' && task.queuePosition !== index + 1) {
+      tasks.update(taskId, { queuePosition: index + 1, message: `Waiting in queue (position ${index + 1})...` });
+    }
+  });
+}
 
-    // Get the media file from the request
-    const mediaFile = req.file;
-    if (!mediaFile) {
-      return res.status(400).json({ error: 'Image or video is required' });
+// Function to queue a task's pipeline; it starts once a slot is free
+function enqueueTask(taskId, { providerOptions, priority, message }, run) {
+  jobQueue.enqueue(taskId, {
+    // Tasks with the same API key, or the same keyless endpoint, share a limit
+    key: providerOptions.apiKey || `${providerOptions.name}:${providerOptions.baseUrl || ''}`,
+    priority,
+    run: async () => {
+      const task = tasks.get(taskId);
+      if (!task || task.status !== 'queued') return;
+
+      const processingStartTime = Date.now();
+      tasks.update(taskId, {
+        status: 'processing',
+        message,
+        queuePosition: null,
+        processingStartTime,
+        queueWaitSeconds: Math.round((processingStartTime - task.startTime) / 1000)
+      });
+      await run();
     }
+  });
+}
 
-    // Check if the file is a video
-    const isVideo = mediaFile.mimetype.startsWith('video/');
-    
-    // Create a unique task ID
-    const taskId = Date.now().toString();
-    
-    // Initialize task status
-    activeTasks.set(taskId, {
-      status: 'processing',
-      progress: 0,
-      message: isVideo ? 'Starting video analysis...' : 'Starting image analysis...',
-      startTime: Date.now(),
-      isVideo: isVideo
-    });
+// Function to extract the frames a video would be analyzed with, each with a
+// thumbnail, so the user can review and change them before generating
+async function previewVideoFrames(mediaFile) {
+  const extraction = await extractFramesFromVideo(mediaFile.buffer, VIDEO_FRAME_OPTIONS);
+  const { frames, ...description } = describeFrameExtraction(extraction);
+
+  return {
+    ...description,
+    frames: await Promise.all(frames.map(async (frame, index) => ({
+      ...frame,
+      thumbnail: await createFrameThumbnail(extraction.frames[index].buffer)
+    })))
+  };
+}
+
+// Function to queue a generation of HTML from an image or video
+// `breakpoints` are screenshots of the same screen tagged with a device; the
+// page then reproduces each of them with media queries, and `mediaFile` is
+// the widest one
+function startGenerationTask({ mediaFile, breakpoints = [], frames = [], videoAnalysis = DEFAULT_VIDEO_ANALYSIS, model, providerOptions, target = 'html', tailwind = {} }) {
+  // Check if the file is a video
+  const isVideo = mediaFile.mimetype.startsWith('video/');
+  const isResponsive = breakpoints.length > 0;
+  
+  // Create a unique task ID
+  const taskId = crypto.randomUUID();
+  
+  // Initialize task status
+  tasks.create(taskId, {
+    status: 'queued',
+    progress: 0,
+    message: 'Waiting in queue...',
+    startTime: Date.now(),
+    isVideo: isVideo
+  });
+  
+  // Let DELETE /tasks/:taskId stop the background work
+  const controller = new AbortController();
+  taskControllers.set(taskId, controller);
+
+  // Process the media file once the queue has a free slot
+  enqueueTask(taskId, {
+    providerOptions,
+    priority: TASK_PRIORITIES.generate,
+    message: isVideo
+      ? 'Starting video analysis...'
+      : isResponsive ? `Starting analysis of ${breakpoints.length} breakpoints...` : 'Starting image analysis...'
+  }, async () => {
+    const { signal } = controller;
+    let generationDir = null;
     
-    // Send the initial response with the task ID
-    res.json({ 
-      taskId,
-      status: 'processing',
-      message: isVideo ? 'Video analysis started' : 'Image analysis started'
-    });
+    try {
+      // Initialize the model provider
+      const provider = createProvider(providerOptions);
 
-    // Process the media file asynchronously
-    (async () => {
-      try {
-        // Initialize Anthropic client
-        const anthropic = new Anthropic({
-          apiKey: apiKey,
+      // Update task status
+      tasks.update(taskId, { progress: 10 });
+      
+      let base64Data;
+      let mediaType;
+      let extractedFrames = [];
+      let videoDuration = 0;
+      let frameExtraction = null;
+      let videoAnalysisReport = null;
+      let interactions = null;
+      
+      if (isVideo) {
+        tasks.update(taskId, { message: 'Extracting frames from video...' });
+        
+        // Keep the frames the user picked, or else the frames where the UI
+        // changes, with the initial state first
+        const extraction = await extractFramesFromVideo(mediaFile.buffer, {
+          ...VIDEO_FRAME_OPTIONS,
+          frames,
+          signal
         });
+        extractedFrames = extraction.frames;
+        videoDuration = extraction.duration;
+        frameExtraction = describeFrameExtraction(extraction);
+        
+        // Use the first frame as the primary image for initial UI analysis
+        base64Data = extractedFrames[0].buffer.toString('base64');
+        mediaType = 'image/jpeg';
+        
+        const selected = {
+          'scene-change': `at ${extraction.selection.changeCount} detected UI change${extraction.selection.changeCount === 1 ? '' : 's'}`,
+          manual: 'picked by hand',
+          interval: 'at fixed intervals'
+        }[extraction.selection.strategy];
+        tasks.update(taskId, { message: `Extracted ${extractedFrames.length} frames ${selected} from ${videoDuration.toFixed(1)}s video. Analyzing UI and interactions...`, progress: 20 });
+      } else {
+        // For images, just use the image directly
+        base64Data = mediaFile.buffer.toString('base64');
+        mediaType = mediaFile.mimetype;
+      }
 
-        // Update task status
-        activeTasks.get(taskId).progress = 10;
-        
-        let base64Data;
-        let mediaType;
-        let extractedFrames = [];
-        let videoDuration = 0;
-        
-        if (isVideo) {
-          activeTasks.get(taskId).message = 'Extracting frames from video...';
-          
-          // Extract frames from video with enhanced options
-          const { frames, duration, fps, totalFrames } = await extractFramesFromVideo(mediaFile.buffer, {
-            maxFrames: 20,  // Extract up to 20 key frames
-            minInterval: 0.2  // Minimum 0.2 seconds between frames
-          });
-          extractedFrames = frames;
-          videoDuration = duration;
-          
-          // Use the first frame as the primary image for initial UI analysis
-          base64Data = extractedFrames[0].buffer.toString('base64');
-          mediaType = 'image/jpeg';
-          
-          activeTasks.get(taskId).message = `Extracted ${frames.length} frames from ${duration.toFixed(1)}s video. Analyzing UI and interactions...`;
-          activeTasks.get(taskId).progress = 20;
-        } else {
-          // For images, just use the image directly
-          base64Data = mediaFile.buffer.toString('base64');
-          mediaType = mediaFile.mimetype;
-          activeTasks.get(taskId).message = 'Analyzing image and extracting UI elements...';
-        }
+      // Measure the palette and type scale first, so the code uses them
+      const tokens = await extractDesignTokens(taskId, {
+        provider,
+        model,
+        image: isVideo ? extractedFrames[0].buffer : mediaFile.buffer,
+        mediaType,
+        signal
+      });
+      const tokenInstructions = tokens ? `\n\n${createTokenInstructions(tokens)}` : '';
+      
+      tasks.update(taskId, {
+        message: isVideo
+          ? 'Analyzing UI and interactions...'
+          : isResponsive ? 'Analyzing the layout at every breakpoint...' : 'Analyzing image and extracting UI elements...'
+      });
 
-        // Prepare the prompt based on media type
-        let prompt;
-        
-        if (isVideo) {
-          prompt = `I have a video of a UI with interactions. I've extracted ${extractedFrames.length} key frames from this ${videoDuration.toFixed(1)}-second video to help you understand the UI flow and interactions. 
+      // Prepare the prompt based on media type
+      let prompt;
+      
+      if (isVideo) {
+        prompt = `I have a video of a UI with interactions. I've extracted ${extractedFrames.length} key frames from this ${videoDuration.toFixed(1)}-second video to help you understand the UI flow and interactions. 
 
-I'm showing you the first frame now, which represents the initial UI state. Please analyze this frame to understand the basic UI layout and components. In my next messages, I'll show you the subsequent frames to help you understand the interactions and state changes.
+I'm showing you the first frame now, which represents the initial UI state. Please analyze this frame to understand the basic UI layout and components. In my next messages, I'll show you the subsequent frames to help you understand the interactions and state changes.${createFrameNotePrompt(extractedFrames[0].note)}
 
 Please generate responsive HTML, CSS, and JavaScript that EXACTLY replicates this UI and its interactions. This is EXTREMELY IMPORTANT - the generated code must look and behave EXACTLY like the UI shown in the video frames.
 
@@ -340,56 +735,44 @@ Focus on:
 4. User flows and navigation patterns exactly as demonstrated
 5. Responsive design considerations
 
-Please provide a complete implementation with HTML structure, CSS styling, and JavaScript for the interactions. The code should be well-structured, accessible, and follow best practices.`;
-        } else {
-          prompt = `I have an image of a UI design. Please analyze this image and generate responsive HTML and CSS that replicates this UI as accurately as possible. Focus on:
+Please provide a complete implementation with HTML structure, CSS styling, and JavaScript for the interactions. The code should be well-structured, accessible, and follow best practices.${tokenInstructions}`;
+      } else if (isResponsive) {
+        prompt = createResponsivePrompt(breakpoints, tokenInstructions);
+      } else {
+        prompt = `I have an image of a UI design. Please analyze this image and generate responsive HTML and CSS that replicates this UI as accurately as possible. Focus on:
 1. The visual layout and components
 2. Spacing and alignment
 3. Typography and text styling
 4. Colors and visual styling
 5. Responsive design considerations
 
-Please provide a complete implementation with HTML structure and CSS styling. The code should be well-structured, accessible, and follow best practices.`;
-        }
+Please provide a complete implementation with HTML structure and CSS styling. The code should be well-structured, accessible, and follow best practices.${tokenInstructions}`;
+      }
 
-        // Make the API call to Claude with retry logic for the first frame/image
-        const initialMessage = await callClaudeWithRetry(
-          anthropic,
+      // A responsive page sees every breakpoint, from the narrowest to the widest
+      const images = isResponsive
+        ? sortByWidth(breakpoints).flatMap(({ device, file }) => [
+          { type: 'text', text: `${getBreakpoint(device).label} (${getBreakpoint(device).width}px):` },
+          { type: 'image', source: { type: 'base64', media_type: file.mimetype, data: file.buffer.toString('base64') } }
+        ])
+        : [
           {
-            model: model,
-            max_tokens: 4000,
-            messages: [
-              {
-                role: "user",
-                content: [
-                  {
-                    type: "text",
-                    text: prompt
-                  },
-                  {
-                    type: "image",
-                    source: {
-                      type: "base64",
-                      media_type: mediaType,
-                      data: base64Data
-                    }
-                  }
-                ]
-              }
-            ]
+            type: "image",
+            source: {
+              type: "base64",
+              media_type: mediaType,
+              data: base64Data
+            }
           }
-        );
-
-        // Extract the initial HTML content from the response
-        let htmlContent = initialMessage.content[0].text;
-        
-        // For videos, process additional frames to analyze interactions
-        if (isVideo && extractedFrames.length > 1) {
-          activeTasks.get(taskId).progress = 40;
-          activeTasks.get(taskId).message = 'Analyzing UI interactions from video frames...';
-          
-          // Create a conversation with Claude showing the additional frames
-          let messages = [
+        ];
+
+      // Make the API call to the model with retry logic for the first frame/image
+      const initialMessage = await callModelWithRetry(
+        provider,
+        {
+          model: model,
+          max_tokens: 4000,
+          messages: [
             {
               role: "user",
               content: [
@@ -397,34 +780,93 @@ Please provide a complete implementation with HTML structure and CSS styling. Th
                   type: "text",
                   text: prompt
                 },
-                {
-                  type: "image",
-                  source: {
-                    type: "base64",
-                    media_type: mediaType,
-                    data: base64Data
-                  }
-                }
-              ]
-            },
-            {
-              role: "assistant",
-              content: [
-                {
-                  type: "text",
-                  text: "I've analyzed the first frame of your UI video. Now I need to see the subsequent frames to understand the interactions and state changes."
-                }
+                ...images
               ]
             }
-          ];
-          
+          ]
+        },
+        {
+          signal,
+          stream: streamToTask(taskId),
+          onUsage: trackUsage(taskId, isVideo ? 'First frame analysis' : isResponsive ? 'Responsive analysis' : 'Image analysis')
+        }
+      );
+
+      // Extract the initial HTML content from the response
+      let htmlContent = initialMessage.content[0].text;
+      
+      // For videos, process additional frames to analyze interactions
+      if (isVideo && extractedFrames.length > 1) {
+        tasks.update(taskId, { progress: 40, message: 'Analyzing UI interactions from video frames...' });
+        
+        // Measure the analysis from here, so strategies can be compared
+        const analysisStartTime = Date.now();
+        const analysisStartStep = tasks.get(taskId).usage?.steps.length || 0;
+        
+        // Create a conversation with the model showing the additional frames
+        let messages = [
+          {
+            role: "user",
+            content: [
+              {
+                type: "text",
+                text: prompt
+              },
+              {
+                type: "image",
+                source: {
+                  type: "base64",
+                  media_type: mediaType,
+                  data: base64Data
+                }
+              }
+            ]
+          },
+          {
+            role: "assistant",
+            content: [
+              {
+                type: "text",
+                text: "I've analyzed the first frame of your UI video. Now I need to see the subsequent frames to understand the interactions and state changes."
+              }
+            ]
+          }
+        ];
+        
+        let interactionSummary;
+        if (videoAnalysis === 'batched') {
+          // Several frames per request, each batch asked for its summary
+          // right away; the conversation is not re-sent with every frame
+          const batches = createFrameBatches(extractedFrames);
+          const summaries = [];
+          for (const [batchIndex, batch] of batches.entries()) {
+            const first = batch.frames[0].index + 1;
+            const last = batch.frames.at(-1).index + 1;
+            const range = first === last ? `frame ${first}` : `frames ${first} to ${last}`;
+            tasks.update(taskId, { message: `Analyzing ${range} of ${extractedFrames.length}...`, progress: 40 + Math.floor((batchIndex / batches.length) * 20) });
+            
+            const batchMessage = await callModelWithRetry(
+              provider,
+              {
+                model: model,
+                max_tokens: 2000,
+                messages: [
+                  ...messages,
+                  { role: "user", content: createFrameBatchContent(batch, extractedFrames.length, videoDuration) }
+                ]
+              },
+              { signal, onUsage: trackUsage(taskId, `${range.charAt(0).toUpperCase()}${range.slice(1)} analysis`) }
+            );
+            summaries.push(batches.length > 1 ? `Summary of ${range}:\n${batchMessage.content[0].text}` : batchMessage.content[0].text);
+          }
+          interactionSummary = summaries.join('\n\n');
+        } else {
           // Add each additional frame to the conversation with detailed analysis prompts
           for (let i = 1; i < extractedFrames.length; i++) {
             const frame = extractedFrames[i];
             const frameBase64 = frame.buffer.toString('base64');
             
-            activeTasks.get(taskId).message = `Analyzing frame ${i+1} of ${extractedFrames.length}...`;
-            activeTasks.get(taskId).progress = 40 + Math.floor((i / extractedFrames.length) * 20);
+            tasks.update(taskId, { message: `Analyzing frame ${i+1} of ${extractedFrames.length}...`, progress: 40 + Math.floor((i / extractedFrames.length) * 20) });
             
             // Create a detailed analysis prompt for this frame
             const framePrompt = createFrameAnalysisPrompt(
@@ -432,7 +874,8 @@ Please provide a complete implementation with HTML structure and CSS styling. Th
               extractedFrames.length, 
               frame.timestamp, 
               videoDuration,
-              i - 1
+              i - 1,
+              { changeStartTime: frame.changeStartTime, note: frame.note }
             );
             
             messages.push({
@@ -453,26 +896,26 @@ Please provide a complete implementation with HTML structure and CSS styling. Th
               ]
             });
             
-            // Get Claude's analysis of this frame
-            const frameAnalysisMessage = await callClaudeWithRetry(
-              anthropic,
+            // Get the model's analysis of this frame
+            const frameAnalysisMessage = await callModelWithRetry(
+              provider,
               {
                 model: model,
                 max_tokens: 1000,
                 messages: messages
-              }
+              },
+              { signal, onUsage: trackUsage(taskId, `Frame ${i + 1} analysis`) }
             );
             
-            // Add Claude's response to the conversation
+            // Add the model's response to the conversation
             messages.push({
               role: "assistant",
               content: frameAnalysisMessage.content
             });
           }
-          
+            
           // Request a comprehensive summary of all interactions
-          activeTasks.get(taskId).message = 'Creating comprehensive interaction analysis...';
-          activeTasks.get(taskId).progress = 60;
+          tasks.update(taskId, { message: 'Creating comprehensive interaction analysis...', progress: 60 });
           
           const interactionSummaryPrompt = createInteractionSummaryPrompt(
             extractedFrames.length,
@@ -489,412 +932,474 @@ Please provide a complete implementation with HTML structure and CSS styling. Th
             ]
           });
           
-          // Get Claude's comprehensive interaction summary
-          const interactionSummaryMessage = await callClaudeWithRetry(
-            anthropic,
+          // Get the model's comprehensive interaction summary
+          const interactionSummaryMessage = await callModelWithRetry(
+            provider,
             {
               model: model,
               max_tokens: 2000,
               messages: messages
-            }
+            },
+            { signal, onUsage: trackUsage(taskId, 'Interaction summary') }
           );
           
-          // Add Claude's interaction summary to the conversation
+          // Add the model's interaction summary to the conversation
           messages.push({
             role: "assistant",
             content: interactionSummaryMessage.content
           });
-          
-          // Final prompt to generate the complete implementation based on all frames
-          const implementationPrompt = createImplementationPrompt(
-            extractedFrames.length,
-            videoDuration,
-            interactionSummaryMessage.content[0].text
-          );
-          
-          messages.push({
-            role: "user",
-            content: [
-              {
-                type: "text",
-                text: implementationPrompt
-              }
-            ]
-          });
-          
-          // Get the final implementation
-          activeTasks.get(taskId).message = 'Generating final implementation with interactions...';
-          activeTasks.get(taskId).progress = 70;
-          
-          const finalImplementationMessage = await callClaudeWithRetry(
-            anthropic,
-            {
-              model: model,
-              max_tokens: 4000,
-              messages: messages
-            }
-          );
-          
-          // Use the final implementation as our HTML content
-          htmlContent = finalImplementationMessage.content[0].text;
-        }
-
-        // Update task status
-        activeTasks.get(taskId).progress = 80;
-        activeTasks.get(taskId).message = 'Processing generated code...';
-
-        // Extract HTML, CSS, and JavaScript from the response
-        let cleanedHtmlContent = '';
-        let styleContent = '';
-        let scriptContent = '';
-        let iterationCount = 1;
-        let isMatch = false;
-        
-        // Extract HTML content
-        const htmlMatch = htmlContent.match(/<html[\s\S]*?<\/html>/i) || 
-                          htmlContent.match(/<body[\s\S]*?<\/body>/i) ||
-                          htmlContent.match(/```html([\s\S]*?)```/);
-                          
-        if (htmlMatch) {
-          cleanedHtmlContent = htmlMatch[0].replace(/```html|```/g, '').trim();
-        } else {
-          // If no HTML tags found, use the entire response
-          cleanedHtmlContent = htmlContent;
-        }
-        
-        // Extract CSS content
-        const cssMatch = htmlContent.match(/<style>([\s\S]*?)<\/style>/) || 
-                         htmlContent.match(/```css([\s\S]*?)```/);
-                         
-        if (cssMatch) {
-          styleContent = cssMatch[1].replace(/```css|```/g, '').trim();
-        }
-        
-        // Extract JavaScript content
-        const jsMatch = htmlContent.match(/<script>([\s\S]*?)<\/script>/) || 
-                        htmlContent.match(/```javascript([\s\S]*?)```/) ||
-                        htmlContent.match(/```js([\s\S]*?)```/);
-                        
-        if (jsMatch) {
-          scriptContent = jsMatch[1].replace(/```(javascript|js)|```/g, '').trim();
-        }
-        
-        // Clean the HTML content (remove style and script tags)
-        let cleanHtml = cleanedHtmlContent
-          .replace(/<style>[\s\S]*?<\/style>/gi, '')
-          .replace(/<script>[\s\S]*?<\/script>/gi, '')
-          .trim();
-          
-        // Create a unique generation ID
-        const generationId = Date.now().toString();
-        const generationDir = path.join(tempDir, generationId);
-        fs.mkdirSync(generationDir, { recursive: true });
-        
-        // Create index.html file
-        const htmlFilePath = path.join(generationDir, 'index.html');
-        
-        // Create a complete HTML document with proper structure and external CSS/JS
-        const completeHtml = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>UI Replication</title>
-    <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css">
-    <link rel="stylesheet" href="styles.css">
-    ${isVideo || scriptContent ? '<script defer src="script.js"></script>' : ''}
-    <style>
-        /* Base responsive styles */
-        *, *::before, *::after {
-            box-sizing: border-box;
-        }
-        
-        :root {
-            /* Define base font sizes for different screen sizes */
-            font-size: 16px;
-        }
-        
-        body {
-            margin: 0;
-            padding: 0;
-            font-family: system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif;
-            line-height: 1.5;
-        }
-        
-        /* Container for responsive layouts */
-        .container {
-            width: 100%;
-            max-width: 1200px;
-            margin: 0 auto;
-            padding: 0 15px;
-        }
-        
-        /* Responsive typography */
-        h1 { font-size: clamp(1.75rem, 4vw, 2.5rem); }
-        h2 { font-size: clamp(1.5rem, 3vw, 2rem); }
-        h3 { font-size: clamp(1.25rem, 2.5vw, 1.75rem); }
-        h4 { font-size: clamp(1.125rem, 2vw, 1.5rem); }
-        p, li { font-size: clamp(0.875rem, 1.5vw, 1rem); }
-        
-        /* Responsive grid system */
-        .responsive-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fill, minmax(250px, 1fr));
-            gap: 1rem;
+          interactionSummary = interactionSummaryMessage.content[0].text;
         }
         
-        /* Mobile devices */
-        @media (max-width: 640px) {
-            .hide-on-mobile {
-                display: none !important;
-            }
-        }
+        // The states and transitions the script has to implement
+        interactions = await extractInteractionModel(taskId, {
+          provider,
+          model,
+          frames: extractedFrames,
+          duration: videoDuration,
+          summary: interactionSummary,
+          signal
+        });
         
-        /* Tablet devices */
-        @media (min-width: 641px) and (max-width: 1024px) {
-            .hide-on-tablet {
-                display: none !important;
-            }
-        }
+        // Final prompt to generate the complete implementation based on all frames
+        const implementationPrompt = createImplementationPrompt(
+          extractedFrames.length,
+          videoDuration,
+          interactionSummary
+        ) + (interactions ? `\n\n${createInteractionContract(interactions)}` : '') + tokenInstructions;
         
-        /* Desktop devices */
-        @media (min-width: 1025px) {
-            .hide-on-desktop {
-                display: none !important;
+        messages.push({
+          role: "user",
+          content: [
+            {
+              type: "text",
+              text: implementationPrompt
             }
-        }
-    </style>
-</head>
-<body>
-    ${cleanHtml}
-</body>
-</html>`;
-
-        fs.writeFileSync(htmlFilePath, completeHtml);
-        
-        // Create styles.css file
-        const cssFilePath = path.join(generationDir, 'styles.css');
-        fs.writeFileSync(cssFilePath, styleContent);
-        
-        // Create script.js file if it's a video or we have script content
-        if (isVideo || scriptContent) {
-          const scriptFilePath = path.join(generationDir, 'script.js');
-          fs.writeFileSync(scriptFilePath, scriptContent);
-        }
+          ]
+        });
         
-        // Create a README file
-        const readmePath = path.join(generationDir, 'README.md');
-        fs.writeFileSync(readmePath, `# UI Replication
-
-This UI was generated by UI Replicator based on an uploaded ${isVideo ? 'video' : 'image'} and refined through ${iterationCount} iterations of analysis.
-
-## Files
-- index.html - The HTML structure of the UI
-- styles.css - The custom CSS styles for the UI
-${isVideo || scriptContent ? '- script.js - The JavaScript for interactions and animations' : ''}
-
-## Usage
-Open index.html in a web browser to view the UI.
-
-## Dependencies
-- Tailwind CSS (loaded from CDN)
-`);
-
-        // Create a zip file
-        const zip = new JSZip();
-        zip.file('index.html', completeHtml);
-        zip.file('styles.css', styleContent);
-        if (isVideo || scriptContent) {
-          zip.file('script.js', scriptContent);
-        }
-        zip.file('README.md', fs.readFileSync(readmePath, 'utf8'));
+        // Get the final implementation
+        tasks.update(taskId, { message: 'Generating final implementation with interactions...', progress: 70 });
         
-        const zipBuffer = await zip.generateAsync({ type: 'nodebuffer' });
-        const zipPath = path.join(generationDir, 'ui-replication.zip');
-        fs.writeFileSync(zipPath, zipBuffer);
+        const finalImplementationMessage = await callModelWithRetry(
+          provider,
+          {
+            model: model,
+            max_tokens: 4000,
+            messages: messages
+          },
+          { signal, stream: streamToTask(taskId), onUsage: trackUsage(taskId, 'Implementation') }
+        );
         
-        // Save extracted frames for debugging if it's a video
-        if (isVideo && extractedFrames.length > 0) {
-          const framesDir = path.join(generationDir, 'frames');
-          fs.mkdirSync(framesDir, { recursive: true });
-          
-          extractedFrames.forEach((frame, index) => {
-            const framePath = path.join(framesDir, `frame_${index}.jpg`);
-            fs.writeFileSync(framePath, frame.buffer);
-          });
-          
-          // Add frames to the zip file
-          extractedFrames.forEach((frame, index) => {
-            zip.file(`frames/frame_${index}.jpg`, frame.buffer);
-          });
-          
-          // Update the zip file with frames
-          const updatedZipBuffer = await zip.generateAsync({ type: 'nodebuffer' });
-          fs.writeFileSync(zipPath, updatedZipBuffer);
-        }
+        // Use the final implementation as our HTML content
+        htmlContent = finalImplementationMessage.content[0].text;
         
-        // Update task with result
-        activeTasks.get(taskId).result = {
-          html: cleanedHtmlContent,
-          zipPath: `/download/${generationId}/ui-replication.zip`,
+        videoAnalysisReport = describeVideoAnalysis({
+          strategy: videoAnalysis,
+          frameCount: extractedFrames.length,
+          steps: tasks.get(taskId).usage?.steps.slice(analysisStartStep) || [],
+          durationMs: Date.now() - analysisStartTime
+        });
+      }
+
+      // Update task status
+      tasks.update(taskId, { progress: 80, message: 'Processing generated code...' });
+
+      // Extract HTML, CSS, JavaScript and head metadata from the response,
+      // start the stylesheet with the tokens, then swap placeholder images
+      // for crops of the original
+      const extractedParts = extractCode(htmlContent);
+      const { parts, assets } = await extractAssets(taskId, {
+        provider,
+        model,
+        image: isVideo ? extractedFrames[0].buffer : mediaFile.buffer,
+        mediaType: isVideo ? 'image/jpeg' : mediaFile.mimetype,
+        parts: tokens ? { ...extractedParts, css: applyTokenBlock(extractedParts.css, tokens) } : extractedParts,
+        signal
+      });
+      const iterationCount = 1;
+      const isMatch = false;
+      
+      // Turn the page into a component when a framework target was asked for
+      const component = await convertToTarget(taskId, { provider, model, parts, target, signal });
+      
+      // Check the page the way it is written, with its base styles
+      tasks.update(taskId, { progress: 90, message: 'Checking accessibility...' });
+      const baseStyles = isResponsive ? 'responsive' : 'generate';
+      const accessibility = await auditRenderedHtml(composeHtmlDocument(parts), {
+        signal,
+        tailwindVersion: tailwind.version,
+        assets,
+        baseStyles
+      });
+      
+      // Check that the script goes through the states of the video
+      let replay = null;
+      if (interactions) {
+        tasks.update(taskId, { progress: 93, message: 'Replaying the interactions...' });
+        replay = await replayRenderedHtml(composeHtmlDocument(parts), {
+          signal,
+          tailwindVersion: tailwind.version,
+          assets,
+          baseStyles,
+          interactions,
+          frames: extractedFrames
+        });
+      }
+      
+      // Stop here if the task was cancelled while the model was responding
+      signal.throwIfAborted();
+      
+      // Create a unique generation ID
+      const generationId = crypto.randomUUID();
+      generationDir = path.join(tempDir, generationId);
+      
+      // Write index.html, styles.css, script.js, README.md and the ZIP
+      const { exports, previewHtml } = await writeGenerationFiles(generationDir, {
+        parts,
+        sourceType: isVideo ? 'video' : 'image',
+        iterationCount,
+        baseStyles,
+        alwaysIncludeScript: isVideo,
+        frames: isVideo ? extractedFrames : [],
+        usage: tasks.get(taskId).usage,
+        videoAnalysis: videoAnalysisReport,
+        interactions,
+        replay,
+        target,
+        component,
+        tailwind,
+        assets,
+        tokens,
+        breakpoints: breakpoints.map(breakpoint => breakpoint.device)
+      });
+      
+      // Update task with result and mark it as completed
+      tasks.update(taskId, {
+        status: 'completed',
+        progress: 100,
+        message: `Generation completed successfully with ${formatAccessibility(accessibility)}${interactions ? `; ${formatReplay(replay)}` : ''}`,
+        result: {
+          generationId,
+          html: composeHtmlDocument(parts),
+          previewHtml,
+          zipPath: `${BASE_PATH}/generations/${generationId}/files/ui-replication.zip`,
+          standalonePath: `${BASE_PATH}/generations/${generationId}/standalone`,
           iterationCount: iterationCount,
           isMatch: isMatch,
           frameCount: isVideo ? extractedFrames.length : 0,
-          duration: isVideo ? videoDuration : 0
-        };
-        
-        // Mark task as completed
-        activeTasks.get(taskId).status = 'completed';
-        activeTasks.get(taskId).progress = 100;
-        activeTasks.get(taskId).message = 'Generation completed successfully';
-        
-      } catch (error) {
-        console.error('Error generating HTML:', error);
-        
-        // Update task status to error
-        activeTasks.get(taskId).status = 'error';
-        activeTasks.get(taskId).message = error instanceof Error ? error.message : 'An unknown error occurred';
-        
-        // Provide more specific error messages based on the error type
-        if (error.status === 401) {
-          activeTasks.get(taskId).message = 'Invalid API key. Please check your Claude API key.';
-        } else if (error.status === 400 && error.error && error.error.type === 'invalid_request_error') {
-          activeTasks.get(taskId).message = 'Invalid request to Claude API. Please check your model selection.';
-        } else if (error.status === 429) {
-          activeTasks.get(taskId).message = 'Rate limit exceeded. Please try again later.';
-        } else if (error.status === 500) {
-          activeTasks.get(taskId).message = 'Claude API server error. Please try again later.';
-        } else if (error.status === 529 || (error.error && error.error.type === 'overloaded_error')) {
-          activeTasks.get(taskId).message = 'Claude API is currently overloaded. Please try again later or use a different model.';
+          duration: isVideo ? videoDuration : 0,
+          ...(frameExtraction && { video: { ...frameExtraction, analysis: videoAnalysisReport }, interactions, replay: describeReplay(generationId, replay) }),
+          unclassified: parts.unclassified,
+          target,
+          exports,
+          tokens,
+          accessibility,
+          ...(isResponsive && { breakpoints: sortByWidth(breakpoints).map(breakpoint => breakpoint.device) }),
+          ...describeAssets(generationId, assets)
+        }
+      });
+      
+      // Screenshots at several breakpoints cannot be refined as one image
+      await recordHistory(taskId, {
+        kind: isResponsive ? 'responsive' : 'generation',
+        model,
+        providerOptions,
+        sourceType: isVideo ? 'video' : 'image',
+        thumbnailImage: isVideo ? extractedFrames[0].buffer : mediaFile.buffer,
+        source: isResponsive ? null : mediaFile
+      });
+      
+    } catch (error) {
+      if (signal.aborted) {
+        // The task is already marked as cancelled; just remove partial output
+        if (generationDir) {
+          fs.rmSync(generationDir, { recursive: true, force: true });
         }
+        return;
       }
-    })();
-  } catch (error) {
-    console.error('Error starting generation task:', error);
-    res.status(500).json({ error: 'Error starting generation task. Please try again.' });
+      
+      console.error('Error generating HTML:', error);
+      
+      // Update task status to error
+      const taskError = getTaskError(error);
+      tasks.update(taskId, { status: 'error', message: taskError.message, error: taskError });
+    } finally {
+      taskControllers.delete(taskId);
+      partialOutputs.delete(taskId);
+    }
+  });
+
+  return {
+    taskId,
+    status: 'queued',
+    message: isVideo
+      ? 'Video analysis queued'
+      : isResponsive ? `Analysis of ${breakpoints.length} breakpoints queued` : 'Image analysis queued'
+  };
+}
+
+// Function to estimate how long a running task still needs
+function getEstimatedRemainingSeconds(task) {
+  if (task.status !== 'processing' || !(task.progress > 0)) {
+    return null;
   }
-});
+  
+  // Time spent waiting in the queue says nothing about the work itself
+  const elapsedMs = Date.now() - (task.processingStartTime || task.startTime);
+  const estimatedTotalMs = (elapsedMs / task.progress) * 100;
+  const remainingMs = estimatedTotalMs - elapsedMs;
+  return Math.round(remainingMs / 1000);
+}
 
-// Route to check task status
-app.get('/task-status/:taskId', (req, res) => {
-  const { taskId } = req.params;
+// Function to add live queue and time estimates to a stored task
+function describeTask(task) {
+  const estimatedWaitMs = jobQueue.getEstimatedWaitMs(task.id);
   
-  if (!activeTasks.has(taskId)) {
-    return res.status(404).json({ error: 'Task not found' });
-  }
+  return {
+    ...task,
+    queuePosition: jobQueue.getPosition(task.id),
+    estimatedWaitSeconds: estimatedWaitMs === null ? null : Math.round(estimatedWaitMs / 1000),
+    estimatedRemainingSeconds: getEstimatedRemainingSeconds(task)
+  };
+}
+
+// Function to stream a task's updates to a response as Server-Sent Events
+function streamTaskEvents(taskId, req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
   
-  const task = activeTasks.get(taskId);
+  let eventId = 0;
+  const sendEvent = (event, data) => {
+    res.write(`id: ${++eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
   
-  // Calculate estimated time remaining
-  let estimatedRemainingSeconds = null;
-  if (task.progress > 0) {
-    const elapsedMs = Date.now() - task.startTime;
-    const estimatedTotalMs = (elapsedMs / task.progress) * 100;
-    const remainingMs = estimatedTotalMs - elapsedMs;
-    estimatedRemainingSeconds = Math.round(remainingMs / 1000);
-  }
+  // Start every connection (including reconnects) with the full task state
+  const task = tasks.get(taskId);
+  sendEvent('snapshot', {
+    ...describeTask(task),
+    partialText: partialOutputs.get(taskId) || ''
+  });
   
-  // If the task has a result, mark it as completed
-  if (task.result) {
-    task.status = 'completed';
-    task.progress = 100;
+  if (!ACTIVE_STATUSES.includes(task.status)) {
+    return res.end();
   }
   
-  res.json({
-    ...task,
-    estimatedRemainingSeconds
-  });
-});
-
-// Route to analyze and refine UI
-app.post('/analyze-refine', upload.single('media'), async (req, res) => {
-  try {
-    // Get the API key from the request
-    const apiKey = req.headers['x-api-key'];
-    if (!apiKey) {
-      return res.status(400).json({ error: 'API key is required' });
+  const onUpdate = (updatedTask, changes) => {
+    if ('progress' in changes) {
+      sendEvent('progress', {
+        progress: updatedTask.progress,
+        estimatedRemainingSeconds: getEstimatedRemainingSeconds(updatedTask)
+      });
     }
-
-    // Get the model from the request
-    const model = req.body.model || 'claude-3-opus-20240229';
-
-    // Get the HTML content from the request
-    const htmlContent = req.body.htmlContent;
-    if (!htmlContent) {
-      return res.status(400).json({ error: 'HTML content is required' });
+    if ('message' in changes) {
+      sendEvent('message', { message: updatedTask.message });
     }
-
-    // Get the media file from the request
-    const mediaFile = req.file;
-    if (!mediaFile) {
-      return res.status(400).json({ error: 'Image or video is required' });
+    if ('queuePosition' in changes) {
+      const { queuePosition, estimatedWaitSeconds } = describeTask(updatedTask);
+      sendEvent('queue', { queuePosition, estimatedWaitSeconds });
     }
+    if ('usage' in changes) {
+      sendEvent('usage', { usage: updatedTask.usage });
+    }
+    if ('iterationCount' in changes) {
+      sendEvent('iteration', { iterationCount: updatedTask.iterationCount });
+    }
+    if ('result' in changes) {
+      sendEvent('result', { result: updatedTask.result });
+    }
+    if ('status' in changes) {
+      sendEvent('status', { status: updatedTask.status, message: updatedTask.message });
+      
+      // The stream ends with the task
+      if (!ACTIVE_STATUSES.includes(updatedTask.status)) {
+        cleanup();
+        res.end();
+      }
+    }
+  };
+  
+  // Forward transient events such as partial model output as they are
+  const onEvent = (type, data) => sendEvent(type, data);
+  
+  const unsubscribe = tasks.subscribe(taskId, { onUpdate, onEvent });
+  
+  // Keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+  
+  req.on('close', cleanup);
+}
 
-    // Check if the file is a video
-    const isVideo = mediaFile.mimetype.startsWith('video/');
-    
-    // Create a unique task ID
-    const taskId = Date.now().toString();
-    
-    // Initialize task status
-    activeTasks.set(taskId, {
-      status: 'processing',
-      progress: 0,
-      message: isVideo ? 'Starting video analysis for refinement...' : 'Starting image analysis for refinement...',
-      startTime: Date.now(),
-      isVideo: isVideo
-    });
-    
-    // Send the initial response with the task ID
-    res.json({ 
-      taskId,
-      status: 'processing',
-      message: isVideo ? 'Video analysis for refinement started' : 'Image analysis for refinement started'
-    });
-
-    // Process the media file asynchronously
-    (async () => {
-      try {
-        // Initialize Anthropic client
-        const anthropic = new Anthropic({
-          apiKey: apiKey,
-        });
+// Function to list tasks without their generated HTML, so the listing stays small
+function listTaskSummaries({ status, limit }) {
+  return tasks.list({ status, limit }).map(({ result, ...task }) => ({
+    ...task,
+    result: result ? {
+      zipPath: result.zipPath,
+      iterationCount: result.iterationCount,
+      isMatch: result.isMatch,
+      target: result.target,
+      // Lets the strategies of several generations from one video be compared
+      ...(result.video?.analysis && { videoAnalysis: result.video.analysis })
+    } : undefined
+  }));
+}
 
-        // Convert the media to base64
-        const base64Data = mediaFile.buffer.toString('base64');
-        const mediaType = mediaFile.mimetype;
+// Function to cancel a waiting or running task
+function cancelTask(taskId) {
+  // Mark the task first so nothing the pipeline does afterwards can overwrite it
+  const cancelledTask = tasks.update(taskId, { status: 'cancelled', message: 'Task cancelled', queuePosition: null });
+  
+  // A task still waiting in the queue never started, so dropping it is enough
+  if (jobQueue.remove(taskId)) {
+    taskControllers.delete(taskId);
+  }
+  
+  // Abort in-flight model requests and ffmpeg processes
+  const controller = taskControllers.get(taskId);
+  if (controller) {
+    controller.abort(new Error('Task cancelled'));
+  }
+  
+  return cancelledTask;
+}
 
-        // Update task status
-        activeTasks.get(taskId).progress = 10;
-        activeTasks.get(taskId).message = isVideo 
-          ? 'Analyzing video and refining UI interactions...' 
-          : 'Analyzing image and refining UI elements...';
+// Function to queue a refinement of HTML against an image or video
+// With `fixAccessibility`, the page is not compared with the media again;
+// the violations of an accessibility audit are sent back to the model instead
+function startRefinementTask({ mediaFile, htmlContent, model, providerOptions, target = 'html', tailwind = {}, fixAccessibility = false }) {
+  // Check if the file is a video
+  const isVideo = mediaFile.mimetype.startsWith('video/');
+  
+  // Create a unique task ID
+  const taskId = crypto.randomUUID();
+  
+  // Initialize task status
+  tasks.create(taskId, {
+    status: 'queued',
+    progress: 0,
+    message: 'Waiting in queue...',
+    startTime: Date.now(),
+    isVideo: isVideo
+  });
+  
+  // Let DELETE /tasks/:taskId stop the background work
+  const controller = new AbortController();
+  taskControllers.set(taskId, controller);
+
+  // Process the media file once the queue has a free slot
+  enqueueTask(taskId, {
+    providerOptions,
+    priority: TASK_PRIORITIES.refine,
+    message: isVideo ? 'Starting video analysis for refinement...' : 'Starting image analysis for refinement...'
+  }, async () => {
+    const { signal } = controller;
+    let generationDir = null;
+    
+    try {
+      // Initialize the model provider
+      const provider = createProvider(providerOptions);
+
+      // Convert the media to base64
+      const base64Data = mediaFile.buffer.toString('base64');
+      const mediaType = mediaFile.mimetype;
+
+      // Update task status
+      tasks.update(taskId, {
+        progress: 10,
+        message: isVideo
+          ? 'Analyzing video and refining UI interactions...'
+          : 'Analyzing image and refining UI elements...'
+      });
 
-        let currentHtml = htmlContent;
-        let iterationCount = 0;
-        let maxIterations = 3;
-        let isMatch = false;
-        
-        while (iterationCount < maxIterations && !isMatch) {
-          // Update progress based on iteration
-          const progressBase = 10 + (iterationCount * 30);
-          activeTasks.get(taskId).progress = progressBase;
-          activeTasks.get(taskId).message = `Iteration ${iterationCount + 1}: Analyzing UI against original image...`;
-          activeTasks.get(taskId).iterationCount = iterationCount + 1;
+      // Videos have no single image to compare renders against
+      const referenceImage = isVideo ? null : mediaFile.buffer;
+      
+      // Keep the design tokens of a generated page through every iteration
+      const tokens = parseTokenBlock(extractCode(htmlContent).css);
+      const tokenInstructions = tokens
+        ? '\n\nKeep the design tokens block between the design-tokens comments at the top of the CSS exactly as it is, and keep using its custom properties with var() instead of literal colors and font values.'
+        : '';
+
+      // The page may point at the crops of the generation it came from, which
+      // this one does not have; its images are cropped again here instead
+      const sourceParts = extractCode(htmlContent);
+      const strippedParts = { ...sourceParts, html: dropMissingAssetSources(sourceParts.html, []) };
+      
+      // Crop the images of the design first, so every iteration renders with them
+      let currentHtml = composeHtmlDocument(strippedParts);
+      let assets = [];
+      if (referenceImage) {
+        const extracted = await extractAssets(taskId, {
+          provider,
+          model,
+          image: referenceImage,
+          mediaType,
+          parts: strippedParts,
+          signal
+        });
+        currentHtml = composeHtmlDocument(extracted.parts);
+        assets = extracted.assets;
+      }
+      
+      let iterationCount = 0;
+      let maxIterations = 3;
+      let isMatch = false;
+      const similarityHistory = [];
+      
+      while (!fixAccessibility && iterationCount < maxIterations && !isMatch) {
+        // Update progress based on iteration
+        const progressBase = 10 + (iterationCount * 30);
+        tasks.update(taskId, { progress: progressBase, message: `Iteration ${iterationCount + 1}: Analyzing UI against original image...`, iterationCount: iterationCount + 1 });
+        
+        // Render the current HTML and measure how close it is to the original
+        const visualMatch = referenceImage
+          ? await scoreRenderedHtml(currentHtml, referenceImage, { signal, tailwindVersion: tailwind.version, assets })
+          : null;
+        
+        if (visualMatch) {
+          similarityHistory.push({
+            iteration: iterationCount + 1,
+            ssim: visualMatch.ssim,
+            pixelSimilarity: visualMatch.pixelSimilarity
+          });
           
-          // Make the API call to Claude for analysis
-          const analysisMessage = await callClaudeWithRetry(
-            anthropic,
-            {
-              model: model,
-              max_tokens: 4000,
-              messages: [
-                {
-                  role: "user",
-                  content: [
-                    {
-                      type: "text",
-                      text: `I have an original UI design image and HTML code that was generated to replicate it. Please analyze how well the HTML matches the original design and suggest specific improvements to make the HTML more accurately match the image.
+          // Stop as soon as the render is measurably close enough
+          if (visualMatch.ssim >= SIMILARITY_THRESHOLD) {
+            isMatch = true;
+            tasks.update(taskId, { message: `Analysis complete: Good match achieved after ${iterationCount + 1} iterations (similarity ${formatSimilarity(visualMatch.ssim)})`, progress: 100 });
+            break;
+          }
+        }
+        
+        // With a render, the model compares two images instead of judging the match itself
+        const comparisonInstructions = visualMatch
+          ? `The first image is the original design and the second is a screenshot of the current HTML rendered at the same size. Their measured structural similarity (SSIM) is ${formatSimilarity(visualMatch.ssim)} and ${formatSimilarity(visualMatch.pixelSimilarity)} of pixels match; the target is ${formatSimilarity(SIMILARITY_THRESHOLD)} SSIM.
+Compare the two images and provide specific code changes to close the differences. Be precise with your suggestions.`
+          : `If the match is already very good (95%+ accurate), please state that no further improvements are needed.
+Otherwise, provide specific code changes to improve the match. Be precise with your suggestions.`;
+        
+        // Make the API call to the model for analysis
+        const analysisMessage = await callModelWithRetry(
+          provider,
+          {
+            model: model,
+            max_tokens: 4000,
+            messages: [
+              {
+                role: "user",
+                content: [
+                  {
+                    type: "text",
+                    text: `I have an original UI design image and HTML code that was generated to replicate it. Please analyze how well the HTML matches the original design and suggest specific improvements to make the HTML more accurately match the image.
 
 Focus on these aspects:
 1. LAYOUT - How well does the spatial arrangement and proportions match?
@@ -903,700 +1408,510 @@ Focus on these aspects:
 4. COMPONENTS - Are all UI elements (buttons, inputs, etc.) properly represented?
 5. SPACING - Is the padding, margin, and overall spacing accurate?
 
-If the match is already very good (95%+ accurate), please state that no further improvements are needed.
-Otherwise, provide specific code changes to improve the match. Be precise with your suggestions.
+${comparisonInstructions}
 
 Current iteration: ${iterationCount + 1} of ${maxIterations}`
-                    },
-                    {
-                      type: "image",
-                      source: {
-                        type: "base64",
-                        media_type: mediaType,
-                        data: base64Data
-                      }
-                    },
-                    {
-                      type: "text",
-                      text: `Here is the current HTML code:
+                  },
+                  {
+                    type: "image",
+                    source: {
+                      type: "base64",
+                      media_type: mediaType,
+                      data: base64Data
+                    }
+                  },
+                  ...(visualMatch ? [{
+                    type: "image",
+                    source: {
+                      type: "base64",
+                      media_type: "image/png",
+                      data: visualMatch.screenshot.toString('base64')
+                    }
+                  }] : []),
+                  {
+                    type: "text",
+                    text: `Here is the current HTML code:
 
 \`\`\`html
 ${currentHtml}
 \`\`\``
-                    }
-                  ]
-                }
-              ]
-            }
-          );
-
-          // Extract the analysis and check if further improvements are needed
-          const analysisText = analysisMessage.content[0].text;
-          
-          // Update progress
-          activeTasks.get(taskId).progress = progressBase + 10;
-          activeTasks.get(taskId).message = `Iteration ${iterationCount + 1}: Analyzing results...`;
-          
-          // Check if the match is already good
-          if (analysisText.toLowerCase().includes('no further improvements') || 
-              analysisText.toLowerCase().includes('95%+ accurate') ||
-              analysisText.toLowerCase().includes('already very good match')) {
-            isMatch = true;
-            activeTasks.get(taskId).message = `Analysis complete: Good match achieved after ${iterationCount + 1} iterations`;
-            activeTasks.get(taskId).progress = 100;
-            break;
-          }
-          
-          // If we've reached max iterations, break the loop
-          if (iterationCount >= maxIterations - 1) {
-            break;
-          }
-          
-          // Otherwise, generate improved HTML
-          activeTasks.get(taskId).message = `Iteration ${iterationCount + 1}: Generating improved HTML...`;
-          activeTasks.get(taskId).progress = progressBase + 20;
-          
-          const improvementMessage = await callClaudeWithRetry(
-            anthropic,
-            {
-              model: model,
-              max_tokens: 4000,
-              messages: [
-                {
-                  role: "user",
-                  content: [
-                    {
-                      type: "text",
-                      text: `Based on this analysis of the HTML compared to the original image:
-
-${analysisText}
+                  }
+                ]
+              }
+            ]
+          },
+          { signal, onUsage: trackUsage(taskId, `Refine iteration ${iterationCount + 1} analysis`) }
+        );
 
-Please generate an improved version of the HTML that better matches the original image. Return ONLY the complete HTML code with no explanations or markdown formatting.`
-                    }
-                  ]
-                }
-              ]
-            }
-          );
-          
-          // Extract the improved HTML
-          let improvedHtml = improvementMessage.content[0].text;
-          
-          // Clean up any markdown code block formatting
-          improvedHtml = improvedHtml.replace(/```html|```/g, '');
-          
-          // Update the current HTML for the next iteration
-          currentHtml = improvedHtml;
-          
-          // Increment iteration count
-          iterationCount++;
-          
-          // Update progress
-          activeTasks.get(taskId).progress = progressBase + 30;
-          activeTasks.get(taskId).message = `Iteration ${iterationCount} complete. Analyzing results...`;
-        }
-        
-        // Update task status to complete
-        activeTasks.get(taskId).status = 'completed';
-        activeTasks.get(taskId).progress = 100;
-        activeTasks.get(taskId).message = `Analysis and refinement complete after ${iterationCount} iterations`;
-        
-        // Clean up any triple apostrophes that might be in the HTML content
-        const cleanedHtmlContent = currentHtml.replace(/```html|```/g, '');
-        
-        // Create a unique ID for this generation
-        const generationId = taskId;
-        const generationDir = path.join(tempDir, generationId);
-        fs.mkdirSync(generationDir);
+        // Extract the analysis and check if further improvements are needed
+        const analysisText = analysisMessage.content[0].text;
         
-        // Extract CSS from HTML content
-        const styleMatch = cleanedHtmlContent.match(/<style>([\s\S]*?)<\/style>/);
-        const styleContent = styleMatch ? styleMatch[1] : '';
+        // Update progress
+        tasks.update(taskId, { progress: progressBase + 10, message: `Iteration ${iterationCount + 1}: Analyzing results...` });
         
-        // Clean HTML (remove style tags)
-        const cleanHtml = cleanedHtmlContent.replace(/<style>[\s\S]*?<\/style>/, '');
-        
-        // Create index.html file with the same template as the original generation
-        const htmlFilePath = path.join(generationDir, 'index.html');
-        
-        // Create a complete HTML document with proper structure and external CSS
-        const completeHtml = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>UI Replication</title>
-    <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css">
-    <link rel="stylesheet" href="styles.css">
-    <style>
-        /* Base responsive styles */
-        *, *::before, *::after {
-            box-sizing: border-box;
-        }
-        
-        :root {
-            /* Define base font sizes for different screen sizes */
-            font-size: 16px;
+        // Without a render to measure, rely on the model's own verdict
+        if (!visualMatch && (analysisText.toLowerCase().includes('no further improvements') || 
+            analysisText.toLowerCase().includes('95%+ accurate') ||
+            analysisText.toLowerCase().includes('already very good match'))) {
+          isMatch = true;
+          tasks.update(taskId, { message: `Analysis complete: Good match achieved after ${iterationCount + 1} iterations`, progress: 100 });
+          break;
         }
         
-        body {
-            margin: 0;
-            padding: 0;
-            width: 100%;
-            min-height: 100vh;
-            overflow-x: hidden;
-            -webkit-font-smoothing: antialiased;
-            -moz-osx-font-smoothing: grayscale;
+        // If we've reached max iterations, break the loop
+        if (iterationCount >= maxIterations - 1) {
+          break;
         }
         
-        /* Ensure all images are responsive */
-        img {
-            max-width: 100%;
-            height: auto;
-            display: block; /* Removes bottom spacing */
-        }
-        
-        /* Ensure inputs and buttons are touch-friendly */
-        input, button, select, textarea, a {
-            font-size: 16px; /* Prevents zoom on mobile */
-            min-height: 44px; /* Minimum touch target size */
-            min-width: 44px; /* Minimum touch target size */
-        }
+        // Otherwise, generate improved HTML
+        tasks.update(taskId, { message: `Iteration ${iterationCount + 1}: Generating improved HTML...`, progress: progressBase + 20 });
         
-        /* Add responsive container if needed */
-        .container {
-            width: 100%;
-            max-width: 1200px;
-            margin: 0 auto;
-            padding: 0 15px;
-        }
+        const improvementMessage = await callModelWithRetry(
+          provider,
+          {
+            model: model,
+            max_tokens: 4000,
+            messages: [
+              {
+                role: "user",
+                content: [
+                  {
+                    type: "text",
+                    text: `Based on this analysis of the HTML compared to the original image:
+
+${analysisText}
+
+Please generate an improved version of the HTML that better matches the original image. Return ONLY the complete HTML code with no explanations or markdown formatting.${tokenInstructions}`
+                  }
+                ]
+              }
+            ]
+          },
+          { signal, stream: streamToTask(taskId), onUsage: trackUsage(taskId, `Refine iteration ${iterationCount + 1} improvement`) }
+        );
         
-        /* Responsive typography */
-        h1 { font-size: clamp(1.75rem, 4vw, 2.5rem); }
-        h2 { font-size: clamp(1.5rem, 3vw, 2rem); }
-        h3 { font-size: clamp(1.25rem, 2.5vw, 1.75rem); }
-        h4 { font-size: clamp(1.125rem, 2vw, 1.5rem); }
-        p, li { font-size: clamp(0.875rem, 1.5vw, 1rem); }
+        // Extract the improved code and put it back together as one document
+        const improvedParts = extractCode(improvementMessage.content[0].text);
         
-        /* Responsive grid system */
-        .responsive-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(250px, 1fr));
-            gap: 1rem;
-        }
+        // Update the current HTML for the next iteration
+        currentHtml = composeHtmlDocument(improvedParts);
         
-        /* Media queries for different screen sizes */
-        /* Mobile devices */
-        @media (max-width: 640px) {
-            .container {
-                padding: 0 10px;
-            }
-            
-            /* Stack elements that should be columns on larger screens */
-            .mobile-stack {
-                flex-direction: column !important;
-            }
-            
-            /* Hide elements that shouldn't appear on mobile */
-            .hide-on-mobile {
-                display: none !important;
-            }
-        }
+        // Increment iteration count
+        iterationCount++;
         
-        /* Tablet devices */
-        @media (min-width: 641px) and (max-width: 1024px) {
-            .hide-on-tablet {
-                display: none !important;
-            }
+        // Update progress
+        tasks.update(taskId, { progress: progressBase + 30, message: `Iteration ${iterationCount} complete. Analyzing results...` });
+      }
+      
+      // Audit the page, and when asked to, feed the violations back to the
+      // model until none are left
+      let accessibility = null;
+      for (let round = 0; ; round++) {
+        tasks.update(taskId, { progress: Math.max(tasks.get(taskId).progress, 80), message: 'Checking accessibility...' });
+        accessibility = await auditRenderedHtml(currentHtml, { signal, tailwindVersion: tailwind.version, assets, baseStyles: 'refine' });
+        
+        if (fixAccessibility && !accessibility) {
+          throw new Error('The accessibility audit could not run, so no issues can be fixed');
         }
-        
-        /* Desktop devices */
-        @media (min-width: 1025px) {
-            .hide-on-desktop {
-                display: none !important;
-            }
+        if (!fixAccessibility || accessibility.violations.length === 0 || round >= MAX_ACCESSIBILITY_FIXES) {
+          break;
         }
-    </style>
-</head>
-<body>
-    ${cleanHtml}
-</body>
-</html>`;
-
-        fs.writeFileSync(htmlFilePath, completeHtml);
         
-        // Create styles.css file
-        const cssFilePath = path.join(generationDir, 'styles.css');
-        fs.writeFileSync(cssFilePath, styleContent);
-        
-        // Create a README file
-        const readmePath = path.join(generationDir, 'README.md');
-        fs.writeFileSync(readmePath, `# UI Replication
-
-This UI was generated by UI Replicator based on an uploaded image and refined through ${iterationCount} iterations of analysis.
-
-## Files
-- index.html - The HTML structure of the UI
-- styles.css - The custom CSS styles for the UI
-
-## Usage
-Open index.html in a web browser to view the UI.
-
-## Dependencies
-- Tailwind CSS (loaded from CDN)
-`);
-
-        // Create a zip file
-        const zip = new JSZip();
-        zip.file('index.html', completeHtml);
-        zip.file('styles.css', styleContent);
-        zip.file('README.md', fs.readFileSync(readmePath, 'utf8'));
+        tasks.update(taskId, {
+          message: `Fixing ${formatAccessibility(accessibility)}...`,
+          iterationCount: round + 1
+        });
         
-        const zipBuffer = await zip.generateAsync({ type: 'nodebuffer' });
-        const zipPath = path.join(generationDir, 'ui-replication.zip');
-        fs.writeFileSync(zipPath, zipBuffer);
+        const fixMessage = await callModelWithRetry(
+          provider,
+          {
+            model: model,
+            max_tokens: 4000,
+            messages: [{
+              role: 'user',
+              content: [
+                { type: 'text', text: createAccessibilityFixPrompt(currentHtml, accessibility.violations) + tokenInstructions },
+                ...(referenceImage ? [{ type: 'image', source: { type: 'base64', media_type: mediaType, data: base64Data } }] : [])
+              ]
+            }]
+          },
+          { signal, stream: streamToTask(taskId), onUsage: trackUsage(taskId, `Accessibility fix ${round + 1}`) }
+        );
         
-        activeTasks.get(taskId).result = {
-          html: cleanedHtmlContent,
-          zipPath: `/download/${generationId}/ui-replication.zip`,
+        currentHtml = composeHtmlDocument(extractCode(fixMessage.content[0].text));
+        iterationCount++;
+      }
+      
+      // Extract HTML, CSS, JavaScript and head metadata from the final HTML,
+      // restoring the token block should an iteration have changed it and
+      // dropping asset paths an iteration brought back
+      const finalParts = extractCode(currentHtml);
+      const parts = {
+        ...finalParts,
+        html: dropMissingAssetSources(finalParts.html, assets),
+        ...(tokens && { css: applyTokenBlock(finalParts.css, tokens) })
+      };
+      
+      // An iteration may have removed images that showed crops
+      assets = filterReferencedAssets(parts.html, assets);
+      
+      // Turn the page into a component when a framework target was asked for
+      const component = await convertToTarget(taskId, { provider, model, parts, target, signal });
+      
+      // Stop here if the task was cancelled while the model was responding
+      signal.throwIfAborted();
+      
+      // Create a unique ID for this generation
+      const generationId = taskId;
+      generationDir = path.join(tempDir, generationId);
+      
+      // Write index.html, styles.css, script.js, README.md and the ZIP
+      const { exports, previewHtml } = await writeGenerationFiles(generationDir, {
+        parts,
+        sourceType: isVideo ? 'video' : 'image',
+        iterationCount,
+        baseStyles: 'refine',
+        usage: tasks.get(taskId).usage,
+        target,
+        component,
+        tailwind,
+        assets,
+        tokens
+      });
+      
+      // Update task with result and mark it as completed
+      tasks.update(taskId, {
+        status: 'completed',
+        progress: 100,
+        message: fixAccessibility
+          ? `Accessibility fixes complete after ${iterationCount} round${iterationCount === 1 ? '' : 's'} with ${formatAccessibility(accessibility)} left`
+          : `Analysis and refinement complete after ${iterationCount} iterations with ${formatAccessibility(accessibility)}`,
+        result: {
+          generationId,
+          html: composeHtmlDocument(parts),
+          previewHtml,
+          zipPath: `${BASE_PATH}/generations/${generationId}/files/ui-replication.zip`,
+          standalonePath: `${BASE_PATH}/generations/${generationId}/standalone`,
           iterationCount: iterationCount,
-          isMatch: isMatch
-        };
-        
-      } catch (error) {
-        console.error('Error analyzing and refining HTML:', error);
-        
-        // Update task status to error
-        activeTasks.get(taskId).status = 'error';
-        activeTasks.get(taskId).message = error instanceof Error ? error.message : 'An unknown error occurred';
-        
-        // Provide more specific error messages based on the error type
-        if (error.status === 401) {
-          activeTasks.get(taskId).message = 'Invalid API key. Please check your Claude API key.';
-        } else if (error.status === 400 && error.error && error.error.type === 'invalid_request_error') {
-          activeTasks.get(taskId).message = 'Invalid request to Claude API. Please check your model selection.';
-        } else if (error.status === 429) {
-          activeTasks.get(taskId).message = 'Rate limit exceeded. Please try again later.';
-        } else if (error.status === 500) {
-          activeTasks.get(taskId).message = 'Claude API server error. Please try again later.';
-        } else if (error.status === 529 || (error.error && error.error.type === 'overloaded_error')) {
-          activeTasks.get(taskId).message = 'Claude API is currently overloaded. Please try again later or use a different model.';
+          isMatch: isMatch,
+          similarity: summarizeSimilarity(similarityHistory),
+          unclassified: parts.unclassified,
+          target,
+          exports,
+          tokens,
+          accessibility,
+          ...describeAssets(generationId, assets)
+        }
+      });
+      
+      await recordHistory(taskId, {
+        kind: 'refinement',
+        model,
+        providerOptions,
+        sourceType: isVideo ? 'video' : 'image',
+        thumbnailImage: isVideo ? null : mediaFile.buffer,
+        source: mediaFile
+      });
+      
+    } catch (error) {
+      if (signal.aborted) {
+        // The task is already marked as cancelled; just remove partial output
+        if (generationDir) {
+          fs.rmSync(generationDir, { recursive: true, force: true });
         }
+        return;
       }
-    })();
-  } catch (error) {
-    console.error('Error starting refinement task:', error);
-    res.status(500).json({ error: 'Error starting refinement task. Please try again.' });
-  }
-});
-
-// Route to download generated files
-app.get('/download/:generationId/:filename', (req, res) => {
-  const { generationId, filename } = req.params;
-  const filePath = path.join(tempDir, generationId, filename);
-  
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({ error: 'File not found' });
-  }
-  
-  res.download(filePath);
-});
-
-// Route to analyze and refine HTML based on comparison with original image
-app.post('/analyze-and-refine', upload.single('image'), async (req, res) => {
-  try {
-    // Get the API key from the request
-    const apiKey = req.headers['x-api-key'];
-    if (!apiKey) {
-      return res.status(400).json({ error: 'API key is required' });
+      
+      console.error('Error analyzing and refining HTML:', error);
+      
+      // Update task status to error
+      const taskError = getTaskError(error);
+      tasks.update(taskId, { status: 'error', message: taskError.message, error: taskError });
+    } finally {
+      taskControllers.delete(taskId);
+      partialOutputs.delete(taskId);
     }
+  });
 
-    // Get the model from the request
-    const model = req.body.model || 'claude-3-sonnet-20240229';
-
-    // Get the image and HTML from the request
-    const image = req.file;
-    const { htmlContent } = req.body;
-    
-    if (!image) {
-      return res.status(400).json({ error: 'Image is required' });
-    }
-    
-    if (!htmlContent) {
-      return res.status(400).json({ error: 'HTML content is required' });
-    }
+  return {
+    taskId,
+    status: 'queued',
+    message: isVideo ? 'Video analysis for refinement queued' : 'Image analysis for refinement queued'
+  };
+}
 
-    // Create a unique task ID
-    const taskId = Date.now().toString();
-    
-    // Initialize task status
-    activeTasks.set(taskId, {
-      status: 'processing',
-      progress: 0,
-      message: 'Starting analysis...',
-      startTime: Date.now(),
-      iterationCount: 0,
-      maxIterations: 3
-    });
+// Function to queue a multi-page project generated from several screens
+function startProjectTask({ screens, model, providerOptions, tailwind = {} }) {
+  // Create a unique task ID
+  const taskId = crypto.randomUUID();
+  
+  // Initialize task status
+  tasks.create(taskId, {
+    status: 'queued',
+    progress: 0,
+    message: 'Waiting in queue...',
+    startTime: Date.now(),
+    isVideo: false,
+    screenCount: screens.length
+  });
+  
+  // Let DELETE /tasks/:taskId stop the background work
+  const controller = new AbortController();
+  taskControllers.set(taskId, controller);
+
+  // Process the screens once the queue has a free slot
+  enqueueTask(taskId, {
+    providerOptions,
+    priority: TASK_PRIORITIES.generate,
+    message: `Starting analysis of ${screens.length} screens...`
+  }, async () => {
+    const { signal } = controller;
+    let generationDir = null;
     
-    // Send the initial response with the task ID
-    res.json({ 
-      taskId,
-      status: 'processing',
-      message: 'Analysis started'
-    });
+    try {
+      // Initialize the model provider
+      const provider = createProvider(providerOptions);
+      const pages = planPages(screens.map(screen => screen.name));
+      const screenImage = screen => ({
+        type: 'image',
+        source: { type: 'base64', media_type: screen.file.mimetype, data: screen.file.buffer.toString('base64') }
+      });
 
-    // Process the image and HTML asynchronously
-    (async () => {
-      try {
-        // Initialize Anthropic client
-        const anthropic = new Anthropic({
-          apiKey: apiKey,
+      tasks.update(taskId, { progress: 5 });
+      
+      // The first screen sets the palette and type scale of the whole site
+      const tokens = await extractDesignTokens(taskId, {
+        provider,
+        model,
+        image: screens[0].file.buffer,
+        mediaType: screens[0].file.mimetype,
+        signal
+      });
+      const tokenInstructions = tokens ? `\n\n${createTokenInstructions(tokens)}` : '';
+      
+      // Write what the screens share before any single page
+      tasks.update(taskId, { progress: 15, message: 'Finding the layout and components the screens share...' });
+      
+      const layoutMessage = await callModelWithRetry(
+        provider,
+        {
+          model: model,
+          max_tokens: 4000,
+          messages: [{
+            role: 'user',
+            content: [
+              { type: 'text', text: createSharedLayoutPrompt(pages, tokenInstructions) },
+              ...screens.flatMap((screen, index) => [
+                { type: 'text', text: `Screen ${index + 1}: ${pages[index].name}` },
+                screenImage(screen)
+              ])
+            ]
+          }]
+        },
+        { signal, stream: streamToTask(taskId), onUsage: trackUsage(taskId, 'Shared layout') }
+      );
+      const layout = parseSharedLayout(layoutMessage.content[0].text);
+      const sharedCss = tokens ? applyTokenBlock(layout.css, tokens) : layout.css;
+      
+      // Then write every page around the shared parts
+      const writtenPages = [];
+      for (const [index, page] of pages.entries()) {
+        tasks.update(taskId, {
+          progress: 25 + Math.round((index / pages.length) * 60),
+          message: `Generating page ${index + 1} of ${pages.length}: ${page.name}...`
         });
-
-        // Convert the image to base64
-        const base64Data = image.buffer.toString('base64');
-        const mediaType = image.mimetype;
-
-        // Update task status
-        activeTasks.get(taskId).progress = 10;
-        activeTasks.get(taskId).message = 'Analyzing UI against original image...';
-
-        let currentHtml = htmlContent;
-        let iterationCount = 0;
-        let maxIterations = 3;
-        let isMatch = false;
         
-        while (iterationCount < maxIterations && !isMatch) {
-          // Update progress based on iteration
-          const progressBase = 10 + (iterationCount * 30);
-          activeTasks.get(taskId).progress = progressBase;
-          activeTasks.get(taskId).message = `Iteration ${iterationCount + 1}: Analyzing UI against original image...`;
-          activeTasks.get(taskId).iterationCount = iterationCount + 1;
-          
-          // Make the API call to Claude for analysis
-          const analysisMessage = await callClaudeWithRetry(
-            anthropic,
-            {
-              model: model,
-              max_tokens: 4000,
-              messages: [
-                {
-                  role: "user",
-                  content: [
-                    {
-                      type: "text",
-                      text: `I have an original UI design image and HTML code that was generated to replicate it. Please analyze how well the HTML matches the original design and suggest specific improvements to make the HTML more accurately match the image.
-
-Focus on these aspects:
-1. LAYOUT - How well does the spatial arrangement and proportions match?
-2. COLORS - Are the colors in the HTML exactly matching the image?
-3. TYPOGRAPHY - Do the fonts, sizes, and text styling match?
-4. COMPONENTS - Are all UI elements (buttons, inputs, etc.) properly represented?
-5. SPACING - Is the padding, margin, and overall spacing accurate?
-
-If the match is already very good (95%+ accurate), please state that no further improvements are needed.
-Otherwise, provide specific code changes to improve the match. Be precise with your suggestions.
-
-Current iteration: ${iterationCount + 1} of ${maxIterations}`
-                    },
-                    {
-                      type: "image",
-                      source: {
-                        type: "base64",
-                        media_type: mediaType,
-                        data: base64Data
-                      }
-                    },
-                    {
-                      type: "text",
-                      text: `Here is the current HTML code:
-
-\`\`\`html
-${currentHtml}
-\`\`\``
-                    }
-                  ]
-                }
-              ]
-            }
-          );
-
-          // Extract the analysis and check if further improvements are needed
-          const analysisText = analysisMessage.content[0].text;
-          
-          // Update progress
-          activeTasks.get(taskId).progress = progressBase + 10;
-          activeTasks.get(taskId).message = `Iteration ${iterationCount + 1}: Analyzing results...`;
-          
-          // Check if the match is already good
-          if (analysisText.toLowerCase().includes('no further improvements') || 
-              analysisText.toLowerCase().includes('95%+ accurate') ||
-              analysisText.toLowerCase().includes('already very good match')) {
-            isMatch = true;
-            activeTasks.get(taskId).message = `Analysis complete: Good match achieved after ${iterationCount + 1} iterations`;
-            activeTasks.get(taskId).progress = 100;
-            break;
-          }
-          
-          // If we've reached max iterations, break the loop
-          if (iterationCount >= maxIterations - 1) {
-            break;
-          }
-          
-          // Otherwise, generate improved HTML
-          activeTasks.get(taskId).message = `Iteration ${iterationCount + 1}: Generating improved HTML...`;
-          activeTasks.get(taskId).progress = progressBase + 20;
-          
-          const improvementMessage = await callClaudeWithRetry(
-            anthropic,
-            {
-              model: model,
-              max_tokens: 4000,
-              messages: [
-                {
-                  role: "user",
-                  content: [
-                    {
-                      type: "text",
-                      text: `Based on this analysis of the HTML compared to the original image:
-
-${analysisText}
-
-Please generate an improved version of the HTML that better matches the original image. Return ONLY the complete HTML code with no explanations or markdown formatting.`
-                    }
-                  ]
-                }
+        const pageMessage = await callModelWithRetry(
+          provider,
+          {
+            model: model,
+            max_tokens: 4000,
+            messages: [{
+              role: 'user',
+              content: [
+                { type: 'text', text: createPagePrompt(page, pages, layout, tokenInstructions) },
+                screenImage(screens[index])
               ]
-            }
-          );
-          
-          // Extract the improved HTML
-          let improvedHtml = improvementMessage.content[0].text;
-          
-          // Clean up any markdown code block formatting
-          improvedHtml = improvedHtml.replace(/```html|```/g, '');
-          
-          // Update the current HTML for the next iteration
-          currentHtml = improvedHtml;
-          
-          // Increment iteration count
-          iterationCount++;
-          
-          // Update progress
-          activeTasks.get(taskId).progress = progressBase + 30;
-          activeTasks.get(taskId).message = `Iteration ${iterationCount} complete. Analyzing results...`;
-        }
-        
-        // Update task status to complete
-        activeTasks.get(taskId).status = 'completed';
-        activeTasks.get(taskId).progress = 100;
-        activeTasks.get(taskId).message = `Analysis and refinement complete after ${iterationCount} iterations`;
-        
-        // Clean up any triple apostrophes that might be in the HTML content
-        const cleanedHtmlContent = currentHtml.replace(/```html|```/g, '');
-        
-        // Create a unique ID for this generation
-        const generationId = taskId;
-        const generationDir = path.join(tempDir, generationId);
-        fs.mkdirSync(generationDir);
-        
-        // Extract CSS from HTML content
-        const styleMatch = cleanedHtmlContent.match(/<style>([\s\S]*?)<\/style>/);
-        const styleContent = styleMatch ? styleMatch[1] : '';
-        
-        // Clean HTML (remove style tags)
-        const cleanHtml = cleanedHtmlContent.replace(/<style>[\s\S]*?<\/style>/, '');
-        
-        // Create index.html file with the same template as the original generation
-        const htmlFilePath = path.join(generationDir, 'index.html');
-        
-        // Create a complete HTML document with proper structure and external CSS
-        const completeHtml = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>UI Replication</title>
-    <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css">
-    <link rel="stylesheet" href="styles.css">
-    <style>
-        /* Base responsive styles */
-        *, *::before, *::after {
-            box-sizing: border-box;
-        }
-        
-        :root {
-            /* Define base font sizes for different screen sizes */
-            font-size: 16px;
-        }
-        
-        body {
-            margin: 0;
-            padding: 0;
-            width: 100%;
-            min-height: 100vh;
-            overflow-x: hidden;
-            -webkit-font-smoothing: antialiased;
-            -moz-osx-font-smoothing: grayscale;
-        }
-        
-        /* Ensure all images are responsive */
-        img {
-            max-width: 100%;
-            height: auto;
-            display: block; /* Removes bottom spacing */
-        }
-        
-        /* Ensure inputs and buttons are touch-friendly */
-        input, button, select, textarea, a {
-            font-size: 16px; /* Prevents zoom on mobile */
-            min-height: 44px; /* Minimum touch target size */
-            min-width: 44px; /* Minimum touch target size */
-        }
-        
-        /* Add responsive container if needed */
-        .container {
-            width: 100%;
-            max-width: 1200px;
-            margin: 0 auto;
-            padding: 0 15px;
-        }
-        
-        /* Responsive typography */
-        h1 { font-size: clamp(1.75rem, 4vw, 2.5rem); }
-        h2 { font-size: clamp(1.5rem, 3vw, 2rem); }
-        h3 { font-size: clamp(1.25rem, 2.5vw, 1.75rem); }
-        h4 { font-size: clamp(1.125rem, 2vw, 1.5rem); }
-        p, li { font-size: clamp(0.875rem, 1.5vw, 1rem); }
-        
-        /* Responsive grid system */
-        .responsive-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(250px, 1fr));
-            gap: 1rem;
-        }
-        
-        /* Media queries for different screen sizes */
-        /* Mobile devices */
-        @media (max-width: 640px) {
-            .container {
-                padding: 0 10px;
-            }
-            
-            /* Stack elements that should be columns on larger screens */
-            .mobile-stack {
-                flex-direction: column !important;
-            }
-            
-            /* Hide elements that shouldn't appear on mobile */
-            .hide-on-mobile {
-                display: none !important;
-            }
-        }
+            }]
+          },
+          { signal, stream: streamToTask(taskId), onUsage: trackUsage(taskId, `Page: ${page.name}`) }
+        );
         
-        /* Tablet devices */
-        @media (min-width: 641px) and (max-width: 1024px) {
-            .hide-on-tablet {
-                display: none !important;
-            }
+        const extracted = extractCode(pageMessage.content[0].text);
+        const parts = {
+          ...extracted,
+          html: includeComponents(extracted.html, layout.components, { currentFile: page.file }),
+          head: { ...extracted.head, title: extracted.head.title || page.name }
+        };
+        const links = findPageLinks(parts.html, pages).filter(file => file !== page.file);
+        writtenPages.push({ ...page, parts, links });
+      }
+      
+      // Stop here if the task was cancelled while the model was responding
+      signal.throwIfAborted();
+      
+      tasks.update(taskId, { progress: 90, message: 'Writing the pages...' });
+      
+      // Create a unique generation ID
+      const generationId = crypto.randomUUID();
+      generationDir = path.join(tempDir, generationId);
+      
+      const { files, previews } = await writeSiteFiles(generationDir, {
+        pages: writtenPages,
+        sharedCss,
+        components: layout.components,
+        usage: tasks.get(taskId).usage,
+        tailwind,
+        tokens
+      });
+      
+      // Each page is also returned as one document with all of its styles,
+      // for previews, along with its accessibility audit
+      const describedPages = [];
+      for (const page of writtenPages) {
+        tasks.update(taskId, { message: `Checking the accessibility of ${page.file}...` });
+        const html = composeHtmlDocument({ ...page.parts, css: [sharedCss, page.parts.css].filter(Boolean).join('\n\n') });
+        const accessibility = await auditRenderedHtml(html, { signal, tailwindVersion: tailwind.version, baseStyles: 'generate' });
+        describedPages.push({ name: page.name, file: page.file, links: page.links, html, previewHtml: previews[page.file], accessibility });
+      }
+      
+      // Update task with result and mark it as completed
+      tasks.update(taskId, {
+        status: 'completed',
+        progress: 100,
+        message: `Generated ${pages.length} linked pages`,
+        result: {
+          generationId,
+          html: describedPages[0].html,
+          previewHtml: describedPages[0].previewHtml,
+          zipPath: `${BASE_PATH}/generations/${generationId}/files/ui-replication.zip`,
+          standalonePath: `${BASE_PATH}/generations/${generationId}/standalone`,
+          iterationCount: 1,
+          isMatch: false,
+          target: 'html',
+          exports: [{ target: 'html', directory: '', files }],
+          pages: describedPages,
+          components: layout.components.map(component => component.name),
+          tokens,
+          accessibility: describedPages[0].accessibility
         }
-        
-        /* Desktop devices */
-        @media (min-width: 1025px) {
-            .hide-on-desktop {
-                display: none !important;
-            }
+      });
+      
+      // A site cannot be refined against a single image, so only the first
+      // screen is kept as its thumbnail
+      await recordHistory(taskId, {
+        kind: 'project',
+        model,
+        providerOptions,
+        sourceType: 'screenshots',
+        thumbnailImage: screens[0].file.buffer
+      });
+      
+    } catch (error) {
+      if (signal.aborted) {
+        // The task is already marked as cancelled; just remove partial output
+        if (generationDir) {
+          fs.rmSync(generationDir, { recursive: true, force: true });
         }
-    </style>
-</head>
-<body>
-    ${cleanHtml}
-</body>
-</html>`;
-
-        fs.writeFileSync(htmlFilePath, completeHtml);
-        
-        // Create styles.css file
-        const cssFilePath = path.join(generationDir, 'styles.css');
-        fs.writeFileSync(cssFilePath, styleContent);
-        
-        // Create a README file
-        const readmePath = path.join(generationDir, 'README.md');
-        fs.writeFileSync(readmePath, `# UI Replication
-
-This UI was generated by UI Replicator based on an uploaded image and refined through ${iterationCount} iterations of analysis.
+        return;
+      }
+      
+      console.error('Error generating project:', error);
+      
+      // Update task status to error
+      const taskError = getTaskError(error);
+      tasks.update(taskId, { status: 'error', message: taskError.message, error: taskError });
+    } finally {
+      taskControllers.delete(taskId);
+      partialOutputs.delete(taskId);
+    }
+  });
 
-## Files
-- index.html - The HTML structure of the UI
-- styles.css - The custom CSS styles for the UI
+  return {
+    taskId,
+    status: 'queued',
+    message: `Analysis of ${screens.length} screens queued`
+  };
+}
 
-## Usage
-Open index.html in a web browser to view the UI.
+// Function to find a file of a generation; returns null if there is none
+function getGenerationFilePath(generationId, filename, directory = '') {
+  // Only plain names, so a request cannot leave the generation's directory
+  const isPlainName = name => name === path.basename(name) && !name.startsWith('.');
+  if (!isPlainName(generationId) || !isPlainName(filename)) {
+    return null;
+  }
+  
+  const filePath = path.join(tempDir, generationId, directory, filename);
+  return fs.existsSync(filePath) ? filePath : null;
+}
 
-## Dependencies
-- Tailwind CSS (loaded from CDN)
-`);
+// Function to build the self-contained HTML file of a page of a generation;
+// returns null if there is no such generation or page
+function getStandaloneHtml(generationId, page = 'index.html') {
+  if (!getGenerationFilePath(generationId, page)) {
+    return null;
+  }
+  
+  return buildStandaloneHtml(path.join(tempDir, generationId), page);
+}
 
-        // Create a zip file
-        const zip = new JSZip();
-        zip.file('index.html', completeHtml);
-        zip.file('styles.css', styleContent);
-        zip.file('README.md', fs.readFileSync(readmePath, 'utf8'));
-        
-        const zipBuffer = await zip.generateAsync({ type: 'nodebuffer' });
-        const zipPath = path.join(generationDir, 'ui-replication.zip');
-        fs.writeFileSync(zipPath, zipBuffer);
-        
-        activeTasks.get(taskId).result = {
-          html: cleanedHtmlContent,
-          zipPath: `/download/${generationId}/ui-replication.zip`,
-          iterationCount: iterationCount,
-          isMatch: isMatch
-        };
-        
-      } catch (error) {
-        console.error('Error analyzing and refining HTML:', error);
-        
-        // Update task status to error
-        activeTasks.get(taskId).status = 'error';
-        activeTasks.get(taskId).message = error instanceof Error ? error.message : 'An unknown error occurred';
-        
-        // Provide more specific error messages based on the error type
-        if (error.status === 401) {
-          activeTasks.get(taskId).message = 'Invalid API key. Please check your Claude API key.';
-        } else if (error.status === 400 && error.error && error.error.type === 'invalid_request_error') {
-          activeTasks.get(taskId).message = 'Invalid request to Claude API. Please check your model selection.';
-        } else if (error.status === 429) {
-          activeTasks.get(taskId).message = 'Rate limit exceeded. Please try again later.';
-        } else if (error.status === 500) {
-          activeTasks.get(taskId).message = 'Claude API server error. Please try again later.';
-        } else if (error.status === 529 || (error.error && error.error.type === 'overloaded_error')) {
-          activeTasks.get(taskId).message = 'Claude API is currently overloaded. Please try again later or use a different model.';
-        }
-      }
-    })();
-  } catch (error) {
-    console.error('Error starting analysis task:', error);
-    res.status(500).json({ error: 'Error starting analysis task. Please try again.' });
+// Function to replace the design tokens of a generation in its files and in
+// the results of its tasks; returns null if the generation has no tokens
+async function replaceGenerationTokens(generationId, tokens) {
+  if (!getGenerationFilePath(generationId, 'tokens.json')) {
+    return null;
   }
-});
+  
+  await updateGenerationTokens(path.join(tempDir, generationId), tokens);
+  
+  const applyToStylesheets = file => (path.basename(file.path) === 'styles.css' ? { ...file, content: applyTokenBlock(file.content, tokens) } : file);
+  const applyToResult = result => ({
+    ...result,
+    html: applyTokenBlock(result.html, tokens),
+    exports: result.exports.map(entry => ({ ...entry, files: entry.files.map(applyToStylesheets) })),
+    ...(result.pages ? { pages: result.pages.map(page => ({ ...page, html: applyTokenBlock(page.html, tokens) })) } : {}),
+    tokens
+  });
+  
+  tasks.list().filter(task => task.result?.generationId === generationId).forEach(task => {
+    tasks.update(task.id, { result: applyToResult(task.result) });
+  });
+  
+  const entry = history.get(generationId);
+  if (entry) {
+    history.update(generationId, { result: applyToResult(entry.result) });
+  }
+  
+  return { generationId, tokens };
+}
 
-// Clean up temporary files older than 1 hour
+// Clean up temporary files and history entries older than 1 hour, except
+// for pinned generations
 setInterval(() => {
   const oneHourAgo = Date.now() - (60 * 60 * 1000);
   
+  history.list()
+    .filter(entry => !entry.pinned && entry.createdAt < oneHourAgo)
+    .forEach(entry => history.remove(entry.id));
+  
   fs.readdir(tempDir, (err, files) => {
     if (err) return;
     
     files.forEach(file => {
+      if (history.get(file)?.pinned) return;
+      
       const filePath = path.join(tempDir, file);
       fs.stat(filePath, (err, stats) => {
         if (err) return;
         
         if (stats.isDirectory() && stats.birthtimeMs < oneHourAgo) {
           fs.rm(filePath, { recursive: true, force: true }, err => {
-            if (err) console.error(`Error removing directory ${filePath}:`, err);
+            if (err) {
+              console.error(`Error removing directory ${filePath}:`, err);
+              return;
+            }
+            removeGenerationTasks(file);
           });
         }
       });
@@ -1604,10 +1919,36 @@ setInterval(() => {
   });
 }, 60 * 60 * 1000); // Run every hour
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok' });
-});
+// Function to report the server's health and queue
+function getHealth() {
+  return { status: 'ok', queue: jobQueue.getStats() };
+}
+
+// Versioned API
+app.use(BASE_PATH, createV1Router({
+  upload,
+  tasks,
+  activeStatuses: ACTIVE_STATUSES,
+  describeTask,
+  listTaskSummaries,
+  startGenerationTask,
+  previewVideoFrames,
+  startRefinementTask,
+  startProjectTask,
+  cancelTask,
+  streamTaskEvents,
+  getGenerationFilePath,
+  getStandaloneHtml,
+  replaceGenerationTokens,
+  history,
+  describeHistoryEntry,
+  setHistoryPinned,
+  deleteHistoryEntry,
+  getHealth
+}));
+
+// Body parsing runs before the router, so its errors need their own handler
+app.use(BASE_PATH, errorHandler);
 
 app.listen(port, () => {
   console.log(`Server running on port ${port}`);
@@ -0,0 +1,96 @@
+const axe = require('axe-core');
+const { withRenderedPage } = require('./visualDiff');
+
+// Checks generated pages with axe-core in headless Chrome. The prompts ask
+// for accessible markup; this measures whether the model delivered it, and
+// the violations can be sent back to the model to fix.
+
+// Severities axe-core reports, from the most to the least severe
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+// Viewport the page is audited at; contrast and visibility depend on layout
+const AUDIT_VIEWPORT = { width: 1280, height: 800 };
+
+// Elements listed per rule; the rest are only counted
+const MAX_ELEMENTS_PER_RULE = 10;
+
+// Longest snippet of an element's HTML kept in a report
+const MAX_SNIPPET_LENGTH = 300;
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+// Run axe-core on a complete HTML document and report its violations, the
+// most severe first
+async function auditAccessibility(html, { signal } = {}) {
+  const violations = await withRenderedPage(html, { ...AUDIT_VIEWPORT, signal }, async page => {
+    await page.addScriptTag({ content: axe.source });
+    return page.evaluate(async () => {
+      const results = await window.axe.run(document, { resultTypes: ['violations'] });
+      return results.violations.map(violation => ({
+        rule: violation.id,
+        impact: violation.impact,
+        help: violation.help,
+        helpUrl: violation.helpUrl,
+        nodes: violation.nodes.map(node => ({
+          selector: node.target.map(String).join(' '),
+          html: node.html,
+          summary: node.failureSummary || ''
+        }))
+      }));
+    });
+  });
+
+  const sorted = violations
+    .map(violation => ({
+      rule: violation.rule,
+      impact: IMPACTS.includes(violation.impact) ? violation.impact : 'minor',
+      help: violation.help,
+      helpUrl: violation.helpUrl,
+      elementCount: violation.nodes.length,
+      elements: violation.nodes.slice(0, MAX_ELEMENTS_PER_RULE).map(node => ({
+        ...node,
+        html: truncate(node.html, MAX_SNIPPET_LENGTH)
+      }))
+    }))
+    .sort((a, b) => IMPACTS.indexOf(a.impact) - IMPACTS.indexOf(b.impact));
+
+  const counts = Object.fromEntries(IMPACTS.map(impact => [
+    impact,
+    sorted.filter(violation => violation.impact === impact).length
+  ]));
+
+  return { violations: sorted, counts };
+}
+
+// Prompt to fix the violations of a page without changing how it looks. The
+// page follows as HTML; the original design may follow as an image.
+function createAccessibilityFixPrompt(html, violations) {
+  const list = violations.map((violation, index) => {
+    const elements = violation.elements
+      .map(element => `   - ${element.selector}: ${element.html}`)
+      .join('\n');
+    const more = violation.elementCount > violation.elements.length
+      ? `\n   - and ${violation.elementCount - violation.elements.length} more elements`
+      : '';
+    return `${index + 1}. [${violation.impact}] ${violation.rule}: ${violation.help}\n${elements}${more}`;
+  }).join('\n');
+
+  return `An accessibility audit with axe-core found these violations in the HTML below:
+${list}
+
+Fix every violation, e.g. with alt text, labels, landmarks, heading order, sufficient color contrast or ARIA attributes. Keep the page looking the same as before; only change colors where the contrast is too low, and then as little as possible.
+
+\`\`\`html
+${html}
+\`\`\`
+
+Return the complete fixed page with the HTML, CSS and JavaScript in separate code blocks.`;
+}
+
+module.exports = {
+  IMPACTS,
+  auditAccessibility,
+  createAccessibilityFixPrompt
+};
@@ -0,0 +1,92 @@
+// Error objects shared by the API and by failed tasks. Every error has a
+// stable machine-readable code next to its human-readable message:
+// { error: { code, message, details? } }
+
+const ERROR_CODES = {
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  MEDIA_REQUIRED: 'MEDIA_REQUIRED',
+  UNSUPPORTED_MEDIA_TYPE: 'UNSUPPORTED_MEDIA_TYPE',
+  MEDIA_UNREADABLE: 'MEDIA_UNREADABLE',
+  FILE_TOO_LARGE: 'FILE_TOO_LARGE',
+  API_KEY_REQUIRED: 'API_KEY_REQUIRED',
+  TASK_NOT_FOUND: 'TASK_NOT_FOUND',
+  TASK_NOT_ACTIVE: 'TASK_NOT_ACTIVE',
+  FILE_NOT_FOUND: 'FILE_NOT_FOUND',
+  HISTORY_ENTRY_NOT_FOUND: 'HISTORY_ENTRY_NOT_FOUND',
+  ROUTE_NOT_FOUND: 'ROUTE_NOT_FOUND',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+
+  // Reasons a task can fail after it was accepted
+  PROVIDER_AUTH_FAILED: 'PROVIDER_AUTH_FAILED',
+  PROVIDER_INVALID_REQUEST: 'PROVIDER_INVALID_REQUEST',
+  PROVIDER_RATE_LIMITED: 'PROVIDER_RATE_LIMITED',
+  PROVIDER_SERVER_ERROR: 'PROVIDER_SERVER_ERROR',
+  PROVIDER_OVERLOADED: 'PROVIDER_OVERLOADED',
+  TASK_FAILED: 'TASK_FAILED',
+  TASK_INTERRUPTED: 'TASK_INTERRUPTED'
+};
+
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      error: {
+        code: this.code,
+        message: this.message,
+        ...(this.details ? { details: this.details } : {})
+      }
+    };
+  }
+}
+
+// Turn a pipeline error into the error stored on a failed task
+function getTaskError(error) {
+  if (error.status === 401) {
+    return { code: ERROR_CODES.PROVIDER_AUTH_FAILED, message: 'Invalid API key. Please check the API key for your model provider.' };
+  } else if (error.status === 400 && error.error && error.error.type === 'invalid_request_error') {
+    return { code: ERROR_CODES.PROVIDER_INVALID_REQUEST, message: 'Invalid request to the model API. Please check your model selection.' };
+  } else if (error.status === 429) {
+    return { code: ERROR_CODES.PROVIDER_RATE_LIMITED, message: 'Rate limit exceeded. Please try again later.' };
+  } else if (error.status === 500) {
+    return { code: ERROR_CODES.PROVIDER_SERVER_ERROR, message: 'Model API server error. Please try again later.' };
+  } else if (error.status === 529 || (error.error && error.error.type === 'overloaded_error')) {
+    return { code: ERROR_CODES.PROVIDER_OVERLOADED, message: 'Model API is currently overloaded. Please try again later or use a different model.' };
+  }
+
+  return {
+    code: ERROR_CODES.TASK_FAILED,
+    message: error instanceof Error ? error.message : 'An unknown error occurred'
+  };
+}
+
+// Express error handler that answers with an error object
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  let apiError = error;
+  if (error.name === 'MulterError') {
+    apiError = error.code === 'LIMIT_FILE_SIZE'
+      ? new ApiError(413, ERROR_CODES.FILE_TOO_LARGE, 'The uploaded file is too large')
+      : new ApiError(400, ERROR_CODES.VALIDATION_FAILED, error.message, [{ path: error.field, message: error.message }]);
+  } else if (error.type === 'entity.too.large') {
+    apiError = new ApiError(413, ERROR_CODES.FILE_TOO_LARGE, 'The request body is too large');
+  } else if (error.type === 'entity.parse.failed') {
+    apiError = new ApiError(400, ERROR_CODES.VALIDATION_FAILED, 'The request body is not valid JSON');
+  } else if (!(error instanceof ApiError)) {
+    console.error('Unhandled API error:', error);
+    apiError = new ApiError(500, ERROR_CODES.INTERNAL_ERROR, 'Something went wrong. Please try again.');
+  }
+
+  res.status(apiError.status).json(apiError.toJSON());
+}
+
+module.exports = { ApiError, ERROR_CODES, getTaskError, errorHandler };
@@ -0,0 +1,818 @@
+const { z } = require('zod');
+const { ERROR_CODES } = require('./errors');
+const { EXPORT_TARGETS } = require('../exportTargets');
+const { ASSET_KINDS } = require('../assetExtraction');
+const { MAX_SCREENS } = require('../multiPage');
+const { DEVICES } = require('../breakpoints');
+const { IMPACTS } = require('../accessibility');
+const { VIDEO_ANALYSIS_STRATEGIES } = require('../videoAnalysis');
+const { EVENT_TYPES, STATE_ATTRIBUTE } = require('../interactionModel');
+const {
+  TASK_STATUSES,
+  generationRequest,
+  refinementRequest,
+  projectRequest,
+  frameExtractionRequest,
+  tokensUpdate,
+  taskListQuery,
+  standaloneQuery,
+  historyUpdate
+} = require('./schemas');
+
+// OpenAPI description of the v1 API. Request bodies come from the same zod
+// schemas that validate requests, so the document cannot drift from them.
+
+function toSchema(schema) {
+  const { $schema, ...jsonSchema } = z.toJSONSchema(schema, { io: 'input' });
+  return jsonSchema;
+}
+
+// Multipart variant of a request schema, with the media as a file upload
+function toMultipartSchema(schema, field = 'media', upload = { type: 'string', format: 'binary', description: 'Image or video file.' }) {
+  const jsonSchema = toSchema(schema);
+  return {
+    ...jsonSchema,
+    properties: {
+      ...jsonSchema.properties,
+      [field]: upload
+    },
+    required: [...(jsonSchema.required || []), field]
+  };
+}
+
+// A generation uploads either `media` or a screenshot per breakpoint
+function toGenerationUploadSchema() {
+  const jsonSchema = toMultipartSchema(generationRequest);
+  const screenshots = Object.fromEntries(DEVICES.map(device => [
+    device,
+    { type: 'string', format: 'binary', description: `Screenshot of the UI on ${device}.` }
+  ]));
+
+  return {
+    ...jsonSchema,
+    properties: { ...jsonSchema.properties, ...screenshots },
+    required: jsonSchema.required.filter(name => name !== 'media')
+  };
+}
+
+// Query parameters of a schema as OpenAPI parameter objects
+function toQueryParameters(schema) {
+  const jsonSchema = toSchema(schema);
+  return Object.entries(jsonSchema.properties).map(([name, { description, ...property }]) => ({
+    name,
+    in: 'query',
+    required: (jsonSchema.required || []).includes(name),
+    description,
+    schema: property
+  }));
+}
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ 'application/json': { schema } });
+const errorResponse = description => ({ description, content: json(ref('Error')) });
+
+const taskIdParameter = { name: 'taskId', in: 'path', required: true, schema: { type: 'string' } };
+const generationIdParameter = { name: 'generationId', in: 'path', required: true, schema: { type: 'string' } };
+
+function buildOpenApiDocument() {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'UI Replicator API',
+      version: '1.0.0',
+      description: 'Generate HTML from images and videos of user interfaces, and refine it against the original. ' +
+        'Generations and refinements run as queued background tasks; follow them with the task endpoints.'
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{}, { apiKey: [] }],
+    paths: {
+      '/generations': {
+        post: {
+          operationId: 'createGeneration',
+          summary: 'Queue a generation of HTML from an image or video',
+          description: 'Send either `media`, or screenshots of the same screen in two or more of the ' +
+            `${DEVICES.join(', ')} fields for one page whose media queries reproduce each layout.`,
+          requestBody: {
+            required: true,
+            content: {
+              'multipart/form-data': { schema: toGenerationUploadSchema() },
+              'application/json': { schema: toSchema(generationRequest) }
+            }
+          },
+          responses: {
+            202: { description: 'The task was queued', content: json(ref('TaskAccepted')) },
+            400: errorResponse('The request is invalid'),
+            401: errorResponse('The provider needs an API key'),
+            413: errorResponse('The upload is too large'),
+            415: errorResponse('The upload is not an image or video')
+          }
+        }
+      },
+      '/extract-frames': {
+        post: {
+          operationId: 'extractFrames',
+          summary: 'Preview the frames a generation would pick from a video',
+          description: 'Returns the frames picked at scene changes with a thumbnail each. Send the timestamps of the frames ' +
+            'to keep, with a note on each, as `frames` of a generation to analyze those frames instead.',
+          requestBody: {
+            required: true,
+            content: {
+              'multipart/form-data': { schema: toMultipartSchema(frameExtractionRequest, 'media', { type: 'string', format: 'binary', description: 'Video file.' }) },
+              'application/json': { schema: { ...toSchema(frameExtractionRequest), required: ['media'] } }
+            }
+          },
+          responses: {
+            200: { description: 'The picked frames', content: json(ref('VideoFramePreview')) },
+            400: errorResponse('The request is invalid'),
+            413: errorResponse('The upload is too large'),
+            415: errorResponse('The upload is not a video'),
+            422: errorResponse('The video could not be read')
+          }
+        }
+      },
+      '/refinements': {
+        post: {
+          operationId: 'createRefinement',
+          summary: 'Queue a refinement of HTML against an image or video',
+          requestBody: {
+            required: true,
+            content: {
+              'multipart/form-data': { schema: toMultipartSchema(refinementRequest) },
+              'application/json': { schema: { ...toSchema(refinementRequest), required: ['htmlContent', 'media'] } }
+            }
+          },
+          responses: {
+            202: { description: 'The task was queued', content: json(ref('TaskAccepted')) },
+            400: errorResponse('The request is invalid'),
+            401: errorResponse('The provider needs an API key'),
+            413: errorResponse('The upload is too large'),
+            415: errorResponse('The upload is not an image or video')
+          }
+        }
+      },
+      '/projects': {
+        post: {
+          operationId: 'createProject',
+          summary: 'Queue a multi-page site generated from several screenshots',
+          description: 'Writes the stylesheet and components the screens share first, then one linked page per screen. ' +
+            'The first screen becomes index.html.',
+          requestBody: {
+            required: true,
+            content: {
+              'multipart/form-data': {
+                schema: toMultipartSchema(projectRequest, 'screens', {
+                  type: 'array',
+                  items: { type: 'string', format: 'binary' },
+                  maxItems: MAX_SCREENS,
+                  description: 'Screenshot files in order. Name them with repeated `names` fields.'
+                })
+              },
+              'application/json': { schema: { ...toSchema(projectRequest), required: ['screens'] } }
+            }
+          },
+          responses: {
+            202: { description: 'The task was queued', content: json(ref('TaskAccepted')) },
+            400: errorResponse('The request is invalid'),
+            401: errorResponse('The provider needs an API key'),
+            413: errorResponse('An upload is too large'),
+            415: errorResponse('An upload is not an image')
+          }
+        }
+      },
+      '/tasks': {
+        get: {
+          operationId: 'listTasks',
+          summary: 'List tasks, newest first, without their generated HTML',
+          parameters: toQueryParameters(taskListQuery),
+          responses: {
+            200: {
+              description: 'The tasks',
+              content: json({ type: 'object', properties: { tasks: { type: 'array', items: ref('Task') } }, required: ['tasks'] })
+            },
+            400: errorResponse('The query is invalid')
+          }
+        }
+      },
+      '/tasks/{taskId}': {
+        get: {
+          operationId: 'getTask',
+          summary: 'Get the status, progress and result of a task',
+          parameters: [taskIdParameter],
+          responses: {
+            200: { description: 'The task', content: json(ref('Task')) },
+            404: errorResponse('There is no such task')
+          }
+        },
+        delete: {
+          operationId: 'cancelTask',
+          summary: 'Cancel a queued or running task',
+          parameters: [taskIdParameter],
+          responses: {
+            200: { description: 'The cancelled task', content: json(ref('Task')) },
+            404: errorResponse('There is no such task'),
+            409: errorResponse('The task has already finished')
+          }
+        }
+      },
+      '/tasks/{taskId}/events': {
+        get: {
+          operationId: 'streamTaskEvents',
+          summary: 'Follow a task as Server-Sent Events',
+          description: 'Starts with a `snapshot` event holding the whole task, followed by `progress`, `message`, ' +
+            '`queue`, `usage`, `iteration`, `partial`, `result` and `status` events. The stream ends with the task.',
+          parameters: [taskIdParameter],
+          responses: {
+            200: { description: 'An event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+            404: errorResponse('There is no such task')
+          }
+        }
+      },
+      '/generations/{generationId}/files/{filename}': {
+        get: {
+          operationId: 'downloadGenerationFile',
+          summary: 'Download a generated file, such as ui-replication.zip or index.html',
+          parameters: [
+            { name: 'generationId', in: 'path', required: true, schema: { type: 'string' } },
+            { name: 'filename', in: 'path', required: true, schema: { type: 'string' } }
+          ],
+          responses: {
+            200: { description: 'The file', content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+            404: errorResponse('There is no such file')
+          }
+        }
+      },
+      '/generations/{generationId}/assets/{filename}': {
+        get: {
+          operationId: 'getGenerationAsset',
+          summary: 'Get an image cropped from the original design, as referenced by the generated HTML',
+          parameters: [
+            { name: 'generationId', in: 'path', required: true, schema: { type: 'string' } },
+            { name: 'filename', in: 'path', required: true, schema: { type: 'string' } }
+          ],
+          responses: {
+            200: { description: 'The image', content: { 'image/*': { schema: { type: 'string', format: 'binary' } } } },
+            404: errorResponse('There is no such asset')
+          }
+        }
+      },
+      '/generations/{generationId}/frames/{filename}': {
+        get: {
+          operationId: 'getGenerationFrame',
+          summary: 'Get a frame extracted from the video of a generation',
+          parameters: [
+            { name: 'generationId', in: 'path', required: true, schema: { type: 'string' } },
+            { name: 'filename', in: 'path', required: true, schema: { type: 'string' } }
+          ],
+          responses: {
+            200: { description: 'The frame', content: { 'image/jpeg': { schema: { type: 'string', format: 'binary' } } } },
+            404: errorResponse('There is no such frame')
+          }
+        }
+      },
+      '/generations/{generationId}/replay/{filename}': {
+        get: {
+          operationId: 'getReplayScreenshot',
+          summary: 'Get the screenshot of a step of the interaction replay of a generation',
+          parameters: [
+            { name: 'generationId', in: 'path', required: true, schema: { type: 'string' } },
+            { name: 'filename', in: 'path', required: true, schema: { type: 'string' } }
+          ],
+          responses: {
+            200: { description: 'The screenshot', content: { 'image/png': { schema: { type: 'string', format: 'binary' } } } },
+            404: errorResponse('There is no such screenshot')
+          }
+        }
+      },
+      '/generations/{generationId}/standalone': {
+        get: {
+          operationId: 'downloadStandaloneHtml',
+          summary: 'Download a generated page as one self-contained HTML file',
+          description: 'Inlines the stylesheets, including tailwind.css, and the scripts of the page and turns its assets into data URLs. Stylesheets and scripts of other hosts, such as web fonts, are left out, so the file makes no requests for them.',
+          parameters: [
+            { name: 'generationId', in: 'path', required: true, schema: { type: 'string' } },
+            ...toQueryParameters(standaloneQuery)
+          ],
+          responses: {
+            200: { description: 'The HTML file', content: { 'text/html': { schema: { type: 'string' } } } },
+            400: errorResponse('The page name is invalid'),
+            404: errorResponse('There is no such generation or page')
+          }
+        }
+      },
+      '/generations/{generationId}/tokens': {
+        put: {
+          operationId: 'updateGenerationTokens',
+          summary: 'Replace the design tokens of a generation',
+          description: 'Rewrites tokens.json and the :root block of the stylesheets, rebuilds the ZIP and updates the results of the generation\'s tasks.',
+          parameters: [{ name: 'generationId', in: 'path', required: true, schema: { type: 'string' } }],
+          requestBody: { required: true, content: json(toSchema(tokensUpdate)) },
+          responses: {
+            200: {
+              description: 'The tokens were applied',
+              content: json({
+                type: 'object',
+                properties: { generationId: { type: 'string' }, tokens: ref('DesignTokens') },
+                required: ['generationId', 'tokens']
+              })
+            },
+            400: errorResponse('The tokens are invalid'),
+            404: errorResponse('There is no such generation or it has no design tokens')
+          }
+        }
+      },
+      '/history': {
+        get: {
+          operationId: 'listHistory',
+          summary: 'List past generations, newest first, without their results',
+          responses: {
+            200: {
+              description: 'The history',
+              content: json({ type: 'object', properties: { entries: { type: 'array', items: ref('HistoryEntry') } }, required: ['entries'] })
+            }
+          }
+        }
+      },
+      '/history/{generationId}': {
+        get: {
+          operationId: 'getHistoryEntry',
+          summary: 'Get a past generation with its result',
+          parameters: [generationIdParameter],
+          responses: {
+            200: {
+              description: 'The generation',
+              content: json({ allOf: [ref('HistoryEntry'), { type: 'object', properties: { result: ref('TaskResult') }, required: ['result'] }] })
+            },
+            404: errorResponse('The generation is not in the history')
+          }
+        },
+        patch: {
+          operationId: 'updateHistoryEntry',
+          summary: 'Pin or unpin a generation',
+          description: 'Generations and their files are deleted an hour after they were made unless they are pinned.',
+          parameters: [generationIdParameter],
+          requestBody: { required: true, content: json(toSchema(historyUpdate)) },
+          responses: {
+            200: { description: 'The updated generation', content: json(ref('HistoryEntry')) },
+            400: errorResponse('The body is invalid'),
+            404: errorResponse('The generation is not in the history')
+          }
+        },
+        delete: {
+          operationId: 'deleteHistoryEntry',
+          summary: 'Delete a generation with its files',
+          parameters: [generationIdParameter],
+          responses: {
+            204: { description: 'The generation was deleted' },
+            404: errorResponse('The generation is not in the history')
+          }
+        }
+      },
+      '/history/{generationId}/thumbnail': {
+        get: {
+          operationId: 'getHistoryThumbnail',
+          summary: 'Get the thumbnail of the media a generation was made from',
+          parameters: [generationIdParameter],
+          responses: {
+            200: { description: 'The thumbnail', content: { 'image/jpeg': { schema: { type: 'string', format: 'binary' } } } },
+            404: errorResponse('There is no such generation or it has no thumbnail')
+          }
+        }
+      },
+      '/history/{generationId}/source': {
+        get: {
+          operationId: 'getHistorySource',
+          summary: 'Get the uploaded media a generation was made from, to refine it again',
+          parameters: [generationIdParameter],
+          responses: {
+            200: { description: 'The image or video', content: { 'image/*': { schema: { type: 'string', format: 'binary' } }, 'video/*': { schema: { type: 'string', format: 'binary' } } } },
+            404: errorResponse('There is no such generation or its source was not kept')
+          }
+        }
+      },
+      '/health': {
+        get: {
+          operationId: 'getHealth',
+          summary: 'Check that the server is up and see the queue',
+          security: [],
+          responses: { 200: { description: 'The server is up', content: json({ type: 'object' }) } }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        apiKey: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'API key of the model provider. Required for the anthropic provider.'
+        }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', enum: Object.values(ERROR_CODES) },
+                message: { type: 'string' },
+                details: {
+                  type: 'array',
+                  items: { type: 'object', properties: { path: { type: 'string' }, message: { type: 'string' } } }
+                }
+              },
+              required: ['code', 'message']
+            }
+          },
+          required: ['error']
+        },
+        TaskAccepted: {
+          type: 'object',
+          properties: {
+            taskId: { type: 'string' },
+            status: { type: 'string', enum: TASK_STATUSES },
+            message: { type: 'string' },
+            links: {
+              type: 'object',
+              properties: { self: { type: 'string' }, events: { type: 'string' } }
+            }
+          },
+          required: ['taskId', 'status', 'message', 'links']
+        },
+        Task: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            status: { type: 'string', enum: TASK_STATUSES },
+            progress: { type: 'number', minimum: 0, maximum: 100 },
+            message: { type: 'string' },
+            startTime: { type: 'integer', description: 'Milliseconds since the epoch' },
+            isVideo: { type: 'boolean' },
+            screenCount: { type: 'integer', description: 'Number of screens of a multi-screen project' },
+            iterationCount: { type: 'integer' },
+            queuePosition: { type: ['integer', 'null'] },
+            estimatedWaitSeconds: { type: ['integer', 'null'] },
+            estimatedRemainingSeconds: { type: ['integer', 'null'] },
+            queueWaitSeconds: { type: 'integer' },
+            history: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { message: { type: 'string' }, progress: { type: 'number' }, timestamp: { type: 'integer' } }
+              }
+            },
+            usage: {
+              type: 'object',
+              description: 'Tokens and estimated cost of every model call, with totals per task and per model'
+            },
+            error: ref('TaskError'),
+            result: ref('TaskResult')
+          },
+          required: ['id', 'status', 'progress', 'message']
+        },
+        TaskError: {
+          type: 'object',
+          properties: {
+            code: { type: 'string', enum: Object.values(ERROR_CODES) },
+            message: { type: 'string' }
+          },
+          required: ['code', 'message']
+        },
+        TaskResult: {
+          type: 'object',
+          properties: {
+            generationId: { type: 'string', description: 'ID of the generated files' },
+            html: { type: 'string', description: 'The generated page as one self-contained document' },
+            previewHtml: { type: 'string', description: 'The page as written, with its base styles, compiled Tailwind CSS, styles and script inlined, for previews' },
+            zipPath: { type: 'string', description: 'Path of the ZIP with all generated files' },
+            standalonePath: { type: 'string', description: 'Path of the page as one self-contained HTML file' },
+            iterationCount: { type: 'integer' },
+            isMatch: { type: 'boolean' },
+            frameCount: { type: 'integer' },
+            duration: { type: 'number' },
+            video: ref('VideoFrameExtraction'),
+            interactions: {
+              oneOf: [ref('InteractionModel'), { type: 'null' }],
+              description: 'States and transitions of a video, also in the ZIP as interactions.json. Null when the model gave no usable state machine.'
+            },
+            replay: {
+              oneOf: [ref('InteractionReplay'), { type: 'null' }],
+              description: 'The interactions replayed on the generated page. Null when there were no interactions or the page could not be rendered.'
+            },
+            similarity: { type: ['object', 'null'], description: 'SSIM and pixel similarity of the last render' },
+            unclassified: { type: 'array', items: { type: 'object' } },
+            target: { type: 'string', enum: EXPORT_TARGETS },
+            exports: {
+              type: 'array',
+              description: 'Files of each export target: always html, plus the project of a framework target',
+              items: ref('Export')
+            },
+            assets: { type: 'array', items: ref('Asset') },
+            assetBaseUrl: { type: 'string', description: 'Path that the `assets/` references of the HTML resolve against' },
+            tokens: { oneOf: [ref('DesignTokens'), { type: 'null' }] },
+            accessibility: {
+              oneOf: [ref('AccessibilityReport'), { type: 'null' }],
+              description: 'axe-core audit of the page; of the first page for a project. Null when the page could not be rendered.'
+            },
+            breakpoints: {
+              type: 'array',
+              items: { type: 'string', enum: DEVICES },
+              description: 'Devices of the screenshots a responsive page reproduces, from the narrowest to the widest'
+            },
+            pages: {
+              type: 'array',
+              description: 'Pages of a multi-screen project, in the order of the screens',
+              items: ref('Page')
+            },
+            components: { type: 'array', items: { type: 'string' }, description: 'Names of the components the pages of a project share' }
+          }
+        },
+        VideoFrameExtraction: {
+          type: 'object',
+          description: 'How the frames of a video were picked. With the scene-change strategy, ffmpeg scores how much each frame differs from the one before; every run of frames scoring at least motionThreshold is one change, shown by the frame after it settles.',
+          properties: {
+            metadata: {
+              type: 'object',
+              description: 'From ffprobe',
+              properties: {
+                duration: { type: 'number' },
+                fps: { type: 'number' },
+                width: { type: 'integer' },
+                height: { type: 'integer' },
+                codec: { type: 'string' },
+                bitRate: { type: ['integer', 'null'] },
+                formatName: { type: 'string' },
+                frameCount: { type: 'integer' }
+              }
+            },
+            strategy: {
+              type: 'string',
+              enum: ['scene-change', 'interval', 'manual'],
+              description: 'interval when scene scoring failed and frames were sampled evenly; manual when the frames were sent with the generation'
+            },
+            motionThreshold: { type: ['number', 'null'] },
+            changeCount: { type: ['integer', 'null'], description: 'Changes detected, including those not kept' },
+            analysis: {
+              oneOf: [ref('VideoAnalysis'), { type: 'null' }],
+              description: 'Null when the video has a single frame, which needs no analysis of its changes'
+            },
+            frames: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  index: { type: 'integer' },
+                  timestamp: { type: 'number' },
+                  changeStartTime: { type: ['number', 'null'], description: 'When the change this frame shows started' },
+                  score: { type: ['number', 'null'], description: 'Highest scene score of the change; null for the first frame' },
+                  note: { type: 'string', description: 'Note the frame was picked with; empty unless picked by hand' }
+                }
+              }
+            }
+          }
+        },
+        VideoAnalysis: {
+          type: 'object',
+          description: 'Model calls from the first frame after the initial state up to the implementation, for comparing the strategies on a video',
+          properties: {
+            strategy: { type: 'string', enum: VIDEO_ANALYSIS_STRATEGIES },
+            frameCount: { type: 'integer' },
+            calls: { type: 'integer' },
+            inputTokens: { type: 'integer' },
+            outputTokens: { type: 'integer' },
+            estimatedCost: { type: 'number', description: 'USD; leaves out models without a known price' },
+            costIsComplete: { type: 'boolean' },
+            durationMs: { type: 'integer' }
+          },
+          required: ['strategy', 'frameCount', 'calls', 'inputTokens', 'outputTokens', 'estimatedCost', 'costIsComplete', 'durationMs']
+        },
+        InteractionModel: {
+          type: 'object',
+          description: `The interactions of a video as a state machine that script.js implements. The page keeps the ${STATE_ATTRIBUTE} attribute of <body> set to the current state.`,
+          properties: {
+            version: { type: 'integer' },
+            initialState: { type: 'string' },
+            states: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string', description: 'Kebab-case ID' },
+                  description: { type: 'string' },
+                  frames: { type: 'array', items: ref('FrameRef') }
+                }
+              }
+            },
+            transitions: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  from: { type: 'string' },
+                  to: { type: 'string' },
+                  event: { type: 'string', enum: EVENT_TYPES },
+                  trigger: {
+                    type: ['object', 'null'],
+                    description: 'Null for timer transitions',
+                    properties: { selector: { type: 'string' }, description: { type: 'string' } }
+                  },
+                  value: { type: ['string', 'null'], description: 'Text typed for input and change events, the key for keydown' },
+                  animation: {
+                    type: ['object', 'null'],
+                    properties: {
+                      properties: { type: 'array', items: { type: 'string' } },
+                      durationMs: { type: 'integer' },
+                      easing: { type: 'string' }
+                    }
+                  },
+                  frames: { type: 'array', items: ref('FrameRef'), description: 'Frames the transition was seen in' }
+                }
+              }
+            }
+          }
+        },
+        InteractionReplay: {
+          type: 'object',
+          description: `The transitions of the interaction model replayed in headless Chrome from the initial state. A step passes when the ${STATE_ATTRIBUTE} attribute of <body> is the expected state and the screenshot matches the frame with at least the threshold SSIM.`,
+          properties: {
+            threshold: { type: 'number' },
+            passed: { type: 'integer' },
+            failed: { type: 'integer' },
+            skippedTransitions: { type: 'integer', description: 'Transitions not reachable from the initial state in the order they were seen' },
+            steps: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  index: { type: 'integer', description: 'Step 0 is the page as loaded' },
+                  transition: {
+                    type: ['object', 'null'],
+                    properties: {
+                      id: { type: 'string' },
+                      from: { type: 'string' },
+                      event: { type: 'string', enum: EVENT_TYPES },
+                      selector: { type: ['string', 'null'] },
+                      value: { type: ['string', 'null'] }
+                    }
+                  },
+                  expectedState: { type: 'string' },
+                  actualState: { type: ['string', 'null'] },
+                  frame: { oneOf: [ref('FrameRef'), { type: 'null' }] },
+                  ssim: { type: ['number', 'null'] },
+                  pixelSimilarity: { type: ['number', 'null'] },
+                  passed: { type: 'boolean' },
+                  error: { type: ['string', 'null'], description: 'Why the action could not be performed' },
+                  screenshotPath: { type: ['string', 'null'] },
+                  framePath: { type: ['string', 'null'] }
+                }
+              }
+            }
+          }
+        },
+        FrameRef: {
+          type: 'object',
+          description: 'An extracted frame of the video',
+          properties: {
+            index: { type: 'integer' },
+            timestamp: { type: 'number' }
+          }
+        },
+        VideoFramePreview: {
+          allOf: [
+            ref('VideoFrameExtraction'),
+            {
+              type: 'object',
+              properties: {
+                frames: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      thumbnail: { type: 'string', description: 'The frame as a JPEG data URL, 240 pixels wide' }
+                    }
+                  }
+                }
+              }
+            }
+          ]
+        },
+        HistoryEntry: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', description: 'ID of the generated files' },
+            taskId: { type: 'string' },
+            kind: { type: 'string', enum: ['generation', 'responsive', 'refinement', 'project'] },
+            model: { type: 'string' },
+            provider: { type: 'string' },
+            sourceType: { type: 'string', enum: ['image', 'video', 'screenshots'] },
+            iterationCount: { type: 'integer' },
+            createdAt: { type: 'integer', description: 'Milliseconds since the epoch' },
+            pinned: { type: 'boolean', description: 'Pinned generations are kept by the hourly cleanup' },
+            zipPath: { type: 'string' },
+            standalonePath: { type: 'string' },
+            pageCount: { type: 'integer', description: 'Number of pages of a project; 0 otherwise' },
+            thumbnailPath: { type: ['string', 'null'] },
+            sourcePath: { type: ['string', 'null'], description: 'Path of the uploaded media; null when the result cannot be refined against one image' },
+            sourceMimeType: { type: ['string', 'null'] }
+          },
+          required: ['id', 'kind', 'model', 'createdAt', 'pinned', 'zipPath']
+        },
+        Page: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            file: { type: 'string', description: 'File of the page, e.g. index.html' },
+            links: { type: 'array', items: { type: 'string' }, description: 'Files of the other pages this page links to' },
+            html: { type: 'string', description: 'The page as one self-contained document, with the shared styles' },
+            previewHtml: { type: 'string', description: 'The page as written, with its base styles, compiled Tailwind CSS, styles and script inlined, for previews' },
+            accessibility: { oneOf: [ref('AccessibilityReport'), { type: 'null' }] }
+          },
+          required: ['name', 'file', 'links', 'html']
+        },
+        AccessibilityReport: {
+          type: 'object',
+          properties: {
+            violations: {
+              type: 'array',
+              description: 'Violated axe-core rules, the most severe first',
+              items: {
+                type: 'object',
+                properties: {
+                  rule: { type: 'string', description: 'axe-core rule ID, e.g. image-alt' },
+                  impact: { type: 'string', enum: IMPACTS, description: 'Severity of the violation' },
+                  help: { type: 'string' },
+                  helpUrl: { type: 'string' },
+                  elementCount: { type: 'integer' },
+                  elements: {
+                    type: 'array',
+                    description: 'The first elements that violate the rule',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        selector: { type: 'string' },
+                        html: { type: 'string' },
+                        summary: { type: 'string', description: 'How to fix the element' }
+                      },
+                      required: ['selector', 'html', 'summary']
+                    }
+                  }
+                },
+                required: ['rule', 'impact', 'help', 'helpUrl', 'elementCount', 'elements']
+              }
+            },
+            counts: {
+              type: 'object',
+              description: 'Number of violated rules per severity',
+              properties: Object.fromEntries(IMPACTS.map(impact => [impact, { type: 'integer' }]))
+            }
+          },
+          required: ['violations', 'counts']
+        },
+        DesignTokens: {
+          type: 'object',
+          description: 'Colors and typography of the design, defined as --color-<name> and --font-<name> in the :root block the stylesheet starts with',
+          properties: {
+            color: { type: 'object', additionalProperties: { type: 'string' } },
+            font: { type: 'object', additionalProperties: { type: 'string' } }
+          },
+          required: ['color', 'font']
+        },
+        Asset: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            kind: { type: 'string', enum: ASSET_KINDS },
+            file: { type: 'string', description: 'File name under assets/' },
+            box: {
+              type: 'object',
+              description: 'Region of the original image, in pixels',
+              properties: { x: { type: 'integer' }, y: { type: 'integer' }, width: { type: 'integer' }, height: { type: 'integer' } }
+            },
+            image: { type: ['integer', 'null'], description: 'Index of the <img> that shows the asset, in document order' }
+          },
+          required: ['name', 'kind', 'file', 'box']
+        },
+        Export: {
+          type: 'object',
+          properties: {
+            target: { type: 'string', enum: EXPORT_TARGETS },
+            directory: { type: 'string', description: 'Directory of the files in the ZIP; empty for the top level' },
+            componentPath: { type: 'string', description: 'Path of the component within the directory' },
+            files: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { path: { type: 'string' }, content: { type: 'string' } },
+                required: ['path', 'content']
+              }
+            }
+          },
+          required: ['target', 'directory', 'files']
+        }
+      }
+    }
+  };
+}
+
+module.exports = { buildOpenApiDocument };
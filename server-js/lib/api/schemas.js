@@ -0,0 +1,275 @@
+const { z } = require('zod');
+const { PROVIDER_NAMES } = require('../providers');
+const { EXPORT_TARGETS } = require('../exportTargets');
+const { TAILWIND_VERSIONS } = require('../tailwind');
+const { TOKEN_NAME_PATTERN, UNSAFE_VALUE_PATTERN } = require('../designTokens');
+const { MAX_SCREENS } = require('../multiPage');
+const { DEVICES } = require('../breakpoints');
+const { MAX_FRAMES } = require('../frameExtraction');
+const { VIDEO_ANALYSIS_STRATEGIES, FRAMES_PER_BATCH } = require('../videoAnalysis');
+const { ApiError, ERROR_CODES } = require('./errors');
+
+// Request schemas of the v1 API. They validate incoming requests and are
+// also turned into the JSON schemas of the OpenAPI document.
+
+const TASK_STATUSES = ['queued', 'processing', 'completed', 'error', 'cancelled'];
+
+const MAX_HTML_LENGTH = 2 * 1024 * 1024;
+
+// Multipart forms send empty inputs as empty strings; treat them as missing
+function optional(schema) {
+  return z.preprocess(value => (value === '' ? undefined : value), schema.optional());
+}
+
+// Media sent in a JSON body instead of a multipart upload
+const mediaDataUrl = z
+  .string()
+  .regex(/^data:(image|video)\/[\w.+-]+;base64,/, 'Must be a base64 data URL of an image or video')
+  .describe('Image or video as a base64 data URL. Only used with a JSON body; multipart requests upload a file instead.');
+
+// Screenshots sent in a JSON body instead of multipart uploads
+const imageDataUrl = z
+  .string()
+  .regex(/^data:image\/[\w.+-]+;base64,/, 'Must be a base64 data URL of an image');
+
+// Multipart forms send a field given once as a string and repeated as an array
+function list(schema) {
+  return z.preprocess(value => (typeof value === 'string' ? [value] : value), schema);
+}
+
+// Multipart forms send structured fields as JSON strings; strings that are not
+// JSON are left for the schema to reject
+function jsonString(schema) {
+  return z.preprocess(value => {
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }, schema);
+}
+
+const MAX_FRAME_NOTE_LENGTH = 500;
+
+// A frame of a video picked by the user, with what happens in it
+const videoFrame = z.object({
+  timestamp: z.number().min(0).describe('Time of the frame in seconds from the start of the video.'),
+  note: z.string().trim().max(MAX_FRAME_NOTE_LENGTH).optional().describe('What happens in the frame, e.g. "user clicks Save here". Passed to the model with the frame.')
+});
+
+const providerSettings = {
+  model: optional(z.string().trim().min(1).max(200)).describe('Model to use. Defaults to claude-3-opus-20240229.'),
+  provider: optional(z.enum(PROVIDER_NAMES)).describe('Model provider. Defaults to the server\'s LLM_PROVIDER.'),
+  providerBaseUrl: optional(z.url()).describe('Base URL of an OpenAI-compatible server.')
+};
+
+const exportTarget = optional(z.enum(EXPORT_TARGETS))
+  .describe('Framework of the generated code. Besides plain HTML, a component and a runnable Vite project are added to the ZIP. Defaults to html.');
+
+// Multipart forms send booleans as strings such as "true" and "false"
+const tailwindSettings = {
+  tailwindVersion: optional(z.enum(TAILWIND_VERSIONS))
+    .describe('Major Tailwind CSS version the used classes are compiled with into tailwind.css. Defaults to 3.'),
+  tailwindConfig: optional(z.union([z.boolean(), z.stringbool()]))
+    .describe('Also add tailwind.config.js and an input stylesheet for rebuilding tailwind.css. Defaults to false.')
+};
+
+// Screenshots of one screen at a breakpoint each, named after the device
+const breakpointScreenshots = Object.fromEntries(DEVICES.map(device => [
+  device,
+  optional(imageDataUrl).describe(`Screenshot of the UI on ${device}, as a base64 data URL. Send two or more breakpoints instead of \`media\` for one page whose media queries reproduce each of them. Only used with a JSON body; multipart requests upload a file instead.`)
+]));
+
+const generationRequest = z.object({
+  ...providerSettings,
+  target: exportTarget,
+  ...tailwindSettings,
+  media: optional(mediaDataUrl),
+  frames: optional(jsonString(z.array(videoFrame).min(1).max(MAX_FRAMES)))
+    .describe(`Frames of the video to analyze, at most ${MAX_FRAMES}, instead of the ones picked at scene changes. The earliest frame is the initial state. Multipart requests send the list as a JSON string. Only used with a video.`),
+  videoAnalysis: optional(z.enum(VIDEO_ANALYSIS_STRATEGIES))
+    .describe(`How the frames of a video are shown to the model. sequential sends one frame per request and asks what changed, re-sending the conversation each time; batched sends up to ${FRAMES_PER_BATCH} frames with their timestamps per request and asks for the interaction summary right away. The task result's video.analysis reports the calls, tokens and time of either. Defaults to sequential. Only used with a video.`),
+  ...breakpointScreenshots
+});
+
+const frameExtractionRequest = z.object({
+  media: optional(mediaDataUrl)
+});
+
+const refinementRequest = z.object({
+  ...providerSettings,
+  htmlContent: z.string().min(1, 'HTML content is required').max(MAX_HTML_LENGTH).describe('HTML to refine against the media.'),
+  fixAccessibility: optional(z.union([z.boolean(), z.stringbool()]))
+    .describe('Instead of comparing the HTML with the media again, audit it with axe-core and have the model fix the violations. Defaults to false.'),
+  target: exportTarget,
+  ...tailwindSettings,
+  media: optional(mediaDataUrl)
+});
+
+// Tokens become custom properties such as --color-primary, so names are
+// kebab case and values cannot end the declaration
+const tokenGroup = z.record(
+  z.string().regex(TOKEN_NAME_PATTERN, 'Must be a kebab-case name'),
+  z.string().trim().min(1).max(200).refine(value => !UNSAFE_VALUE_PATTERN.test(value), 'Must not contain ;, {, }, < or >')
+);
+
+const tokensUpdate = z.object({
+  tokens: z.object({
+    color: tokenGroup.describe('Colors by name, e.g. {"primary": "#2563eb"}, defined as --color-<name>.'),
+    font: tokenGroup.describe('Typography by name, e.g. {"size-base": "16px"}, defined as --font-<name>.')
+  })
+});
+
+const projectRequest = z.object({
+  ...providerSettings,
+  ...tailwindSettings,
+  names: optional(list(z.array(z.string().trim().min(1).max(60)).max(MAX_SCREENS)))
+    .describe('Names of the screens, in the order of the screens. The first screen becomes index.html; the others are named after their screen. Defaults to "Screen 1", "Screen 2", ...'),
+  screens: optional(list(z.array(imageDataUrl).min(1).max(MAX_SCREENS)))
+    .describe(`Screenshots of the site in order, as base64 data URLs, at most ${MAX_SCREENS}. Only used with a JSON body; multipart requests upload files instead.`)
+});
+
+const taskListQuery = z.object({
+  status: optional(z.enum(TASK_STATUSES)).describe('Only list tasks with this status.'),
+  limit: optional(z.coerce.number().int().min(1).max(200)).describe('Maximum number of tasks to return. Defaults to 50.')
+});
+
+const historyUpdate = z.object({
+  pinned: z.boolean().describe('Whether the hourly cleanup keeps the generation and its files.')
+});
+
+const standaloneQuery = z.object({
+  page: optional(z.string().regex(/^[\w-]+\.html$/, 'Must be the file name of a page, e.g. pricing.html'))
+    .describe('Page of a multi-screen project to export. Defaults to index.html.')
+});
+
+// Validate input against a schema and return the parsed value; every problem
+// is listed in the error details
+function validate(schema, input) {
+  const result = schema.safeParse(input || {});
+  if (!result.success) {
+    throw new ApiError(400, ERROR_CODES.VALIDATION_FAILED, 'The request is invalid', result.error.issues.map(issue => ({
+      path: issue.path.join('.'),
+      message: issue.message
+    })));
+  }
+  return result.data;
+}
+
+// Turn a validated data URL into the shape of an uploaded file
+function fromDataUrl(dataUrl, originalname) {
+  const [, mimetype, data] = dataUrl.match(/^data:([^;]+);base64,(.*)$/s);
+  const buffer = Buffer.from(data, 'base64');
+  return { buffer, mimetype, size: buffer.length, originalname };
+}
+
+// The file of a field of a multipart request with several file fields
+function getUploadedFile(req, field) {
+  return req.files && !Array.isArray(req.files) && req.files[field] ? req.files[field][0] : undefined;
+}
+
+// Get the media of a request as an uploaded file, either from the multipart
+// `media` field or from a data URL in a JSON body
+function getMediaFile(req, body) {
+  const file = req.file || getUploadedFile(req, 'media');
+  if (file) {
+    if (!/^(image|video)\//.test(file.mimetype)) {
+      throw new ApiError(415, ERROR_CODES.UNSUPPORTED_MEDIA_TYPE, `Unsupported media type: ${file.mimetype}. Upload an image or a video.`);
+    }
+    return file;
+  }
+
+  if (body.media) {
+    return fromDataUrl(body.media, 'media');
+  }
+
+  throw new ApiError(400, ERROR_CODES.MEDIA_REQUIRED, 'An image or video is required in the `media` field');
+}
+
+// Get the screenshots of a generation request tagged with their device,
+// either from the multipart files named after the devices or from data URLs
+// in a JSON body. Returns an empty list for a generation from `media`.
+function getBreakpoints(req, body) {
+  const breakpoints = DEVICES
+    .map(device => ({ device, file: getUploadedFile(req, device) || (body[device] && fromDataUrl(body[device], device)) }))
+    .filter(breakpoint => breakpoint.file);
+  if (breakpoints.length === 0) return [];
+
+  const unsupported = breakpoints.find(breakpoint => !breakpoint.file.mimetype.startsWith('image/'));
+  if (unsupported) {
+    throw new ApiError(415, ERROR_CODES.UNSUPPORTED_MEDIA_TYPE, `Unsupported media type: ${unsupported.file.mimetype}. Upload an image of the ${unsupported.device} layout.`);
+  }
+  if (getUploadedFile(req, 'media') || body.media) {
+    throw new ApiError(400, ERROR_CODES.VALIDATION_FAILED, 'The request is invalid', [{
+      path: 'media',
+      message: `Send either \`media\` or screenshots tagged ${DEVICES.join(', ')}, not both`
+    }]);
+  }
+  if (breakpoints.length === 1) {
+    throw new ApiError(400, ERROR_CODES.VALIDATION_FAILED, 'The request is invalid', [{
+      path: breakpoints[0].device,
+      message: 'A responsive generation needs screenshots of at least two breakpoints; send a single screenshot as `media`'
+    }]);
+  }
+
+  return breakpoints;
+}
+
+// Get the frames the user picked for a generation from a video, or an empty
+// list to have them picked at scene changes
+function getVideoFrames(body, mediaFile) {
+  if (!body.frames) return [];
+
+  if (!mediaFile.mimetype.startsWith('video/')) {
+    throw new ApiError(400, ERROR_CODES.VALIDATION_FAILED, 'The request is invalid', [{
+      path: 'frames',
+      message: 'Frames can only be picked from a video'
+    }]);
+  }
+
+  return body.frames;
+}
+
+// Get the screenshots of a project request with their names, either from
+// the multipart `screens` files or from data URLs in a JSON body
+function getScreens(req, body) {
+  const files = req.files && req.files.length > 0
+    ? req.files
+    : (body.screens || []).map((dataUrl, index) => fromDataUrl(dataUrl, `screen-${index + 1}`));
+
+  if (files.length === 0) {
+    throw new ApiError(400, ERROR_CODES.MEDIA_REQUIRED, 'At least one screenshot is required in the `screens` field');
+  }
+  const unsupported = files.find(file => !file.mimetype.startsWith('image/'));
+  if (unsupported) {
+    throw new ApiError(415, ERROR_CODES.UNSUPPORTED_MEDIA_TYPE, `Unsupported media type: ${unsupported.mimetype}. Upload images of the screens.`);
+  }
+
+  const names = body.names || [];
+  if (names.length > files.length) {
+    throw new ApiError(400, ERROR_CODES.VALIDATION_FAILED, 'The request is invalid', [{
+      path: 'names',
+      message: `There are ${names.length} names for ${files.length} screens`
+    }]);
+  }
+
+  return files.map((file, index) => ({ name: names[index] || `Screen ${index + 1}`, file }));
+}
+
+module.exports = {
+  TASK_STATUSES,
+  generationRequest,
+  refinementRequest,
+  projectRequest,
+  frameExtractionRequest,
+  tokensUpdate,
+  taskListQuery,
+  standaloneQuery,
+  historyUpdate,
+  validate,
+  getMediaFile,
+  getBreakpoints,
+  getVideoFrames,
+  getScreens
+};
@@ -0,0 +1,295 @@
+const express = require('express');
+const { DEFAULT_PROVIDER, providerRequiresApiKey } = require('../providers');
+const { ApiError, ERROR_CODES, errorHandler } = require('./errors');
+const {
+  generationRequest,
+  refinementRequest,
+  projectRequest,
+  frameExtractionRequest,
+  tokensUpdate,
+  taskListQuery,
+  standaloneQuery,
+  historyUpdate,
+  validate,
+  getMediaFile,
+  getBreakpoints,
+  getVideoFrames,
+  getScreens
+} = require('./schemas');
+const { MAX_SCREENS } = require('../multiPage');
+const { DEVICES, sortByWidth } = require('../breakpoints');
+const { buildOpenApiDocument } = require('./openapi');
+
+const BASE_PATH = '/api/v1';
+
+const DEFAULT_MODEL = 'claude-3-opus-20240229';
+
+// Build the router of the versioned API on top of the server's task functions
+function createV1Router({
+  upload,
+  tasks,
+  activeStatuses,
+  describeTask,
+  listTaskSummaries,
+  startGenerationTask,
+  previewVideoFrames,
+  startRefinementTask,
+  startProjectTask,
+  cancelTask,
+  streamTaskEvents,
+  getGenerationFilePath,
+  getStandaloneHtml,
+  replaceGenerationTokens,
+  history,
+  describeHistoryEntry,
+  setHistoryPinned,
+  deleteHistoryEntry,
+  getHealth
+}) {
+  const router = express.Router();
+  const openApiDocument = buildOpenApiDocument();
+
+  // Provider settings from a validated body and the API key header
+  function getProviderOptions(req, body) {
+    const name = body.provider || DEFAULT_PROVIDER;
+    const apiKey = req.get('x-api-key');
+
+    if (!apiKey && providerRequiresApiKey(name)) {
+      throw new ApiError(401, ERROR_CODES.API_KEY_REQUIRED, `The ${name} provider needs an API key in the X-API-Key header`);
+    }
+
+    return { name, apiKey, baseUrl: body.providerBaseUrl };
+  }
+
+  function getTailwindOptions(body) {
+    return { version: body.tailwindVersion, config: Boolean(body.tailwindConfig) };
+  }
+
+  function getTaskOrThrow(taskId) {
+    const task = tasks.get(taskId);
+    if (!task) {
+      throw new ApiError(404, ERROR_CODES.TASK_NOT_FOUND, `Task ${taskId} was not found`);
+    }
+    return task;
+  }
+
+  function getHistoryEntryOrThrow(generationId) {
+    const entry = history.get(generationId);
+    if (!entry) {
+      throw new ApiError(404, ERROR_CODES.HISTORY_ENTRY_NOT_FOUND, `Generation ${generationId} is not in the history`);
+    }
+    return entry;
+  }
+
+  function sendAccepted(res, accepted) {
+    const self = `${BASE_PATH}/tasks/${accepted.taskId}`;
+    res.status(202).location(self).json({ ...accepted, links: { self, events: `${self}/events` } });
+  }
+
+  router.get('/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+  });
+
+  router.get('/health', (req, res) => {
+    res.json(getHealth());
+  });
+
+  const generationUploads = upload.fields(['media', ...DEVICES].map(name => ({ name, maxCount: 1 })));
+
+  router.post('/generations', generationUploads, (req, res) => {
+    const body = validate(generationRequest, req.body);
+    // Screenshots at several breakpoints stand in for the media; the widest
+    // is the one assets and tokens are taken from
+    const breakpoints = getBreakpoints(req, body);
+    const mediaFile = breakpoints.length > 0 ? sortByWidth(breakpoints).at(-1).file : getMediaFile(req, body);
+    const providerOptions = getProviderOptions(req, body);
+
+    sendAccepted(res, startGenerationTask({
+      mediaFile,
+      breakpoints,
+      frames: getVideoFrames(body, mediaFile),
+      videoAnalysis: body.videoAnalysis,
+      model: body.model || DEFAULT_MODEL,
+      providerOptions,
+      target: body.target,
+      tailwind: getTailwindOptions(body)
+    }));
+  });
+
+  router.post('/extract-frames', upload.single('media'), async (req, res) => {
+    const body = validate(frameExtractionRequest, req.body);
+    const mediaFile = getMediaFile(req, body);
+    if (!mediaFile.mimetype.startsWith('video/')) {
+      throw new ApiError(415, ERROR_CODES.UNSUPPORTED_MEDIA_TYPE, `Unsupported media type: ${mediaFile.mimetype}. Upload a video to extract frames from.`);
+    }
+
+    let preview;
+    try {
+      preview = await previewVideoFrames(mediaFile);
+    } catch (error) {
+      throw new ApiError(422, ERROR_CODES.MEDIA_UNREADABLE, `The video could not be read: ${error.message}`);
+    }
+    res.json(preview);
+  });
+
+  router.post('/refinements', upload.single('media'), (req, res) => {
+    const body = validate(refinementRequest, req.body);
+    const mediaFile = getMediaFile(req, body);
+    const providerOptions = getProviderOptions(req, body);
+
+    sendAccepted(res, startRefinementTask({
+      mediaFile,
+      htmlContent: body.htmlContent,
+      model: body.model || DEFAULT_MODEL,
+      providerOptions,
+      target: body.target,
+      tailwind: getTailwindOptions(body),
+      fixAccessibility: Boolean(body.fixAccessibility)
+    }));
+  });
+
+  router.post('/projects', upload.array('screens', MAX_SCREENS), (req, res) => {
+    const body = validate(projectRequest, req.body);
+    const screens = getScreens(req, body);
+    const providerOptions = getProviderOptions(req, body);
+
+    sendAccepted(res, startProjectTask({
+      screens,
+      model: body.model || DEFAULT_MODEL,
+      providerOptions,
+      tailwind: getTailwindOptions(body)
+    }));
+  });
+
+  router.get('/tasks', (req, res) => {
+    const { status, limit = 50 } = validate(taskListQuery, req.query);
+    res.json({ tasks: listTaskSummaries({ status, limit }) });
+  });
+
+  router.get('/tasks/:taskId', (req, res) => {
+    res.json(describeTask(getTaskOrThrow(req.params.taskId)));
+  });
+
+  router.get('/tasks/:taskId/events', (req, res) => {
+    getTaskOrThrow(req.params.taskId);
+    streamTaskEvents(req.params.taskId, req, res);
+  });
+
+  router.delete('/tasks/:taskId', (req, res) => {
+    const task = getTaskOrThrow(req.params.taskId);
+    if (!activeStatuses.includes(task.status)) {
+      throw new ApiError(409, ERROR_CODES.TASK_NOT_ACTIVE, `Task is already ${task.status}`);
+    }
+
+    res.json(describeTask(cancelTask(task.id)));
+  });
+
+  router.get('/generations/:generationId/files/:filename', (req, res) => {
+    const filePath = getGenerationFilePath(req.params.generationId, req.params.filename);
+    if (!filePath) {
+      throw new ApiError(404, ERROR_CODES.FILE_NOT_FOUND, 'File not found');
+    }
+
+    res.download(filePath);
+  });
+
+  router.get('/generations/:generationId/assets/:filename', (req, res) => {
+    const filePath = getGenerationFilePath(req.params.generationId, req.params.filename, 'assets');
+    if (!filePath) {
+      throw new ApiError(404, ERROR_CODES.FILE_NOT_FOUND, 'Asset not found');
+    }
+
+    res.sendFile(filePath);
+  });
+
+  router.get('/generations/:generationId/frames/:filename', (req, res) => {
+    const filePath = getGenerationFilePath(req.params.generationId, req.params.filename, 'frames');
+    if (!filePath) {
+      throw new ApiError(404, ERROR_CODES.FILE_NOT_FOUND, 'Frame not found');
+    }
+
+    res.sendFile(filePath);
+  });
+
+  router.get('/generations/:generationId/replay/:filename', (req, res) => {
+    const filePath = getGenerationFilePath(req.params.generationId, req.params.filename, 'replay');
+    if (!filePath) {
+      throw new ApiError(404, ERROR_CODES.FILE_NOT_FOUND, 'Screenshot not found');
+    }
+
+    res.sendFile(filePath);
+  });
+
+  router.get('/generations/:generationId/standalone', (req, res) => {
+    const { page = 'index.html' } = validate(standaloneQuery, req.query);
+    const html = getStandaloneHtml(req.params.generationId, page);
+    if (html === null) {
+      throw new ApiError(404, ERROR_CODES.FILE_NOT_FOUND, 'Page not found');
+    }
+
+    // A page of a project keeps its name; a single page is named like the ZIP
+    res.attachment(page === 'index.html' ? 'ui-replication.html' : page).send(html);
+  });
+
+  router.put('/generations/:generationId/tokens', async (req, res) => {
+    const { tokens } = validate(tokensUpdate, req.body);
+    const updated = await replaceGenerationTokens(req.params.generationId, tokens);
+    if (!updated) {
+      throw new ApiError(404, ERROR_CODES.FILE_NOT_FOUND, 'This generation has no design tokens');
+    }
+
+    res.json(updated);
+  });
+
+  router.get('/history', (req, res) => {
+    res.json({ entries: history.list().map(entry => describeHistoryEntry(entry)) });
+  });
+
+  router.get('/history/:generationId', (req, res) => {
+    res.json(describeHistoryEntry(getHistoryEntryOrThrow(req.params.generationId), { withResult: true }));
+  });
+
+  router.patch('/history/:generationId', (req, res) => {
+    getHistoryEntryOrThrow(req.params.generationId);
+    const { pinned } = validate(historyUpdate, req.body);
+
+    res.json(describeHistoryEntry(setHistoryPinned(req.params.generationId, pinned)));
+  });
+
+  router.delete('/history/:generationId', (req, res) => {
+    getHistoryEntryOrThrow(req.params.generationId);
+    deleteHistoryEntry(req.params.generationId);
+
+    res.status(204).end();
+  });
+
+  router.get('/history/:generationId/thumbnail', (req, res) => {
+    getHistoryEntryOrThrow(req.params.generationId);
+    const filePath = history.getFilePath(req.params.generationId, 'thumbnail');
+    if (!filePath) {
+      throw new ApiError(404, ERROR_CODES.FILE_NOT_FOUND, 'This generation has no thumbnail');
+    }
+
+    res.type('jpeg').sendFile(filePath);
+  });
+
+  router.get('/history/:generationId/source', (req, res) => {
+    const entry = getHistoryEntryOrThrow(req.params.generationId);
+    const filePath = history.getFilePath(req.params.generationId, 'source');
+    if (!filePath) {
+      throw new ApiError(404, ERROR_CODES.FILE_NOT_FOUND, 'The source of this generation was not kept');
+    }
+
+    res.type(entry.sourceMimeType).sendFile(filePath);
+  });
+
+  router.use((req, res, next) => {
+    next(new ApiError(404, ERROR_CODES.ROUTE_NOT_FOUND, `No route for ${req.method} ${BASE_PATH}${req.path}`));
+  });
+
+  router.use(errorHandler);
+
+  return router;
+}
+
+module.exports = { createV1Router, BASE_PATH };
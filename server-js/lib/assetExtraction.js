@@ -0,0 +1,189 @@
+const sharp = require('sharp');
+const { splitFencedBlocks, getAttribute } = require('./codeExtractor');
+
+// Crops logos, avatars, icons and photos out of the original design so the
+// generated page can show them instead of placeholders. The model finds the
+// regions and says which <img> of the markup shows each one; the crops are
+// made locally.
+
+// Most assets kept from one design
+const MAX_ASSETS = 24;
+
+// Regions smaller than this on either side are dropped as noise
+const MIN_ASSET_SIZE = 8;
+
+const ASSET_KINDS = ['logo', 'avatar', 'icon', 'photo', 'illustration'];
+
+const IMG_TAG_PATTERN = /<img\b[^>]*>/gi;
+const SRC_ATTRIBUTE_PATTERN = /\s+src\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+)/i;
+const SRCSET_ATTRIBUTE_PATTERN = /\s+srcset\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+)/i;
+
+// The <img> tags of some markup, in document order
+function listImages(html) {
+  return [...html.matchAll(IMG_TAG_PATTERN)].map(([tag], index) => {
+    const attributes = tag.slice(4, -1);
+    return {
+      index,
+      src: getAttribute(attributes, 'src'),
+      alt: getAttribute(attributes, 'alt'),
+      className: getAttribute(attributes, 'class')
+    };
+  });
+}
+
+async function getImageSize(image) {
+  const { width, height } = await sharp(image).metadata();
+  return { width, height };
+}
+
+// Prompt asking for the raster regions of a design of the given size
+function createAssetDetectionPrompt(html, { width, height }) {
+  const images = listImages(html)
+    .map(image => `${image.index}: src="${image.src || ''}" alt="${image.alt || ''}" class="${image.className || ''}"`)
+    .join('\n');
+
+  return `This image is a UI design of ${width}x${height} pixels. Find the raster images in it that cannot be rebuilt with HTML and CSS: logos, avatars, icons, photos and illustrations. Leave out text, buttons, plain shapes and backgrounds.
+
+For each one, give a tight bounding box in pixels of the ${width}x${height} image.
+${images ? `
+The generated HTML has these <img> elements, numbered in document order:
+${images}
+
+For each region, give the number of the <img> that should show it, or null if none does.
+` : `
+The generated HTML has no <img> elements, so set "image" to null.
+`}
+Answer with JSON only, in one code block:
+\`\`\`json
+{"assets": [{"name": "company-logo", "kind": "logo", "x": 24, "y": 16, "width": 120, "height": 40, "image": 0}]}
+\`\`\`
+"kind" is one of ${ASSET_KINDS.join(', ')}. Use short, descriptive names in kebab case.`;
+}
+
+function toSlug(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || 'asset';
+}
+
+// Read the model's answer into boxes that lie within the image. Anything
+// that cannot be parsed is skipped rather than failing the task.
+function parseAssetBoxes(text, { width, height, imageCount }) {
+  const fences = splitFencedBlocks(text).filter(segment => segment.type === 'fence');
+  const source = (fences.find(fence => fence.language === 'json') || fences[0] || { content: text }).content;
+
+  let assets;
+  try {
+    assets = JSON.parse(source.slice(source.indexOf('{'), source.lastIndexOf('}') + 1)).assets;
+  } catch (error) {
+    return [];
+  }
+  if (!Array.isArray(assets)) return [];
+
+  const usedNames = new Set();
+  return assets
+    .map(asset => {
+      const left = Math.max(0, Math.round(Number(asset.x)));
+      const top = Math.max(0, Math.round(Number(asset.y)));
+      const right = Math.min(width, Math.round(Number(asset.x) + Number(asset.width)));
+      const bottom = Math.min(height, Math.round(Number(asset.y) + Number(asset.height)));
+      const image = Number.isInteger(asset.image) && asset.image >= 0 && asset.image < imageCount ? asset.image : null;
+
+      return {
+        name: toSlug(asset.name),
+        kind: ASSET_KINDS.includes(asset.kind) ? asset.kind : 'photo',
+        box: { x: left, y: top, width: right - left, height: bottom - top },
+        image
+      };
+    })
+    .filter(asset => asset.box.width >= MIN_ASSET_SIZE && asset.box.height >= MIN_ASSET_SIZE)
+    .slice(0, MAX_ASSETS)
+    .map(asset => {
+      let name = asset.name;
+      for (let suffix = 2; usedNames.has(name); suffix++) {
+        name = `${asset.name}-${suffix}`;
+      }
+      usedNames.add(name);
+      return { ...asset, name };
+    });
+}
+
+// Crop every box from the original; photos become JPEGs, the rest PNGs
+async function cropAssets(image, boxes) {
+  return Promise.all(boxes.map(async asset => {
+    const region = sharp(image).extract({
+      left: asset.box.x,
+      top: asset.box.y,
+      width: asset.box.width,
+      height: asset.box.height
+    });
+    const isPhoto = asset.kind === 'photo';
+    const buffer = isPhoto
+      ? await region.flatten({ background: '#ffffff' }).jpeg({ quality: 85 }).toBuffer()
+      : await region.png().toBuffer();
+
+    return { ...asset, file: `${asset.name}.${isPhoto ? 'jpg' : 'png'}`, buffer };
+  }));
+}
+
+// Point each <img> the model matched to an asset at its crop
+function rewriteImageSources(html, assets) {
+  const assetsByImage = new Map(assets.filter(asset => asset.image !== null).map(asset => [asset.image, asset]));
+  let index = -1;
+
+  return html.replace(IMG_TAG_PATTERN, tag => {
+    index++;
+    const asset = assetsByImage.get(index);
+    if (!asset) return tag;
+
+    const src = `src="assets/${asset.file}"`;
+    // A srcset would win over the new src, so drop it
+    const withoutSrcset = tag.replace(SRCSET_ATTRIBUTE_PATTERN, '');
+    return SRC_ATTRIBUTE_PATTERN.test(withoutSrcset)
+      ? withoutSrcset.replace(SRC_ATTRIBUTE_PATTERN, ` ${src}`)
+      : withoutSrcset.replace(/^<img\b/i, `<img ${src}`);
+  });
+}
+
+// Drop the sources of <img> tags pointing at asset files that are not among
+// `assets`, such as the crops of the generation a refined page came from,
+// which the new generation does not have
+function dropMissingAssetSources(html, assets) {
+  const files = new Set(assets.map(asset => asset.file));
+
+  return html.replace(IMG_TAG_PATTERN, tag => {
+    const src = getAttribute(tag.slice(4, -1), 'src');
+    const file = src && src.match(/^(?:\.\/)?assets\/([^/?#]+)$/);
+    if (!file || files.has(file[1])) return tag;
+
+    return tag.replace(SRC_ATTRIBUTE_PATTERN, '').replace(SRCSET_ATTRIBUTE_PATTERN, '');
+  });
+}
+
+// The crops some markup shows; only these are written with the page
+function filterReferencedAssets(html, assets) {
+  return assets.filter(asset => html.includes(`assets/${asset.file}`));
+}
+
+// Swap asset paths for data URLs, so a page renders without its files
+function inlineAssetSources(html, assets) {
+  return assets.reduce((result, asset) => {
+    const dataUrl = `data:image/${asset.file.endsWith('.jpg') ? 'jpeg' : 'png'};base64,${asset.buffer.toString('base64')}`;
+    return result.split(`assets/${asset.file}`).join(dataUrl);
+  }, html);
+}
+
+module.exports = {
+  ASSET_KINDS,
+  getImageSize,
+  listImages,
+  createAssetDetectionPrompt,
+  parseAssetBoxes,
+  cropAssets,
+  rewriteImageSources,
+  dropMissingAssetSources,
+  filterReferencedAssets,
+  inlineAssetSources
+};
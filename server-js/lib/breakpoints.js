@@ -0,0 +1,52 @@
+// Responsive generations: screenshots of one screen at several breakpoints
+// become one page. The styles are written for the narrowest screenshot and
+// media queries change the layout for each wider one, at the same widths the
+// base styles use for mobile, tablet and desktop.
+
+const BREAKPOINTS = [
+  { device: 'mobile', width: 375, minWidth: null, label: 'Mobile' },
+  { device: 'tablet', width: 768, minWidth: 641, label: 'Tablet' },
+  { device: 'desktop', width: 1280, minWidth: 1025, label: 'Desktop' }
+];
+
+const DEVICES = BREAKPOINTS.map(breakpoint => breakpoint.device);
+
+function getBreakpoint(device) {
+  return BREAKPOINTS.find(breakpoint => breakpoint.device === device);
+}
+
+// Order screenshots tagged with a device from the narrowest to the widest
+function sortByWidth(screenshots) {
+  return [...screenshots].sort((a, b) => DEVICES.indexOf(a.device) - DEVICES.indexOf(b.device));
+}
+
+// Prompt for one page reproducing every screenshot. The screenshots follow it
+// as images, from the narrowest to the widest.
+function createResponsivePrompt(screenshots, tokenInstructions = '') {
+  const [narrowest, ...wider] = sortByWidth(screenshots).map(screenshot => getBreakpoint(screenshot.device));
+  const list = [narrowest, ...wider]
+    .map((breakpoint, index) => `${index + 1}. ${breakpoint.label}, about ${breakpoint.width}px wide`)
+    .join('\n');
+  const mediaQueries = wider
+    .map(breakpoint => `- @media (min-width: ${breakpoint.minWidth}px) for the ${breakpoint.label.toLowerCase()} screenshot`)
+    .join('\n');
+
+  return `These ${screenshots.length} images show the same UI at different screen widths, in this order:
+${list}
+
+Write ONE responsive page that looks exactly like each screenshot at its width. Use the same HTML for every width and change the layout with CSS only:
+- The styles outside media queries reproduce the ${narrowest.label.toLowerCase()} screenshot
+${mediaQueries}
+
+In each media query, reproduce what changes in that screenshot: the number of columns, the order and alignment of elements, spacing, font sizes, and which elements are shown or hidden (e.g. a menu button on narrow screens and a full navigation on wide ones). Do not use clamp() or viewport units for sizes that the screenshots show as fixed. Only add JavaScript for interactions, such as opening a menu.
+
+Please provide the HTML, CSS and JavaScript in separate code blocks.${tokenInstructions}`;
+}
+
+module.exports = {
+  BREAKPOINTS,
+  DEVICES,
+  getBreakpoint,
+  sortByWidth,
+  createResponsivePrompt
+};
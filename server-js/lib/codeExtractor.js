@@ -0,0 +1,242 @@
+// Structured extraction of HTML, CSS and JavaScript from model output.
+// Only the server parses; the app shows the documents of the task result.
+
+const HTML_LANGUAGES = ['html', 'htm', 'xhtml', 'xml', 'svg'];
+const CSS_LANGUAGES = ['css'];
+const JS_LANGUAGES = ['js', 'javascript', 'mjs', 'jsx'];
+
+// Script types that hold JavaScript rather than data or templates
+const JS_SCRIPT_TYPES = ['', 'text/javascript', 'application/javascript', 'module'];
+
+// A BCP 47 language tag such as "en" or "pt-BR"
+const LANG_PATTERN = /^[a-z]{2,3}(?:-[a-z0-9]{1,8})*$/i;
+
+// Language of a document when the model does not give one
+const DEFAULT_LANG = 'en';
+
+// Read one attribute from a raw attribute string
+function getAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? (match[1] ?? match[2] ?? match[3]) : null;
+}
+
+// Remove the indentation shared by all lines, plus leading and trailing blank lines
+function dedent(text) {
+  const lines = text.replace(/^\s*\n/, '').trimEnd().split('\n');
+  const indents = lines
+    .filter(line => line.trim())
+    .map(line => line.match(/^[ \t]*/)[0].length);
+  const shared = indents.length ? Math.min(...indents) : 0;
+
+  return lines.map(line => line.slice(shared)).join('\n').trim();
+}
+
+// Split model output into fenced code blocks and the text around them.
+// An unterminated last fence (truncated or still streaming) runs to the end.
+function splitFencedBlocks(text) {
+  const segments = [];
+  const fencePattern = /```([\w+-]*)[^\n]*\n([\s\S]*?)(?:```|$)/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = fencePattern.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      segments.push({ type: 'text', content: text.slice(lastIndex, match.index) });
+    }
+    segments.push({ type: 'fence', language: match[1].toLowerCase(), content: match[2] });
+    lastIndex = fencePattern.lastIndex;
+
+    if (match[0].length === 0) break;
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ type: 'text', content: text.slice(lastIndex) });
+  }
+
+  return segments;
+}
+
+// Guess the language of an unlabelled fence from its content
+function sniffLanguage(content) {
+  const trimmed = content.trim();
+
+  if (/^</.test(trimmed)) return 'html';
+  if (/^(?:const|let|var|function|import|document\.|window\.|\(\s*\(\)|\/\/)/.test(trimmed)) return 'js';
+  if (/^(?:[@:.#*\w\[\]="'-]+[^{;]*)\{[^}]*:[^}]*\}/.test(trimmed)) return 'css';
+  return '';
+}
+
+// Find markup in free text that is not fenced, e.g. when the model was told
+// to answer without markdown. Returns the markup and the prose around it.
+function findUnfencedMarkup(text) {
+  const start = text.search(/<!DOCTYPE|<html[\s>]|<head[\s>]|<body[\s>]|<(?:main|div|section|header|nav|style|script)[\s>]/i);
+  if (start === -1) {
+    return { markup: '', before: text, after: '' };
+  }
+
+  const end = text.lastIndexOf('>') + 1;
+  return { markup: text.slice(start, end), before: text.slice(0, start), after: text.slice(end) };
+}
+
+// Pull style, script, link, meta and title tags out of an HTML source and
+// return what is left of the body
+function parseHtmlSource(source, result) {
+  let markup = source;
+
+  // Title and head metadata
+  markup = markup.replace(/<title[^>]*>([\s\S]*?)<\/title>/gi, (tag, title) => {
+    if (!result.head.title) result.head.title = title.trim();
+    return '';
+  });
+  markup = markup.replace(/<meta\b[^>]*>/gi, tag => {
+    // The template provides charset and viewport itself
+    if (!/charset|name\s*=\s*["']?viewport/i.test(tag)) result.head.meta.push(tag);
+    return '';
+  });
+  markup = markup.replace(/<link\b[^>]*>/gi, tag => {
+    result.head.links.push(tag);
+    return '';
+  });
+
+  // Every style block, whatever its attributes
+  markup = markup.replace(/<style\b([^>]*)>([\s\S]*?)<\/style\s*>/gi, (tag, attributes, css) => {
+    const media = getAttribute(attributes, 'media');
+    const content = dedent(css);
+    if (content) {
+      result.cssBlocks.push(media && media !== 'all' ? `@media ${media} {\n${content}\n}` : content);
+    }
+    return '';
+  });
+
+  // Every script block: inline JavaScript, or external scripts and blocks of
+  // data or templates (such as application/ld+json) that stay as they are,
+  // in the head if they were there and else in their place in the body, so
+  // scripts reading the DOM as they load still find it
+  const headEnd = markup.search(/<\/head\s*>|<body\b/i);
+  markup = markup.replace(/<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi, (tag, attributes, js, offset) => {
+    const type = (getAttribute(attributes, 'type') || '').toLowerCase();
+    const src = getAttribute(attributes, 'src');
+
+    if (src || !JS_SCRIPT_TYPES.includes(type)) {
+      if (offset >= headEnd) return tag;
+      result.head.scripts.push(tag);
+    } else {
+      if (js.trim()) result.jsBlocks.push(dedent(js));
+      if (type === 'module') result.jsModule = true;
+    }
+    return '';
+  });
+
+  // The document's language
+  const htmlMatch = markup.match(/<html\b([^>]*)>/i);
+  const lang = htmlMatch && getAttribute(htmlMatch[1], 'lang');
+  if (lang && LANG_PATTERN.test(lang) && !result.lang) {
+    result.lang = lang;
+  }
+
+  // Keep the body attributes (often Tailwind classes) and drop the document shell
+  const bodyMatch = markup.match(/<body\b([^>]*)>([\s\S]*?)(?:<\/body\s*>|$)/i);
+  if (bodyMatch) {
+    if (bodyMatch[1].trim() && !result.bodyAttributes) {
+      result.bodyAttributes = bodyMatch[1].trim();
+    }
+    markup = bodyMatch[2];
+  } else {
+    markup = markup
+      .replace(/<head\b[^>]*>[\s\S]*?<\/head\s*>/i, '')
+      .replace(/<!DOCTYPE[^>]*>/i, '')
+      .replace(/<\/?html\b[^>]*>/gi, '');
+  }
+
+  markup = dedent(markup.replace(/<\/?head\b[^>]*>/gi, ''));
+  if (markup) {
+    result.htmlBlocks.push(markup);
+  }
+}
+
+// Extract every piece of code from model output
+function extractCode(text) {
+  const result = {
+    htmlBlocks: [],
+    cssBlocks: [],
+    jsBlocks: [],
+    jsModule: false,
+    jsx: false,
+    lang: '',
+    bodyAttributes: '',
+    head: { title: '', meta: [], links: [], scripts: [] },
+    unclassified: []
+  };
+
+  const segments = splitFencedBlocks(text || '');
+  const hasFencedHtml = segments.some(segment =>
+    segment.type === 'fence' && (HTML_LANGUAGES.includes(segment.language) || (!segment.language && sniffLanguage(segment.content) === 'html'))
+  );
+
+  segments.forEach(segment => {
+    if (segment.type === 'text') {
+      // Prose is expected around fences; only look for markup when nothing was fenced
+      const { markup, before, after } = hasFencedHtml ? { markup: '', before: segment.content, after: '' } : findUnfencedMarkup(segment.content);
+      if (markup) parseHtmlSource(markup, result);
+
+      [before, after].forEach(prose => {
+        if (prose.trim()) result.unclassified.push({ type: 'text', language: '', content: prose.trim() });
+      });
+      return;
+    }
+
+    const language = segment.language || sniffLanguage(segment.content);
+
+    if (HTML_LANGUAGES.includes(language)) {
+      parseHtmlSource(segment.content, result);
+    } else if (CSS_LANGUAGES.includes(language)) {
+      if (segment.content.trim()) result.cssBlocks.push(dedent(segment.content));
+    } else if (JS_LANGUAGES.includes(language)) {
+      if (segment.content.trim()) result.jsBlocks.push(dedent(segment.content));
+      if (language === 'jsx') result.jsx = true;
+    } else {
+      result.unclassified.push({ type: 'fence', language: segment.language, content: segment.content.trim() });
+    }
+  });
+
+  return {
+    html: result.htmlBlocks.join('\n\n'),
+    css: result.cssBlocks.join('\n\n'),
+    js: result.jsBlocks.join('\n\n'),
+    jsModule: result.jsModule,
+    jsx: result.jsx,
+    lang: result.lang,
+    bodyAttributes: result.bodyAttributes,
+    head: result.head,
+    unclassified: result.unclassified
+  };
+}
+
+// Put extracted parts back together as one self-contained document
+function composeHtmlDocument(parts) {
+  const head = [
+    '<meta charset="UTF-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1.0">',
+    `<title>${parts.head.title || 'UI Replication'}</title>`,
+    ...parts.head.meta,
+    ...parts.head.links,
+    ...parts.head.scripts,
+    ...(parts.css ? [`<style>\n${parts.css}\n</style>`] : [])
+  ];
+  const body = [
+    ...(parts.html ? [parts.html] : []),
+    ...(parts.js ? [`<script${parts.jsModule ? ' type="module"' : ''}>\n${parts.js}\n</script>`] : [])
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="${parts.lang || DEFAULT_LANG}">
+<head>
+${head.join('\n')}
+</head>
+<body${parts.bodyAttributes ? ` ${parts.bodyAttributes}` : ''}>
+${body.join('\n')}
+</body>
+</html>`;
+}
+
+module.exports = { DEFAULT_LANG, extractCode, composeHtmlDocument, getAttribute, splitFencedBlocks };
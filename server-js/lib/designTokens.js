@@ -0,0 +1,243 @@
+const sharp = require('sharp');
+const { splitFencedBlocks } = require('./codeExtractor');
+
+// Design tokens of a generation: the palette is quantized from the design
+// locally and the typography scale comes from the model. They are written
+// as tokens.json and as a :root block of CSS custom properties that the
+// generated stylesheet starts with. src/lib/design-tokens.ts mirrors
+// tokensToCss and applyTokenBlock for the front end; keep them in sync.
+
+// Longest side of the image the palette is sampled from. Sampling picks
+// pixels as they are, so edges add no blended colors.
+const PALETTE_SAMPLE_SIZE = 96;
+
+const MAX_COLORS = 8;
+
+// Colors covering less of the design than this are dropped as noise
+const MIN_COLOR_SHARE = 0.004;
+
+// Colors closer than this (per channel, on average) are merged
+const MERGE_DISTANCE = 12;
+
+// Comments around the :root block, so edited tokens can replace it
+const TOKEN_BLOCK_START = '/* design-tokens:start */';
+const TOKEN_BLOCK_END = '/* design-tokens:end */';
+
+const TOKEN_NAME_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Characters that would end a declaration or break out of the stylesheet
+const UNSAFE_VALUE_PATTERN = /[;{}<>]/;
+
+function toHex([r, g, b]) {
+  return `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Relative luminance as defined by WCAG
+function getLuminance(rgb) {
+  const [r, g, b] = rgb.map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function getContrast(a, b) {
+  const [lighter, darker] = [getLuminance(a), getLuminance(b)].sort((x, y) => y - x);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+function getSaturation(rgb) {
+  const max = Math.max(...rgb);
+  const min = Math.min(...rgb);
+  return max === 0 ? 0 : (max - min) / max;
+}
+
+// Count the pixels per bucket of similar colors (5 bits per channel) and
+// average the exact colors within each bucket. Flat UI colors land in one
+// bucket each, where splitting the color space would blend them.
+function bucketColors(data) {
+  const buckets = new Map();
+  for (let offset = 0; offset + 2 < data.length; offset += 3) {
+    const rgb = [data[offset], data[offset + 1], data[offset + 2]];
+    const key = ((rgb[0] >> 3) << 10) | ((rgb[1] >> 3) << 5) | (rgb[2] >> 3);
+    const bucket = buckets.get(key) || { sum: [0, 0, 0], count: 0 };
+    rgb.forEach((channel, index) => { bucket.sum[index] += channel; });
+    bucket.count++;
+    buckets.set(key, bucket);
+  }
+
+  return [...buckets.values()].map(bucket => ({
+    rgb: bucket.sum.map(channel => channel / bucket.count),
+    count: bucket.count
+  }));
+}
+
+// The main colors of an image, most used first, each with the share of the
+// image it covers
+async function quantizePalette(image, { colorCount = MAX_COLORS } = {}) {
+  const { data } = await sharp(image)
+    .flatten({ background: '#ffffff' })
+    .resize(PALETTE_SAMPLE_SIZE, PALETTE_SAMPLE_SIZE, { fit: 'inside', kernel: 'nearest' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const pixelCount = Math.floor(data.length / 3);
+
+  // The most used buckets absorb similar ones, so shades of one color count
+  // towards it
+  const colors = [];
+  bucketColors(data)
+    .sort((a, b) => b.count - a.count)
+    .forEach(color => {
+      const similar = colors.find(other =>
+        other.rgb.reduce((sum, channel, index) => sum + Math.abs(channel - color.rgb[index]), 0) / 3 < MERGE_DISTANCE
+      );
+      if (similar) {
+        similar.count += color.count;
+      } else {
+        colors.push({ ...color });
+      }
+    });
+
+  return colors
+    .map(color => ({ rgb: color.rgb.map(Math.round), hex: toHex(color.rgb), share: color.count / pixelCount }))
+    .filter(color => color.share >= MIN_COLOR_SHARE)
+    .slice(0, colorCount);
+}
+
+// Name the palette by role: the most used color is the background, the one
+// contrasting most with it the text, the most saturated one the primary
+// color, and the rest accents or neutrals
+function nameColors(palette) {
+  if (palette.length === 0) return {};
+
+  const [background, ...rest] = palette;
+  const named = [['background', background]];
+  const remaining = [...rest];
+
+  const take = pick => {
+    if (remaining.length === 0) return null;
+    const color = remaining.reduce((best, candidate) => (pick(candidate) > pick(best) ? candidate : best));
+    remaining.splice(remaining.indexOf(color), 1);
+    return color;
+  };
+
+  const text = take(color => getContrast(color.rgb, background.rgb));
+  if (text) named.push(['text', text]);
+
+  const primary = take(color => getSaturation(color.rgb) * Math.sqrt(color.share));
+  if (primary && getSaturation(primary.rgb) >= 0.2) {
+    named.push(['primary', primary]);
+  } else if (primary) {
+    remaining.unshift(primary);
+  }
+
+  let accentCount = 0;
+  let neutralCount = 0;
+  remaining.forEach(color => {
+    const name = getSaturation(color.rgb) >= 0.2 ? `accent-${++accentCount}` : `neutral-${++neutralCount}`;
+    named.push([name, color]);
+  });
+
+  return Object.fromEntries(named.map(([name, color]) => [name, color.hex]));
+}
+
+// Prompt asking for the typography scale of the design
+function createTypographyPrompt() {
+  return `Look at the typography of this UI design and describe its type scale as design tokens.
+
+Give the font families of headings and body text as CSS font-family values with fallbacks, the font sizes in px from the smallest to the largest text, the font weights and the line heights that are used.
+
+Answer with JSON only, in one code block:
+\`\`\`json
+{"font": {"family-heading": "Inter, sans-serif", "family-body": "Inter, sans-serif", "size-xs": "12px", "size-sm": "14px", "size-base": "16px", "size-lg": "18px", "size-xl": "24px", "size-2xl": "32px", "weight-regular": "400", "weight-medium": "500", "weight-bold": "700", "line-height-tight": "1.25", "line-height-normal": "1.5"}}
+\`\`\`
+Use names in kebab case that start with family-, size-, weight- or line-height-, and only list sizes that appear in the design.`;
+}
+
+// Keep the tokens whose name and value can safely become a custom property
+function sanitizeTokens(tokens) {
+  return Object.fromEntries(Object.entries(tokens || {})
+    .map(([name, value]) => [String(name).toLowerCase(), String(value).trim()])
+    .filter(([name, value]) => TOKEN_NAME_PATTERN.test(name) && value && !UNSAFE_VALUE_PATTERN.test(value)));
+}
+
+// Read the model's answer into font tokens. Anything that cannot be parsed
+// is skipped rather than failing the task.
+function parseTypography(text) {
+  const fences = splitFencedBlocks(text).filter(segment => segment.type === 'fence');
+  const source = (fences.find(fence => fence.language === 'json') || fences[0] || { content: text }).content;
+
+  try {
+    const { font } = JSON.parse(source.slice(source.indexOf('{'), source.lastIndexOf('}') + 1));
+    return sanitizeTokens(font);
+  } catch (error) {
+    return {};
+  }
+}
+
+function createTokens(palette, font = {}) {
+  return { color: nameColors(palette), font };
+}
+
+// The tokens as a marked :root block of custom properties
+function tokensToCss(tokens) {
+  const declarations = ['color', 'font'].flatMap(group =>
+    Object.entries(tokens[group] || {}).map(([name, value]) => `  --${group}-${name}: ${value};`)
+  );
+
+  return `${TOKEN_BLOCK_START}\n:root {\n${declarations.join('\n')}\n}\n${TOKEN_BLOCK_END}`;
+}
+
+// Replace the marked token block of a stylesheet or document, or put it
+// first in a stylesheet that has none yet
+function applyTokenBlock(css, tokens) {
+  const block = tokensToCss(tokens);
+  const start = css.indexOf(TOKEN_BLOCK_START);
+  const end = css.indexOf(TOKEN_BLOCK_END, start);
+
+  if (start !== -1 && end !== -1) {
+    return `${css.slice(0, start)}${block}${css.slice(end + TOKEN_BLOCK_END.length)}`;
+  }
+  return css ? `${block}\n\n${css}` : block;
+}
+
+// Read the tokens back from a marked block, e.g. of a page being refined.
+// Returns null when the stylesheet has none.
+function parseTokenBlock(css) {
+  const start = css.indexOf(TOKEN_BLOCK_START);
+  const end = css.indexOf(TOKEN_BLOCK_END, start);
+  if (start === -1 || end === -1) return null;
+
+  const tokens = { color: {}, font: {} };
+  const declarations = css.slice(start, end).matchAll(/--(color|font)-([a-z0-9-]+)\s*:\s*([^;]+);/g);
+  for (const [, group, name, value] of declarations) {
+    tokens[group][name] = value.trim();
+  }
+  return tokens;
+}
+
+// Instructions that make a generation prompt use the tokens
+function createTokenInstructions(tokens) {
+  return `Use these design tokens, measured from the design, for every color and text style:
+
+\`\`\`css
+${tokensToCss(tokens)}
+\`\`\`
+
+This :root block is added to the stylesheet for you, so do not repeat or redefine these custom properties. Refer to them with var(), e.g. color: var(--color-text) or font-size: var(--font-size-base), instead of writing literal colors, font families, font sizes, font weights or line heights. Only use a literal value where no token fits.`;
+}
+
+module.exports = {
+  TOKEN_NAME_PATTERN,
+  UNSAFE_VALUE_PATTERN,
+  quantizePalette,
+  createTypographyPrompt,
+  parseTypography,
+  createTokens,
+  tokensToCss,
+  applyTokenBlock,
+  parseTokenBlock,
+  createTokenInstructions
+};
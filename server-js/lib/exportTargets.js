@@ -0,0 +1,236 @@
+const { DEFAULT_LANG, splitFencedBlocks } = require('./codeExtractor');
+
+// Export targets of a generation. Plain HTML is always written; the
+// framework targets add a component converted by the model and a minimal
+// Vite project around it, so the ZIP can be installed and run as is.
+
+const EXPORT_TARGETS = ['html', 'react-tsx', 'vue-sfc', 'svelte'];
+
+const TARGETS = {
+  'react-tsx': {
+    label: 'React (TypeScript)',
+    directory: 'react-app',
+    componentPath: 'src/App.tsx',
+    fenceLanguages: ['tsx', 'jsx', 'typescript', 'ts'],
+    instructions: `Write a single React function component in TypeScript, exported as \`export default function App()\`.
+- Use JSX attribute names (className, htmlFor, tabIndex), style objects and self-closing void elements.
+- Keep the state of the page in useState (or useReducer when several values change together) and derive classes and text from it.
+- Attach events with props such as onClick and onChange. Use useEffect only for timers, global listeners and other side effects, and clean them up.
+- Use useRef instead of document.querySelector for the few elements that need direct access, e.g. for focus.`
+  },
+  'vue-sfc': {
+    label: 'Vue (single-file component)',
+    directory: 'vue-app',
+    componentPath: 'src/App.vue',
+    fenceLanguages: ['vue', 'html'],
+    instructions: `Write a single Vue 3 single-file component with \`<script setup>\` and a \`<template>\`, without a \`<style>\` block.
+- Keep the state of the page in ref or reactive and derive values with computed.
+- Bind classes, attributes and text with :class, :attr and mustaches, and render lists and branches with v-for and v-if.
+- Attach events with @click, @input and so on, and use v-model for form fields.
+- Use onMounted and onUnmounted only for timers and global listeners, and template refs instead of document.querySelector.`
+  },
+  svelte: {
+    label: 'Svelte',
+    directory: 'svelte-app',
+    componentPath: 'src/App.svelte',
+    fenceLanguages: ['svelte', 'html'],
+    instructions: `Write a single Svelte 5 component using runes, without a \`<style>\` block.
+- Keep the state of the page in $state and derive values with $derived.
+- Bind classes, attributes and text in the markup with class:name, {expressions} and bind:value, and render lists and branches with {#each} and {#if}.
+- Attach events with attributes such as onclick and oninput.
+- Use $effect only for timers and global listeners, and bind:this instead of document.querySelector.`
+  }
+};
+
+function getTargetLabel(target) {
+  return target === 'html' ? 'HTML' : TARGETS[target].label;
+}
+
+// Prompt that turns the generated page into a component of a framework
+function createConversionPrompt(target, parts) {
+  const { label, instructions } = TARGETS[target];
+
+  return `Convert this page into a ${label} component.
+
+${instructions}
+- Keep the markup, text and every class name exactly as they are. The CSS stays in a global stylesheet that is imported separately, so do not repeat it.
+- Turn everything the script does into state and event handlers. The component must not query or change the DOM by hand, e.g. with getElementById, classList or innerHTML.
+
+Here is the body of the page:
+\`\`\`html
+${parts.html}
+\`\`\`
+${parts.js ? `
+Here is its script:
+\`\`\`javascript
+${parts.js}
+\`\`\`
+` : ''}
+Answer with the complete component in one code block.`;
+}
+
+// Take the component out of the model's answer: the first fence in one of
+// the target's languages, else the longest fence, else the whole answer
+function extractComponent(target, text) {
+  const fences = splitFencedBlocks(text).filter(segment => segment.type === 'fence');
+  const match = fences.find(fence => TARGETS[target].fenceLanguages.includes(fence.language)) ||
+    [...fences].sort((a, b) => b.content.length - a.content.length)[0];
+
+  return `${(match ? match.content : text).trim()}\n`;
+}
+
+function toJson(value) {
+  return `${JSON.stringify(value, null, 2)}\n`;
+}
+
+function packageJson(dependencies, devDependencies) {
+  return toJson({
+    name: 'ui-replication',
+    private: true,
+    version: '0.0.0',
+    type: 'module',
+    scripts: {
+      dev: 'vite',
+      build: 'vite build',
+      preview: 'vite preview'
+    },
+    dependencies,
+    devDependencies
+  });
+}
+
+function indexHtml({ title, headTags, lang, bodyAttributes, mountId, entry }) {
+  return `<!DOCTYPE html>
+<html lang="${lang || DEFAULT_LANG}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+${headTags.map(tag => `    ${tag}\n`).join('')}</head>
+<body${bodyAttributes ? ` ${bodyAttributes}` : ''}>
+    <div id="${mountId}"></div>
+    <script type="module" src="${entry}"></script>
+</body>
+</html>
+`;
+}
+
+// Files of each scaffold besides the component and the stylesheets
+const SCAFFOLDS = {
+  'react-tsx': page => ({
+    'package.json': packageJson(
+      { react: '^19.0.0', 'react-dom': '^19.0.0' },
+      {
+        '@types/react': '^19.0.0',
+        '@types/react-dom': '^19.0.0',
+        '@vitejs/plugin-react': '^4.3.4',
+        typescript: '^5.7.2',
+        vite: '^6.0.0'
+      }
+    ),
+    'vite.config.ts': `import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+
+export default defineConfig({
+  plugins: [react()]
+});
+`,
+    'tsconfig.json': toJson({
+      compilerOptions: {
+        target: 'ES2020',
+        lib: ['ES2020', 'DOM', 'DOM.Iterable'],
+        module: 'ESNext',
+        moduleResolution: 'bundler',
+        jsx: 'react-jsx',
+        strict: true,
+        skipLibCheck: true,
+        noEmit: true
+      },
+      include: ['src']
+    }),
+    'index.html': indexHtml({ ...page, mountId: 'root', entry: '/src/main.tsx' }),
+    'src/main.tsx': `import { StrictMode } from 'react';
+import { createRoot } from 'react-dom/client';
+import App from './App';
+import './tailwind.css';
+import './styles.css';
+
+createRoot(document.getElementById('root')!).render(
+  <StrictMode>
+    <App />
+  </StrictMode>
+);
+`
+  }),
+  'vue-sfc': page => ({
+    'package.json': packageJson(
+      { vue: '^3.5.0' },
+      { '@vitejs/plugin-vue': '^5.2.1', vite: '^6.0.0' }
+    ),
+    'vite.config.js': `import { defineConfig } from 'vite';
+import vue from '@vitejs/plugin-vue';
+
+export default defineConfig({
+  plugins: [vue()]
+});
+`,
+    'index.html': indexHtml({ ...page, mountId: 'app', entry: '/src/main.js' }),
+    'src/main.js': `import { createApp } from 'vue';
+import App from './App.vue';
+import './tailwind.css';
+import './styles.css';
+
+createApp(App).mount('#app');
+`
+  }),
+  svelte: page => ({
+    'package.json': packageJson(
+      {},
+      { '@sveltejs/vite-plugin-svelte': '^5.0.0', svelte: '^5.0.0', vite: '^6.0.0' }
+    ),
+    'vite.config.js': `import { defineConfig } from 'vite';
+import { svelte } from '@sveltejs/vite-plugin-svelte';
+
+export default defineConfig({
+  plugins: [svelte()]
+});
+`,
+    'index.html': indexHtml({ ...page, mountId: 'app', entry: '/src/main.js' }),
+    'src/main.js': `import { mount } from 'svelte';
+import App from './App.svelte';
+import './tailwind.css';
+import './styles.css';
+
+mount(App, { target: document.getElementById('app') });
+`
+  })
+};
+
+// Build the project of a framework target. `headTags` are the font and
+// script tags of the page and `lang` its language; `css` is its complete
+// stylesheet and `tailwindCss` the compiled Tailwind utilities. Returns the
+// files with paths relative to the project directory.
+function buildTargetProject(target, { title, headTags, lang, bodyAttributes, css, tailwindCss, component }) {
+  const { directory, componentPath } = TARGETS[target];
+  const files = {
+    ...SCAFFOLDS[target]({ title, headTags, lang, bodyAttributes }),
+    'src/tailwind.css': tailwindCss,
+    'src/styles.css': css,
+    [componentPath]: component
+  };
+
+  return {
+    target,
+    directory,
+    componentPath,
+    files: Object.entries(files).map(([filePath, content]) => ({ path: filePath, content }))
+  };
+}
+
+module.exports = {
+  EXPORT_TARGETS,
+  getTargetLabel,
+  createConversionPrompt,
+  extractComponent,
+  buildTargetProject
+};
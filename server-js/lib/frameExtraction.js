@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const sharp = require('sharp');
+const { file: tmpFile, dir: tmpDir } = require('tmp-promise');
+
+// Picks the frames of a screen recording that show the UI's states. ffmpeg
+// scores how much every frame differs from the one before; a run of changing
+// frames is one interaction, and the frame after it settles is kept. Static
+// stretches cost no frames, and clicks between fixed samples are not missed.
+// Frames can also be chosen by hand, with a note on what happens in each.
+
+// Most frames a video is analyzed with
+const MAX_FRAMES = 20;
+
+// Width frames are scaled to before scoring; enough to see a button change
+const SCORE_WIDTH = 320;
+
+// Size every extracted frame is scaled to
+const FRAME_SIZE = '1280x720';
+
+// Width of the thumbnails frames are previewed with
+const THUMBNAIL_WIDTH = 240;
+
+// Parse a frame rate such as "30000/1001"
+function parseFrameRate(rate) {
+  const [numerator, denominator = 1] = String(rate || '').split('/').map(Number);
+  return numerator > 0 && denominator > 0 ? numerator / denominator : 30;
+}
+
+// Run ffprobe and keep what the pipeline and the task result need
+function probeVideo(videoPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(videoPath, (err, metadata) => {
+      if (err) return reject(err);
+
+      const stream = metadata.streams.find(item => item.codec_type === 'video') || metadata.streams[0];
+      const duration = Number(metadata.format.duration) || Number(stream.duration) || 0;
+      const fps = parseFrameRate(stream.avg_frame_rate && stream.avg_frame_rate !== '0/0' ? stream.avg_frame_rate : stream.r_frame_rate);
+
+      resolve({
+        duration,
+        fps,
+        width: stream.width,
+        height: stream.height,
+        codec: stream.codec_name,
+        bitRate: Number(metadata.format.bit_rate) || null,
+        formatName: metadata.format.format_name,
+        frameCount: Number(stream.nb_frames) || Math.round(duration * fps)
+      });
+    });
+  });
+}
+
+// Score every frame with ffmpeg's scene filter: 0 means the same picture as
+// the frame before, 1 a completely different one. Resolves with the scores in
+// the order of the frames.
+function scoreSceneChanges(videoPath, commands) {
+  return new Promise((resolve, reject) => {
+    const scores = [];
+    let time = null;
+
+    const command = ffmpeg(videoPath)
+      .noAudio()
+      .videoFilters(`scale=${SCORE_WIDTH}:-2,select='gte(scene,0)',metadata=print`)
+      .format('null')
+      .output('-')
+      .on('stderr', line => {
+        // metadata=print logs "frame:… pts_time:1.23" and then the score
+        const timeMatch = line.match(/pts_time:([\d.]+)/);
+        if (timeMatch) {
+          time = parseFloat(timeMatch[1]);
+          return;
+        }
+        const scoreMatch = line.match(/lavfi\.scene_score=([\d.]+)/);
+        if (scoreMatch && time !== null) {
+          scores.push({ time, score: parseFloat(scoreMatch[1]) });
+          time = null;
+        }
+      })
+      .on('end', () => {
+        commands.delete(command);
+        resolve(scores);
+      })
+      .on('error', err => {
+        commands.delete(command);
+        reject(err);
+      });
+
+    commands.add(command);
+    command.run();
+  });
+}
+
+// Turn frame scores into keyframes. A run of frames scoring at least
+// `motionThreshold` is one change; its keyframe is the first frame after the
+// run, when the UI has settled, and its score the run's highest. The first
+// frame is always kept as the initial state; of the changes, the strongest
+// are kept, at most `maxFrames` in all and `minInterval` seconds apart.
+function selectKeyframes(scores, { maxFrames, minInterval, motionThreshold, duration }) {
+  const changes = [];
+  let run = null;
+
+  scores.slice(1).forEach(({ time, score }) => {
+    if (score >= motionThreshold) {
+      run = run ? { ...run, score: Math.max(run.score, score) } : { startTime: time, score };
+    } else if (run) {
+      changes.push({ timestamp: time, changeStartTime: run.startTime, score: run.score });
+      run = null;
+    }
+  });
+  // A change still going on at the end is shown by the last frame
+  if (run) {
+    changes.push({ timestamp: Math.max(duration - 0.1, run.startTime), changeStartTime: run.startTime, score: run.score });
+  }
+
+  const keyframes = [{ timestamp: 0, changeStartTime: null, score: null }];
+  [...changes].sort((a, b) => b.score - a.score).forEach(change => {
+    if (keyframes.length >= maxFrames) return;
+    if (keyframes.every(keyframe => Math.abs(keyframe.timestamp - change.timestamp) >= minInterval)) {
+      keyframes.push(change);
+    }
+  });
+
+  return { keyframes: keyframes.sort((a, b) => a.timestamp - b.timestamp), changeCount: changes.length };
+}
+
+// Spread frames evenly over the video, as used when scoring fails
+function selectFixedKeyframes({ maxFrames, minInterval, duration }) {
+  let frameCount;
+  if (duration <= 5) {
+    // For short videos, extract more frames
+    frameCount = Math.min(Math.ceil(duration / 0.3), maxFrames);
+  } else if (duration <= 15) {
+    frameCount = Math.min(Math.ceil(duration / 0.5), maxFrames);
+  } else {
+    frameCount = maxFrames;
+  }
+
+  // Ensure we don't extract frames too close together
+  const interval = Math.max(duration / Math.max(frameCount, 1), minInterval);
+  const timestamps = [0];
+  for (let i = 1; i < frameCount && i * interval < duration; i++) {
+    timestamps.push(Math.min(i * interval, duration - 0.1));
+  }
+
+  return timestamps.map(timestamp => ({ timestamp, changeStartTime: null, score: null }));
+}
+
+// Save one frame as a JPEG and read it back
+function extractFrame(videoPath, framesDir, timestamp, index, commands) {
+  return new Promise((resolve, reject) => {
+    const filename = `frame_${index}.jpg`;
+    const outputPath = path.join(framesDir, filename);
+
+    const command = ffmpeg(videoPath)
+      .screenshots({
+        timestamps: [timestamp],
+        filename,
+        folder: framesDir,
+        size: FRAME_SIZE // Standardize frame size
+      })
+      .on('end', () => {
+        commands.delete(command);
+        resolve(fs.readFileSync(outputPath));
+      })
+      .on('error', err => {
+        commands.delete(command);
+        reject(err);
+      });
+    commands.add(command);
+  });
+}
+
+// Function to extract the keyframes of a video. Resolves with the frames,
+// each with its timestamp and change score, the ffprobe metadata and how the
+// frames were selected. With `frames`, a list of timestamps and notes, those
+// frames are extracted instead of the ones at scene changes.
+async function extractFramesFromVideo(videoBuffer, options = {}) {
+  const {
+    frames: chosenFrames = [],
+    maxFrames = 15,
+    minInterval = 0.5, // Minimum seconds between frames
+    motionThreshold = 0.01, // Scene score (0-1) from which a frame counts as changed; a button changing color scores about 0.01
+    signal // Optional AbortSignal that stops extraction
+  } = options;
+
+  signal?.throwIfAborted();
+
+  // Create temporary files for video and frames
+  const { path: videoPath, cleanup: cleanupVideo } = await tmpFile({ postfix: '.mp4' });
+  const { path: framesDir, cleanup: cleanupFrames } = await tmpDir({ unsafeCleanup: true });
+
+  // Running ffmpeg processes, so they can be killed on abort
+  const commands = new Set();
+  const onAbort = () => {
+    commands.forEach(command => command.kill('SIGKILL'));
+  };
+  signal?.addEventListener('abort', onAbort);
+
+  try {
+    fs.writeFileSync(videoPath, videoBuffer);
+
+    const metadata = await probeVideo(videoPath);
+    signal?.throwIfAborted();
+
+    let selection;
+    if (chosenFrames.length > 0) {
+      // Timestamps past the end show the last frame
+      const lastTimestamp = Math.max(metadata.duration - 0.05, 0);
+      const keyframes = [...chosenFrames]
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .map(frame => ({ timestamp: Math.min(frame.timestamp, lastTimestamp), changeStartTime: null, score: null, note: frame.note || '' }));
+      selection = { strategy: 'manual', motionThreshold: null, changeCount: null, keyframes };
+    } else {
+      try {
+        const scores = await scoreSceneChanges(videoPath, commands);
+        if (scores.length === 0) {
+          throw new Error('ffmpeg reported no scene scores');
+        }
+        const { keyframes, changeCount } = selectKeyframes(scores, { maxFrames, minInterval, motionThreshold, duration: metadata.duration });
+        selection = { strategy: 'scene-change', motionThreshold, changeCount, keyframes };
+      } catch (error) {
+        signal?.throwIfAborted();
+        console.error('Scene scoring failed, sampling frames at fixed intervals:', error.message);
+        selection = { strategy: 'interval', motionThreshold: null, changeCount: null, keyframes: selectFixedKeyframes({ maxFrames, minInterval, duration: metadata.duration }) };
+      }
+    }
+
+    const frames = await Promise.all(selection.keyframes.map(async (keyframe, index) => ({
+      ...keyframe,
+      buffer: await extractFrame(videoPath, framesDir, keyframe.timestamp, index, commands),
+      index
+    })));
+
+    return {
+      frames,
+      duration: metadata.duration,
+      fps: metadata.fps,
+      totalFrames: metadata.frameCount,
+      metadata,
+      selection: {
+        strategy: selection.strategy,
+        motionThreshold: selection.motionThreshold,
+        changeCount: selection.changeCount
+      }
+    };
+  } catch (error) {
+    if (signal?.aborted) throw signal.reason;
+    console.error('Error extracting frames:', error);
+    throw error;
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    // The frames are kept in memory
+    await Promise.all([cleanupVideo(), cleanupFrames()]).catch(err => {
+      console.error('Error removing temporary frame files:', err);
+    });
+  }
+}
+
+// Describe the extraction of a video for a task result, without the images
+function describeFrameExtraction({ frames, metadata, selection }) {
+  return {
+    metadata,
+    ...selection,
+    frames: frames.map(frame => ({
+      index: frame.index,
+      timestamp: frame.timestamp,
+      changeStartTime: frame.changeStartTime,
+      score: frame.score,
+      note: frame.note || ''
+    }))
+  };
+}
+
+// Scale a frame down to a JPEG data URL to preview it with
+async function createFrameThumbnail(frameBuffer) {
+  const thumbnail = await sharp(frameBuffer)
+    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .jpeg({ quality: 70 })
+    .toBuffer();
+  return `data:image/jpeg;base64,${thumbnail.toString('base64')}`;
+}
+
+module.exports = { MAX_FRAMES, extractFramesFromVideo, describeFrameExtraction, createFrameThumbnail, selectKeyframes };
@@ -0,0 +1,633 @@
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const { formatUsageForReadme } = require('./usage');
+const { formatVideoAnalysisForReadme } = require('./videoAnalysis');
+const { STATE_ATTRIBUTE } = require('./interactionModel');
+const { formatReplayForReadme } = require('./interactionReplay');
+const { getTargetLabel, buildTargetProject } = require('./exportTargets');
+const { DEFAULT_TAILWIND_VERSION, BUILD_COMMANDS, compileTailwind, buildTailwindConfigFiles } = require('./tailwind');
+const { applyTokenBlock } = require('./designTokens');
+const { getBreakpoint, sortByWidth } = require('./breakpoints');
+const { DEFAULT_LANG, getAttribute } = require('./codeExtractor');
+const { inlineAssetSources } = require('./assetExtraction');
+
+// Writes a finished generation to disk: index.html, styles.css, script.js,
+// tailwind.css, tokens.json, interactions.json, README.md, the images cropped
+// from the design and a ZIP of all of them, plus the project of a framework
+// target. Written pages can also be turned into one self-contained HTML file.
+
+const ZIP_FILENAME = 'ui-replication.zip';
+
+// Base styles injected into every page. Refined pages get a fuller set with
+// touch-friendly controls and responsive images. Pages made from screenshots
+// at several breakpoints bring their own media queries, so they only get a
+// reset that cannot override them.
+const BASE_STYLES = {
+  generate: `
+        /* Base responsive styles */
+        *, *::before, *::after {
+            box-sizing: border-box;
+        }
+        
+        :root {
+            /* Define base font sizes for different screen sizes */
+            font-size: 16px;
+        }
+        
+        body {
+            margin: 0;
+            padding: 0;
+            font-family: system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif;
+            line-height: 1.5;
+        }
+        
+        /* Container for responsive layouts */
+        .container {
+            width: 100%;
+            max-width: 1200px;
+            margin: 0 auto;
+            padding: 0 15px;
+        }
+        
+        /* Responsive typography */
+        h1 { font-size: clamp(1.75rem, 4vw, 2.5rem); }
+        h2 { font-size: clamp(1.5rem, 3vw, 2rem); }
+        h3 { font-size: clamp(1.25rem, 2.5vw, 1.75rem); }
+        h4 { font-size: clamp(1.125rem, 2vw, 1.5rem); }
+        p, li { font-size: clamp(0.875rem, 1.5vw, 1rem); }
+        
+        /* Responsive grid system */
+        .responsive-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(250px, 1fr));
+            gap: 1rem;
+        }
+        
+        /* Mobile devices */
+        @media (max-width: 640px) {
+            .hide-on-mobile {
+                display: none !important;
+            }
+        }
+        
+        /* Tablet devices */
+        @media (min-width: 641px) and (max-width: 1024px) {
+            .hide-on-tablet {
+                display: none !important;
+            }
+        }
+        
+        /* Desktop devices */
+        @media (min-width: 1025px) {
+            .hide-on-desktop {
+                display: none !important;
+            }
+        }`,
+  refine: `
+        /* Base responsive styles */
+        *, *::before, *::after {
+            box-sizing: border-box;
+        }
+        
+        :root {
+            /* Define base font sizes for different screen sizes */
+            font-size: 16px;
+        }
+        
+        body {
+            margin: 0;
+            padding: 0;
+            width: 100%;
+            min-height: 100vh;
+            overflow-x: hidden;
+            -webkit-font-smoothing: antialiased;
+            -moz-osx-font-smoothing: grayscale;
+        }
+        
+        /* Ensure all images are responsive */
+        img {
+            max-width: 100%;
+            height: auto;
+            display: block; /* Removes bottom spacing */
+        }
+        
+        /* Ensure inputs and buttons are touch-friendly */
+        input, button, select, textarea, a {
+            font-size: 16px; /* Prevents zoom on mobile */
+            min-height: 44px; /* Minimum touch target size */
+            min-width: 44px; /* Minimum touch target size */
+        }
+        
+        /* Add responsive container if needed */
+        .container {
+            width: 100%;
+            max-width: 1200px;
+            margin: 0 auto;
+            padding: 0 15px;
+        }
+        
+        /* Responsive typography */
+        h1 { font-size: clamp(1.75rem, 4vw, 2.5rem); }
+        h2 { font-size: clamp(1.5rem, 3vw, 2rem); }
+        h3 { font-size: clamp(1.25rem, 2.5vw, 1.75rem); }
+        h4 { font-size: clamp(1.125rem, 2vw, 1.5rem); }
+        p, li { font-size: clamp(0.875rem, 1.5vw, 1rem); }
+        
+        /* Responsive grid system */
+        .responsive-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(250px, 1fr));
+            gap: 1rem;
+        }
+        
+        /* Media queries for different screen sizes */
+        /* Mobile devices */
+        @media (max-width: 640px) {
+            .container {
+                padding: 0 10px;
+            }
+            
+            /* Stack elements that should be columns on larger screens */
+            .mobile-stack {
+                flex-direction: column !important;
+            }
+            
+            /* Hide elements that shouldn't appear on mobile */
+            .hide-on-mobile {
+                display: none !important;
+            }
+        }
+        
+        /* Tablet devices */
+        @media (min-width: 641px) and (max-width: 1024px) {
+            .hide-on-tablet {
+                display: none !important;
+            }
+        }
+        
+        /* Desktop devices */
+        @media (min-width: 1025px) {
+            .hide-on-desktop {
+                display: none !important;
+            }
+        }`,
+  responsive: `
+        /* Base styles; the page's media queries handle the layout */
+        *, *::before, *::after {
+            box-sizing: border-box;
+        }
+        
+        body {
+            margin: 0;
+            padding: 0;
+        }
+        
+        img {
+            max-width: 100%;
+            height: auto;
+        }`
+};
+
+// Function to build the index.html document around extracted code. With
+// `inline` the styles, the compiled `tailwindCss` and the script are embedded
+// instead of linked, so the page renders on its own, e.g. in a headless browser.
+// Pages of a multi-page site link their own `stylesheets` and `scriptPath`.
+function buildCompleteHtml(parts, {
+  includeScript,
+  baseStyles = 'generate',
+  inline = false,
+  tailwindCss = '',
+  stylesheets = ['styles.css'],
+  scriptPath = 'script.js'
+}) {
+  const headTags = [...parts.head.meta, ...parts.head.links, ...parts.head.scripts]
+    .map(tag => `    ${tag}`)
+    .join('\n');
+  const tailwindTag = inline
+    ? `<style>\n${tailwindCss}\n    </style>`
+    : '<link rel="stylesheet" href="tailwind.css">';
+  const stylesheetTag = inline
+    ? `<style>\n${parts.css}\n    </style>`
+    : stylesheets.map(href => `<link rel="stylesheet" href="${href}">`).join('\n    ');
+  const scriptTag = parts.jsModule
+    ? `<script type="module" src="${scriptPath}"></script>`
+    : `<script defer src="${scriptPath}"></script>`;
+  // An inline script goes last in the body, where the deferred file would run
+  const inlineScriptTag = `<script${parts.jsModule ? ' type="module"' : ''}>\n${parts.js}\n    </script>`;
+
+  return `<!DOCTYPE html>
+<html lang="${parts.lang || DEFAULT_LANG}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${parts.head.title || 'UI Replication'}</title>
+    ${tailwindTag}
+${headTags ? `${headTags}\n` : ''}    ${stylesheetTag}
+    ${includeScript && !inline ? scriptTag : ''}
+    <style>${BASE_STYLES[baseStyles]}
+    </style>
+</head>
+<body${parts.bodyAttributes ? ` ${parts.bodyAttributes}` : ''}>
+    ${parts.html}${includeScript && inline ? `\n    ${inlineScriptTag}` : ''}
+</body>
+</html>`;
+}
+
+// Function to build the project of a framework target around a converted
+// component. The base styles join the page's CSS in the global stylesheet.
+function buildProject(target, { parts, component, baseStyles, tailwindCss }) {
+  return buildTargetProject(target, {
+    title: parts.head.title || 'UI Replication',
+    headTags: [...parts.head.meta, ...parts.head.links, ...parts.head.scripts],
+    lang: parts.lang,
+    bodyAttributes: parts.bodyAttributes,
+    css: `${BASE_STYLES[baseStyles].trim()}\n\n${parts.css}\n`,
+    tailwindCss,
+    component
+  });
+}
+
+function formatTailwindForReadme(version, withConfig) {
+  const rebuild = withConfig ? `
+To rebuild it after changing classes, edit tailwind.config.js as needed and run:
+
+\`\`\`
+${BUILD_COMMANDS[version]}
+\`\`\`
+` : '';
+
+  return `- Tailwind CSS ${version}, compiled into tailwind.css with only the classes the UI uses
+${rebuild}`;
+}
+
+function formatBreakpointsForReadme(breakpoints) {
+  if (breakpoints.length === 0) return '';
+
+  const [narrowest, ...wider] = sortByWidth(breakpoints.map(device => ({ device }))).map(({ device }) => getBreakpoint(device));
+  const lines = [
+    `- ${narrowest.label} (${narrowest.width}px screenshot) - the styles outside media queries`,
+    ...wider.map(breakpoint => `- ${breakpoint.label} (${breakpoint.width}px screenshot) - @media (min-width: ${breakpoint.minWidth}px)`)
+  ];
+
+  return `
+## Breakpoints
+The layout reproduces a screenshot at each of these widths:
+${lines.join('\n')}
+`;
+}
+
+function formatProjectForReadme(project) {
+  if (!project) return '';
+
+  return `
+## ${getTargetLabel(project.target)} Project
+${project.directory}/ holds the UI as a ${getTargetLabel(project.target)} component in ${project.directory}/${project.componentPath}, in a minimal Vite project:
+
+\`\`\`
+cd ${project.directory}
+npm install
+npm run dev
+\`\`\`
+`;
+}
+
+// Function to write all files of a generation and zip them. With a
+// framework `target`, `component` is the converted component. `tailwind`
+// picks the Tailwind version and whether to add tailwind.config.js, and
+// `assets` are the crops of the design the markup refers to and `tokens` the
+// design tokens the stylesheet starts with. `breakpoints` are the devices of
+// the screenshots a responsive page reproduces. Returns the complete HTML,
+// the document previews show, with the styles, tailwind.css and script
+// inlined, and the files of every export target.
+async function writeGenerationFiles(generationDir, {
+  parts,
+  sourceType = 'image',
+  iterationCount,
+  baseStyles = 'generate',
+  alwaysIncludeScript = false,
+  frames = [],
+  usage = null,
+  videoAnalysis = null,
+  interactions = null,
+  replay = null,
+  target = 'html',
+  component = null,
+  tailwind = {},
+  assets = [],
+  tokens = null,
+  breakpoints = []
+}) {
+  fs.mkdirSync(generationDir, { recursive: true });
+
+  const { version: tailwindVersion = DEFAULT_TAILWIND_VERSION, config: withTailwindConfig = false } = tailwind;
+  const includeScript = alwaysIncludeScript || Boolean(parts.js);
+  const completeHtml = buildCompleteHtml(parts, { includeScript, baseStyles });
+  const tailwindCss = await compileTailwind([parts.html, parts.js, component || ''], { version: tailwindVersion });
+  const previewHtml = buildCompleteHtml(parts, { includeScript, baseStyles, inline: true, tailwindCss });
+  const project = target !== 'html' ? buildProject(target, { parts, component, baseStyles, tailwindCss }) : null;
+
+  const files = [
+    { path: 'index.html', content: completeHtml },
+    { path: 'styles.css', content: parts.css },
+    ...(includeScript ? [{ path: 'script.js', content: parts.js }] : []),
+    { path: 'tailwind.css', content: tailwindCss },
+    ...(withTailwindConfig ? buildTailwindConfigFiles(tailwindVersion, includeScript ? ['./index.html', './script.js'] : ['./index.html']) : []),
+    ...(tokens ? [{ path: 'tokens.json', content: `${JSON.stringify(tokens, null, 2)}\n` }] : []),
+    ...(interactions ? [{ path: 'interactions.json', content: `${JSON.stringify(interactions, null, 2)}\n` }] : [])
+  ];
+
+  const readme = `# UI Replication
+
+This UI was generated by UI Replicator based on an uploaded ${sourceType} and refined through ${iterationCount} iterations of analysis.
+
+## Files
+- index.html - The HTML structure of the UI
+- styles.css - The custom CSS styles for the UI
+${includeScript ? '- script.js - The JavaScript for interactions and animations' : ''}
+- tailwind.css - The Tailwind CSS utilities the UI uses
+${assets.length > 0 ? `- assets/ - ${assets.length} image${assets.length === 1 ? '' : 's'} cropped from the original ${sourceType}\n` : ''}${withTailwindConfig ? '- tailwind.config.js and tailwind.input.css - The Tailwind setup for rebuilding tailwind.css\n' : ''}${tokens ? '- tokens.json - The design tokens of the UI; styles.css defines them as CSS custom properties in :root\n' : ''}${interactions ? `- interactions.json - The states of the UI and the transitions between them seen in the video, which script.js implements; <body> has the current state in its ${STATE_ATTRIBUTE} attribute\n` : ''}
+## Usage
+Open index.html in a web browser to view the UI. Tailwind CSS is included, so no CDN is needed for it.
+${formatBreakpointsForReadme(breakpoints)}
+## Dependencies
+${formatTailwindForReadme(tailwindVersion, withTailwindConfig)}${formatProjectForReadme(project)}${formatUsageForReadme(usage)}${formatVideoAnalysisForReadme(videoAnalysis)}${formatReplayForReadme(replay)}`;
+
+  // Create a zip file
+  const zip = new JSZip();
+  files.forEach(file => {
+    fs.writeFileSync(path.join(generationDir, file.path), file.content);
+    zip.file(file.path, file.content);
+  });
+  fs.writeFileSync(path.join(generationDir, 'README.md'), readme);
+  zip.file('README.md', readme);
+
+  // Framework projects serve the crops from public/, at the same paths
+  const assetFiles = assets.map(asset => ({ path: `assets/${asset.file}`, content: asset.buffer }));
+  if (assetFiles.length > 0) {
+    fs.mkdirSync(path.join(generationDir, 'assets'), { recursive: true });
+  }
+  assetFiles.forEach(file => {
+    fs.writeFileSync(path.join(generationDir, file.path), file.content);
+    zip.file(file.path, file.content);
+  });
+
+  if (project) {
+    [...project.files, ...assetFiles.map(file => ({ ...file, path: `public/${file.path}` }))].forEach(file => {
+      const filePath = path.join(generationDir, project.directory, file.path);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, file.content);
+      zip.file(`${project.directory}/${file.path}`, file.content);
+    });
+  }
+
+  // Save extracted frames for debugging if it's a video
+  if (frames.length > 0) {
+    const framesDir = path.join(generationDir, 'frames');
+    fs.mkdirSync(framesDir, { recursive: true });
+
+    frames.forEach((frame, index) => {
+      fs.writeFileSync(path.join(framesDir, `frame_${index}.jpg`), frame.buffer);
+      zip.file(`frames/frame_${index}.jpg`, frame.buffer);
+    });
+  }
+
+  // Screenshots of the interaction replay, shown next to the frames in the
+  // app; the ZIP leaves them out
+  const screenshots = replay ? replay.steps.filter(step => step.screenshot) : [];
+  if (screenshots.length > 0) {
+    const replayDir = path.join(generationDir, 'replay');
+    fs.mkdirSync(replayDir, { recursive: true });
+    screenshots.forEach(step => {
+      fs.writeFileSync(path.join(replayDir, `step_${step.index}.png`), step.screenshot);
+    });
+  }
+
+  const zipBuffer = await zip.generateAsync({ type: 'nodebuffer' });
+  fs.writeFileSync(path.join(generationDir, ZIP_FILENAME), zipBuffer);
+
+  const htmlExport = { target: 'html', directory: '', files };
+
+  return { completeHtml, previewHtml, exports: project ? [htmlExport, project] : [htmlExport] };
+}
+
+// Function to write the files of a multi-page site and zip them: one HTML
+// file per page, the shared styles.css, each page's own CSS and script, the
+// shared components and tailwind.css. `pages` hold the extracted parts of
+// each page with the components already filled in. Returns the files and
+// the preview document of every page by its file.
+async function writeSiteFiles(generationDir, {
+  pages,
+  sharedCss,
+  components,
+  usage = null,
+  tailwind = {},
+  tokens = null
+}) {
+  fs.mkdirSync(generationDir, { recursive: true });
+
+  const { version: tailwindVersion = DEFAULT_TAILWIND_VERSION, config: withTailwindConfig = false } = tailwind;
+  const tailwindCss = await compileTailwind(pages.flatMap(page => [page.parts.html, page.parts.js]), { version: tailwindVersion });
+  const hasPageStyles = pages.some(page => page.parts.css);
+  const hasScripts = pages.some(page => page.parts.js);
+
+  const files = [
+    ...pages.flatMap(page => {
+      const stylesheet = `css/${page.slug}.css`;
+      const script = `js/${page.slug}.js`;
+      const html = buildCompleteHtml(page.parts, {
+        includeScript: Boolean(page.parts.js),
+        stylesheets: page.parts.css ? ['styles.css', stylesheet] : ['styles.css'],
+        scriptPath: script
+      });
+
+      return [
+        { path: page.file, content: html },
+        ...(page.parts.css ? [{ path: stylesheet, content: page.parts.css }] : []),
+        ...(page.parts.js ? [{ path: script, content: page.parts.js }] : [])
+      ];
+    }),
+    { path: 'styles.css', content: sharedCss },
+    ...components.map(component => ({ path: `components/${component.name}.html`, content: `${component.html}\n` })),
+    { path: 'tailwind.css', content: tailwindCss },
+    ...(withTailwindConfig ? buildTailwindConfigFiles(tailwindVersion, hasScripts ? ['./*.html', './js/*.js'] : ['./*.html']) : []),
+    ...(tokens ? [{ path: 'tokens.json', content: `${JSON.stringify(tokens, null, 2)}\n` }] : [])
+  ];
+
+  const pageList = pages
+    .map(page => `- ${page.file} - ${page.name}${page.links.length > 0 ? ` (links to ${page.links.join(', ')})` : ''}`)
+    .join('\n');
+  const componentList = components.map(component => `  - components/${component.name}.html`).join('\n');
+
+  const readme = `# UI Replication
+
+This site was generated by UI Replicator from ${pages.length} screenshots.
+
+## Pages
+${pageList}
+
+## Files
+- styles.css - The styles all pages share
+${hasPageStyles ? '- css/ - The styles of single pages\n' : ''}${hasScripts ? '- js/ - The JavaScript of single pages\n' : ''}- tailwind.css - The Tailwind CSS utilities the pages use
+${components.length > 0 ? `- components/ - The parts the screens share, for reference. Every page contains its own copy, so change them in each page.\n${componentList}\n` : ''}${withTailwindConfig ? '- tailwind.config.js and tailwind.input.css - The Tailwind setup for rebuilding tailwind.css\n' : ''}${tokens ? '- tokens.json - The design tokens of the site; styles.css defines them as CSS custom properties in :root\n' : ''}
+## Usage
+Open index.html in a web browser and follow the links between the pages. Tailwind CSS is included, so no CDN is needed for it.
+
+## Dependencies
+${formatTailwindForReadme(tailwindVersion, withTailwindConfig)}${formatUsageForReadme(usage)}`;
+
+  const zip = new JSZip();
+  [...files, { path: 'README.md', content: readme }].forEach(file => {
+    const filePath = path.join(generationDir, file.path);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, file.content);
+    zip.file(file.path, file.content);
+  });
+
+  const zipBuffer = await zip.generateAsync({ type: 'nodebuffer' });
+  fs.writeFileSync(path.join(generationDir, ZIP_FILENAME), zipBuffer);
+
+  const previews = Object.fromEntries(pages.map(page => [page.file, buildCompleteHtml(
+    { ...page.parts, css: [sharedCss, page.parts.css].filter(Boolean).join('\n\n') },
+    { includeScript: Boolean(page.parts.js), inline: true, tailwindCss }
+  )]));
+
+  return { files, previews };
+}
+
+// Function to list the files of a generation directory, with paths relative
+// to it, leaving out the ZIP
+function listGenerationFiles(generationDir, directory = '') {
+  return fs.readdirSync(path.join(generationDir, directory), { withFileTypes: true }).flatMap(entry => {
+    const relativePath = directory ? `${directory}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) return listGenerationFiles(generationDir, relativePath);
+    return relativePath === ZIP_FILENAME ? [] : [relativePath];
+  });
+}
+
+// Function to replace the design tokens of a written generation: tokens.json,
+// the :root block of every styles.css and the ZIP are rewritten in place
+async function updateGenerationTokens(generationDir, tokens) {
+  fs.writeFileSync(path.join(generationDir, 'tokens.json'), `${JSON.stringify(tokens, null, 2)}\n`);
+
+  const zip = new JSZip();
+  listGenerationFiles(generationDir).forEach(filePath => {
+    const fullPath = path.join(generationDir, filePath);
+    if (path.basename(filePath) === 'styles.css') {
+      fs.writeFileSync(fullPath, applyTokenBlock(fs.readFileSync(fullPath, 'utf8'), tokens));
+    }
+    zip.file(filePath, fs.readFileSync(fullPath));
+  });
+
+  const zipBuffer = await zip.generateAsync({ type: 'nodebuffer' });
+  fs.writeFileSync(path.join(generationDir, ZIP_FILENAME), zipBuffer);
+}
+
+// URLs of another host, such as web fonts or a CDN, rather than generated files
+function isExternalUrl(url) {
+  return /^(?:[a-z][a-z\d+.-]*:)?\/\//i.test(url);
+}
+
+const CSS_URL_PATTERN = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)]*?))\s*\)/gi;
+
+// Leave out what CSS would load from other hosts: their @imports, the
+// declarations using their url()s, such as background images, and their
+// @font-face sources, with the rules that have none left
+function removeExternalCss(css) {
+  // Set the url()s aside first, so the semicolons and commas of data URLs
+  // cannot end a declaration or a source
+  const urls = [];
+  const withoutUrls = css
+    .replace(/@import\s+(?:url\(\s*)?["']?([^"')\s;]+)["']?\s*\)?[^;]*;/gi, (rule, url) => (isExternalUrl(url) ? '' : rule))
+    .replace(CSS_URL_PATTERN, (value, ...groups) => {
+      urls.push({ value, isExternal: isExternalUrl(groups.slice(0, 3).find(group => group !== undefined).trim()) });
+      return `\u0000${urls.length - 1}\u0000`;
+    });
+  const hasExternalUrl = text => [...text.matchAll(/\u0000(\d+)\u0000/g)].some(([, index]) => urls[index].isExternal);
+
+  return withoutUrls
+    .replace(/@font-face\s*{([^}]*)}/gi, (rule, body) => {
+      const src = body.match(/(^|[;\s])src\s*:([^;]*)/i);
+      if (!src || !hasExternalUrl(src[2])) return rule;
+
+      const sources = src[2].split(',').filter(source => !hasExternalUrl(source));
+      return sources.length === 0 ? '' : rule.replace(src[2], ` ${sources.map(source => source.trim()).join(', ')}`);
+    })
+    .replace(/([\w-]+)\s*:([^;{}]*)(;|(?=})|$)/g, (declaration, property, value) => (hasExternalUrl(value) ? '' : declaration))
+    .replace(/\u0000(\d+)\u0000/g, (placeholder, index) => urls[index].value);
+}
+
+// Drop the src and poster of images and media on other hosts, and the
+// candidates of a srcset that are
+function removeExternalMediaSources(html) {
+  return html.replace(/<(?:img|source|video|audio|iframe|embed)\b[^>]*>/gi, tag =>
+    tag.replace(/\s+(src|srcset|poster)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi, (attribute, name, ...values) => {
+      const value = values.slice(0, 3).find(item => item !== undefined);
+      if (name.toLowerCase() !== 'srcset') return isExternalUrl(value.trim()) ? '' : attribute;
+
+      // Splitting on every comma also splits data URLs, but keeps their pieces
+      const candidates = value.split(',');
+      const kept = candidates.filter(candidate => !isExternalUrl(candidate.trim()));
+      if (kept.length === candidates.length) return attribute;
+      return kept.length > 0 ? ` srcset="${kept.join(',').trim()}"` : '';
+    }));
+}
+
+// Function to build one HTML file from a written page that needs nothing
+// else: its stylesheets, including tailwind.css, and scripts are inlined, the
+// cropped assets become data URLs, and the stylesheets, scripts, images and
+// CSS url()s of other hosts are left out, so opening it makes no requests.
+// Returns null if the page does not exist.
+function buildStandaloneHtml(generationDir, pageFile = 'index.html') {
+  const rootDir = path.resolve(generationDir);
+  const readFile = relativePath => {
+    const filePath = path.resolve(rootDir, relativePath);
+    if (!filePath.startsWith(`${rootDir}${path.sep}`) || !fs.existsSync(filePath)) return null;
+    return fs.readFileSync(filePath, 'utf8');
+  };
+
+  const html = readFile(pageFile);
+  if (html === null) return null;
+
+  const assetsDir = path.join(rootDir, 'assets');
+  const assets = fs.existsSync(assetsDir)
+    ? fs.readdirSync(assetsDir).map(file => ({ file, buffer: fs.readFileSync(path.join(assetsDir, file)) }))
+    : [];
+
+  // Linked scripts are deferred or modules, so their inline copies go last
+  // in the body, where they still run after the markup is parsed
+  const scripts = [];
+  const inlined = html
+    .replace(/<link\b([^>]*)>/gi, (tag, attributes) => {
+      const href = getAttribute(attributes, 'href') || '';
+      if (isExternalUrl(href)) return '';
+      if (!/\bstylesheet\b/i.test(getAttribute(attributes, 'rel') || '')) return tag;
+
+      const css = readFile(href);
+      return css === null ? '' : `<style>\n${css}\n    </style>`;
+    })
+    .replace(/<style\b([^>]*)>([\s\S]*?)<\/style>/gi, (tag, attributes, css) => `<style${attributes}>${removeExternalCss(css)}</style>`)
+    .replace(/(\sstyle\s*=\s*)(?:"([^"]*)"|'([^']*)')/gi, (attribute, name, doubleQuoted, singleQuoted) => (
+      doubleQuoted !== undefined ? `${name}"${removeExternalCss(doubleQuoted)}"` : `${name}'${removeExternalCss(singleQuoted)}'`
+    ))
+    .replace(/<script\b([^>]*)>\s*<\/script>/gi, (tag, attributes) => {
+      const src = getAttribute(attributes, 'src');
+      if (!src) return tag;
+
+      const js = isExternalUrl(src) ? null : readFile(src);
+      if (js !== null) {
+        const type = getAttribute(attributes, 'type') === 'module' ? ' type="module"' : '';
+        scripts.push(`<script${type}>\n${js.replace(/<\/script/gi, '<\\/script')}\n    </script>`);
+      }
+      return '';
+    });
+
+  const bodyEnd = inlined.lastIndexOf('</body>');
+  const withScripts = scripts.length === 0 || bodyEnd < 0
+    ? inlined + scripts.join('\n')
+    : `${inlined.slice(0, bodyEnd)}    ${scripts.join('\n    ')}\n${inlined.slice(bodyEnd)}`;
+
+  return inlineAssetSources(removeExternalMediaSources(withScripts), assets);
+}
+
+module.exports = { buildCompleteHtml, buildStandaloneHtml, writeGenerationFiles, writeSiteFiles, updateGenerationTokens };
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Width of the thumbnails shown in the app's gallery
+const THUMBNAIL_WIDTH = 320;
+
+// Create a store of finished generations backed by an append-only JSON
+// journal in historyDir, like the task store. Each entry is keyed by its
+// generation ID and keeps the result; its thumbnail and source media are
+// files in a directory of the same name.
+function createHistoryStore(historyDir) {
+  const journalPath = path.join(historyDir, 'history.jsonl');
+  const entries = new Map();
+
+  fs.mkdirSync(historyDir, { recursive: true });
+
+  // Replay the journal to rebuild the last known state of every entry
+  if (fs.existsSync(journalPath)) {
+    fs.readFileSync(journalPath, 'utf8').split('\n').forEach(line => {
+      if (!line.trim()) return;
+
+      try {
+        const entry = JSON.parse(line);
+
+        if (entry.type === 'delete') {
+          entries.delete(entry.id);
+        } else {
+          entries.set(entry.id, { ...(entries.get(entry.id) || {}), ...entry.entry });
+        }
+      } catch (error) {
+        // A half-written last line is expected after a crash
+        console.error('Skipping unreadable history journal entry');
+      }
+    });
+  }
+
+  // Compact the journal down to one entry per generation
+  const compacted = Array.from(entries.entries())
+    .map(([id, entry]) => JSON.stringify({ type: 'set', id, entry }))
+    .join('\n');
+  fs.writeFileSync(journalPath, compacted ? compacted + '\n' : '');
+
+  function append(line) {
+    fs.appendFileSync(journalPath, JSON.stringify(line) + '\n');
+  }
+
+  function getEntryDir(id) {
+    return path.join(historyDir, id);
+  }
+
+  // Add the entry of a finished generation. `thumbnailImage` is scaled down
+  // for the gallery; `source` is the uploaded media a refinement of the
+  // result compares against, if it can be refined.
+  async function add(id, fields, { thumbnailImage = null, source = null } = {}) {
+    const entryDir = getEntryDir(id);
+    fs.mkdirSync(entryDir, { recursive: true });
+
+    if (thumbnailImage) {
+      await sharp(thumbnailImage)
+        .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+        .jpeg({ quality: 80 })
+        .toFile(path.join(entryDir, 'thumbnail.jpg'));
+    }
+    if (source) {
+      fs.writeFileSync(path.join(entryDir, 'source'), source.buffer);
+    }
+
+    const entry = {
+      id,
+      createdAt: Date.now(),
+      pinned: false,
+      ...fields,
+      hasThumbnail: Boolean(thumbnailImage),
+      sourceMimeType: source ? source.mimetype : null
+    };
+
+    entries.set(id, entry);
+    append({ type: 'set', id, entry });
+    return entry;
+  }
+
+  function update(id, changes) {
+    const entry = entries.get(id);
+    if (!entry) return null;
+
+    const updated = { ...entry, ...changes };
+    entries.set(id, updated);
+    append({ type: 'set', id, entry: changes });
+    return updated;
+  }
+
+  // Remove an entry together with its thumbnail and source media
+  function remove(id) {
+    if (!entries.delete(id)) return false;
+
+    append({ type: 'delete', id });
+    fs.rmSync(getEntryDir(id), { recursive: true, force: true });
+    return true;
+  }
+
+  function get(id) {
+    return entries.get(id) || null;
+  }
+
+  // List entries newest first
+  function list() {
+    return Array.from(entries.values()).sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // Path of the thumbnail or source media of an entry, if it has one
+  function getFilePath(id, name) {
+    const entry = entries.get(id);
+    const exists = name === 'thumbnail' ? entry?.hasThumbnail : Boolean(entry?.sourceMimeType);
+    return exists ? path.join(getEntryDir(id), name === 'thumbnail' ? 'thumbnail.jpg' : 'source') : null;
+  }
+
+  return { add, update, remove, get, list, getFilePath };
+}
+
+module.exports = { createHistoryStore };
@@ -0,0 +1,190 @@
+const { splitFencedBlocks } = require('./codeExtractor');
+
+// The interactions of a video as a state machine: the states the UI goes
+// through, and for every transition the element that triggers it, the
+// event, its animation and the frames it was seen in. The model writes it
+// from the interaction summary; it is shipped as interactions.json, and the
+// generated script.js must implement it. src/lib/interactions.ts mirrors
+// its shape for the front end.
+
+const INTERACTION_MODEL_VERSION = 1;
+
+// Events a transition can be triggered by. `hover` means the pointer moving
+// onto the trigger; `timer` needs no trigger element.
+const EVENT_TYPES = ['click', 'dblclick', 'hover', 'focus', 'input', 'change', 'submit', 'keydown', 'scroll', 'timer'];
+
+// Attribute of <body> that the generated script keeps set to the current state
+const STATE_ATTRIBUTE = 'data-ui-state';
+
+const MAX_STATES = 20;
+const MAX_TRANSITIONS = 40;
+const MAX_DURATION_MS = 10000;
+const MAX_TEXT_LENGTH = 300;
+
+const STATE_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Characters an easing function or animated property never needs
+const UNSAFE_CSS_PATTERN = /[;{}<>"]/;
+
+// Prompt asking for the state machine of the interactions of a video
+function createInteractionModelPrompt({ frames, duration, summary }) {
+  const frameList = frames
+    .map(frame => `- Frame ${frame.index + 1} at ${frame.timestamp.toFixed(2)} seconds${frame.note ? ` (noted: "${frame.note}")` : ''}`)
+    .join('\n');
+
+  return `Here is the summary of the UI interactions in the ${duration.toFixed(1)}-second video:
+
+${summary}
+
+The video was analyzed from these frames:
+${frameList}
+
+Describe these interactions as a state machine of the UI, so a script can implement them and a test can replay them.
+
+Answer with JSON only, in one code block:
+\`\`\`json
+{
+  "initialState": "idle",
+  "states": [
+    {"id": "idle", "description": "The form is empty and the Save button is disabled", "frames": [1]},
+    {"id": "saved", "description": "A green toast confirms the save", "frames": [3]}
+  ],
+  "transitions": [
+    {
+      "from": "idle",
+      "to": "saved",
+      "event": "click",
+      "trigger": {"selector": "#save-button", "description": "Save button below the form"},
+      "value": null,
+      "animation": {"properties": ["opacity", "transform"], "durationMs": 200, "easing": "ease-out"},
+      "frames": [2, 3]
+    }
+  ]
+}
+\`\`\`
+
+Rules:
+- State IDs are short kebab-case names. Every state that the frames show is listed, with the numbers of the frames that show it.
+- "event" is one of ${EVENT_TYPES.join(', ')}. Use hover for the pointer moving onto an element and timer for changes that happen without user input.
+- "selector" is a CSS selector of the element the user acts on, preferably an ID the markup will have. It is null only for timer.
+- "value" is the text typed for input and change events and the key for keydown, otherwise null.
+- "animation" is null when the change is instant. "durationMs" and "easing" (a CSS easing function) are as seen in the frames.
+- "frames" lists the numbers of the frames the transition was seen in.`;
+}
+
+function toText(value, maxLength = MAX_TEXT_LENGTH) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+// Turn a state name such as "Menu open" into an ID such as "menu-open"
+function toStateId(value) {
+  return toText(value, 60).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Frame numbers of the model's answer as the index and timestamp of the
+// extracted frames they refer to
+function toFrameRefs(numbers, frames) {
+  if (!Array.isArray(numbers)) return [];
+
+  return [...new Set(numbers.map(Number))]
+    .filter(number => Number.isInteger(number) && number >= 1 && number <= frames.length)
+    .sort((a, b) => a - b)
+    .map(number => ({ index: number - 1, timestamp: frames[number - 1].timestamp }));
+}
+
+function toAnimation(animation) {
+  if (!animation || typeof animation !== 'object') return null;
+
+  const durationMs = Math.round(Number(animation.durationMs));
+  if (!(durationMs > 0)) return null;
+
+  const easing = toText(animation.easing, 100);
+  const properties = Array.isArray(animation.properties)
+    ? animation.properties.map(property => toText(property, 60)).filter(property => property && !UNSAFE_CSS_PATTERN.test(property))
+    : [];
+
+  return {
+    properties,
+    durationMs: Math.min(durationMs, MAX_DURATION_MS),
+    easing: easing && !UNSAFE_CSS_PATTERN.test(easing) ? easing : 'ease'
+  };
+}
+
+// Read the model's answer into a state machine. States and transitions that
+// cannot be used are dropped; returns null when no state is left, rather
+// than failing the task.
+function parseInteractionModel(text, frames) {
+  const fences = splitFencedBlocks(text).filter(segment => segment.type === 'fence');
+  const source = (fences.find(fence => fence.language === 'json') || fences[0] || { content: text }).content;
+
+  let answer;
+  try {
+    answer = JSON.parse(source.slice(source.indexOf('{'), source.lastIndexOf('}') + 1));
+  } catch (error) {
+    return null;
+  }
+
+  const states = [];
+  (Array.isArray(answer.states) ? answer.states : []).forEach(state => {
+    const id = toStateId(state?.id);
+    if (!STATE_ID_PATTERN.test(id) || states.some(existing => existing.id === id) || states.length >= MAX_STATES) return;
+    states.push({ id, description: toText(state.description), frames: toFrameRefs(state.frames, frames) });
+  });
+  if (states.length === 0) return null;
+
+  const stateIds = states.map(state => state.id);
+  const transitions = [];
+  (Array.isArray(answer.transitions) ? answer.transitions : []).forEach(transition => {
+    const from = toStateId(transition?.from);
+    const to = toStateId(transition?.to);
+    const event = toText(transition?.event, 20).toLowerCase();
+    const selector = toText(transition?.trigger?.selector, 200);
+    if (!stateIds.includes(from) || !stateIds.includes(to) || !EVENT_TYPES.includes(event)) return;
+    if (event !== 'timer' && !selector) return;
+    if (transitions.length >= MAX_TRANSITIONS) return;
+
+    transitions.push({
+      id: `t${transitions.length + 1}`,
+      from,
+      to,
+      event,
+      trigger: event === 'timer' ? null : { selector, description: toText(transition.trigger.description) },
+      value: transition.value === null || transition.value === undefined ? null : toText(String(transition.value)),
+      animation: toAnimation(transition.animation),
+      frames: toFrameRefs(transition.frames, frames)
+    });
+  });
+
+  const initialState = toStateId(answer.initialState);
+
+  return {
+    version: INTERACTION_MODEL_VERSION,
+    initialState: stateIds.includes(initialState) ? initialState : stateIds[0],
+    states,
+    transitions
+  };
+}
+
+// Instructions that make the implementation prompt implement the state
+// machine in script.js
+function createInteractionContract(interactions) {
+  return `The interactions are specified by this state machine, which is shipped next to the page as interactions.json:
+
+\`\`\`json
+${JSON.stringify(interactions, null, 2)}
+\`\`\`
+
+The JavaScript MUST implement exactly this state machine:
+- Every trigger selector must match exactly one element of the markup; give elements the IDs used in the selectors.
+- Keep the ${STATE_ATTRIBUTE} attribute of <body> set to the ID of the current state, starting with "${interactions.initialState}" when the page loads.
+- When a trigger receives its event in the "from" state, move to the "to" state and show it as in the frames, animating with the given duration and easing.
+- hover means mouseenter on the trigger; timer transitions happen on their own after the time between their frames.`;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  STATE_ATTRIBUTE,
+  createInteractionModelPrompt,
+  parseInteractionModel,
+  createInteractionContract
+};
@@ -0,0 +1,228 @@
+const { setTimeout: sleep } = require('timers/promises');
+const sharp = require('sharp');
+const { withRenderedPage, compareImages } = require('./visualDiff');
+const { STATE_ATTRIBUTE } = require('./interactionModel');
+
+// Checks that the script of a page generated from a video behaves like the
+// recording: the transitions of the interaction model are replayed in
+// headless Chrome from the initial state, and after every action the page is
+// screenshotted and compared with the frame that shows the state it should
+// be in, and its state attribute with that state.
+
+// SSIM from which a step's screenshot counts as showing its frame. Lower than
+// the refine loop's target, as recordings have cursors and compression noise.
+const REPLAY_SIMILARITY_THRESHOLD = 0.7;
+
+// Time given to the page after an action on top of its animation
+const SETTLE_MS = 150;
+
+// Longest wait for a timer transition or an animation to finish
+const MAX_WAIT_MS = 5000;
+
+// Most transitions replayed; the model lists at most 40
+const MAX_REPLAY_STEPS = 20;
+
+function getFirstFrame(frameRefs) {
+  return frameRefs.length > 0 ? frameRefs[0] : null;
+}
+
+function getLastFrame(frameRefs) {
+  return frameRefs.length > 0 ? frameRefs[frameRefs.length - 1] : null;
+}
+
+// Order the transitions as they happen in the video: from the initial state,
+// follow the earliest seen transition out of the current state that has not
+// been replayed. Transitions that cannot be reached this way are skipped.
+function planReplay(interactions) {
+  const byFirstFrame = [...interactions.transitions].sort((a, b) => {
+    const frameA = getFirstFrame(a.frames);
+    const frameB = getFirstFrame(b.frames);
+    return (frameA ? frameA.index : Infinity) - (frameB ? frameB.index : Infinity);
+  });
+
+  const planned = [];
+  let state = interactions.initialState;
+  while (planned.length < MAX_REPLAY_STEPS) {
+    const next = byFirstFrame.find(transition => transition.from === state && !planned.includes(transition));
+    if (!next) break;
+    planned.push(next);
+    state = next.to;
+  }
+
+  return planned;
+}
+
+// The frame a state is expected to look like after a transition into it:
+// the last frame the transition was seen in, else the first of the state
+function getExpectedFrame(interactions, stateId, transition = null) {
+  const state = interactions.states.find(item => item.id === stateId);
+  return (transition && getLastFrame(transition.frames)) || (state && getFirstFrame(state.frames)) || null;
+}
+
+// How long to wait for a transition to show: a timer fires after the time
+// between the frames of its states, and animations have their duration
+function getWaitTime(interactions, transition) {
+  let wait = transition.animation ? transition.animation.durationMs : 0;
+
+  if (transition.event === 'timer') {
+    const fromFrame = getExpectedFrame(interactions, transition.from);
+    const toFrame = getExpectedFrame(interactions, transition.to, transition);
+    if (fromFrame && toFrame && toFrame.timestamp > fromFrame.timestamp) {
+      wait += (toFrame.timestamp - fromFrame.timestamp) * 1000;
+    }
+  }
+
+  return Math.min(wait, MAX_WAIT_MS) + SETTLE_MS;
+}
+
+// Perform the user action of a transition on the page
+async function performAction(page, transition) {
+  if (transition.event === 'timer') return;
+
+  const { selector } = transition.trigger;
+  const element = await page.$(selector);
+  if (!element) {
+    throw new Error(`No element matches ${selector}`);
+  }
+
+  switch (transition.event) {
+    case 'click':
+      await page.click(selector);
+      break;
+    case 'dblclick':
+      await page.click(selector, { count: 2 });
+      break;
+    case 'hover':
+      await page.hover(selector);
+      break;
+    case 'focus':
+      await page.focus(selector);
+      break;
+    case 'input':
+    case 'change':
+      // Replace what the field holds with the recorded value
+      await element.evaluate(field => {
+        field.value = '';
+      });
+      await page.type(selector, transition.value || '');
+      if (transition.event === 'change') {
+        await element.evaluate(field => field.dispatchEvent(new Event('change', { bubbles: true })));
+      }
+      break;
+    case 'submit':
+      await element.evaluate(form => (form.requestSubmit ? form.requestSubmit() : form.submit()));
+      break;
+    case 'keydown':
+      await page.focus(selector);
+      await page.keyboard.press(transition.value || 'Enter');
+      break;
+    case 'scroll':
+      await element.evaluate(target => target.scrollIntoView());
+      break;
+  }
+}
+
+// Screenshot the page and compare it with its expected state and frame
+async function checkStep(page, { expectedState, frame, frames, width, height }) {
+  const screenshot = Buffer.from(await page.screenshot({ type: 'png', clip: { x: 0, y: 0, width, height } }));
+  const actualState = await page.evaluate(attribute => document.body.getAttribute(attribute), STATE_ATTRIBUTE);
+  const scores = frame ? await compareImages(frames[frame.index].buffer, screenshot) : null;
+
+  return {
+    screenshot,
+    actualState,
+    ssim: scores ? scores.ssim : null,
+    pixelSimilarity: scores ? scores.pixelSimilarity : null
+  };
+}
+
+function describeStep(index, transition, expectedState, frame, check, error = null) {
+  const stateMatches = check !== null && check.actualState === expectedState;
+  const looksLikeFrame = check !== null && (check.ssim === null || check.ssim >= REPLAY_SIMILARITY_THRESHOLD);
+
+  return {
+    index,
+    transition: transition
+      ? { id: transition.id, from: transition.from, event: transition.event, selector: transition.trigger?.selector || null, value: transition.value }
+      : null,
+    expectedState,
+    actualState: check ? check.actualState : null,
+    frame,
+    ssim: check ? check.ssim : null,
+    pixelSimilarity: check ? check.pixelSimilarity : null,
+    passed: !error && stateMatches && looksLikeFrame,
+    error,
+    screenshot: check ? check.screenshot : null
+  };
+}
+
+// Load a complete HTML document at the size of the video's frames, then
+// replay the planned transitions. Step 0 is the page as loaded. Returns the
+// report, with the PNG screenshot of every step as a buffer.
+async function replayInteractions(html, { interactions, frames, signal }) {
+  const { width, height } = await sharp(frames[0].buffer).metadata();
+  const transitions = planReplay(interactions);
+
+  const steps = await withRenderedPage(html, { width, height, signal }, async page => {
+    const check = (expectedState, frame) => checkStep(page, { expectedState, frame, frames, width, height });
+    const initialFrame = getExpectedFrame(interactions, interactions.initialState) || { index: 0, timestamp: frames[0].timestamp };
+
+    await sleep(SETTLE_MS, undefined, { signal });
+    const results = [describeStep(0, null, interactions.initialState, initialFrame, await check(interactions.initialState, initialFrame))];
+
+    for (const transition of transitions) {
+      signal?.throwIfAborted();
+      const frame = getExpectedFrame(interactions, transition.to, transition);
+
+      try {
+        await performAction(page, transition);
+        await sleep(getWaitTime(interactions, transition), undefined, { signal });
+        results.push(describeStep(results.length, transition, transition.to, frame, await check(transition.to, frame)));
+      } catch (error) {
+        signal?.throwIfAborted();
+        // The page may still be checked after an action that failed halfway
+        const screenshotCheck = await check(transition.to, frame).catch(() => null);
+        results.push(describeStep(results.length, transition, transition.to, frame, screenshotCheck, error.message));
+      }
+    }
+
+    return results;
+  });
+
+  const passedCount = steps.filter(step => step.passed).length;
+  return {
+    threshold: REPLAY_SIMILARITY_THRESHOLD,
+    passed: passedCount,
+    failed: steps.length - passedCount,
+    skippedTransitions: interactions.transitions.length - transitions.length,
+    steps
+  };
+}
+
+// Describe a replay for messages, e.g. "3 of 4 replay steps passed"
+function formatReplay(replay) {
+  if (!replay) return 'interactions could not be replayed';
+  return `${replay.passed} of ${replay.steps.length} replay step${replay.steps.length === 1 ? '' : 's'} passed`;
+}
+
+// Describe a replay for the README of a generation, one line per step
+function formatReplayForReadme(replay) {
+  if (!replay) return '';
+
+  const steps = replay.steps.map(step => {
+    const action = step.transition
+      ? `${step.transition.event}${step.transition.selector ? ` ${step.transition.selector}` : ''}`
+      : 'page load';
+    const similarity = step.ssim === null ? '' : `, SSIM ${step.ssim.toFixed(2)}`;
+    const failure = step.error ? `: ${step.error}` : '';
+    return `- Step ${step.index}, ${action}: ${step.passed ? 'passed' : 'failed'} (state ${step.actualState || 'not set'}, expected ${step.expectedState}${similarity})${failure}`;
+  });
+
+  return `
+## Interaction Replay
+script.js was checked by replaying the transitions of interactions.json in headless Chrome; a step passes when the page is in the expected state and looks like its frame with an SSIM of at least ${replay.threshold}. ${formatReplay(replay)}.
+${steps.join('\n')}
+`;
+}
+
+module.exports = { REPLAY_SIMILARITY_THRESHOLD, planReplay, replayInteractions, formatReplay, formatReplayForReadme };
@@ -0,0 +1,106 @@
+// In-memory job queue with a global concurrency limit and a per-key limit,
+// so one API key cannot take every slot. Waiting jobs run by priority
+// (highest first), then in the order they were added.
+
+// Assumed run time until the first jobs have finished
+const DEFAULT_RUN_MS = 60000;
+
+// Number of finished jobs the average run time is taken over
+const RUN_TIME_SAMPLES = 20;
+
+function createJobQueue({ concurrency = 2, perKeyConcurrency = 1, onChange } = {}) {
+  const waiting = [];
+  const running = new Map();
+  const runTimes = [];
+
+  function runningForKey(key) {
+    let count = 0;
+    running.forEach(job => {
+      if (job.key === key) count++;
+    });
+    return count;
+  }
+
+  function notify() {
+    if (onChange) onChange(waiting.map(job => job.id));
+  }
+
+  // Start as many waiting jobs as the limits allow; returns whether any started
+  function pump() {
+    let started = false;
+
+    while (running.size < concurrency) {
+      const index = waiting.findIndex(job => runningForKey(job.key) < perKeyConcurrency);
+      if (index === -1) break;
+
+      const [job] = waiting.splice(index, 1);
+      start(job);
+      started = true;
+    }
+
+    if (started) notify();
+    return started;
+  }
+
+  function start(job) {
+    const startedAt = Date.now();
+    running.set(job.id, job);
+
+    Promise.resolve()
+      .then(job.run)
+      .catch(error => console.error(`Queued job ${job.id} failed:`, error))
+      .finally(() => {
+        running.delete(job.id);
+        runTimes.push(Date.now() - startedAt);
+        if (runTimes.length > RUN_TIME_SAMPLES) runTimes.shift();
+        pump();
+      });
+  }
+
+  // Add a job; `run` is called once a slot is free and should not throw
+  function enqueue(id, { key = 'default', priority = 0, run }) {
+    const job = { id, key, priority, run };
+
+    // Insert after every job of the same or higher priority
+    const index = waiting.findIndex(other => other.priority < priority);
+    waiting.splice(index === -1 ? waiting.length : index, 0, job);
+
+    // Only report positions once it is clear whether the job could start
+    if (!pump()) notify();
+  }
+
+  // Drop a job that has not started yet; returns whether it was waiting
+  function remove(id) {
+    const index = waiting.findIndex(job => job.id === id);
+    if (index === -1) return false;
+
+    waiting.splice(index, 1);
+    if (!pump()) notify();
+    return true;
+  }
+
+  // 1-based place in line, or null when the job is not waiting
+  function getPosition(id) {
+    const index = waiting.findIndex(job => job.id === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  // Rough wait until a job starts, from the average run time of recent jobs
+  function getEstimatedWaitMs(id) {
+    const position = getPosition(id);
+    if (position === null) return null;
+
+    const averageRunMs = runTimes.length
+      ? runTimes.reduce((sum, time) => sum + time, 0) / runTimes.length
+      : DEFAULT_RUN_MS;
+    return Math.ceil(position / concurrency) * averageRunMs;
+  }
+
+  function getStats() {
+    return { running: running.size, waiting: waiting.length, concurrency, perKeyConcurrency };
+  }
+
+  return { enqueue, remove, getPosition, getEstimatedWaitMs, getStats };
+}
+
+module.exports = { createJobQueue };
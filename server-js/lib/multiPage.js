@@ -0,0 +1,155 @@
+const { splitFencedBlocks, getAttribute } = require('./codeExtractor');
+
+// Multi-screen projects: several screenshots of one site become linked pages.
+// One model call writes what the screens share (a stylesheet and components
+// such as the header), then each page is written on its own. Pages place the
+// shared components with placeholders that are filled in here, so every page
+// gets the exact same header.
+
+const MAX_SCREENS = 12;
+
+const COMPONENT_TEMPLATE_PATTERN = /<template\b([^>]*)>([\s\S]*?)<\/template>/gi;
+
+// An element whose only job is to stand in for a shared component, e.g.
+// <div data-component="site-header"></div>
+const COMPONENT_PLACEHOLDER_PATTERN = /<([a-z][\w-]*)\b([^>]*\bdata-component\s*=[^>]*?)(?:\/>|>\s*<\/\1>)/gi;
+
+function toSlug(name, fallback) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || fallback;
+}
+
+// Give every screen a page file: the first one is index.html, the others are
+// named after the screen
+function planPages(names) {
+  const usedSlugs = new Set(['index']);
+
+  return names.map((name, index) => {
+    if (index === 0) {
+      return { name, slug: 'index', file: 'index.html' };
+    }
+
+    const base = toSlug(name, `page-${index + 1}`);
+    let slug = base;
+    for (let suffix = 2; usedSlugs.has(slug); suffix++) {
+      slug = `${base}-${suffix}`;
+    }
+    usedSlugs.add(slug);
+    return { name, slug, file: `${slug}.html` };
+  });
+}
+
+function formatPageList(pages) {
+  return pages.map((page, index) => `${index + 1}. ${page.name} - ${page.file}`).join('\n');
+}
+
+// Prompt for the parts all screens share. The screens follow it as images,
+// in the order of `pages`.
+function createSharedLayoutPrompt(pages, tokenInstructions = '') {
+  return `These ${pages.length} images are screens of one website, in this order:
+${formatPageList(pages)}
+
+Each screen becomes its own HTML page. Before the pages are written, write what the screens have in common:
+
+1. A shared stylesheet with the layout, colors, typography and the styles of every component below. Leave out styles that only one screen needs.
+2. The HTML of every component that appears on two or more screens, such as the header, the navigation, a sidebar or the footer. Put each one in a <template data-component="name"> element with a short kebab-case name.
+
+Navigation items, buttons and links that lead to another screen must link to its page file, e.g. <a href="${pages[pages.length - 1].file}">. Do not mark a current page in the components; that is done per page.
+
+Answer with one \`\`\`css code block for the stylesheet and one \`\`\`html code block with all <template> elements.${tokenInstructions}`;
+}
+
+// Read the shared stylesheet and components from the model's answer
+function parseSharedLayout(text) {
+  const fences = splitFencedBlocks(text).filter(segment => segment.type === 'fence');
+  const css = fences
+    .filter(fence => fence.language === 'css')
+    .map(fence => fence.content.trim())
+    .join('\n\n');
+
+  const usedNames = new Set();
+  const components = [];
+  const markup = fences.filter(fence => fence.language !== 'css').map(fence => fence.content).join('\n');
+  for (const [, attributes, html] of markup.matchAll(COMPONENT_TEMPLATE_PATTERN)) {
+    const base = toSlug(getAttribute(attributes, 'data-component'), 'component');
+    let name = base;
+    for (let suffix = 2; usedNames.has(name); suffix++) {
+      name = `${base}-${suffix}`;
+    }
+    usedNames.add(name);
+    components.push({ name, html: html.trim() });
+  }
+
+  return { css, components };
+}
+
+// Prompt for the page of one screen, which is sent along as an image
+function createPagePrompt(page, pages, layout, tokenInstructions = '') {
+  const components = layout.components.length > 0
+    ? `These shared components are filled in for you. Wherever one appears on this screen, write an empty placeholder such as <div data-component="${layout.components[0].name}"></div> instead of its markup:
+${layout.components.map(component => `
+\`\`\`html
+<!-- ${component.name} -->
+${component.html}
+\`\`\``).join('\n')}
+`
+    : '';
+
+  return `This image is the screen "${page.name}" of a website with these pages:
+${formatPageList(pages)}
+
+Write ${page.file}, the page of this screen. The site's shared stylesheet is already loaded on every page:
+
+\`\`\`css
+${layout.css}
+\`\`\`
+
+${components}
+Only write what this page adds: the HTML of the body, CSS for styles the shared stylesheet does not have yet, and JavaScript if the page has interactions. Navigation items, buttons and links that lead to another screen must link to its page file.
+
+Provide the HTML, CSS and JavaScript in separate code blocks.${tokenInstructions}`;
+}
+
+// Fill the component placeholders of a page with the shared markup, marking
+// the component links to the page itself with aria-current. Placeholders of
+// unknown components are left alone.
+function includeComponents(html, components, { currentFile } = {}) {
+  const markupByName = new Map(components.map(component => [component.name, component.html]));
+
+  return html.replace(COMPONENT_PLACEHOLDER_PATTERN, (placeholder, tag, attributes) => {
+    const markup = markupByName.get(getAttribute(attributes, 'data-component'));
+    if (markup === undefined) return placeholder;
+
+    return markup.replace(/<a\b([^>]*)>/gi, (link, linkAttributes) => {
+      const href = (getAttribute(linkAttributes, 'href') || '').replace(/^\.\//, '');
+      return href === currentFile && getAttribute(linkAttributes, 'aria-current') === null
+        ? `<a${linkAttributes} aria-current="page">`
+        : link;
+    });
+  });
+}
+
+// The page files some markup links to
+function findPageLinks(html, pages) {
+  const files = new Set(pages.map(page => page.file));
+  const links = new Set();
+
+  for (const [, href] of html.matchAll(/\bhref\s*=\s*["']([^"'#?]+)/gi)) {
+    const file = href.replace(/^\.\//, '');
+    if (files.has(file)) links.add(file);
+  }
+  return pages.map(page => page.file).filter(file => links.has(file));
+}
+
+module.exports = {
+  MAX_SCREENS,
+  planPages,
+  createSharedLayoutPrompt,
+  parseSharedLayout,
+  createPagePrompt,
+  includeComponents,
+  findPageLinks
+};
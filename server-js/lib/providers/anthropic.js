@@ -0,0 +1,25 @@
+const { Anthropic } = require('@anthropic-ai/sdk');
+
+// Provider backed by the Anthropic Messages API.
+// The pipeline already speaks the Anthropic message format, so requests and
+// responses pass through unchanged.
+function createAnthropicProvider({ apiKey }) {
+  const anthropic = new Anthropic({ apiKey });
+
+  return {
+    name: 'anthropic',
+
+    async createMessage(options, { signal } = {}) {
+      return anthropic.messages.create(options, { signal });
+    },
+
+    // Stream the response, calling onText with each text delta
+    async streamMessage(options, { signal, onText } = {}) {
+      const stream = anthropic.messages.stream(options, { signal });
+      stream.on('text', delta => onText(delta));
+      return stream.finalMessage();
+    }
+  };
+}
+
+module.exports = { createAnthropicProvider };
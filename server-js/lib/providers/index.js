@@ -0,0 +1,51 @@
+const { createAnthropicProvider } = require('./anthropic');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const { createMockProvider } = require('./mock');
+
+// Every provider exposes createMessage(options, { signal }) and
+// streamMessage(options, { signal, onText }), which take and return messages
+// in the Anthropic Messages API shape.
+const PROVIDERS = {
+  anthropic: {
+    requiresApiKey: true,
+    create: ({ apiKey }) => createAnthropicProvider({ apiKey })
+  },
+  'openai-compatible': {
+    requiresApiKey: false,
+    create: ({ apiKey, baseUrl }) => createOpenAICompatibleProvider({
+      apiKey,
+      baseUrl: baseUrl || process.env.OPENAI_COMPATIBLE_BASE_URL
+    })
+  },
+  mock: {
+    requiresApiKey: false,
+    create: () => createMockProvider()
+  }
+};
+
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'anthropic';
+
+function isKnownProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+function providerRequiresApiKey(name) {
+  return isKnownProvider(name) && PROVIDERS[name].requiresApiKey;
+}
+
+// Create a provider instance for one task
+function createProvider({ name = DEFAULT_PROVIDER, apiKey, baseUrl } = {}) {
+  if (!isKnownProvider(name)) {
+    throw new Error(`Unknown provider: ${name}`);
+  }
+
+  return PROVIDERS[name].create({ apiKey, baseUrl });
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  PROVIDER_NAMES: Object.keys(PROVIDERS),
+  createProvider,
+  isKnownProvider,
+  providerRequiresApiKey
+};
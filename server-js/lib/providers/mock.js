@@ -0,0 +1,375 @@
+const { setTimeout: sleep } = require('timers/promises');
+
+// Deterministic provider that never leaves the machine.
+// It answers every pipeline step with canned text so the whole app can be
+// developed and demoed offline without spending API credit.
+
+const MOCK_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Mock UI</title>
+  <style>
+    .mock-card {
+      max-width: 420px;
+      margin: 48px auto;
+      padding: 24px;
+      border-radius: 12px;
+      background: #ffffff;
+      box-shadow: 0 4px 16px rgba(15, 23, 42, 0.12);
+      font-family: system-ui, sans-serif;
+    }
+    .mock-card h1 {
+      margin: 0 0 8px;
+      color: #0f172a;
+    }
+    .mock-card p {
+      margin: 0 0 16px;
+      color: #475569;
+    }
+    .mock-button {
+      padding: 10px 20px;
+      border: none;
+      border-radius: 8px;
+      background: #2563eb;
+      color: #ffffff;
+      cursor: pointer;
+      transition: background 150ms ease-in-out;
+    }
+    .mock-button.is-active {
+      background: #16a34a;
+    }
+  </style>
+</head>
+<body>
+  <main class="mock-card">
+    <h1>Mock UI Replication</h1>
+    <p>This page was produced by the mock provider. No model was called.</p>
+    <button class="mock-button" id="mock-toggle" type="button">Click me</button>
+  </main>
+  <script>
+    const toggle = document.getElementById('mock-toggle');
+    document.body.dataset.uiState = 'idle';
+    toggle.addEventListener('click', () => {
+      const isActive = toggle.classList.toggle('is-active');
+      toggle.textContent = isActive ? 'Clicked!' : 'Click me';
+      document.body.dataset.uiState = isActive ? 'active' : 'idle';
+    });
+  </script>
+</body>
+</html>`;
+
+const MOCK_FRAME_ANALYSIS = 'The primary button changed from blue to green and its label changed, most likely because the user clicked it. The transition takes about 150ms with ease-in-out easing.';
+
+const MOCK_INTERACTION_SUMMARY = `1. A single primary button ("Click me") is the only interactive element.
+2. Clicking it toggles an active state: the background turns green and the label reads "Clicked!".
+3. Clicking again restores the original blue button.
+4. The background color transitions over 150ms with ease-in-out easing.`;
+
+// The interactions of MOCK_INTERACTION_SUMMARY as a state machine
+const MOCK_INTERACTIONS = `\`\`\`json
+{
+  "initialState": "idle",
+  "states": [
+    {"id": "idle", "description": "The blue button reads \\"Click me\\"", "frames": [1]},
+    {"id": "active", "description": "The button is green and reads \\"Clicked!\\"", "frames": [2]}
+  ],
+  "transitions": [
+    {"from": "idle", "to": "active", "event": "click", "trigger": {"selector": "#mock-toggle", "description": "Primary button"}, "value": null, "animation": {"properties": ["background-color"], "durationMs": 150, "easing": "ease-in-out"}, "frames": [2]},
+    {"from": "active", "to": "idle", "event": "click", "trigger": {"selector": "#mock-toggle", "description": "Primary button"}, "value": null, "animation": {"properties": ["background-color"], "durationMs": 150, "easing": "ease-in-out"}, "frames": [3]}
+  ]
+}
+\`\`\``;
+
+// Conversions of MOCK_HTML, keyed by the framework named in the prompt
+const MOCK_COMPONENTS = {
+  React: `\`\`\`tsx
+import { useState } from 'react';
+
+export default function App() {
+  const [isActive, setIsActive] = useState(false);
+
+  return (
+    <main className="mock-card">
+      <h1>Mock UI Replication</h1>
+      <p>This page was produced by the mock provider. No model was called.</p>
+      <button
+        className={\`mock-button\${isActive ? ' is-active' : ''}\`}
+        id="mock-toggle"
+        type="button"
+        onClick={() => setIsActive(active => !active)}
+      >
+        {isActive ? 'Clicked!' : 'Click me'}
+      </button>
+    </main>
+  );
+}
+\`\`\``,
+  Vue: `\`\`\`vue
+<script setup>
+import { ref } from 'vue';
+
+const isActive = ref(false);
+</script>
+
+<template>
+  <main class="mock-card">
+    <h1>Mock UI Replication</h1>
+    <p>This page was produced by the mock provider. No model was called.</p>
+    <button
+      class="mock-button"
+      :class="{ 'is-active': isActive }"
+      id="mock-toggle"
+      type="button"
+      @click="isActive = !isActive"
+    >
+      {{ isActive ? 'Clicked!' : 'Click me' }}
+    </button>
+  </main>
+</template>
+\`\`\``,
+  Svelte: `\`\`\`svelte
+<script>
+  let isActive = $state(false);
+</script>
+
+<main class="mock-card">
+  <h1>Mock UI Replication</h1>
+  <p>This page was produced by the mock provider. No model was called.</p>
+  <button
+    class="mock-button"
+    class:is-active={isActive}
+    id="mock-toggle"
+    type="button"
+    onclick={() => (isActive = !isActive)}
+  >
+    {isActive ? 'Clicked!' : 'Click me'}
+  </button>
+</main>
+\`\`\``
+};
+
+// Bounding boxes for the asset detection step; the mock page has no <img>
+const MOCK_ASSETS = `\`\`\`json
+{"assets": [{"name": "mock-card", "kind": "illustration", "x": 0, "y": 0, "width": 48, "height": 48, "image": null}]}
+\`\`\``;
+
+const MOCK_TYPOGRAPHY = `\`\`\`json
+{"font": {"family-heading": "system-ui, sans-serif", "family-body": "system-ui, sans-serif", "size-sm": "14px", "size-base": "16px", "size-2xl": "32px", "weight-regular": "400", "weight-bold": "700", "line-height-normal": "1.5"}}
+\`\`\``;
+
+// Pages of a multi-screen project as listed in its prompts, e.g. "2. Pricing - pricing.html"
+function listPromptPages(text) {
+  return [...text.matchAll(/^\d+\. (.+) - (\S+\.html)$/gm)].map(([, name, file]) => ({ name, file }));
+}
+
+// Shared layout of a multi-screen project: a header linking every page
+function getMockSharedLayout(text) {
+  const links = listPromptPages(text)
+    .map(page => `      <a href="${page.file}">${page.name}</a>`)
+    .join('\n');
+
+  return `\`\`\`css
+.mock-header {
+  display: flex;
+  gap: 16px;
+  padding: 16px 24px;
+  background: #0f172a;
+}
+.mock-header a {
+  color: #ffffff;
+  text-decoration: none;
+}
+.mock-header a[aria-current="page"] {
+  text-decoration: underline;
+}
+\`\`\`
+
+\`\`\`html
+<template data-component="site-header">
+  <header class="mock-header">
+    <nav>
+${links}
+    </nav>
+  </header>
+</template>
+\`\`\``;
+}
+
+// Page of a multi-screen project, linking to the next page
+function getMockPage(text) {
+  const [, name] = text.match(/the screen "([^"]*)"/) || [];
+  const pages = listPromptPages(text);
+  const index = pages.findIndex(page => page.name === name);
+  const next = pages[(index + 1) % pages.length];
+
+  return `\`\`\`html
+<div data-component="site-header"></div>
+<main class="mock-card">
+  <h1>${name}</h1>
+  <p>This page was produced by the mock provider. No model was called.</p>
+  <a class="mock-button" href="${next.file}">Go to ${next.name}</a>
+</main>
+\`\`\`
+
+\`\`\`css
+.mock-card {
+  max-width: 420px;
+  margin: 48px auto;
+  font-family: system-ui, sans-serif;
+}
+\`\`\``;
+}
+
+// Responsive page: stacked on mobile, two columns from the tablet width
+const MOCK_RESPONSIVE_HTML = `\`\`\`html
+<header class="mock-header">
+  <strong>Mock UI</strong>
+  <button class="mock-menu" type="button" aria-label="Menu">&#9776;</button>
+  <nav class="mock-nav"><a href="#">Home</a> <a href="#">About</a></nav>
+</header>
+<main class="mock-grid">
+  <section class="mock-card">
+    <h1>Mock UI Replication</h1>
+    <p>This page was produced by the mock provider. No model was called.</p>
+  </section>
+  <section class="mock-card">
+    <p>The columns stack on narrow screens.</p>
+  </section>
+</main>
+\`\`\`
+
+\`\`\`css
+.mock-header {
+  display: flex;
+  justify-content: space-between;
+  padding: 16px;
+}
+.mock-nav {
+  display: none;
+}
+.mock-grid {
+  display: grid;
+  gap: 16px;
+  padding: 16px;
+}
+.mock-card {
+  padding: 24px;
+  border-radius: 12px;
+  font-family: system-ui, sans-serif;
+}
+@media (min-width: 641px) {
+  .mock-menu {
+    display: none;
+  }
+  .mock-nav {
+    display: block;
+  }
+  .mock-grid {
+    grid-template-columns: 2fr 1fr;
+  }
+}
+\`\`\``;
+
+const MOCK_MATCH_ANALYSIS = 'The HTML is already a very good match for the design. No further improvements are needed.';
+
+// Pick a canned answer based on what the last user turn asks for
+function getMockResponseText(messages) {
+  const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+  const content = lastUserMessage ? lastUserMessage.content : '';
+  const text = typeof content === 'string'
+    ? content
+    : content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+
+  if (text.includes('analyze how well the HTML matches')) {
+    return MOCK_MATCH_ANALYSIS;
+  }
+  if (text.includes('This is frame')) {
+    return MOCK_FRAME_ANALYSIS;
+  }
+  if (text.includes('Describe these interactions as a state machine')) {
+    return MOCK_INTERACTIONS;
+  }
+  if (text.includes('summary of the UI interactions')) {
+    return MOCK_INTERACTION_SUMMARY;
+  }
+  if (text.includes('show the same UI at different screen widths')) {
+    return MOCK_RESPONSIVE_HTML;
+  }
+  if (text.includes('are screens of one website')) {
+    return getMockSharedLayout(text);
+  }
+  if (text.startsWith('This image is the screen')) {
+    return getMockPage(text);
+  }
+  if (text.includes('Look at the typography')) {
+    return MOCK_TYPOGRAPHY;
+  }
+  if (text.includes('Find the raster images')) {
+    return MOCK_ASSETS;
+  }
+  if (text.startsWith('Convert this page into')) {
+    const framework = Object.keys(MOCK_COMPONENTS).find(name => text.includes(`into a ${name}`));
+    return MOCK_COMPONENTS[framework] || MOCK_COMPONENTS.React;
+  }
+
+  return MOCK_HTML;
+}
+
+// Rough token estimate so usage numbers look plausible in demos
+function estimateTokens(messages) {
+  return messages.reduce((total, message) => {
+    const blocks = typeof message.content === 'string' ? [{ type: 'text', text: message.content }] : message.content;
+    return total + blocks.reduce((sum, block) => sum + (block.type === 'image' ? 1500 : Math.ceil((block.text || '').length / 4)), 0);
+  }, 0);
+}
+
+// Number of pieces a streamed mock response is split into
+const STREAM_CHUNKS = 40;
+
+function createMockProvider({ delayMs = Number(process.env.MOCK_PROVIDER_DELAY_MS) || 0 } = {}) {
+  function toMessage(options, text) {
+    return {
+      id: `mock_${Date.now()}`,
+      model: options.model,
+      role: 'assistant',
+      content: [{ type: 'text', text }],
+      stop_reason: 'end_turn',
+      usage: {
+        input_tokens: estimateTokens(options.messages),
+        output_tokens: Math.ceil(text.length / 4)
+      }
+    };
+  }
+
+  return {
+    name: 'mock',
+
+    async createMessage(options, { signal } = {}) {
+      // An optional delay makes progress reporting and cancellation visible
+      if (delayMs > 0) {
+        await sleep(delayMs, undefined, { signal });
+      }
+
+      return toMessage(options, getMockResponseText(options.messages));
+    },
+
+    // Stream the canned text in even pieces, spreading the delay across them
+    async streamMessage(options, { signal, onText } = {}) {
+      const text = getMockResponseText(options.messages);
+      const chunkSize = Math.ceil(text.length / STREAM_CHUNKS);
+
+      for (let i = 0; i < text.length; i += chunkSize) {
+        if (delayMs > 0) {
+          await sleep(delayMs / STREAM_CHUNKS, undefined, { signal });
+        }
+        signal?.throwIfAborted();
+        onText(text.slice(i, i + chunkSize));
+      }
+
+      return toMessage(options, text);
+    }
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,166 @@
+// Provider for any server that implements the OpenAI chat completions API,
+// e.g. locally hosted vision models behind Ollama, vLLM or LM Studio.
+
+// Convert an Anthropic-style content block list into OpenAI message content
+function toOpenAIContent(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  return content.map(block => {
+    if (block.type === 'image') {
+      return {
+        type: 'image_url',
+        image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` }
+      };
+    }
+
+    return { type: 'text', text: block.text };
+  });
+}
+
+function createOpenAICompatibleProvider({ apiKey, baseUrl }) {
+  if (!baseUrl) {
+    throw new Error('A base URL is required for the OpenAI-compatible provider');
+  }
+
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  // Build the chat completions request body from Anthropic-style options
+  function buildRequestBody(options, extra = {}) {
+    const messages = options.messages.map(message => ({
+      role: message.role,
+      // Most local servers only accept plain text for assistant turns
+      content: message.role === 'assistant'
+        ? toOpenAIContent(message.content).map(part => part.text || '').join('\n')
+        : toOpenAIContent(message.content)
+    }));
+
+    if (options.system) {
+      messages.unshift({ role: 'system', content: options.system });
+    }
+
+    return JSON.stringify({
+      model: options.model,
+      max_tokens: options.max_tokens,
+      messages,
+      ...extra
+    });
+  }
+
+  async function post(body, signal) {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body,
+      signal
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+
+      // Mirror the SDK error shape so retry and error handling work unchanged
+      const error = new Error(data.error?.message || `Request failed with status ${response.status}`);
+      error.status = response.status;
+      error.error = data.error;
+      throw error;
+    }
+
+    return response;
+  }
+
+  // Return a response in the Anthropic message shape used by the pipeline
+  function toAnthropicMessage({ id, model, text, finishReason, usage }) {
+    return {
+      id,
+      model,
+      role: 'assistant',
+      content: [{ type: 'text', text }],
+      stop_reason: finishReason === 'length' ? 'max_tokens' : 'end_turn',
+      usage: {
+        input_tokens: usage?.prompt_tokens || 0,
+        output_tokens: usage?.completion_tokens || 0
+      }
+    };
+  }
+
+  return {
+    name: 'openai-compatible',
+
+    async createMessage(options, { signal } = {}) {
+      const response = await post(buildRequestBody(options), signal);
+      const data = await response.json();
+      const choice = data.choices?.[0];
+
+      return toAnthropicMessage({
+        id: data.id,
+        model: data.model || options.model,
+        text: choice?.message?.content || '',
+        finishReason: choice?.finish_reason,
+        usage: data.usage
+      });
+    },
+
+    // Stream the response, calling onText with each text delta
+    async streamMessage(options, { signal, onText } = {}) {
+      const response = await post(
+        buildRequestBody(options, { stream: true, stream_options: { include_usage: true } }),
+        signal
+      );
+
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let text = '';
+      let id;
+      let finishReason;
+      let usage;
+
+      // Read the Server-Sent Events body one "data:" line at a time
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const data = line.startsWith('data:') ? line.slice(5).trim() : '';
+          if (!data || data === '[DONE]') continue;
+
+          // Keep-alives and other text some servers send as data are skipped
+          let event;
+          try {
+            event = JSON.parse(data);
+          } catch (error) {
+            continue;
+          }
+
+          // A server that fails mid-stream sends the error as an event
+          if (event.error) {
+            const error = new Error(`Model server error while streaming: ${event.error.message || JSON.stringify(event.error)}`);
+            error.status = Number(event.error.code) || 500;
+            error.error = event.error;
+            throw error;
+          }
+
+          const choice = event.choices?.[0];
+          const delta = choice?.delta?.content;
+
+          id = id || event.id;
+          finishReason = choice?.finish_reason || finishReason;
+          usage = event.usage || usage;
+
+          if (delta) {
+            text += delta;
+            onText(delta);
+          }
+        }
+      }
+
+      return toAnthropicMessage({ id, model: options.model, text, finishReason, usage });
+    }
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const postcss = require('postcss');
+
+// Compiles Tailwind CSS on the server with only the utilities a generated
+// page uses, so exported pages work offline and stay small. Each supported
+// major version is installed under its own alias (tailwindcss-v3, ...).
+
+const TAILWIND_VERSIONS = ['3', '4'];
+const DEFAULT_TAILWIND_VERSION = '3';
+
+// Entry stylesheet of each version, also written next to tailwind.config.js
+// so the CSS can be rebuilt with the Tailwind CLI
+const INPUT_CSS = {
+  3: '@tailwind base;\n@tailwind components;\n@tailwind utilities;\n',
+  4: '@import "tailwindcss";\n@config "./tailwind.config.js";\n'
+};
+
+// Command that rebuilds tailwind.css from the exported files
+const BUILD_COMMANDS = {
+  3: 'npx tailwindcss@3 -c tailwind.config.js -i tailwind.input.css -o tailwind.css',
+  4: 'npx @tailwindcss/cli@4 -i tailwind.input.css -o tailwind.css'
+};
+
+async function compileV3(sources) {
+  const tailwind = require('tailwindcss-v3');
+  const content = sources.map(raw => ({ raw, extension: 'html' }));
+  const result = await postcss([tailwind({ content })]).process(INPUT_CSS[3], { from: undefined });
+  return result.css;
+}
+
+// Resolve the stylesheets Tailwind 4 imports, e.g. `tailwindcss` and its
+// `./theme.css`, from the installed package
+async function loadV4Stylesheet(id, base) {
+  const packageDir = path.dirname(require.resolve('tailwindcss-v4/package.json'));
+  let filePath;
+  if (id === 'tailwindcss') {
+    filePath = path.join(packageDir, 'index.css');
+  } else if (id.startsWith('tailwindcss/')) {
+    filePath = path.join(packageDir, id.slice('tailwindcss/'.length));
+  } else {
+    filePath = path.resolve(base, id);
+  }
+
+  return { path: filePath, base: path.dirname(filePath), content: await fs.promises.readFile(filePath, 'utf8') };
+}
+
+async function compileV4(sources) {
+  const { compile } = require('tailwindcss-v4');
+  const compiler = await compile('@import "tailwindcss";', {
+    base: __dirname,
+    loadStylesheet: loadV4Stylesheet,
+    loadModule: async id => {
+      throw new Error(`Tailwind plugins and configs are not supported: ${id}`);
+    }
+  });
+
+  // Every token of the sources is a possible class; Tailwind skips the rest
+  const candidates = new Set(sources.join('\n').split(/[\s"'`<>={}();,]+/).filter(Boolean));
+  return compiler.build([...candidates]);
+}
+
+// Versions whose package is not installed, so that is only reported once
+const missingVersions = new Set();
+
+// Compile the utilities used by the given markup, scripts and components.
+// Without the package of the version, pages get no utilities rather than
+// failing to render or export.
+async function compileTailwind(sources, { version = DEFAULT_TAILWIND_VERSION } = {}) {
+  try {
+    return version === '4' ? await compileV4(sources) : await compileV3(sources);
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+
+    if (!missingVersions.has(version)) {
+      missingVersions.add(version);
+      console.error(`Tailwind CSS ${version} is not installed (tailwindcss-v${version}); pages are written without its utilities`);
+    }
+    return '';
+  }
+}
+
+// tailwind.config.js and the entry stylesheet for rebuilding tailwind.css
+// from the exported files
+function buildTailwindConfigFiles(version, contentGlobs) {
+  const config = `/** @type {import('tailwindcss').Config} */
+module.exports = {
+  content: [${contentGlobs.map(glob => `'${glob}'`).join(', ')}],
+  theme: {
+    extend: {}
+  },
+  plugins: []
+};
+`;
+
+  return [
+    { path: 'tailwind.config.js', content: config },
+    { path: 'tailwind.input.css', content: INPUT_CSS[version] }
+  ];
+}
+
+module.exports = {
+  TAILWIND_VERSIONS,
+  DEFAULT_TAILWIND_VERSION,
+  BUILD_COMMANDS,
+  compileTailwind,
+  buildTailwindConfigFiles
+};
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// Statuses that mean a task is still waiting or running in this process
+const ACTIVE_STATUSES = ['queued', 'processing'];
+
+// Size the journal may grow to through updates before it is compacted again
+const MAX_JOURNAL_GROWTH = 4 * 1024 * 1024;
+
+// Create a task store backed by an append-only JSON journal.
+// Every change is written as one line so a crash or nodemon reload never
+// loses more than the update that was in flight. Only the fields an update
+// changes are written; partial model output is published, never journaled.
+function createTaskStore(journalPath) {
+  const tasks = new Map();
+  const events = new EventEmitter();
+
+  // Every open event stream adds a listener, so lift the default cap
+  events.setMaxListeners(0);
+
+  fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+
+  // Replay the journal to rebuild the last known state of every task
+  if (fs.existsSync(journalPath)) {
+    const lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+
+    lines.forEach(line => {
+      if (!line.trim()) return;
+
+      try {
+        const entry = JSON.parse(line);
+
+        if (entry.type === 'delete') {
+          tasks.delete(entry.taskId);
+        } else {
+          const task = { ...(tasks.get(entry.taskId) || {}), ...entry.task };
+          if (entry.historyEntry) {
+            task.history = [...(task.history || []), entry.historyEntry];
+          }
+          tasks.set(entry.taskId, task);
+        }
+      } catch (error) {
+        // A half-written last line is expected after a crash
+        console.error('Skipping unreadable task journal entry');
+      }
+    });
+  }
+
+  // Tasks that were running when the server went down can never finish now
+  tasks.forEach((task, taskId) => {
+    if (ACTIVE_STATUSES.includes(task.status)) {
+      const message = 'Task was interrupted by a server restart. Please try again.';
+      tasks.set(taskId, {
+        ...task,
+        status: 'error',
+        interrupted: true,
+        message,
+        error: { code: 'TASK_INTERRUPTED', message },
+        history: [...(task.history || []), { message, progress: task.progress, timestamp: Date.now() }]
+      });
+    }
+  });
+
+  // Bytes appended since the journal was last compacted
+  let journalGrowth = 0;
+
+  // Rewrite the journal as one entry per task
+  function compact() {
+    const compacted = Array.from(tasks.entries())
+      .map(([taskId, task]) => JSON.stringify({ type: 'set', taskId, task }))
+      .join('\n');
+    fs.writeFileSync(journalPath, compacted ? compacted + '\n' : '');
+    journalGrowth = 0;
+  }
+
+  compact();
+
+  // Running totals such as usage are written whole on every change, so a
+  // long task grows the journal faster than its state; compact it then
+  function append(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    fs.appendFileSync(journalPath, line);
+    journalGrowth += line.length;
+
+    if (journalGrowth > MAX_JOURNAL_GROWTH) {
+      compact();
+    }
+  }
+
+  function create(taskId, fields) {
+    const task = {
+      id: taskId,
+      status: 'processing',
+      progress: 0,
+      startTime: Date.now(),
+      ...fields,
+      history: fields.message ? [{ message: fields.message, progress: fields.progress || 0, timestamp: Date.now() }] : []
+    };
+
+    tasks.set(taskId, task);
+    append({ type: 'set', taskId, task });
+    return task;
+  }
+
+  function update(taskId, changes) {
+    const task = tasks.get(taskId);
+    if (!task) return null;
+
+    // A cancelled task is final; late updates from its pipeline are dropped
+    if (task.status === 'cancelled') return task;
+
+    // Fields set to the value they already have are not written again
+    const changed = Object.fromEntries(Object.entries(changes).filter(([key, value]) => task[key] !== value));
+    const updated = { ...task, ...changed };
+    let historyEntry = null;
+
+    // Keep a history of status messages so clients can show what happened
+    if (changed.message) {
+      historyEntry = { message: changes.message, progress: updated.progress, timestamp: Date.now() };
+      updated.history = [...(task.history || []), historyEntry];
+    }
+
+    if (Object.keys(changed).length === 0) return task;
+
+    tasks.set(taskId, updated);
+    append({ type: 'set', taskId, task: changed, historyEntry });
+    events.emit(`update:${taskId}`, updated, changed);
+    return updated;
+  }
+
+  function remove(taskId) {
+    if (!tasks.delete(taskId)) return false;
+
+    append({ type: 'delete', taskId });
+    return true;
+  }
+
+  function get(taskId) {
+    return tasks.get(taskId) || null;
+  }
+
+  function has(taskId) {
+    return tasks.has(taskId);
+  }
+
+  // List tasks newest first, optionally filtered by status
+  function list({ status, limit } = {}) {
+    let result = Array.from(tasks.values())
+      .filter(task => !status || task.status === status)
+      .sort((a, b) => b.startTime - a.startTime);
+
+    if (limit) {
+      result = result.slice(0, limit);
+    }
+
+    return result;
+  }
+
+  // Send a transient event to a task's subscribers without persisting it,
+  // e.g. partial model output that is only useful while the task runs
+  function publish(taskId, type, data) {
+    events.emit(`event:${taskId}`, type, data);
+  }
+
+  // Listen for changes and transient events of one task; returns a function
+  // that stops listening
+  function subscribe(taskId, { onUpdate, onEvent }) {
+    if (onUpdate) events.on(`update:${taskId}`, onUpdate);
+    if (onEvent) events.on(`event:${taskId}`, onEvent);
+
+    return () => {
+      if (onUpdate) events.off(`update:${taskId}`, onUpdate);
+      if (onEvent) events.off(`event:${taskId}`, onEvent);
+    };
+  }
+
+  return { create, update, remove, get, has, list, publish, subscribe };
+}
+
+module.exports = { createTaskStore, ACTIVE_STATUSES };
@@ -0,0 +1,119 @@
+// Token usage and estimated cost of the model calls a task makes.
+
+// USD per million tokens, matched against the start of the model name.
+// MODEL_PRICING can add or override entries, e.g. for self-hosted models:
+// MODEL_PRICING='{"llava": {"input": 0, "output": 0}}'
+const DEFAULT_PRICING = {
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-sonnet': { input: 3, output: 15 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 }
+};
+
+// Providers that never bill for their calls
+const FREE_PROVIDERS = ['mock'];
+
+function loadPricing() {
+  if (!process.env.MODEL_PRICING) return DEFAULT_PRICING;
+
+  try {
+    return { ...DEFAULT_PRICING, ...JSON.parse(process.env.MODEL_PRICING) };
+  } catch (error) {
+    console.error('Ignoring MODEL_PRICING, it is not valid JSON');
+    return DEFAULT_PRICING;
+  }
+}
+
+const PRICING = loadPricing();
+
+// Longest matching prefix wins, so specific entries beat general ones
+function getModelPricing(model) {
+  const prefix = Object.keys(PRICING)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? PRICING[prefix] : null;
+}
+
+// Estimated cost in USD, or null when the model's price is unknown
+function estimateCost({ provider, model, inputTokens, outputTokens }) {
+  if (FREE_PROVIDERS.includes(provider)) return 0;
+
+  const pricing = getModelPricing(model);
+  if (!pricing) return null;
+
+  return (inputTokens * pricing.input + outputTokens * pricing.output) / 1e6;
+}
+
+function emptyTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, estimatedCost: 0, costIsComplete: true };
+}
+
+function addToTotals(totals, step) {
+  return {
+    calls: totals.calls + 1,
+    inputTokens: totals.inputTokens + step.inputTokens,
+    outputTokens: totals.outputTokens + step.outputTokens,
+    estimatedCost: totals.estimatedCost + (step.estimatedCost || 0),
+    costIsComplete: totals.costIsComplete && step.estimatedCost !== null
+  };
+}
+
+// Return a copy of a task's usage with one more model call added. Costs of
+// models without a known price are left out of the totals, which is flagged
+// with costIsComplete: false.
+function addUsage(usage, { step, provider, model, message }) {
+  const current = usage || { steps: [], totals: emptyTotals(), byModel: {} };
+  const inputTokens = message.usage?.input_tokens || 0;
+  const outputTokens = message.usage?.output_tokens || 0;
+  const entry = {
+    step,
+    provider,
+    model,
+    inputTokens,
+    outputTokens,
+    estimatedCost: estimateCost({ provider, model, inputTokens, outputTokens })
+  };
+
+  return {
+    steps: [...current.steps, entry],
+    totals: addToTotals(current.totals, entry),
+    byModel: {
+      ...current.byModel,
+      [model]: addToTotals(current.byModel[model] || emptyTotals(), entry)
+    }
+  };
+}
+
+function formatCost(cost, costIsComplete = true) {
+  if (cost === null) return 'unknown';
+  return `$${cost.toFixed(4)}${costIsComplete ? '' : ' (some models have no known price)'}`;
+}
+
+// Markdown section for the README of a generation
+function formatUsageForReadme(usage) {
+  if (!usage) return '';
+
+  const stepRows = usage.steps
+    .map(step => `| ${step.step} | ${step.model} | ${step.inputTokens} | ${step.outputTokens} | ${formatCost(step.estimatedCost)} |`)
+    .join('\n');
+  const modelRows = Object.entries(usage.byModel)
+    .map(([model, totals]) => `| ${model} | ${totals.calls} | ${totals.inputTokens} | ${totals.outputTokens} | ${formatCost(totals.estimatedCost, totals.costIsComplete)} |`)
+    .join('\n');
+
+  return `
+## Token Usage
+${usage.totals.calls} model call${usage.totals.calls === 1 ? '' : 's'} used ${usage.totals.inputTokens} input and ${usage.totals.outputTokens} output tokens, for an estimated cost of ${formatCost(usage.totals.estimatedCost, usage.totals.costIsComplete)}.
+
+| Step | Model | Input tokens | Output tokens | Estimated cost |
+| --- | --- | --- | --- | --- |
+${stepRows}
+
+| Model | Calls | Input tokens | Output tokens | Estimated cost |
+| --- | --- | --- | --- | --- |
+${modelRows}
+`;
+}
+
+module.exports = { addUsage, estimateCost, formatUsageForReadme };
@@ -0,0 +1,57 @@
+// Ways the frames of a video are shown to the model before it writes the
+// implementation. `sequential` sends one frame per request and asks what
+// changed, re-sending the whole conversation each time; `batched` sends
+// several frames with their timestamps per request and asks for the
+// interaction summary right away, so requests and tokens grow linearly with
+// the frames.
+const VIDEO_ANALYSIS_STRATEGIES = ['sequential', 'batched'];
+
+const DEFAULT_VIDEO_ANALYSIS = 'sequential';
+
+// Most frames one request of the batched strategy shows, besides the frame
+// the batch is compared against
+const FRAMES_PER_BATCH = 10;
+
+// Split the frames after the initial state into batches of even size. Each
+// batch is compared against the frame before its first one.
+function createFrameBatches(frames, maxBatchSize = FRAMES_PER_BATCH) {
+  const batchCount = Math.ceil((frames.length - 1) / maxBatchSize);
+  const batchSize = Math.ceil((frames.length - 1) / batchCount);
+  const batches = [];
+  for (let start = 1; start < frames.length; start += batchSize) {
+    batches.push({ reference: frames[start - 1], frames: frames.slice(start, start + batchSize) });
+  }
+  return batches;
+}
+
+// Measure the model calls of a video analysis, from the first frame after
+// the initial state up to the implementation, for comparing strategies
+function describeVideoAnalysis({ strategy, frameCount, steps, durationMs }) {
+  const totals = steps.reduce((sum, step) => ({
+    inputTokens: sum.inputTokens + step.inputTokens,
+    outputTokens: sum.outputTokens + step.outputTokens,
+    estimatedCost: sum.estimatedCost + (step.estimatedCost || 0),
+    costIsComplete: sum.costIsComplete && step.estimatedCost !== null
+  }), { inputTokens: 0, outputTokens: 0, estimatedCost: 0, costIsComplete: true });
+
+  return { strategy, frameCount, calls: steps.length, ...totals, durationMs };
+}
+
+// Markdown section for the README of a generation
+function formatVideoAnalysisForReadme(analysis) {
+  if (!analysis) return '';
+
+  return `
+## Video Analysis
+The ${analysis.frameCount} frames were analyzed with the ${analysis.strategy} strategy: ${analysis.calls} model calls up to the implementation took ${(analysis.durationMs / 1000).toFixed(1)} seconds and used ${analysis.inputTokens} input and ${analysis.outputTokens} output tokens.
+`;
+}
+
+module.exports = {
+  VIDEO_ANALYSIS_STRATEGIES,
+  DEFAULT_VIDEO_ANALYSIS,
+  FRAMES_PER_BATCH,
+  createFrameBatches,
+  describeVideoAnalysis,
+  formatVideoAnalysisForReadme
+};
@@ -0,0 +1,216 @@
+const puppeteer = require('puppeteer');
+const sharp = require('sharp');
+
+// Renders generated HTML in headless Chrome and scores the screenshot against
+// the original design, so the refine loop can stop on a measured similarity
+// instead of the model's own opinion.
+
+// Give up waiting for fonts and CDN styles after this long and take the
+// screenshot with whatever has loaded
+const RENDER_TIMEOUT_MS = 15000;
+
+// Largest side, in pixels, that images are scaled to before comparing them
+const COMPARE_SIZE = 512;
+
+// SSIM window size and stabilising constants for 8-bit channels
+const SSIM_WINDOW = 8;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+// Channel difference under which two pixels count as the same colour
+const PIXEL_TOLERANCE = 16;
+
+// Highest pixel density inferred from a screenshot, as on 3x phones
+const MAX_DEVICE_SCALE_FACTOR = 3;
+
+// Chrome only runs without its sandbox when asked to, e.g. in a container
+// that runs as root, where the sandbox cannot start
+const CHROME_ARGS = ['--disable-dev-shm-usage', ...(process.env.CHROME_NO_SANDBOX === 'true' ? ['--no-sandbox'] : [])];
+
+// Requests a rendered page may make. Pages run model-written scripts, so
+// nothing leaves the machine; their assets and styles are inlined.
+const LOCAL_URL_PATTERN = /^(?:data|blob|about):/i;
+
+let browserPromise = null;
+
+// Start one shared browser on first use and restart it if it goes away
+function getBrowser() {
+  if (!browserPromise) {
+    browserPromise = puppeteer
+      .launch({ headless: true, args: CHROME_ARGS })
+      .then(browser => {
+        browser.on('disconnected', () => {
+          browserPromise = null;
+        });
+        return browser;
+      })
+      .catch(error => {
+        browserPromise = null;
+        throw error;
+      });
+  }
+  return browserPromise;
+}
+
+// Load a complete HTML document at the given viewport size, in CSS pixels,
+// and run `inspect` on the page, closing it afterwards. Requests to the
+// network are blocked.
+async function withRenderedPage(html, { width, height, deviceScaleFactor = 1, signal }, inspect) {
+  signal?.throwIfAborted();
+
+  const browser = await getBrowser();
+  const page = await browser.newPage();
+  const closePage = () => page.close().catch(() => {});
+  signal?.addEventListener('abort', closePage, { once: true });
+
+  try {
+    await page.setViewport({ width, height, deviceScaleFactor });
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      if (request.isInterceptResolutionHandled()) return;
+      if (LOCAL_URL_PATTERN.test(request.url())) {
+        request.continue();
+      } else {
+        request.abort('blockedbyclient');
+      }
+    });
+
+    try {
+      await page.setContent(html, { waitUntil: 'networkidle0', timeout: RENDER_TIMEOUT_MS });
+    } catch (error) {
+      // Slow or unreachable external resources should not fail the render
+      if (error.name !== 'TimeoutError') throw error;
+    }
+
+    return await inspect(page);
+  } catch (error) {
+    signal?.throwIfAborted();
+    throw error;
+  } finally {
+    signal?.removeEventListener('abort', closePage);
+    await closePage();
+  }
+}
+
+// Render a complete HTML document at the given viewport size and return a
+// PNG screenshot of exactly that area, `deviceScaleFactor` pixels per CSS pixel
+function renderHtml(html, { width, height, deviceScaleFactor = 1, signal }) {
+  return withRenderedPage(html, { width, height, deviceScaleFactor, signal }, async page =>
+    Buffer.from(await page.screenshot({ type: 'png', clip: { x: 0, y: 0, width, height } }))
+  );
+}
+
+// Decode an image to raw RGB at a fixed size
+async function toRawPixels(image, width, height) {
+  const { data } = await sharp(image)
+    .flatten({ background: '#ffffff' })
+    .resize(width, height, { fit: 'fill' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return data;
+}
+
+// Mean SSIM over non-overlapping windows, averaged across the RGB channels
+// so that colour changes count as well as structure
+function computeSsim(reference, candidate, width, height) {
+  let total = 0;
+  let windows = 0;
+
+  for (let channel = 0; channel < 3; channel++) {
+    for (let top = 0; top < height; top += SSIM_WINDOW) {
+      for (let left = 0; left < width; left += SSIM_WINDOW) {
+        const bottom = Math.min(top + SSIM_WINDOW, height);
+        const right = Math.min(left + SSIM_WINDOW, width);
+        const count = (bottom - top) * (right - left);
+        let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+
+        for (let y = top; y < bottom; y++) {
+          for (let x = left; x < right; x++) {
+            const index = (y * width + x) * 3 + channel;
+            const a = reference[index];
+            const b = candidate[index];
+            sumA += a;
+            sumB += b;
+            sumAA += a * a;
+            sumBB += b * b;
+            sumAB += a * b;
+          }
+        }
+
+        const meanA = sumA / count;
+        const meanB = sumB / count;
+        const varianceA = sumAA / count - meanA * meanA;
+        const varianceB = sumBB / count - meanB * meanB;
+        const covariance = sumAB / count - meanA * meanB;
+
+        total += ((2 * meanA * meanB + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+          ((meanA * meanA + meanB * meanB + SSIM_C1) * (varianceA + varianceB + SSIM_C2));
+        windows++;
+      }
+    }
+  }
+
+  return windows ? total / windows : 0;
+}
+
+// Share of pixels whose colour is within tolerance of the reference
+function computePixelSimilarity(reference, candidate) {
+  let matching = 0;
+  const pixelCount = reference.length / 3;
+
+  for (let index = 0; index < reference.length; index += 3) {
+    if (Math.abs(reference[index] - candidate[index]) <= PIXEL_TOLERANCE &&
+        Math.abs(reference[index + 1] - candidate[index + 1]) <= PIXEL_TOLERANCE &&
+        Math.abs(reference[index + 2] - candidate[index + 2]) <= PIXEL_TOLERANCE) {
+      matching++;
+    }
+  }
+
+  return pixelCount ? matching / pixelCount : 0;
+}
+
+// Compare a candidate image with a reference; both scores are between 0 and 1
+async function compareImages(reference, candidate) {
+  const { width, height } = await sharp(reference).metadata();
+  const scale = Math.min(1, COMPARE_SIZE / Math.max(width, height));
+  const compareWidth = Math.max(1, Math.round(width * scale));
+  const compareHeight = Math.max(1, Math.round(height * scale));
+
+  const [referencePixels, candidatePixels] = await Promise.all([
+    toRawPixels(reference, compareWidth, compareHeight),
+    toRawPixels(candidate, compareWidth, compareHeight)
+  ]);
+
+  return {
+    ssim: computeSsim(referencePixels, candidatePixels, compareWidth, compareHeight),
+    pixelSimilarity: computePixelSimilarity(referencePixels, candidatePixels)
+  };
+}
+
+// Pixel density of a screenshot, e.g. 2 for a Retina capture saved at
+// 144 DPI; screenshots saved without a resolution count as 1x
+async function getDeviceScaleFactor(image) {
+  const { density } = await sharp(image).metadata();
+  return density ? Math.min(MAX_DEVICE_SCALE_FACTOR, Math.max(1, Math.round(density / 72))) : 1;
+}
+
+// Render HTML at the size of the reference image and score it against it.
+// A HiDPI screenshot is rendered at its CSS size and pixel density, so the
+// page lays out as on the screen it was taken on; the density is read from
+// the image unless `deviceScaleFactor` is given.
+async function measureVisualMatch(html, referenceImage, { signal, deviceScaleFactor } = {}) {
+  const { width, height } = await sharp(referenceImage).metadata();
+  const scale = deviceScaleFactor || await getDeviceScaleFactor(referenceImage);
+  const screenshot = await renderHtml(html, {
+    width: Math.max(1, Math.round(width / scale)),
+    height: Math.max(1, Math.round(height / scale)),
+    deviceScaleFactor: scale,
+    signal
+  });
+  const scores = await compareImages(referenceImage, screenshot);
+
+  return { screenshot, width, height, deviceScaleFactor: scale, ...scores };
+}
+
+module.exports = { withRenderedPage, renderHtml, compareImages, getDeviceScaleFactor, measureVisualMatch };
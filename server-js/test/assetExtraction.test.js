@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { rewriteImageSources, dropMissingAssetSources, filterReferencedAssets } = require('../lib/assetExtraction');
+
+const LOGO = { name: 'logo', kind: 'logo', file: 'logo.png', image: 0 };
+
+test('drops image sources pointing at asset files the generation does not have', () => {
+  const html = '<img src="assets/logo.png" alt="Logo"><img src="./assets/old-avatar.jpg" srcset="assets/old-avatar.jpg 2x" alt="Avatar"><img src="https://example.com/a.png">';
+
+  assert.equal(
+    dropMissingAssetSources(html, [LOGO]),
+    '<img src="assets/logo.png" alt="Logo"><img alt="Avatar"><img src="https://example.com/a.png">'
+  );
+  assert.equal(dropMissingAssetSources(html, []).includes('assets/'), false);
+});
+
+test('points the matched images at their crops', () => {
+  assert.equal(
+    rewriteImageSources('<img class="h-8" src="logo.svg" srcset="logo@2x.svg 2x"><img alt="Other">', [LOGO]),
+    '<img class="h-8" src="assets/logo.png"><img alt="Other">'
+  );
+});
+
+test('keeps only the crops the markup shows', () => {
+  const card = { name: 'card', kind: 'photo', file: 'card.jpg', image: null };
+  const html = rewriteImageSources('<img src="logo.svg">', [LOGO, card]);
+
+  assert.deepEqual(filterReferencedAssets(html, [LOGO, card]), [LOGO]);
+});
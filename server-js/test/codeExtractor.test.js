@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractCode, composeHtmlDocument } = require('../lib/codeExtractor');
+
+const FIXTURES = {
+  'a complete document': `Here is the page:
+
+\`\`\`html
+<!DOCTYPE html>
+<html lang="de">
+<head>
+  <title>Anmelden</title>
+  <meta name="description" content="Login">
+  <link rel="stylesheet" href="https://fonts.googleapis.com/css2?family=Inter">
+  <style>
+    body { font-family: Inter; }
+  </style>
+  <script type="application/ld+json">{"@type": "WebPage"}</script>
+</head>
+<body class="bg-white">
+  <main id="app">Hallo</main>
+  <script src="https://cdn.example.com/chart.js"></script>
+  <script type="text/template" id="row"><li class="row"></li></script>
+  <script>
+    document.getElementById('app').textContent = 'Hi';
+  </script>
+</body>
+</html>
+\`\`\`
+
+Let me know if you need changes.`,
+  'separate fences': `\`\`\`html
+<div class="card">Card</div>
+\`\`\`
+
+\`\`\`css
+.card { padding: 1rem; }
+\`\`\`
+
+\`\`\`javascript
+console.log('ready');
+\`\`\``,
+  'unfenced markup': `Sure. <html lang="pt-BR"><body><section>Olá</section><script type="module">import './x.js';</script></body></html> Done.`,
+  'an unterminated fence': '```html\n<header>Streaming</header>\n<main>',
+  'an invalid language': '```html\n<html lang="en&quot; onload=&quot;x"><body><p>Text</p></body></html>\n```',
+  'unlabelled fences': '```\n<nav>Menu</nav>\n```\n\n```\nconst menu = 1;\n```\n\n```\n.nav { color: red; }\n```\n\n```yaml\nkey: value\n```'
+};
+
+test('splits separate fences into HTML, CSS and JavaScript', () => {
+  const parts = extractCode(FIXTURES['separate fences']);
+  assert.equal(parts.html, '<div class="card">Card</div>');
+  assert.equal(parts.css, '.card { padding: 1rem; }');
+  assert.equal(parts.js, "console.log('ready');");
+  assert.deepEqual(parts.unclassified, []);
+});
+
+test('reads markup from an unterminated fence and sniffs unlabelled ones', () => {
+  assert.equal(extractCode(FIXTURES['an unterminated fence']).html, '<header>Streaming</header>\n<main>');
+
+  const parts = extractCode(FIXTURES['unlabelled fences']);
+  assert.equal(parts.html, '<nav>Menu</nav>');
+  assert.equal(parts.js, 'const menu = 1;');
+  assert.equal(parts.css, '.nav { color: red; }');
+  assert.deepEqual(parts.unclassified, [{ type: 'fence', language: 'yaml', content: 'key: value' }]);
+});
+
+test('keeps the language of the document', () => {
+  const parts = extractCode(FIXTURES['a complete document']);
+  assert.equal(parts.lang, 'de');
+  assert.match(composeHtmlDocument(parts), /<html lang="de">/);
+
+  assert.equal(extractCode(FIXTURES['unfenced markup']).lang, 'pt-BR');
+});
+
+test('falls back to English for a missing or invalid language', () => {
+  assert.match(composeHtmlDocument(extractCode(FIXTURES['separate fences'])), /<html lang="en">/);
+  assert.equal(extractCode(FIXTURES['an invalid language']).lang, '');
+});
+
+test('keeps external and non-JavaScript script blocks where they were', () => {
+  const parts = extractCode(FIXTURES['a complete document']);
+  assert.deepEqual(parts.head.scripts, ['<script type="application/ld+json">{"@type": "WebPage"}</script>']);
+  assert.equal(parts.html, [
+    '<main id="app">Hallo</main>',
+    '<script src="https://cdn.example.com/chart.js"></script>',
+    '<script type="text/template" id="row"><li class="row"></li></script>'
+  ].join('\n'));
+  assert.equal(parts.js, "document.getElementById('app').textContent = 'Hi';");
+
+  // Parsing a composed document again leaves every script where it is
+  const document = composeHtmlDocument(parts);
+  assert.match(document, /<head>[\s\S]*application\/ld\+json[\s\S]*<\/head>/);
+  assert.match(document, /<body[^>]*>\s*<main id="app">Hallo<\/main>\n<script src="https:\/\/cdn\.example\.com\/chart\.js"><\/script>/);
+  assert.deepEqual({ ...extractCode(document), unclassified: parts.unclassified }, parts);
+});
+
+test('keeps external scripts of markup without a head in the body', () => {
+  const parts = extractCode('```html\n<div id="chart"></div>\n<script src="chart.js"></script>\n```');
+  assert.deepEqual(parts.head.scripts, []);
+  assert.equal(parts.html, '<div id="chart"></div>\n<script src="chart.js"></script>');
+});
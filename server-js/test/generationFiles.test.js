@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildStandaloneHtml } = require('../lib/generationFiles');
+
+// A written page that links to fonts, images and a script of other hosts
+// besides its own stylesheet, script and cropped asset
+function writeGeneration(dir) {
+  fs.mkdirSync(path.join(dir, 'assets'));
+  fs.writeFileSync(path.join(dir, 'assets', 'logo.png'), Buffer.from('logo'));
+  fs.writeFileSync(path.join(dir, 'styles.css'), `@import url("https://fonts.googleapis.com/css2?family=Inter");
+@font-face { font-family: Brand; src: url(https://cdn.example.com/brand.woff2) format("woff2"); }
+@font-face { font-family: Body; src: url("https://cdn.example.com/body.woff2") format("woff2"), url(data:font/woff2;base64,AAAA) format("woff2"); }
+.hero { color: white; background: url('https://images.example.com/hero.jpg') center / cover no-repeat; padding: 2rem }
+.mark { background-image: url(assets/logo.png); }`);
+  fs.writeFileSync(path.join(dir, 'script.js'), "document.body.dataset.ready = 'true';");
+  fs.writeFileSync(path.join(dir, 'index.html'), `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <link rel="preconnect" href="https://fonts.gstatic.com">
+  <link rel="stylesheet" href="styles.css">
+  <script src="https://cdn.example.com/analytics.js"></script>
+</head>
+<body>
+  <img src="assets/logo.png" alt="Logo">
+  <img src="https://images.example.com/team.jpg" srcset="https://images.example.com/team@2x.jpg 2x" alt="Team">
+  <picture><source srcset="assets/logo.png 1x, https://images.example.com/logo@2x.png 2x"><img src="assets/logo.png" alt=""></picture>
+  <div class="hero" style="background-image: url(https://images.example.com/banner.jpg)"></div>
+  <script src="script.js" defer></script>
+</body>
+</html>`);
+}
+
+test('a standalone page makes no requests to other hosts', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'generation-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  writeGeneration(dir);
+
+  const html = buildStandaloneHtml(dir);
+
+  assert.doesNotMatch(html, /example\.com|googleapis|gstatic/);
+  assert.match(html, /<img alt="Team">/);
+  assert.doesNotMatch(html, /font-family: Brand|none/);
+  assert.ok(html.includes('@font-face { font-family: Body; src: url(data:font/woff2;base64,AAAA) format("woff2"); }'));
+  assert.ok(html.includes('.hero { color: white;  padding: 2rem }'));
+  assert.match(html, /<div class="hero" style=""><\/div>/);
+  assert.match(html, /<source srcset="data:image\/png;base64,[^"]+ 1x">/);
+});
+
+test('a standalone page inlines its own stylesheet, script and assets', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'generation-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  writeGeneration(dir);
+
+  const html = buildStandaloneHtml(dir);
+  const logo = `data:image/png;base64,${Buffer.from('logo').toString('base64')}`;
+
+  assert.doesNotMatch(html, /assets\/logo\.png|styles\.css|script\.js/);
+  assert.ok(html.includes(`<img src="${logo}" alt="Logo">`));
+  assert.ok(html.includes(`.mark { background-image: url(${logo}); }`));
+  assert.match(html, /<script>\ndocument\.body\.dataset\.ready = 'true';\n {4}<\/script>\n<\/body>/);
+  assert.equal(buildStandaloneHtml(dir, 'missing.html'), null);
+});
@@ -1,23 +1,94 @@
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect } from "react";
 import { MediaDropzone } from "./components/ImageDropzone";
+import { ScreensDropzone, type Screen } from "./components/ScreensDropzone";
+import { BreakpointsDropzone } from "./components/BreakpointsDropzone";
 import { Button } from "@/components/ui/button";
-import { Settings } from "./components/Settings";
+import { Settings, type ProviderName } from "./components/Settings";
 import { ResultDisplay } from "./components/ResultDisplay";
 import { ResizableSplitView } from "./components/ResizableSplitView";
+import { HistoryGallery } from "./components/HistoryGallery";
+import { FrameTimeline, type VideoFrame } from "./components/FrameTimeline";
+import { VideoAnalysisSettings } from "./components/VideoAnalysisSettings";
 import { Loader2, Download, AlertCircle } from "lucide-react";
 import { useToast } from "@/hooks/use-toast";
+import {
+  useTaskEvents,
+  type AccessibilityReport,
+  type TaskAsset,
+  type TaskExport,
+  type TaskPage,
+  type TaskResult,
+  type TaskUsage,
+  type VideoAnalysisReport,
+} from "@/hooks/use-task-events";
+import { formatUsageByModel, formatUsageSummary } from "@/lib/usage";
+import { API_BASE_URL, getApiErrorMessage } from "@/lib/api";
+import {
+  isExportTarget,
+  isTailwindVersion,
+  type ExportTarget,
+  type TailwindVersion,
+} from "@/lib/export-targets";
+import { applyTokenBlock, type DesignTokens } from "@/lib/design-tokens";
+import type { InteractionModel, InteractionReplay } from "@/lib/interactions";
+import { DEVICES, type BreakpointScreenshots } from "@/lib/breakpoints";
+import type { HistoryEntry, HistoryEntryWithResult } from "@/lib/history";
+import type { VideoAnalysisStrategy } from "@/lib/video-analysis";
 import { Progress } from "@/components/ui/progress";
 
 function App() {
+  // "responsive" turns screenshots of one screen at several breakpoints into
+  // one page, "project" turns several screenshots into a linked multi-page site
+  const [mode, setMode] = useState<"single" | "responsive" | "project">(
+    "single"
+  );
+  const [screens, setScreens] = useState<Screen[]>([]);
+  const [breakpointScreenshots, setBreakpointScreenshots] =
+    useState<BreakpointScreenshots>({});
   const [mediaUrl, setMediaUrl] = useState<string | null>(null);
   const [mediaType, setMediaType] = useState<"image" | "video" | null>(null);
+  // Frames of a video picked in the timeline; null lets the server pick them
+  const [videoFrames, setVideoFrames] = useState<VideoFrame[] | null>(null);
+  const [videoAnalysis, setVideoAnalysis] =
+    useState<VideoAnalysisStrategy>("sequential");
+  // Last analysis of the current video with each strategy, to compare them
+  const [videoAnalysisReports, setVideoAnalysisReports] = useState<
+    Partial<Record<VideoAnalysisStrategy, VideoAnalysisReport>>
+  >({});
   const [apiKey, setApiKey] = useState<string>("");
+  const [provider, setProvider] = useState<ProviderName>("anthropic");
+  const [providerBaseUrl, setProviderBaseUrl] = useState<string>("");
   const [model, setModel] = useState<string>("claude-3-sonnet-20240229");
+  const [target, setTarget] = useState<ExportTarget>("html");
+  const [tailwindVersion, setTailwindVersion] = useState<TailwindVersion>("3");
+  const [tailwindConfig, setTailwindConfig] = useState<boolean>(false);
   const [isLoading, setIsLoading] = useState<boolean>(false);
   const [htmlContent, setHtmlContent] = useState<string>("");
+  const [previewHtml, setPreviewHtml] = useState<string>("");
+  const [streamingHtml, setStreamingHtml] = useState<string>("");
   const [zipDownloadUrl, setZipDownloadUrl] = useState<string>("");
+  const [standaloneUrl, setStandaloneUrl] = useState<string>("");
+  const [exports, setExports] = useState<TaskExport[]>([]);
+  const [assets, setAssets] = useState<TaskAsset[]>([]);
+  const [assetBaseUrl, setAssetBaseUrl] = useState<string>("");
+  const [generationId, setGenerationId] = useState<string | null>(null);
+  const [tokens, setTokens] = useState<DesignTokens | null>(null);
+  const [pages, setPages] = useState<TaskPage[]>([]);
+  const [references, setReferences] = useState<BreakpointScreenshots>({});
+  // Undefined until a result has been audited; null when the audit failed
+  const [accessibility, setAccessibility] = useState<
+    AccessibilityReport | null | undefined
+  >(undefined);
+  const [interactions, setInteractions] = useState<InteractionModel | null>(
+    null
+  );
+  // Undefined when the result's interactions were not replayed
+  const [replay, setReplay] = useState<InteractionReplay | null | undefined>(
+    undefined
+  );
   const [error, setError] = useState<string | null>(null);
   const [showSettings, setShowSettings] = useState<boolean>(false);
+  const [showHistory, setShowHistory] = useState<boolean>(false);
   const [taskId, setTaskId] = useState<string | null>(null);
   const [progress, setProgress] = useState<number>(0);
   const [statusMessage, setStatusMessage] = useState<string>("");
@@ -26,9 +97,12 @@ function App() {
   const [estimatedTimeRemaining, setEstimatedTimeRemaining] = useState<
     number | null
   >(null);
+  const [queuePosition, setQueuePosition] = useState<number | null>(null);
+  const [estimatedWait, setEstimatedWait] = useState<number | null>(null);
+  const [usage, setUsage] = useState<TaskUsage | null>(null);
   const [retryCount, setRetryCount] = useState<number>(0);
   const [isRetrying, setIsRetrying] = useState<boolean>(false);
-  const statusCheckInterval = useRef<number | null>(null);
+  const [isCancelling, setIsCancelling] = useState<boolean>(false);
   const { toast } = useToast();
 
   useEffect(() => {
@@ -41,129 +115,265 @@ function App() {
     if (savedModel) {
       setModel(savedModel);
     }
+
+    const savedProvider = localStorage.getItem("llm-provider");
+    if (savedProvider) {
+      setProvider(savedProvider as ProviderName);
+    }
+
+    const savedProviderBaseUrl = localStorage.getItem("llm-provider-base-url");
+    if (savedProviderBaseUrl) {
+      setProviderBaseUrl(savedProviderBaseUrl);
+    }
+
+    const savedTarget = localStorage.getItem("export-target");
+    if (isExportTarget(savedTarget)) {
+      setTarget(savedTarget);
+    }
+
+    const savedTailwindVersion = localStorage.getItem("tailwind-version");
+    if (isTailwindVersion(savedTailwindVersion)) {
+      setTailwindVersion(savedTailwindVersion);
+    }
+
+    setTailwindConfig(localStorage.getItem("tailwind-config") === "true");
   }, []);
 
-  useEffect(() => {
-    return () => {
-      if (statusCheckInterval.current) {
-        clearInterval(statusCheckInterval.current);
+  // Show a finished result, of the current task or from the history
+  const showResult = (result: TaskResult) => {
+    setHtmlContent(result.html);
+    setPreviewHtml(result.previewHtml ?? "");
+    setZipDownloadUrl(`http://localhost:3000${result.zipPath}`);
+    setStandaloneUrl(
+      result.standalonePath
+        ? `http://localhost:3000${result.standalonePath}`
+        : ""
+    );
+    setExports(result.exports ?? []);
+    setAssets(result.assets ?? []);
+    setAssetBaseUrl(
+      result.assetBaseUrl ? `http://localhost:3000${result.assetBaseUrl}` : ""
+    );
+    setGenerationId(result.generationId ?? null);
+    setTokens(result.tokens ?? null);
+    setPages(result.pages ?? []);
+    setAccessibility(result.accessibility);
+    setInteractions(result.interactions ?? null);
+    setReplay(result.replay);
+
+    const analysis = result.video?.analysis;
+    if (analysis) {
+      setVideoAnalysisReports((reports) => ({
+        ...reports,
+        [analysis.strategy]: analysis,
+      }));
+    }
+  };
+
+  useTaskEvents(taskId, {
+    onUpdate: (task) => {
+      setProgress(task.progress);
+      setStatusMessage(task.message);
+
+      if (task.estimatedRemainingSeconds) {
+        setEstimatedTimeRemaining(task.estimatedRemainingSeconds);
       }
-    };
-  }, []);
 
-  useEffect(() => {
-    if (taskId && isLoading) {
-      if (statusCheckInterval.current) {
-        clearInterval(statusCheckInterval.current);
+      if (task.iterationCount) {
+        setIterationCount(task.iterationCount);
       }
 
-      const intervalId = window.setInterval(checkTaskStatus, 2000);
-      statusCheckInterval.current = intervalId;
+      // Only a waiting task has a place in the queue
+      const isQueued = task.status === "queued";
+      setQueuePosition(isQueued ? task.queuePosition ?? null : null);
+      setEstimatedWait(isQueued ? task.estimatedWaitSeconds ?? null : null);
 
-      checkTaskStatus();
+      if (task.usage) {
+        setUsage(task.usage);
+      }
+    },
+    onPartial: (text) => {
+      setStreamingHtml(text);
+    },
+    onComplete: (task) => {
+      if (!task.result) return;
 
-      return () => {
-        clearInterval(intervalId);
-        statusCheckInterval.current = null;
-      };
-    }
-  }, [taskId, isLoading]);
+      showResult(task.result);
+      setStreamingHtml("");
+      // Show each breakpoint next to the screenshot it reproduces
+      const breakpoints = task.result.breakpoints ?? [];
+      setReferences(
+        Object.fromEntries(
+          breakpoints.map((device) => [device, breakpointScreenshots[device]])
+        )
+      );
+      setIsLoading(false);
+      setIsAnalyzing(false);
+      setTaskId(null);
+      setProgress(100);
+      setRetryCount(0);
+      setIsRetrying(false);
 
-  const checkTaskStatus = async () => {
-    if (!taskId) return;
+      // Refinements of an image report how close the render came to it
+      const similarity = task.result.similarity;
+      const pageCount = task.result.pages?.length ?? 0;
+      toast({
+        title: "Success",
+        description: similarity
+          ? `HTML generated successfully (visual similarity ${(similarity.ssim * 100).toFixed(1)}%)`
+          : pageCount > 0
+            ? `Site with ${pageCount} linked pages generated successfully`
+            : "HTML generated successfully",
+      });
+    },
+    onError: (task) => {
+      const errorMessage = task.message || "An unknown error occurred";
+      setError(errorMessage);
+      setStreamingHtml("");
+      setIsLoading(false);
+      setIsAnalyzing(false);
+      setTaskId(null);
 
-    try {
-      const response = await fetch(
-        `http://localhost:3000/task-status/${taskId}`
-      );
+      // Check if the error is retryable
+      const isOverloadedError =
+        errorMessage.includes("overloaded") || errorMessage.includes("529");
+      const isRateLimitError =
+        errorMessage.includes("rate limit") || errorMessage.includes("429");
+      const isServerError =
+        errorMessage.includes("server error") || errorMessage.includes("500");
 
-      if (!response.ok) {
-        throw new Error("Failed to check task status");
+      if (
+        (isOverloadedError || isRateLimitError || isServerError) &&
+        retryCount < 3
+      ) {
+        // Show retry option
+        toast({
+          title: "Error - Claude API Issue",
+          description: `${errorMessage}. You can try again with a different model or retry.`,
+          variant: "destructive",
+          action: (
+            <Button
+              onClick={() => handleRetry()}
+              variant="outline"
+              className="bg-white text-red-600 border-red-600 hover:bg-red-50"
+            >
+              Retry
+            </Button>
+          ),
+        });
+      } else {
+        toast({
+          title: "Error",
+          description: errorMessage,
+          variant: "destructive",
+        });
       }
+    },
+    onCancel: () => {
+      setStreamingHtml("");
+      setIsLoading(false);
+      setIsAnalyzing(false);
+      setTaskId(null);
+      setIsCancelling(false);
+    },
+  });
 
-      const data = await response.json();
+  const cancelTask = async () => {
+    if (!taskId) return;
 
-      setProgress(data.progress);
-      setStatusMessage(data.message);
+    try {
+      setIsCancelling(true);
 
-      if (data.estimatedRemainingSeconds) {
-        setEstimatedTimeRemaining(data.estimatedRemainingSeconds);
-      }
+      const response = await fetch(`${API_BASE_URL}/tasks/${taskId}`, {
+        method: "DELETE",
+      });
 
-      if (data.iterationCount) {
-        setIterationCount(data.iterationCount);
+      // A 409 means the task finished first; its own event will close the modal
+      if (!response.ok && response.status !== 409) {
+        throw new Error(
+          await getApiErrorMessage(response, "Failed to cancel task")
+        );
       }
 
-      if (data.status === "completed" && data.result) {
-        setHtmlContent(data.result.html);
-        setZipDownloadUrl(`http://localhost:3000${data.result.zipPath}`);
+      if (response.ok) {
+        setStreamingHtml("");
         setIsLoading(false);
         setIsAnalyzing(false);
         setTaskId(null);
-        setProgress(100);
-        setRetryCount(0);
-        setIsRetrying(false);
-
-        if (statusCheckInterval.current) {
-          clearInterval(statusCheckInterval.current);
-          statusCheckInterval.current = null;
-        }
 
         toast({
-          title: "Success",
-          description: "HTML generated successfully",
+          title: "Cancelled",
+          description: isAnalyzing
+            ? "UI refinement was cancelled"
+            : "HTML generation was cancelled",
         });
       }
+    } catch (error) {
+      toast({
+        title: "Error",
+        description:
+          error instanceof Error ? error.message : "An unknown error occurred",
+        variant: "destructive",
+      });
+    } finally {
+      setIsCancelling(false);
+    }
+  };
 
-      if (data.status === "error") {
-        const errorMessage = data.message || "An unknown error occurred";
-        setError(errorMessage);
-        setIsLoading(false);
-        setIsAnalyzing(false);
-        setTaskId(null);
+  // Save edited design tokens to the generation's files and show them in the
+  // preview and the code
+  const handleApplyTokens = async (editedTokens: DesignTokens) => {
+    if (!generationId) return;
 
-        if (statusCheckInterval.current) {
-          clearInterval(statusCheckInterval.current);
-          statusCheckInterval.current = null;
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/generations/${generationId}/tokens`,
+        {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ tokens: editedTokens }),
         }
+      );
 
-        // Check if the error is retryable
-        const isOverloadedError =
-          errorMessage.includes("overloaded") || errorMessage.includes("529");
-        const isRateLimitError =
-          errorMessage.includes("rate limit") || errorMessage.includes("429");
-        const isServerError =
-          errorMessage.includes("server error") || errorMessage.includes("500");
-
-        if (
-          (isOverloadedError || isRateLimitError || isServerError) &&
-          retryCount < 3
-        ) {
-          // Show retry option
-          toast({
-            title: "Error - Claude API Issue",
-            description: `${errorMessage}. You can try again with a different model or retry.`,
-            variant: "destructive",
-            action: (
-              <Button
-                onClick={() => handleRetry()}
-                variant="outline"
-                className="bg-white text-red-600 border-red-600 hover:bg-red-50"
-              >
-                Retry
-              </Button>
-            ),
-          });
-        } else {
-          toast({
-            title: "Error",
-            description: errorMessage,
-            variant: "destructive",
-          });
-        }
+      if (!response.ok) {
+        throw new Error(
+          await getApiErrorMessage(response, "Failed to apply design tokens")
+        );
       }
+
+      setTokens(editedTokens);
+      setHtmlContent((html) => applyTokenBlock(html, editedTokens));
+      setPreviewHtml((html) => applyTokenBlock(html, editedTokens));
+      setPages((items) =>
+        items.map((page) => ({
+          ...page,
+          html: applyTokenBlock(page.html, editedTokens),
+          previewHtml:
+            page.previewHtml && applyTokenBlock(page.previewHtml, editedTokens),
+        }))
+      );
+      setExports((items) =>
+        items.map((item) => ({
+          ...item,
+          files: item.files.map((file) =>
+            file.path.endsWith("styles.css")
+              ? { ...file, content: applyTokenBlock(file.content, editedTokens) }
+              : file
+          ),
+        }))
+      );
+
+      toast({
+        title: "Tokens applied",
+        description: "The preview, the code and the ZIP use the new tokens.",
+      });
     } catch (error) {
-      console.error("Error checking task status:", error);
+      toast({
+        title: "Error",
+        description:
+          error instanceof Error ? error.message : "An unknown error occurred",
+        variant: "destructive",
+      });
     }
   };
 
@@ -180,7 +390,7 @@ function App() {
           "Trying with Claude 3 Sonnet which may have better availability",
       });
       setModel("claude-3-sonnet-20240229");
-      setTimeout(() => generateHtml(), 1000);
+      setTimeout(() => generate(), 1000);
     } else if (retryCount === 0 && model === "claude-3-sonnet-20240229") {
       toast({
         title: "Switching to Claude 3 Haiku",
@@ -188,14 +398,17 @@ function App() {
           "Trying with Claude 3 Haiku which may have better availability",
       });
       setModel("claude-3-haiku-20240307");
-      setTimeout(() => generateHtml(), 1000);
+      setTimeout(() => generate(), 1000);
     } else {
       // Just retry with the same model
-      setTimeout(() => generateHtml(), 1000);
+      setTimeout(() => generate(), 1000);
     }
   };
 
   const handleMediaUpload = (file: File | null) => {
+    setVideoFrames(null);
+    setVideoAnalysisReports({});
+
     if (file) {
       // Determine if it's an image or video
       const isVideo = file.type.startsWith("video/");
@@ -207,7 +420,19 @@ function App() {
 
       // Reset any previous generation
       setHtmlContent("");
+      setPreviewHtml("");
       setZipDownloadUrl("");
+      setStandaloneUrl("");
+      setExports([]);
+      setAssets([]);
+      setAssetBaseUrl("");
+      setGenerationId(null);
+      setTokens(null);
+      setPages([]);
+      setReferences({});
+      setAccessibility(undefined);
+      setInteractions(null);
+      setReplay(undefined);
       setError(null);
     } else {
       setMediaUrl(null);
@@ -215,17 +440,22 @@ function App() {
     }
   };
 
+  const breakpointCount = Object.keys(breakpointScreenshots).length;
+
   const generateHtml = async () => {
-    if (!mediaUrl) {
+    if (mode === "responsive" ? breakpointCount < 2 : !mediaUrl) {
       toast({
-        title: "No media selected",
-        description: "Please upload an image or video first",
+        title: mode === "responsive" ? "Not enough screenshots" : "No media selected",
+        description:
+          mode === "responsive"
+            ? "Please upload screenshots of at least two breakpoints first"
+            : "Please upload an image or video first",
         variant: "destructive",
       });
       return;
     }
 
-    if (!apiKey) {
+    if (!apiKey && provider === "anthropic") {
       toast({
         title: "API Key Required",
         description: "Please enter your Claude API key in settings",
@@ -239,24 +469,56 @@ function App() {
       setIsLoading(true);
       setError(null);
       setProgress(0);
+      setUsage(null);
       setStatusMessage("Preparing to analyze media...");
 
       // Create a FormData object to send the file
       const formData = new FormData();
 
-      // Fetch the file from the URL
-      const response = await fetch(mediaUrl);
-      const blob = await response.blob();
+      if (mode === "responsive") {
+        // Each screenshot goes in the field of its device
+        for (const device of DEVICES) {
+          const url = breakpointScreenshots[device];
+          if (url) {
+            const blob = await fetch(url).then((r) => r.blob());
+            formData.append(device, blob, `${device}.png`);
+          }
+        }
+      } else if (mediaUrl) {
+        // Fetch the file from the URL
+        const response = await fetch(mediaUrl);
+        const blob = await response.blob();
+
+        // Add the file to the FormData
+        formData.append("media", blob);
 
-      // Add the file to the FormData
-      formData.append("media", blob);
+        // Analyze the frames picked in the timeline, with their notes
+        if (mediaType === "video" && videoFrames) {
+          formData.append(
+            "frames",
+            JSON.stringify(
+              videoFrames.map(({ timestamp, note }) => ({ timestamp, note }))
+            )
+          );
+        }
+        if (mediaType === "video") {
+          formData.append("videoAnalysis", videoAnalysis);
+        }
+      }
 
-      // Add the model to the FormData
+      // Add the model and provider settings to the FormData
       formData.append("model", model);
+      formData.append("provider", provider);
+      if (providerBaseUrl) {
+        formData.append("providerBaseUrl", providerBaseUrl);
+      }
+      formData.append("target", target);
+      formData.append("tailwindVersion", tailwindVersion);
+      formData.append("tailwindConfig", String(tailwindConfig));
 
       // Send the request to the server
       const serverResponse = await fetch(
-        "http://localhost:3000/generate-html",
+        `${API_BASE_URL}/generations`,
         {
           method: "POST",
           headers: {
@@ -267,8 +529,82 @@ function App() {
       );
 
       if (!serverResponse.ok) {
-        const errorData = await serverResponse.json();
-        throw new Error(errorData.error || "Failed to generate HTML");
+        throw new Error(
+          await getApiErrorMessage(serverResponse, "Failed to generate HTML")
+        );
+      }
+
+      const data = await serverResponse.json();
+      setTaskId(data.taskId);
+      setStatusMessage(data.message);
+    } catch (error) {
+      setIsLoading(false);
+      setError(
+        error instanceof Error ? error.message : "An unknown error occurred"
+      );
+      toast({
+        title: "Error",
+        description:
+          error instanceof Error ? error.message : "An unknown error occurred",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const generateProject = async () => {
+    if (screens.length === 0) {
+      toast({
+        title: "No screens selected",
+        description: "Please upload the screenshots of your site first",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    if (!apiKey && provider === "anthropic") {
+      toast({
+        title: "API Key Required",
+        description: "Please enter your Claude API key in settings",
+        variant: "destructive",
+      });
+      setShowSettings(true);
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setError(null);
+      setProgress(0);
+      setUsage(null);
+      setStatusMessage("Preparing to analyze screens...");
+
+      // Screens and their names are sent in the order of the list
+      const formData = new FormData();
+      for (const screen of screens) {
+        formData.append("screens", screen.file);
+        formData.append("names", screen.name.trim() || screen.file.name);
+      }
+
+      formData.append("model", model);
+      formData.append("provider", provider);
+      if (providerBaseUrl) {
+        formData.append("providerBaseUrl", providerBaseUrl);
+      }
+      formData.append("tailwindVersion", tailwindVersion);
+      formData.append("tailwindConfig", String(tailwindConfig));
+
+      const serverResponse = await fetch(`${API_BASE_URL}/projects`, {
+        method: "POST",
+        headers: {
+          "X-API-Key": apiKey,
+        },
+        body: formData,
+      });
+
+      if (!serverResponse.ok) {
+        throw new Error(
+          await getApiErrorMessage(serverResponse, "Failed to generate site")
+        );
       }
 
       const data = await serverResponse.json();
@@ -288,8 +624,17 @@ function App() {
     }
   };
 
-  const analyzeAndRefineUI = async () => {
-    if (!mediaUrl || !htmlContent) {
+  const generate = () =>
+    mode === "project" ? generateProject() : generateHtml();
+
+  // With fixAccessibility, the refinement fixes the violations of the
+  // accessibility audit instead of comparing the page with the media.
+  // `source` defaults to the media and page shown in the app.
+  const analyzeAndRefineUI = async (
+    fixAccessibility = false,
+    source = { mediaUrl, mediaType, htmlContent }
+  ) => {
+    if (!source.mediaUrl || !source.htmlContent) {
       toast({
         title: "Missing content",
         description: "Both media and generated HTML are required for analysis",
@@ -298,7 +643,7 @@ function App() {
       return;
     }
 
-    if (!apiKey) {
+    if (!apiKey && provider === "anthropic") {
       toast({
         title: "API Key Required",
         description: "Please enter your Claude API key in settings",
@@ -311,23 +656,38 @@ function App() {
     try {
       setIsAnalyzing(true);
       setProgress(0);
-      setStatusMessage("Preparing for analysis...");
+      setUsage(null);
+      setStatusMessage(
+        fixAccessibility
+          ? "Preparing accessibility fixes..."
+          : "Preparing for analysis..."
+      );
 
       // Convert data URL to Blob
-      const blob = await fetch(mediaUrl).then((r) => r.blob());
+      const blob = await fetch(source.mediaUrl).then((r) => r.blob());
 
       // Create FormData
       const formData = new FormData();
       formData.append(
         "media",
         blob,
-        mediaType === "video" ? "media.mp4" : "media.png"
+        source.mediaType === "video" ? "media.mp4" : "media.png"
       );
-      formData.append("htmlContent", htmlContent);
+      formData.append("htmlContent", source.htmlContent);
+      if (fixAccessibility) {
+        formData.append("fixAccessibility", "true");
+      }
       formData.append("model", model);
+      formData.append("provider", provider);
+      if (providerBaseUrl) {
+        formData.append("providerBaseUrl", providerBaseUrl);
+      }
+      formData.append("target", target);
+      formData.append("tailwindVersion", tailwindVersion);
+      formData.append("tailwindConfig", String(tailwindConfig));
 
       // Send the request to the server
-      const result = await fetch("http://localhost:3000/analyze-refine", {
+      const result = await fetch(`${API_BASE_URL}/refinements`, {
         method: "POST",
         headers: {
           "x-api-key": apiKey,
@@ -336,24 +696,14 @@ function App() {
       });
 
       if (!result.ok) {
-        const errorData = await result.json();
-        throw new Error(errorData.error || "Failed to analyze and refine UI");
+        throw new Error(
+          await getApiErrorMessage(result, "Failed to analyze and refine UI")
+        );
       }
 
       const data = await result.json();
       setTaskId(data.taskId);
       setStatusMessage(data.message);
-
-      // Start checking task status
-      if (statusCheckInterval.current) {
-        clearInterval(statusCheckInterval.current);
-      }
-
-      const intervalId = window.setInterval(checkTaskStatus, 2000);
-      statusCheckInterval.current = intervalId;
-
-      // Initial check
-      await checkTaskStatus();
     } catch (error) {
       setIsAnalyzing(false);
       setError(
@@ -368,17 +718,71 @@ function App() {
     }
   };
 
+  // Show a generation from the history as if it had just finished; its
+  // uploaded media comes back too, so it can be refined again
+  const openHistoryEntry = async (entry: HistoryEntry) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/history/${entry.id}`);
+      if (!response.ok) {
+        throw new Error(
+          await getApiErrorMessage(response, "Failed to open the generation")
+        );
+      }
+
+      const { result }: HistoryEntryWithResult = await response.json();
+      const source = {
+        mediaUrl: entry.sourcePath
+          ? `http://localhost:3000${entry.sourcePath}`
+          : null,
+        mediaType: entry.sourceMimeType?.startsWith("video/")
+          ? ("video" as const)
+          : ("image" as const),
+        htmlContent: result.html,
+      };
+
+      setMode("single");
+      setMediaUrl(source.mediaUrl);
+      setMediaType(source.mediaUrl ? source.mediaType : null);
+      setVideoFrames(null);
+      setVideoAnalysisReports({});
+      setReferences({});
+      setError(null);
+      setIterationCount(entry.iterationCount);
+      showResult(result);
+      setShowHistory(false);
+      return source;
+    } catch (error) {
+      toast({
+        title: "Error",
+        description:
+          error instanceof Error ? error.message : "An unknown error occurred",
+        variant: "destructive",
+      });
+      return null;
+    }
+  };
+
+  // Open a generation and start a new refinement of it; the entry itself
+  // stays as it is, and the refinement gets an entry of its own
+  const duplicateHistoryEntry = async (entry: HistoryEntry) => {
+    const source = await openHistoryEntry(entry);
+    if (source) {
+      analyzeAndRefineUI(false, source);
+    }
+  };
+
   const handleDownloadZip = () => {
     if (zipDownloadUrl) {
-      // Extract just the ID and filename from the zipDownloadUrl
-      const pathMatch = zipDownloadUrl.match(/\/download\/([^\/]+)\/([^\/]+)$/);
-      if (pathMatch && pathMatch.length >= 3) {
-        const [, id, filename] = pathMatch;
-        window.open(`http://localhost:3000/temp/${id}/${filename}`, "_blank");
-      }
+      window.open(zipDownloadUrl, "_blank");
     }
   };
 
+  // Refinements compare a single page with the uploaded media
+  const canRefine =
+    Boolean(mediaUrl && htmlContent) &&
+    pages.length === 0 &&
+    Object.keys(references).length === 0;
+
   const formatTimeRemaining = (seconds: number) => {
     if (seconds < 60) {
       return `${seconds} seconds`;
@@ -407,6 +811,13 @@ function App() {
               Download as ZIP
             </Button>
           )}
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setShowHistory(!showHistory)}
+          >
+            History
+          </Button>
           <Button
             variant="outline"
             size="sm"
@@ -417,6 +828,18 @@ function App() {
         </div>
       </header>
 
+      {showHistory && (
+        <div className="p-4 bg-white border-b">
+          <HistoryGallery
+            refreshKey={generationId}
+            disabled={isLoading || isAnalyzing}
+            onOpen={openHistoryEntry}
+            onDuplicate={duplicateHistoryEntry}
+            onClose={() => setShowHistory(false)}
+          />
+        </div>
+      )}
+
       {showSettings && (
         <div className="p-4 bg-white border-b">
           <Settings
@@ -430,6 +853,31 @@ function App() {
               setModel(model);
               localStorage.setItem("claude-model", model);
             }}
+            provider={provider}
+            onProviderChange={(provider) => {
+              setProvider(provider);
+              localStorage.setItem("llm-provider", provider);
+            }}
+            providerBaseUrl={providerBaseUrl}
+            onProviderBaseUrlChange={(url) => {
+              setProviderBaseUrl(url);
+              localStorage.setItem("llm-provider-base-url", url);
+            }}
+            target={target}
+            onTargetChange={(target) => {
+              setTarget(target);
+              localStorage.setItem("export-target", target);
+            }}
+            tailwindVersion={tailwindVersion}
+            onTailwindVersionChange={(version) => {
+              setTailwindVersion(version);
+              localStorage.setItem("tailwind-version", version);
+            }}
+            tailwindConfig={tailwindConfig}
+            onTailwindConfigChange={(enabled) => {
+              setTailwindConfig(enabled);
+              localStorage.setItem("tailwind-config", String(enabled));
+            }}
             onClose={() => setShowSettings(false)}
           />
         </div>
@@ -440,25 +888,98 @@ function App() {
           leftPane={
             <div className="h-full flex flex-col">
               <div className="mb-4">
-                <h2 className="text-lg font-semibold mb-2">Upload Media</h2>
+                <div className="flex justify-between items-center mb-2">
+                  <h2 className="text-lg font-semibold">
+                    {mode === "project"
+                      ? "Upload Screens"
+                      : mode === "responsive"
+                        ? "Upload Breakpoints"
+                        : "Upload Media"}
+                  </h2>
+                  <div className="flex gap-1">
+                    <Button
+                      variant={mode === "single" ? "secondary" : "ghost"}
+                      size="sm"
+                      onClick={() => setMode("single")}
+                      disabled={isLoading}
+                    >
+                      Single screen
+                    </Button>
+                    <Button
+                      variant={mode === "responsive" ? "secondary" : "ghost"}
+                      size="sm"
+                      onClick={() => setMode("responsive")}
+                      disabled={isLoading}
+                    >
+                      Responsive
+                    </Button>
+                    <Button
+                      variant={mode === "project" ? "secondary" : "ghost"}
+                      size="sm"
+                      onClick={() => setMode("project")}
+                      disabled={isLoading}
+                    >
+                      Multi-page site
+                    </Button>
+                  </div>
+                </div>
                 <p className="text-sm text-gray-500 mb-4">
-                  Upload an image or video of a UI that you want to replicate as
-                  HTML.
+                  {mode === "project"
+                    ? "Upload the screenshots of a website in order and name them. Each screen becomes a page, linked to the others."
+                    : mode === "responsive"
+                      ? "Upload screenshots of the same screen at two or more breakpoints. The page reproduces each layout with media queries."
+                      : "Upload an image or video of a UI that you want to replicate as HTML."}
                 </p>
               </div>
 
               <div className="flex-1">
-                <MediaDropzone
-                  onMediaUpload={handleMediaUpload}
-                  mediaUrl={mediaUrl}
-                  mediaType={mediaType}
-                />
+                {mode === "project" ? (
+                  <ScreensDropzone
+                    screens={screens}
+                    onScreensChange={setScreens}
+                  />
+                ) : mode === "responsive" ? (
+                  <BreakpointsDropzone
+                    screenshots={breakpointScreenshots}
+                    onScreenshotsChange={setBreakpointScreenshots}
+                  />
+                ) : (
+                  <>
+                    <MediaDropzone
+                      onMediaUpload={handleMediaUpload}
+                      mediaUrl={mediaUrl}
+                      mediaType={mediaType}
+                    />
+                    {mediaType === "video" && mediaUrl && (
+                      <>
+                        <FrameTimeline
+                          videoUrl={mediaUrl}
+                          frames={videoFrames}
+                          onFramesChange={setVideoFrames}
+                          disabled={isLoading}
+                        />
+                        <VideoAnalysisSettings
+                          strategy={videoAnalysis}
+                          onStrategyChange={setVideoAnalysis}
+                          reports={videoAnalysisReports}
+                          disabled={isLoading}
+                        />
+                      </>
+                    )}
+                  </>
+                )}
               </div>
 
               <div className="mt-4">
                 <Button
-                  onClick={generateHtml}
-                  disabled={!mediaUrl || isLoading}
+                  onClick={generate}
+                  disabled={
+                    (mode === "project"
+                      ? screens.length === 0
+                      : mode === "responsive"
+                        ? breakpointCount < 2
+                        : !mediaUrl) || isLoading
+                  }
                   className="w-full"
                 >
                   {isLoading ? (
@@ -466,6 +987,8 @@ function App() {
                       <Loader2 className="mr-2 h-4 w-4 animate-spin" />
                       Generating...
                     </>
+                  ) : mode === "project" ? (
+                    "Generate Site"
                   ) : (
                     "Generate HTML"
                   )}
@@ -478,6 +1001,13 @@ function App() {
                       <span>{progress}%</span>
                     </div>
                     <Progress value={progress} className="h-2" />
+                    {queuePosition !== null && (
+                      <p className="text-xs text-gray-500 text-center">
+                        Position in queue: {queuePosition}
+                        {estimatedWait !== null &&
+                          ` (about ${formatTimeRemaining(estimatedWait)})`}
+                      </p>
+                    )}
                     {estimatedTimeRemaining !== null && (
                       <p className="text-xs text-gray-500 text-center">
                         Estimated time remaining:{" "}
@@ -531,10 +1061,36 @@ function App() {
                 <p className="text-sm text-gray-500 mb-4">
                   The generated HTML will appear here.
                 </p>
+                {usage && !isLoading && !isAnalyzing && (
+                  <p
+                    className="text-xs text-gray-500 -mt-2"
+                    title={formatUsageByModel(usage).join("\n")}
+                  >
+                    {formatUsageSummary(usage)}
+                  </p>
+                )}
               </div>
 
               <div className="flex-1">
-                <ResultDisplay htmlContent={htmlContent} />
+                <ResultDisplay
+                  htmlContent={htmlContent}
+                  previewHtml={previewHtml}
+                  streamingContent={streamingHtml}
+                  exports={exports}
+                  assets={assets}
+                  assetBaseUrl={assetBaseUrl}
+                  standaloneUrl={standaloneUrl}
+                  tokens={tokens}
+                  onApplyTokens={generationId ? handleApplyTokens : undefined}
+                  pages={pages}
+                  references={references}
+                  accessibility={accessibility}
+                  interactions={interactions}
+                  replay={replay}
+                  onFixAccessibility={
+                    canRefine ? () => analyzeAndRefineUI(true) : undefined
+                  }
+                />
               </div>
               <div className="flex flex-col gap-4 items-center justify-center w-full">
                 {htmlContent && (
@@ -544,25 +1100,26 @@ function App() {
                       <div className="flex gap-2">
                         {zipDownloadUrl && (
                           <a
-                            href={(() => {
-                              const pathMatch = zipDownloadUrl.match(
-                                /\/download\/([^\/]+)\/([^\/]+)$/
-                              );
-                              if (pathMatch && pathMatch.length >= 3) {
-                                const [, id, filename] = pathMatch;
-                                return `http://localhost:3000/temp/${id}/${filename}`;
-                              }
-                              return "#";
-                            })()}
+                            href={zipDownloadUrl}
                             download
                             className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-md"
                           >
                             Download ZIP
                           </a>
                         )}
-                        {mediaUrl && htmlContent && (
+                        {standaloneUrl && (
+                          <a
+                            href={standaloneUrl}
+                            download
+                            className="border border-green-600 text-green-700 hover:bg-green-50 px-4 py-2 rounded-md"
+                            title="One HTML file with the styles, scripts and images inlined"
+                          >
+                            Download HTML file
+                          </a>
+                        )}
+                        {canRefine && (
                           <Button
-                            onClick={analyzeAndRefineUI}
+                            onClick={() => analyzeAndRefineUI()}
                             disabled={isAnalyzing}
                             className="bg-blue-600 hover:bg-blue-700 text-white"
                           >
@@ -581,7 +1138,14 @@ function App() {
         />
       </main>
       {(isLoading || isAnalyzing) && (
-        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+        <div
+          className={
+            streamingHtml
+              ? "fixed bottom-4 right-4 z-50 max-w-md w-full"
+              : "fixed inset-0 bg-black/50 flex items-center justify-center z-50"
+          }
+        >
+          {/* Once code is streaming in, stop covering the result pane */}
           <div className="bg-white p-6 rounded-lg shadow-lg max-w-md w-full">
             <h3 className="text-xl font-bold mb-4">
               {isAnalyzing ? "Analyzing and Refining UI" : "Generating HTML"}
@@ -590,11 +1154,43 @@ function App() {
               <Progress value={progress} className="h-2" />
             </div>
             <p className="text-sm text-gray-600">{statusMessage}</p>
+            {queuePosition !== null && (
+              <p className="text-sm text-gray-600 mt-2">
+                Position in queue: {queuePosition}
+                {estimatedWait !== null &&
+                  ` (about ${formatTimeRemaining(estimatedWait)})`}
+              </p>
+            )}
             {isAnalyzing && iterationCount > 0 && (
               <p className="text-sm text-gray-600 mt-2">
                 Iterations completed: {iterationCount}
               </p>
             )}
+            {usage && (
+              <p
+                className="text-xs text-gray-500 mt-2"
+                title={formatUsageByModel(usage).join("\n")}
+              >
+                {formatUsageSummary(usage)}
+              </p>
+            )}
+            <div className="mt-4 flex justify-end">
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={cancelTask}
+                disabled={!taskId || isCancelling}
+              >
+                {isCancelling ? (
+                  <>
+                    <Loader2 className="mr-2 h-3 w-3 animate-spin" />
+                    Cancelling...
+                  </>
+                ) : (
+                  "Cancel"
+                )}
+              </Button>
+            </div>
           </div>
         </div>
       )}
@@ -0,0 +1,107 @@
+import { Button } from '@/components/ui/button';
+import { AlertTriangle, CheckCircle2, ExternalLink } from 'lucide-react';
+import type { AccessibilityImpact, AccessibilityReport } from '@/hooks/use-task-events';
+
+interface AccessibilityPanelProps {
+  report: AccessibilityReport | null;
+  onFix?: () => void;
+}
+
+const IMPACTS: AccessibilityImpact[] = ['critical', 'serious', 'moderate', 'minor'];
+
+const IMPACT_STYLES: Record<AccessibilityImpact, string> = {
+  critical: 'bg-red-100 text-red-700',
+  serious: 'bg-orange-100 text-orange-700',
+  moderate: 'bg-yellow-100 text-yellow-800',
+  minor: 'bg-gray-100 text-gray-700',
+};
+
+// The axe-core violations of a result, the most severe first, with an
+// optional action that has the model fix them
+export function AccessibilityPanel({ report, onFix }: AccessibilityPanelProps) {
+  if (!report) {
+    return (
+      <p className="text-sm text-muted-foreground">
+        The accessibility audit could not run for this result.
+      </p>
+    );
+  }
+
+  if (report.violations.length === 0) {
+    return (
+      <p className="flex items-center gap-2 text-sm text-green-700">
+        <CheckCircle2 className="h-4 w-4" />
+        axe-core found no accessibility violations.
+      </p>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <AlertTriangle className="h-4 w-4 text-orange-600" />
+          <span>
+            {report.violations.length} rule{report.violations.length === 1 ? '' : 's'} violated
+          </span>
+          {IMPACTS.filter((impact) => report.counts[impact] > 0).map((impact) => (
+            <span key={impact} className={`rounded px-2 py-0.5 text-xs ${IMPACT_STYLES[impact]}`}>
+              {report.counts[impact]} {impact}
+            </span>
+          ))}
+        </div>
+        {onFix && (
+          <Button size="sm" onClick={onFix}>
+            Fix accessibility issues
+          </Button>
+        )}
+      </div>
+
+      <ul className="flex flex-col gap-2">
+        {report.violations.map((violation) => (
+          <li key={violation.rule} className="border rounded-md bg-white">
+            <details>
+              <summary className="flex cursor-pointer items-center gap-2 p-2 text-sm">
+                <span className={`rounded px-2 py-0.5 text-xs ${IMPACT_STYLES[violation.impact]}`}>
+                  {violation.impact}
+                </span>
+                <span className="font-mono text-xs">{violation.rule}</span>
+                <span className="flex-1 truncate">{violation.help}</span>
+                <span className="text-xs text-muted-foreground">
+                  {violation.elementCount} element{violation.elementCount === 1 ? '' : 's'}
+                </span>
+              </summary>
+              <div className="flex flex-col gap-2 border-t p-2">
+                {violation.elements.map((element, index) => (
+                  <div key={index} className="flex flex-col gap-1">
+                    <code className="text-xs font-semibold break-all">{element.selector}</code>
+                    <pre className="text-xs bg-muted p-2 rounded overflow-auto whitespace-pre-wrap break-all">
+                      {element.html}
+                    </pre>
+                    {element.summary && (
+                      <p className="text-xs text-muted-foreground whitespace-pre-line">{element.summary}</p>
+                    )}
+                  </div>
+                ))}
+                {violation.elementCount > violation.elements.length && (
+                  <p className="text-xs text-muted-foreground">
+                    and {violation.elementCount - violation.elements.length} more
+                  </p>
+                )}
+                <a
+                  href={violation.helpUrl}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="flex items-center gap-1 text-xs text-blue-600 hover:underline"
+                >
+                  How to fix {violation.rule}
+                  <ExternalLink className="h-3 w-3" />
+                </a>
+              </div>
+            </details>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import { useCallback } from 'react';
+import { useDropzone } from 'react-dropzone';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Upload, X } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { BREAKPOINT_LABELS, DEVICES, type BreakpointScreenshots, type Device } from '@/lib/breakpoints';
+
+const MAX_SCREENSHOT_SIZE = 5 * 1024 * 1024;
+
+interface BreakpointsDropzoneProps {
+  screenshots: BreakpointScreenshots;
+  onScreenshotsChange: (screenshots: BreakpointScreenshots) => void;
+}
+
+interface BreakpointSlotProps {
+  device: Device;
+  url: string | undefined;
+  onChange: (url: string | null) => void;
+}
+
+function BreakpointSlot({ device, url, onChange }: BreakpointSlotProps) {
+  const { toast } = useToast();
+
+  const onDrop = useCallback((acceptedFiles: File[]) => {
+    const file = acceptedFiles[0];
+    if (!file) return;
+
+    if (!file.type.startsWith('image/') || file.size > MAX_SCREENSHOT_SIZE) {
+      toast({
+        title: "Invalid screenshot",
+        description: "Please upload an image smaller than 5MB",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    onChange(URL.createObjectURL(file));
+  }, [onChange, toast]);
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop,
+    accept: {
+      'image/*': []
+    },
+    maxFiles: 1
+  });
+
+  return (
+    <div className="flex flex-col gap-1">
+      <span className="text-sm font-medium">{BREAKPOINT_LABELS[device]}</span>
+      {url ? (
+        <div className="relative">
+          <img src={url} alt={`${device} screenshot`} className="w-full h-40 rounded-md border object-contain bg-white" />
+          <Button
+            variant="outline"
+            size="sm"
+            className="absolute top-2 right-2 h-7 px-2 bg-background/80 backdrop-blur-sm"
+            onClick={() => onChange(null)}
+            aria-label={`Remove the ${device} screenshot`}
+          >
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+      ) : (
+        <Card
+          {...getRootProps()}
+          className={`border-dashed cursor-pointer ${isDragActive ? 'border-primary' : 'border-border'} hover:border-primary transition-colors`}
+        >
+          <CardContent className="h-40 flex flex-col items-center justify-center p-2 text-center">
+            <input {...getInputProps()} />
+            <Upload className="h-5 w-5 mb-2 text-muted-foreground" />
+            <p className="text-xs text-muted-foreground">
+              {isDragActive ? 'Drop the screenshot here' : `Drop the ${device} screenshot or click to select`}
+            </p>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
+
+// Collect screenshots of the same screen at the mobile, tablet and desktop
+// breakpoints. Any two of them are enough for a responsive generation.
+export function BreakpointsDropzone({ screenshots, onScreenshotsChange }: BreakpointsDropzoneProps) {
+  // Replaced screenshots are not revoked; a result may still show them as its
+  // references
+  const setScreenshot = (device: Device, url: string | null) => {
+    const others = Object.fromEntries(
+      Object.entries(screenshots).filter(([name]) => name !== device)
+    ) as BreakpointScreenshots;
+    onScreenshotsChange(url ? { ...others, [device]: url } : others);
+  };
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+      {DEVICES.map((device) => (
+        <BreakpointSlot
+          key={device}
+          device={device}
+          url={screenshots[device]}
+          onChange={(url) => setScreenshot(device, url)}
+        />
+      ))}
+    </div>
+  );
+}
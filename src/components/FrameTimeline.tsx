@@ -0,0 +1,239 @@
+import { useRef, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Loader2, Plus, Sparkles, X } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import type { VideoFrameExtraction } from '@/hooks/use-task-events';
+import { API_BASE_URL, getApiErrorMessage } from '@/lib/api';
+
+// Match MAX_FRAMES of server-js/lib/frameExtraction.js and the note length
+// the generation request accepts
+const MAX_FRAMES = 20;
+const MAX_NOTE_LENGTH = 500;
+
+// Width of the thumbnails captured from the video, as on the server
+const THUMBNAIL_WIDTH = 240;
+
+export interface VideoFrame {
+  id: string;
+  timestamp: number;
+  // JPEG data URL; empty when the video does not allow capturing it
+  thumbnail: string;
+  note: string;
+  // Scene score when the server picked the frame at a change
+  score: number | null;
+}
+
+// Frames of POST /extract-frames, each with a thumbnail
+type FramePreview = Omit<VideoFrameExtraction, 'frames'> & {
+  frames: (VideoFrameExtraction['frames'][number] & { thumbnail: string })[];
+};
+
+interface FrameTimelineProps {
+  videoUrl: string;
+  // Null until frames are suggested or added; the server then picks them
+  frames: VideoFrame[] | null;
+  onFramesChange: (frames: VideoFrame[] | null) => void;
+  disabled?: boolean;
+}
+
+function formatTimestamp(seconds: number) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+// Capture the current frame of a video as a thumbnail. Videos of another
+// origin without CORS headers cannot be captured.
+function captureThumbnail(video: HTMLVideoElement) {
+  try {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.min(THUMBNAIL_WIDTH, video.videoWidth);
+    canvas.height = Math.round((canvas.width / video.videoWidth) * video.videoHeight);
+    canvas.getContext('2d')?.drawImage(video, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', 0.7);
+  } catch {
+    return '';
+  }
+}
+
+// Timeline of the frames of a video the model analyzes. The server suggests
+// frames at scene changes; the user can add frames at the current time of the
+// player, remove them and note what happens in each one.
+export function FrameTimeline({ videoUrl, frames, onFramesChange, disabled = false }: FrameTimelineProps) {
+  const videoRef = useRef<HTMLVideoElement>(null);
+  const [duration, setDuration] = useState(0);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [isSuggesting, setIsSuggesting] = useState(false);
+  const { toast } = useToast();
+
+  const selected = frames || [];
+
+  const seek = (timestamp: number) => {
+    if (videoRef.current) {
+      videoRef.current.currentTime = timestamp;
+    }
+  };
+
+  const suggestFrames = async () => {
+    try {
+      setIsSuggesting(true);
+
+      const blob = await fetch(videoUrl).then((r) => r.blob());
+      const formData = new FormData();
+      formData.append('media', blob, 'media.mp4');
+
+      const response = await fetch(`${API_BASE_URL}/extract-frames`, { method: 'POST', body: formData });
+      if (!response.ok) {
+        throw new Error(await getApiErrorMessage(response, 'Failed to extract frames'));
+      }
+
+      const preview: FramePreview = await response.json();
+      onFramesChange(preview.frames.map((frame) => ({
+        id: crypto.randomUUID(),
+        timestamp: frame.timestamp,
+        thumbnail: frame.thumbnail,
+        note: '',
+        score: frame.score,
+      })));
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "An unknown error occurred",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSuggesting(false);
+    }
+  };
+
+  const addFrame = () => {
+    const video = videoRef.current;
+    if (!video) return;
+
+    const timestamp = video.currentTime;
+    if (selected.some((frame) => Math.abs(frame.timestamp - timestamp) < 0.05)) {
+      toast({
+        title: "Frame already added",
+        description: `There is already a frame at ${formatTimestamp(timestamp)}`,
+      });
+      return;
+    }
+
+    const frame = { id: crypto.randomUUID(), timestamp, thumbnail: captureThumbnail(video), note: '', score: null };
+    onFramesChange([...selected, frame].sort((a, b) => a.timestamp - b.timestamp));
+  };
+
+  const setNote = (id: string, note: string) => {
+    onFramesChange(selected.map((frame) => (frame.id === id ? { ...frame, note } : frame)));
+  };
+
+  const remove = (id: string) => {
+    const remaining = selected.filter((frame) => frame.id !== id);
+    onFramesChange(remaining.length > 0 ? remaining : null);
+  };
+
+  return (
+    <div className="mt-4 flex flex-col gap-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-medium">Frames</h3>
+        <span className="text-xs text-muted-foreground">
+          {frames ? `${selected.length} of at most ${MAX_FRAMES}` : 'Picked at scene changes'}
+        </span>
+      </div>
+
+      <video
+        ref={videoRef}
+        src={videoUrl}
+        crossOrigin="anonymous"
+        controls
+        muted
+        className="w-full max-h-48 rounded border bg-black"
+        onLoadedMetadata={(e) => setDuration(Number.isFinite(e.currentTarget.duration) ? e.currentTarget.duration : 0)}
+        onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+      />
+
+      {duration > 0 && (
+        <div className="relative h-6 rounded bg-muted" aria-label="Timeline">
+          <div
+            className="absolute inset-y-0 w-0.5 bg-primary"
+            style={{ left: `${(currentTime / duration) * 100}%` }}
+          />
+          {selected.map((frame, index) => (
+            <button
+              key={frame.id}
+              type="button"
+              className={`absolute top-1 h-4 w-2 -ml-1 rounded-sm ${frame.note ? 'bg-blue-600' : 'bg-gray-500'}`}
+              style={{ left: `${(frame.timestamp / duration) * 100}%` }}
+              onClick={() => seek(frame.timestamp)}
+              title={`Frame ${index + 1} at ${formatTimestamp(frame.timestamp)}${frame.note ? `: ${frame.note}` : ''}`}
+              aria-label={`Go to frame ${index + 1}`}
+            />
+          ))}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <Button variant="outline" size="sm" onClick={suggestFrames} disabled={disabled || isSuggesting}>
+          {isSuggesting ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Sparkles className="h-4 w-4 mr-1" />}
+          {frames ? 'Suggest again' : 'Suggest frames'}
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={addFrame}
+          disabled={disabled || duration === 0 || selected.length >= MAX_FRAMES}
+        >
+          <Plus className="h-4 w-4 mr-1" />
+          Add frame at {formatTimestamp(currentTime)}
+        </Button>
+        {frames && (
+          <Button variant="ghost" size="sm" onClick={() => onFramesChange(null)} disabled={disabled}>
+            Pick automatically
+          </Button>
+        )}
+      </div>
+
+      {selected.length > 0 && (
+        <ol className="flex flex-col gap-2">
+          {selected.map((frame, index) => (
+            <li key={frame.id} className="flex items-center gap-3 border rounded-md p-2 bg-white">
+              <button
+                type="button"
+                className="h-14 w-20 shrink-0 rounded border bg-muted overflow-hidden"
+                onClick={() => seek(frame.timestamp)}
+                aria-label={`Go to frame ${index + 1}`}
+              >
+                {frame.thumbnail && <img src={frame.thumbnail} alt="" className="h-full w-full object-cover" />}
+              </button>
+              <div className="flex-1 flex flex-col gap-1 min-w-0">
+                <Input
+                  value={frame.note}
+                  onChange={(e) => setNote(frame.id, e.target.value)}
+                  placeholder={index === 0 ? 'Initial state' : 'What happens here, e.g. user clicks Save'}
+                  maxLength={MAX_NOTE_LENGTH}
+                  aria-label={`Note on frame ${index + 1}`}
+                  className="h-8"
+                  disabled={disabled}
+                />
+                <span className="text-xs text-muted-foreground">
+                  {formatTimestamp(frame.timestamp)}
+                  {frame.score !== null && ` · change ${frame.score.toFixed(2)}`}
+                </span>
+              </div>
+              <Button
+                variant="ghost"
+                size="sm"
+                className="h-8 px-2"
+                onClick={() => remove(frame.id)}
+                disabled={disabled}
+                aria-label="Remove"
+              >
+                <X className="h-4 w-4" />
+              </Button>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Copy, Download, FolderOpen, Image as ImageIcon, Pin, PinOff, Trash2, X } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { API_BASE_URL, getApiErrorMessage } from '@/lib/api';
+import { HISTORY_KIND_LABELS, type HistoryEntry } from '@/lib/history';
+
+interface HistoryGalleryProps {
+  // Changes whenever a generation finishes, so the list is fetched again
+  refreshKey: string | null;
+  // Opening and duplicating wait until the running task is done
+  disabled?: boolean;
+  onOpen: (entry: HistoryEntry) => void;
+  onDuplicate: (entry: HistoryEntry) => void;
+  onClose: () => void;
+}
+
+// Past generations of the server's history. Generations are deleted an hour
+// after they were made unless they are pinned.
+export function HistoryGallery({ refreshKey, disabled = false, onOpen, onDuplicate, onClose }: HistoryGalleryProps) {
+  const [entries, setEntries] = useState<HistoryEntry[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const { toast } = useToast();
+
+  const showError = useCallback((error: unknown) => {
+    toast({
+      title: "Error",
+      description: error instanceof Error ? error.message : "An unknown error occurred",
+      variant: "destructive",
+    });
+  }, [toast]);
+
+  useEffect(() => {
+    const loadEntries = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/history`);
+        if (!response.ok) {
+          throw new Error(await getApiErrorMessage(response, 'Failed to load the history'));
+        }
+
+        const data = await response.json();
+        setEntries(data.entries);
+      } catch (error) {
+        showError(error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadEntries();
+  }, [refreshKey, showError]);
+
+  const togglePinned = async (entry: HistoryEntry) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/history/${entry.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ pinned: !entry.pinned }),
+      });
+      if (!response.ok) {
+        throw new Error(await getApiErrorMessage(response, 'Failed to pin the generation'));
+      }
+
+      const updated: HistoryEntry = await response.json();
+      setEntries((items) => items.map((item) => (item.id === updated.id ? updated : item)));
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const remove = async (entry: HistoryEntry) => {
+    if (!window.confirm('Delete this generation and its files?')) return;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/history/${entry.id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        throw new Error(await getApiErrorMessage(response, 'Failed to delete the generation'));
+      }
+
+      setEntries((items) => items.filter((item) => item.id !== entry.id));
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between pb-2">
+        <CardTitle className="text-lg">History</CardTitle>
+        <Button variant="ghost" size="sm" onClick={onClose}>
+          <X className="h-4 w-4" />
+        </Button>
+      </CardHeader>
+      <CardContent>
+        {entries.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            {isLoading ? 'Loading...' : 'No generations yet. Pinned generations are kept; the others are deleted after an hour.'}
+          </p>
+        ) : (
+          <ul className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+            {entries.map((entry) => (
+              <li key={entry.id} className="border rounded-md bg-white flex flex-col overflow-hidden">
+                <div className="relative h-32 bg-muted flex items-center justify-center">
+                  {entry.thumbnailPath ? (
+                    <img
+                      src={`http://localhost:3000${entry.thumbnailPath}`}
+                      alt=""
+                      className="h-full w-full object-cover object-top"
+                    />
+                  ) : (
+                    <ImageIcon className="h-6 w-6 text-muted-foreground" />
+                  )}
+                  {entry.pinned && (
+                    <span className="absolute top-2 right-2 rounded-full bg-white p-1 shadow" title="Pinned">
+                      <Pin className="h-3 w-3" />
+                    </span>
+                  )}
+                </div>
+                <div className="p-2 flex flex-col gap-1 text-xs">
+                  <p className="font-medium text-sm">
+                    {HISTORY_KIND_LABELS[entry.kind]}
+                    {entry.pageCount > 0 && ` · ${entry.pageCount} pages`}
+                  </p>
+                  <p className="text-muted-foreground">{new Date(entry.createdAt).toLocaleString()}</p>
+                  <p className="text-muted-foreground truncate" title={`${entry.provider} · ${entry.model}`}>
+                    {entry.model} · {entry.iterationCount} iteration{entry.iterationCount === 1 ? '' : 's'}
+                  </p>
+                </div>
+                <div className="mt-auto p-2 pt-0 flex flex-wrap gap-1">
+                  <Button variant="outline" size="sm" className="h-7 px-2 text-xs" onClick={() => onOpen(entry)} disabled={disabled}>
+                    <FolderOpen className="h-3 w-3 mr-1" />
+                    Open
+                  </Button>
+                  <Button variant="ghost" size="sm" className="h-7 px-2" asChild>
+                    <a href={`http://localhost:3000${entry.zipPath}`} download aria-label="Download ZIP" title="Download ZIP">
+                      <Download className="h-3 w-3" />
+                    </a>
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="h-7 px-2"
+                    onClick={() => onDuplicate(entry)}
+                    disabled={disabled || !entry.sourcePath}
+                    aria-label="Duplicate into a new refinement"
+                    title={entry.sourcePath ? 'Duplicate into a new refinement' : 'Only pages made from one image or video can be refined'}
+                  >
+                    <Copy className="h-3 w-3" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="h-7 px-2"
+                    onClick={() => togglePinned(entry)}
+                    aria-label={entry.pinned ? 'Unpin' : 'Pin'}
+                    title={entry.pinned ? 'Unpin; deleted an hour after it was made' : 'Pin; kept by the hourly cleanup'}
+                  >
+                    {entry.pinned ? <PinOff className="h-3 w-3" /> : <Pin className="h-3 w-3" />}
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="h-7 px-2 text-red-600"
+                    onClick={() => remove(entry)}
+                    aria-label="Delete"
+                    title="Delete"
+                  >
+                    <Trash2 className="h-3 w-3" />
+                  </Button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,85 @@
+import { CheckCircle2, XCircle } from 'lucide-react';
+import type { InteractionReplay, ReplayStep } from '@/lib/interactions';
+
+interface ReplayFilmstripProps {
+  replay: InteractionReplay | null;
+}
+
+function describeAction(step: ReplayStep) {
+  if (!step.transition) return 'Page load';
+  const { event, selector, value } = step.transition;
+  return [event, selector, value ? `"${value}"` : ''].filter(Boolean).join(' ');
+}
+
+function ReplayImage({ path, label }: { path: string | null; label: string }) {
+  return (
+    <div className="aspect-video w-full rounded border bg-muted overflow-hidden">
+      {path ? (
+        <img src={`http://localhost:3000${path}`} alt={label} className="h-full w-full object-contain" />
+      ) : (
+        <span className="flex h-full items-center justify-center text-xs text-muted-foreground">No {label.toLowerCase()}</span>
+      )}
+    </div>
+  );
+}
+
+// The steps of replaying the interactions on the generated page, each with
+// the frame of the video above the screenshot of the page
+export function ReplayFilmstrip({ replay }: ReplayFilmstripProps) {
+  if (!replay) {
+    return (
+      <p className="text-sm text-muted-foreground">
+        The interactions could not be replayed on this result.
+      </p>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        {replay.failed === 0 ? (
+          <CheckCircle2 className="h-4 w-4 text-green-600" />
+        ) : (
+          <XCircle className="h-4 w-4 text-red-600" />
+        )}
+        <span>
+          {replay.passed} of {replay.steps.length} replay step{replay.steps.length === 1 ? '' : 's'} passed
+        </span>
+        <span className="text-xs text-muted-foreground">
+          A step passes in the expected state with an SSIM of at least {replay.threshold}
+          {replay.skippedTransitions > 0 && `; ${replay.skippedTransitions} transition${replay.skippedTransitions === 1 ? ' was' : 's were'} not reached`}
+        </span>
+      </div>
+
+      <ol className="flex gap-3 overflow-x-auto pb-2">
+        {replay.steps.map((step) => (
+          <li
+            key={step.index}
+            className={`flex w-56 shrink-0 flex-col gap-1 rounded-md border p-2 ${step.passed ? 'border-green-300' : 'border-red-300 bg-red-50'}`}
+          >
+            <div className="flex items-center justify-between gap-2 text-xs">
+              <span className="font-medium truncate" title={describeAction(step)}>
+                {step.index}. {describeAction(step)}
+              </span>
+              {step.passed ? (
+                <CheckCircle2 className="h-4 w-4 shrink-0 text-green-600" aria-label="Passed" />
+              ) : (
+                <XCircle className="h-4 w-4 shrink-0 text-red-600" aria-label="Failed" />
+              )}
+            </div>
+            <ReplayImage path={step.framePath} label={step.frame ? `Frame ${step.frame.index + 1}` : 'Frame'} />
+            <ReplayImage path={step.screenshotPath} label="Screenshot" />
+            <div className="text-xs text-muted-foreground">
+              <div>
+                State {step.actualState ?? 'not set'}
+                {step.actualState !== step.expectedState && `, expected ${step.expectedState}`}
+              </div>
+              {step.ssim !== null && <div>SSIM {step.ssim.toFixed(2)}</div>}
+              {step.error && <div className="text-red-700">{step.error}</div>}
+            </div>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
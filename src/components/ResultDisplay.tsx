@@ -1,70 +1,252 @@
-import { useEffect, useRef, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import { Card, CardContent } from '@/components/ui/card';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Button } from '@/components/ui/button';
-import { Copy, Smartphone, Tablet, Monitor, Laptop } from 'lucide-react';
+import { Copy, FileCode, Smartphone, Tablet, Monitor, Laptop } from 'lucide-react';
 import { useToast } from '@/hooks/use-toast';
+import { getApiErrorMessage } from '@/lib/api';
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/components/ui/tooltip';
+import type { AccessibilityReport, TaskAsset, TaskExport, TaskPage } from '@/hooks/use-task-events';
+import { EXPORT_TARGET_LABELS, type ExportTarget } from '@/lib/export-targets';
+import type { DesignTokens } from '@/lib/design-tokens';
+import { TokensEditor } from '@/components/TokensEditor';
+import { AccessibilityPanel } from '@/components/AccessibilityPanel';
+import { StateDiagram } from '@/components/StateDiagram';
+import { ReplayFilmstrip } from '@/components/ReplayFilmstrip';
+import type { InteractionModel, InteractionReplay } from '@/lib/interactions';
+import { BREAKPOINT_LABELS, type BreakpointScreenshots, type Device } from '@/lib/breakpoints';
+
+type ViewportSize = 'mobile-sm' | 'mobile' | 'tablet' | 'laptop' | 'desktop';
+
+// The breakpoint screenshot each preview width is shown next to
+const VIEWPORT_DEVICES: Record<ViewportSize, Device> = {
+  'mobile-sm': 'mobile',
+  'mobile': 'mobile',
+  'tablet': 'tablet',
+  'laptop': 'desktop',
+  'desktop': 'desktop',
+};
 
 interface ResultDisplayProps {
   htmlContent: string;
+  // The written page with its styles inlined; the preview falls back to
+  // htmlContent without it
+  previewHtml?: string;
+  streamingContent?: string;
+  exports?: TaskExport[];
+  assets?: TaskAsset[];
+  assetBaseUrl?: string;
+  standaloneUrl?: string;
+  tokens?: DesignTokens | null;
+  onApplyTokens?: (tokens: DesignTokens) => Promise<void>;
+  pages?: TaskPage[];
+  references?: BreakpointScreenshots;
+  accessibility?: AccessibilityReport | null;
+  onFixAccessibility?: () => void;
+  interactions?: InteractionModel | null;
+  // Undefined when the interactions were not replayed
+  replay?: InteractionReplay | null;
+}
+
+// Cut streamed model output back to the last closed tag, so the preview only
+// re-renders at points where the markup is complete enough to show
+function getRenderableHtml(text: string) {
+  // Skip any prose or opening code fence before the markup
+  const fenceIndex = text.indexOf('```html');
+  let markup = fenceIndex >= 0
+    ? text.slice(fenceIndex + '```html'.length)
+    : text.slice(Math.max(text.indexOf('<'), 0));
+
+  // Drop the closing fence and anything after it
+  const closingFenceIndex = markup.indexOf('```');
+  if (closingFenceIndex >= 0) {
+    markup = markup.slice(0, closingFenceIndex);
+  }
+
+  const closingTags = [...markup.matchAll(/<\/[a-zA-Z][\w-]*\s*>/g)];
+  const lastClosingTag = closingTags[closingTags.length - 1];
+  return lastClosingTag
+    ? markup.slice(0, lastClosingTag.index + lastClosingTag[0].length)
+    : '';
+}
+
+// Point the relative assets/ references of generated code at the server
+function resolveAssetUrls(code: string, assetBaseUrl: string) {
+  if (!assetBaseUrl) return code;
+  return code.replace(/(["'(])assets\//g, `$1${assetBaseUrl}/`);
+}
+
+// Google Fonts for generated CSS that names fonts without importing any
+const FALLBACK_FONT_IMPORTS = [
+  'Inter:wght@300;400;500;600;700',
+  'Roboto:wght@300;400;500;700',
+  'Open+Sans:wght@300;400;500;600;700',
+  'Lato:wght@300;400;700',
+].map((family) => `@import url('https://fonts.googleapis.com/css2?family=${family}&display=swap');`);
+
+const PREVIEW_LINK_MESSAGE = 'preview-link';
+
+// Runs inside the preview: instead of navigating the frame, links to other
+// files are reported to the app, which shows the page if the site has one
+const PREVIEW_LINK_BRIDGE = `document.addEventListener('click', function (event) {
+  var link = event.target.closest && event.target.closest('a[href]');
+  if (!link || event.defaultPrevented) return;
+  var href = link.getAttribute('href');
+  if (href.charAt(0) === '#' || /^javascript:/i.test(href)) return;
+  event.preventDefault();
+  parent.postMessage({ type: '${PREVIEW_LINK_MESSAGE}', href: href }, '*');
+});`;
+
+// Build the document shown in the sandboxed preview frame from a written
+// page: the link bridge and, for fonts the page names without importing
+// them, the fallback fonts join its head
+function composePreviewDocument(page: string, assetBaseUrl: string) {
+  const fontImports = page.includes('font-family') && !page.includes('@import') ? FALLBACK_FONT_IMPORTS : [];
+  const headTags = [
+    `<script>\n${PREVIEW_LINK_BRIDGE}\n</script>`,
+    ...(fontImports.length > 0 ? [`<style>\n${fontImports.join('\n')}\n</style>`] : []),
+  ].join('\n');
+  const headEnd = page.search(/<\/head\s*>/i);
+
+  return resolveAssetUrls(
+    headEnd >= 0 ? `${page.slice(0, headEnd)}${headTags}\n${page.slice(headEnd)}` : `${headTags}\n${page}`,
+    assetBaseUrl
+  );
 }
 
-export function ResultDisplay({ htmlContent }: ResultDisplayProps) {
-  const previewRef = useRef<HTMLDivElement>(null);
+export function ResultDisplay({
+  htmlContent: finalHtmlContent,
+  previewHtml: finalPreviewHtml = '',
+  streamingContent = '',
+  exports = [],
+  assets = [],
+  assetBaseUrl = '',
+  standaloneUrl = '',
+  tokens = null,
+  onApplyTokens,
+  pages = [],
+  references = {},
+  accessibility,
+  onFixAccessibility,
+  interactions = null,
+  replay,
+}: ResultDisplayProps) {
+  // While a task streams, show its partial output instead of the last result
+  const isStreaming = streamingContent.length > 0;
+  // A multi-page site shows one of its pages at a time
+  const [selectedPage, setSelectedPage] = useState<string | null>(null);
+  const hasPages = pages.length > 0 && !isStreaming;
+  const activePage = hasPages ? pages.find((page) => page.file === selectedPage) ?? pages[0] : undefined;
+  const resultHtml = activePage ? activePage.html : finalHtmlContent;
+  const htmlContent = isStreaming ? streamingContent : resultHtml;
+  const resultPreviewHtml = (activePage ? activePage.previewHtml : finalPreviewHtml) || resultHtml;
+  // Streamed output is shown as far as it goes; scripts only run once the
+  // result is complete
+  const previewDocument = useMemo(
+    () => (isStreaming
+      ? resolveAssetUrls(getRenderableHtml(streamingContent), assetBaseUrl)
+      : resultPreviewHtml ? composePreviewDocument(resultPreviewHtml, assetBaseUrl) : ''),
+    [isStreaming, streamingContent, resultPreviewHtml, assetBaseUrl]
+  );
+  const previewRef = useRef<HTMLIFrameElement>(null);
+  const codeRef = useRef<HTMLPreElement>(null);
   const { toast } = useToast();
   const [copied, setCopied] = useState(false);
-  const [viewportSize, setViewportSize] = useState<'mobile-sm' | 'mobile' | 'tablet' | 'laptop' | 'desktop'>('desktop');
+  const [viewportSize, setViewportSize] = useState<ViewportSize>('desktop');
+  const [selectedTab, setSelectedTab] = useState('preview');
+  // Fall back to the preview when the assets or tokens tab goes away
+  const hasAssets = assets.length > 0 && !isStreaming;
+  const hasTokens = tokens !== null && onApplyTokens !== undefined && !isStreaming;
+  const hasInteractions = interactions !== null && !isStreaming;
+  // Every page of a site has its own audit; undefined means none was made
+  const accessibilityReport = activePage ? activePage.accessibility : accessibility;
+  const hasAccessibility = accessibilityReport !== undefined && Boolean(htmlContent) && !isStreaming;
+  const activeTab =
+    (selectedTab === 'assets' && !hasAssets) ||
+    (selectedTab === 'tokens' && !hasTokens) ||
+    (selectedTab === 'accessibility' && !hasAccessibility) ||
+    (selectedTab === 'interactions' && !hasInteractions)
+      ? 'preview'
+      : selectedTab;
+  const [selectedTarget, setSelectedTarget] = useState<ExportTarget | null>(null);
+  const [selectedPath, setSelectedPath] = useState<string | null>(null);
+
+  // Show the framework project when there is one, starting with its component
+  const activeExport = isStreaming
+    ? undefined
+    : exports.find((item) => item.target === selectedTarget) ?? exports[exports.length - 1];
+  const activeFile = activeExport
+    ? activeExport.files.find((file) => file.path === selectedPath) ??
+      activeExport.files.find((file) => file.path === activeExport.componentPath) ??
+      activeExport.files[0]
+    : undefined;
+  const showsExportFile = activeTab === 'code' && activeFile !== undefined;
+
+  const selectTarget = (target: ExportTarget) => {
+    setSelectedTarget(target);
+    setSelectedPath(null);
+  };
 
+  // Follow links between the pages of a site inside the preview. The sandboxed
+  // frame cannot navigate the app, so its link bridge reports each click.
   useEffect(() => {
-    if (previewRef.current && htmlContent) {
-      // Create a style element to ensure custom CSS is applied
-      const styleEl = document.createElement('style');
-      
-      // Extract any <style> tags from the HTML content
-      const styleMatch = htmlContent.match(/<style>([\s\S]*?)<\/style>/);
-      const styleContent = styleMatch ? styleMatch[1] : '';
-      
-      // Add font imports if needed
-      let fontImports = '';
-      if (styleContent.includes('font-family') && !styleContent.includes('@import')) {
-        fontImports = `
-          @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap');
-          @import url('https://fonts.googleapis.com/css2?family=Roboto:wght@300;400;500;700&display=swap');
-          @import url('https://fonts.googleapis.com/css2?family=Open+Sans:wght@300;400;500;600;700&display=swap');
-          @import url('https://fonts.googleapis.com/css2?family=Lato:wght@300;400;700&display=swap');
-        `;
-      }
-      
-      // Set the style content with font imports
-      styleEl.textContent = fontImports + styleContent;
-      
-      // Clean the HTML content (remove any <style> tags)
-      const cleanHtml = htmlContent.replace(/<style>[\s\S]*?<\/style>/, '');
-      
-      // Set the HTML content
-      previewRef.current.innerHTML = '';
-      previewRef.current.innerHTML = cleanHtml;
-      
-      // Append the style element if there was any style content
-      if (styleContent || fontImports) {
-        previewRef.current.appendChild(styleEl);
+    if (!hasPages) return;
+
+    const handleMessage = (event: MessageEvent) => {
+      if (event.source !== previewRef.current?.contentWindow || event.data?.type !== PREVIEW_LINK_MESSAGE) return;
+
+      const file = String(event.data.href).replace(/^\.\//, '').split(/[?#]/)[0];
+      const page = pages.find((item) => item.file === file);
+      if (page) {
+        setSelectedPage(page.file);
       }
+    };
+
+    window.addEventListener('message', handleMessage);
+    return () => window.removeEventListener('message', handleMessage);
+  }, [hasPages, pages]);
+
+  // Follow the end of the code while it streams in
+  useEffect(() => {
+    if (isStreaming && codeRef.current) {
+      codeRef.current.scrollTop = codeRef.current.scrollHeight;
     }
-  }, [htmlContent]);
+  }, [isStreaming, streamingContent]);
 
   const copyToClipboard = () => {
     if (htmlContent) {
-      navigator.clipboard.writeText(htmlContent);
+      navigator.clipboard.writeText(showsExportFile ? activeFile.content : htmlContent);
       setCopied(true);
       toast({
         title: "Copied!",
-        description: "HTML code copied to clipboard.",
+        description: showsExportFile ? `${activeFile.path} copied to clipboard.` : "HTML code copied to clipboard.",
       });
       setTimeout(() => setCopied(false), 2000);
     }
   };
 
+  // Copy the shown page as one HTML file with everything it needs inlined
+  const copyStandaloneHtml = async () => {
+    try {
+      const response = await fetch(activePage ? `${standaloneUrl}?page=${encodeURIComponent(activePage.file)}` : standaloneUrl);
+      if (!response.ok) {
+        throw new Error(await getApiErrorMessage(response, 'Failed to build the HTML file'));
+      }
+
+      await navigator.clipboard.writeText(await response.text());
+      toast({
+        title: "Copied!",
+        description: `${activePage ? activePage.file : 'The page'} copied to clipboard as one self-contained HTML file.`,
+      });
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "An unknown error occurred",
+        variant: "destructive",
+      });
+    }
+  };
+
   // Device presets with common screen sizes
   const devicePresets = {
     'mobile-sm': { width: '320px', name: 'Small Mobile (320px)' },
@@ -74,24 +256,41 @@ export function ResultDisplay({ htmlContent }: ResultDisplayProps) {
     'desktop': { width: 'full', name: 'Desktop (Full Width)' }
   };
 
-  // Get the appropriate width based on viewport size
-  const getPreviewWidth = () => {
-    if (viewportSize === 'desktop') {
-      return 'w-full';
-    }
-    return `w-[${devicePresets[viewportSize].width}]`;
-  };
+  // The screenshot a responsive page reproduces at the selected viewport
+  const referenceDevice = VIEWPORT_DEVICES[viewportSize];
+  const referenceUrl = isStreaming ? undefined : references[referenceDevice];
 
   return (
     <Card className="h-full">
-      <Tabs defaultValue="preview" className="h-full flex flex-col">
+      <Tabs value={activeTab} onValueChange={setSelectedTab} className="h-full flex flex-col">
         <div className="px-4 pt-4 flex justify-between items-center">
           <TabsList>
             <TabsTrigger value="preview">Preview</TabsTrigger>
-            <TabsTrigger value="code">HTML Code</TabsTrigger>
+            <TabsTrigger value="code">Code</TabsTrigger>
+            {hasAssets && (
+              <TabsTrigger value="assets">Assets ({assets.length})</TabsTrigger>
+            )}
+            {hasAccessibility && (
+              <TabsTrigger value="accessibility">
+                Accessibility{accessibilityReport ? ` (${accessibilityReport.violations.length})` : ''}
+              </TabsTrigger>
+            )}
+            {hasTokens && (
+              <TabsTrigger value="tokens">Tokens</TabsTrigger>
+            )}
+            {hasInteractions && (
+              <TabsTrigger value="interactions">
+                Interactions{replay ? ` (${replay.passed}/${replay.steps.length})` : ''}
+              </TabsTrigger>
+            )}
           </TabsList>
           
           <div className="flex items-center gap-2">
+            {isStreaming && (
+              <span className="text-xs text-muted-foreground animate-pulse">
+                Writing code...
+              </span>
+            )}
             {htmlContent && (
               <>
                 <div className="flex border rounded-md overflow-hidden">
@@ -195,22 +394,71 @@ export function ResultDisplay({ htmlContent }: ResultDisplayProps) {
                   <Copy className="h-4 w-4" />
                   {copied ? 'Copied!' : 'Copy'}
                 </Button>
+                {standaloneUrl && !isStreaming && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={copyStandaloneHtml}
+                    className="flex items-center gap-1 h-8"
+                    title="Copy one HTML file with the styles, scripts and images inlined"
+                  >
+                    <FileCode className="h-4 w-4" />
+                    Copy as one file
+                  </Button>
+                )}
               </>
             )}
           </div>
         </div>
         
+        {hasPages && activePage && (
+          <div className="px-4 pt-2 flex flex-wrap items-center gap-1">
+            <span className="text-xs text-muted-foreground mr-1">Pages:</span>
+            {pages.map((page) => (
+              <Button
+                key={page.file}
+                variant={page === activePage ? 'secondary' : 'ghost'}
+                size="sm"
+                onClick={() => setSelectedPage(page.file)}
+                className="h-7 text-xs"
+                title={page.links.length > 0 ? `${page.file} links to ${page.links.join(', ')}` : page.file}
+              >
+                {page.name}
+              </Button>
+            ))}
+          </div>
+        )}
+
         <CardContent className="flex-1 overflow-auto pt-2">
           <TabsContent value="preview" className="h-full mt-0">
             {htmlContent ? (
-              <div className="flex justify-center border rounded-md p-4 min-h-[200px] bg-white overflow-auto">
-                <div 
-                  ref={previewRef} 
-                  className={`${getPreviewWidth()} h-full transition-all duration-300 ease-in-out`}
+              <div className="flex justify-center items-start gap-4 border rounded-md p-4 min-h-[200px] bg-white overflow-auto">
+                <iframe
+                  ref={previewRef}
+                  title="Preview"
+                  srcDoc={previewDocument}
+                  sandbox={isStreaming ? '' : 'allow-scripts'}
+                  className={`${viewportSize === 'desktop' ? (referenceUrl ? 'flex-1 min-w-0' : 'w-full') : 'shrink-0'} self-stretch min-h-[480px] border-0 bg-white transition-all duration-300 ease-in-out`}
                   style={{
+                    width: viewportSize === 'desktop' ? undefined : devicePresets[viewportSize].width,
                     boxShadow: viewportSize !== 'desktop' ? '0 0 10px rgba(0, 0, 0, 0.1)' : 'none',
                   }}
                 />
+                {referenceUrl && (
+                  <figure
+                    className={`${viewportSize === 'desktop' ? 'flex-1 min-w-0' : 'shrink-0'} flex flex-col gap-1`}
+                    style={viewportSize === 'desktop' ? undefined : { width: devicePresets[viewportSize].width }}
+                  >
+                    <img
+                      src={referenceUrl}
+                      alt={`${referenceDevice} reference screenshot`}
+                      className="w-full h-auto border rounded"
+                    />
+                    <figcaption className="text-xs text-muted-foreground text-center">
+                      Reference: {BREAKPOINT_LABELS[referenceDevice]}
+                    </figcaption>
+                  </figure>
+                )}
               </div>
             ) : (
               <div className="flex items-center justify-center h-full text-muted-foreground">
@@ -219,9 +467,87 @@ export function ResultDisplay({ htmlContent }: ResultDisplayProps) {
             )}
           </TabsContent>
           
+          <TabsContent value="assets" className="h-full mt-0">
+            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-3">
+              {assets.map((asset) => (
+                <figure key={asset.file} className="border rounded-md p-2 bg-white flex flex-col gap-2">
+                  <div className="flex items-center justify-center h-28 bg-gray-50 rounded">
+                    <img
+                      src={`${assetBaseUrl}/${asset.file}`}
+                      alt={asset.name}
+                      className="max-h-full max-w-full object-contain"
+                    />
+                  </div>
+                  <figcaption className="text-xs">
+                    <p className="font-mono truncate" title={`assets/${asset.file}`}>assets/{asset.file}</p>
+                    <p className="text-muted-foreground">
+                      {asset.kind} · {asset.box.width}×{asset.box.height}px
+                      {asset.image === null && ' · not placed'}
+                    </p>
+                  </figcaption>
+                </figure>
+              ))}
+            </div>
+          </TabsContent>
+
+          <TabsContent value="accessibility" className="h-full mt-0">
+            {hasAccessibility && accessibilityReport !== undefined && (
+              <AccessibilityPanel report={accessibilityReport} onFix={activePage ? undefined : onFixAccessibility} />
+            )}
+          </TabsContent>
+
+          <TabsContent value="tokens" className="h-full mt-0">
+            {hasTokens && (
+              <TokensEditor key={JSON.stringify(tokens)} tokens={tokens} onApply={onApplyTokens} />
+            )}
+          </TabsContent>
+
+          <TabsContent value="interactions" className="h-full mt-0 overflow-auto">
+            {hasInteractions && (
+              <div className="flex flex-col gap-4">
+                {replay !== undefined && <ReplayFilmstrip replay={replay} />}
+                <StateDiagram interactions={interactions} />
+              </div>
+            )}
+          </TabsContent>
+
           <TabsContent value="code" className="h-full mt-0">
-            {htmlContent ? (
-              <pre className="border rounded-md p-4 overflow-auto h-full text-sm bg-gray-50">
+            {activeExport && activeFile ? (
+              <div className="h-full flex flex-col gap-2">
+                <div className="flex flex-wrap items-center gap-2">
+                  <div className="flex border rounded-md overflow-hidden">
+                    {exports.map((item) => (
+                      <Button
+                        key={item.target}
+                        variant={item === activeExport ? 'default' : 'ghost'}
+                        size="sm"
+                        onClick={() => selectTarget(item.target)}
+                        className="h-8"
+                      >
+                        {EXPORT_TARGET_LABELS[item.target]}
+                      </Button>
+                    ))}
+                  </div>
+                  <div className="flex flex-wrap gap-1">
+                    {activeExport.files.map((file) => (
+                      <Button
+                        key={file.path}
+                        variant={file === activeFile ? 'secondary' : 'ghost'}
+                        size="sm"
+                        onClick={() => setSelectedPath(file.path)}
+                        className="h-8 font-mono text-xs"
+                      >
+                        {file.path}
+                      </Button>
+                    ))}
+                  </div>
+                </div>
+                <pre className="border rounded-md p-4 overflow-auto flex-1 text-sm bg-gray-50">
+                  <code>{activeFile.content}</code>
+                </pre>
+              </div>
+            ) : htmlContent ? (
+              <pre ref={codeRef} className="border rounded-md p-4 overflow-auto h-full text-sm bg-gray-50">
                 <code>{htmlContent}</code>
               </pre>
             ) : (
@@ -0,0 +1,168 @@
+import { useCallback } from 'react';
+import { useDropzone } from 'react-dropzone';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { ArrowDown, ArrowUp, Upload, X } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+
+// Matches MAX_SCREENS of server-js/lib/multiPage.js
+const MAX_SCREENS = 12;
+
+const MAX_SCREEN_SIZE = 5 * 1024 * 1024;
+
+export interface Screen {
+  id: string;
+  file: File;
+  url: string;
+  name: string;
+}
+
+interface ScreensDropzoneProps {
+  screens: Screen[];
+  onScreensChange: (screens: Screen[]) => void;
+}
+
+// Name a screen after its file, e.g. "pricing-page.png" becomes "Pricing page"
+function getScreenName(file: File) {
+  const name = file.name.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ').trim();
+  return name ? name.charAt(0).toUpperCase() + name.slice(1) : 'Screen';
+}
+
+// Collect the ordered, named screenshots of a multi-screen project. The
+// first screen becomes the site's index.html.
+export function ScreensDropzone({ screens, onScreensChange }: ScreensDropzoneProps) {
+  const { toast } = useToast();
+
+  const onDrop = useCallback((acceptedFiles: File[]) => {
+    const images = acceptedFiles.filter((file) => file.type.startsWith('image/') && file.size <= MAX_SCREEN_SIZE);
+    if (images.length < acceptedFiles.length) {
+      toast({
+        title: "Some files were skipped",
+        description: "Screens must be images smaller than 5MB",
+        variant: "destructive",
+      });
+    }
+
+    const added = images.slice(0, MAX_SCREENS - screens.length);
+    if (added.length < images.length) {
+      toast({
+        title: "Too many screens",
+        description: `A project has at most ${MAX_SCREENS} screens`,
+        variant: "destructive",
+      });
+    }
+
+    onScreensChange([
+      ...screens,
+      ...added.map((file) => ({
+        id: crypto.randomUUID(),
+        file,
+        url: URL.createObjectURL(file),
+        name: getScreenName(file),
+      })),
+    ]);
+  }, [screens, onScreensChange, toast]);
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop,
+    accept: {
+      'image/*': []
+    },
+    disabled: screens.length >= MAX_SCREENS
+  });
+
+  const move = (index: number, offset: number) => {
+    const reordered = [...screens];
+    const [screen] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, screen);
+    onScreensChange(reordered);
+  };
+
+  const rename = (id: string, name: string) => {
+    onScreensChange(screens.map((screen) => (screen.id === id ? { ...screen, name } : screen)));
+  };
+
+  const remove = (id: string) => {
+    const screen = screens.find((item) => item.id === id);
+    if (screen) URL.revokeObjectURL(screen.url);
+    onScreensChange(screens.filter((item) => item.id !== id));
+  };
+
+  return (
+    <div className="w-full flex flex-col gap-3">
+      {screens.length > 0 && (
+        <ol className="flex flex-col gap-2">
+          {screens.map((screen, index) => (
+            <li key={screen.id} className="flex items-center gap-3 border rounded-md p-2 bg-white">
+              <span className="w-5 text-sm text-muted-foreground text-right">{index + 1}</span>
+              <img src={screen.url} alt="" className="h-14 w-20 object-cover rounded border" />
+              <div className="flex-1 flex flex-col gap-1 min-w-0">
+                <Input
+                  value={screen.name}
+                  onChange={(e) => rename(screen.id, e.target.value)}
+                  aria-label={`Name of screen ${index + 1}`}
+                  className="h-8"
+                />
+                <span className="text-xs text-muted-foreground truncate">
+                  {index === 0 ? 'index.html · ' : ''}{screen.file.name}
+                </span>
+              </div>
+              <div className="flex gap-1">
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="h-8 px-2"
+                  onClick={() => move(index, -1)}
+                  disabled={index === 0}
+                  aria-label="Move up"
+                >
+                  <ArrowUp className="h-4 w-4" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="h-8 px-2"
+                  onClick={() => move(index, 1)}
+                  disabled={index === screens.length - 1}
+                  aria-label="Move down"
+                >
+                  <ArrowDown className="h-4 w-4" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="h-8 px-2"
+                  onClick={() => remove(screen.id)}
+                  aria-label="Remove"
+                >
+                  <X className="h-4 w-4" />
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {screens.length < MAX_SCREENS && (
+        <Card
+          {...getRootProps()}
+          className={`border-dashed cursor-pointer ${isDragActive ? 'border-primary' : 'border-border'} hover:border-primary transition-colors`}
+        >
+          <CardContent className={`flex flex-col items-center justify-center ${screens.length > 0 ? 'py-6' : 'py-12'}`}>
+            <input {...getInputProps()} />
+            <div className="mb-3 p-3 rounded-full bg-muted">
+              <Upload className="h-6 w-6 text-muted-foreground" />
+            </div>
+            <p className="text-sm text-muted-foreground mb-1">
+              {isDragActive ? 'Drop the screenshots here' : 'Drag & drop the screenshots of your flow here'}
+            </p>
+            <p className="text-xs text-muted-foreground">
+              or click to select · up to {MAX_SCREENS} images of 5MB each
+            </p>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -12,12 +12,31 @@ import {
 } from "@/components/ui/select";
 import { useToast } from "@/hooks/use-toast";
 import { X } from "lucide-react";
+import {
+  EXPORT_TARGETS,
+  EXPORT_TARGET_LABELS,
+  TAILWIND_VERSIONS,
+  type ExportTarget,
+  type TailwindVersion,
+} from "@/lib/export-targets";
+
+export type ProviderName = "anthropic" | "openai-compatible" | "mock";
 
 interface SettingsProps {
   apiKey: string;
   onApiKeyChange: (key: string) => void;
   model: string;
   onModelChange: (model: string) => void;
+  provider: ProviderName;
+  onProviderChange: (provider: ProviderName) => void;
+  providerBaseUrl: string;
+  onProviderBaseUrlChange: (url: string) => void;
+  target: ExportTarget;
+  onTargetChange: (target: ExportTarget) => void;
+  tailwindVersion: TailwindVersion;
+  onTailwindVersionChange: (version: TailwindVersion) => void;
+  tailwindConfig: boolean;
+  onTailwindConfigChange: (enabled: boolean) => void;
   onClose: () => void;
 }
 
@@ -26,6 +45,16 @@ export function Settings({
   onApiKeyChange,
   model,
   onModelChange,
+  provider,
+  onProviderChange,
+  providerBaseUrl,
+  onProviderBaseUrlChange,
+  target,
+  onTargetChange,
+  tailwindVersion,
+  onTailwindVersionChange,
+  tailwindConfig,
+  onTailwindConfigChange,
   onClose,
 }: SettingsProps) {
   const { toast } = useToast();
@@ -38,7 +67,7 @@ export function Settings({
   }, [onModelChange]);
 
   const handleSaveApiKey = () => {
-    if (!apiKey.trim()) {
+    if (!apiKey.trim() && provider === "anthropic") {
       toast({
         title: "API Key Required",
         description: "Please enter your Claude API key.",
@@ -54,6 +83,17 @@ export function Settings({
     });
   };
 
+  const handleProviderChange = (value: string) => {
+    onProviderChange(value as ProviderName);
+    toast({
+      title: "Provider Updated",
+      description:
+        value === "mock"
+          ? "Using the offline mock provider. No API credit will be used."
+          : `Provider changed to ${value}`,
+    });
+  };
+
   const handleModelChange = (value: string) => {
     onModelChange(value);
     localStorage.setItem("claude-model", value);
@@ -75,12 +115,53 @@ export function Settings({
       </CardHeader>
       <CardContent className="space-y-6">
         <div className="space-y-2">
-          <Label htmlFor="api-key">Claude API Key</Label>
+          <Label htmlFor="provider-select">Model Provider</Label>
+          <Select value={provider} onValueChange={handleProviderChange}>
+            <SelectTrigger id="provider-select">
+              <SelectValue placeholder="Select a provider" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="anthropic">Anthropic Claude</SelectItem>
+              <SelectItem value="openai-compatible">
+                OpenAI-compatible (local vision models)
+              </SelectItem>
+              <SelectItem value="mock">Mock (offline demo)</SelectItem>
+            </SelectContent>
+          </Select>
+          <p className="text-xs text-muted-foreground">
+            The mock provider returns canned HTML without calling any model.
+          </p>
+        </div>
+
+        {provider === "openai-compatible" && (
+          <div className="space-y-2">
+            <Label htmlFor="provider-base-url">Base URL</Label>
+            <Input
+              id="provider-base-url"
+              placeholder="http://localhost:11434/v1"
+              value={providerBaseUrl}
+              onChange={(e) => onProviderBaseUrlChange(e.target.value)}
+            />
+            <p className="text-xs text-muted-foreground">
+              The server must implement the OpenAI chat completions API with
+              image input.
+            </p>
+          </div>
+        )}
+
+        <div className="space-y-2">
+          <Label htmlFor="api-key">
+            {provider === "anthropic" ? "Claude API Key" : "API Key (optional)"}
+          </Label>
           <div className="flex gap-2">
             <Input
               id="api-key"
               type="password"
-              placeholder="Enter your Claude API key"
+              placeholder={
+                provider === "anthropic"
+                  ? "Enter your Claude API key"
+                  : "Enter an API key if your server needs one"
+              }
               value={apiKey}
               onChange={(e) => onApiKeyChange(e.target.value)}
             />
@@ -91,27 +172,102 @@ export function Settings({
           </p>
         </div>
 
+        {provider === "anthropic" ? (
+          <div className="space-y-2">
+            <Label htmlFor="model-select">Claude Model</Label>
+            <Select value={model} onValueChange={handleModelChange}>
+              <SelectTrigger id="model-select">
+                <SelectValue placeholder="Select a model" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="claude-3-7-sonnet-20250219">
+                  Claude 3.7 Sonnet (Recommended)
+                </SelectItem>
+                <SelectItem value="claude-3-opus-20240229">
+                  Claude 3 Opus (Highest Quality)
+                </SelectItem>
+                <SelectItem value="claude-3-haiku-20240307">
+                  Claude 3 Haiku (Fastest)
+                </SelectItem>
+              </SelectContent>
+            </Select>
+            <p className="text-xs text-muted-foreground">
+              Select the Claude model to use for generating HTML. Claude 3 Sonnet
+              offers the best balance of quality and speed.
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-2">
+            <Label htmlFor="model-input">Model</Label>
+            <Input
+              id="model-input"
+              placeholder={provider === "mock" ? "mock" : "e.g. llava:13b"}
+              value={model}
+              onChange={(e) => onModelChange(e.target.value)}
+            />
+            <p className="text-xs text-muted-foreground">
+              The model name is passed to the provider unchanged.
+            </p>
+          </div>
+        )}
+
         <div className="space-y-2">
-          <Label htmlFor="model-select">Claude Model</Label>
-          <Select value={model} onValueChange={handleModelChange}>
-            <SelectTrigger id="model-select">
-              <SelectValue placeholder="Select a model" />
+          <Label htmlFor="target-select">Export Target</Label>
+          <Select
+            value={target}
+            onValueChange={(value) => onTargetChange(value as ExportTarget)}
+          >
+            <SelectTrigger id="target-select">
+              <SelectValue placeholder="Select a target" />
             </SelectTrigger>
             <SelectContent>
-              <SelectItem value="claude-3-7-sonnet-20250219">
-                Claude 3.7 Sonnet (Recommended)
-              </SelectItem>
-              <SelectItem value="claude-3-opus-20240229">
-                Claude 3 Opus (Highest Quality)
-              </SelectItem>
-              <SelectItem value="claude-3-haiku-20240307">
-                Claude 3 Haiku (Fastest)
-              </SelectItem>
+              {EXPORT_TARGETS.map((value) => (
+                <SelectItem key={value} value={value}>
+                  {EXPORT_TARGET_LABELS[value]}
+                </SelectItem>
+              ))}
             </SelectContent>
           </Select>
           <p className="text-xs text-muted-foreground">
-            Select the Claude model to use for generating HTML. Claude 3 Sonnet
-            offers the best balance of quality and speed.
+            Framework targets add a component and a runnable Vite project to
+            the ZIP. Converting the page takes one more model call.
+          </p>
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="tailwind-version-select">Tailwind CSS Version</Label>
+          <Select
+            value={tailwindVersion}
+            onValueChange={(value) =>
+              onTailwindVersionChange(value as TailwindVersion)
+            }
+          >
+            <SelectTrigger id="tailwind-version-select">
+              <SelectValue placeholder="Select a version" />
+            </SelectTrigger>
+            <SelectContent>
+              {TAILWIND_VERSIONS.map((version) => (
+                <SelectItem key={version} value={version}>
+                  Tailwind CSS {version}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <div className="flex items-center gap-2">
+            <input
+              id="tailwind-config"
+              type="checkbox"
+              className="h-4 w-4"
+              checked={tailwindConfig}
+              onChange={(e) => onTailwindConfigChange(e.target.checked)}
+            />
+            <Label htmlFor="tailwind-config" className="font-normal">
+              Include tailwind.config.js
+            </Label>
+          </div>
+          <p className="text-xs text-muted-foreground">
+            Only the classes the page uses are compiled into a local
+            tailwind.css, so the export does not need a CDN.
           </p>
         </div>
       </CardContent>
@@ -0,0 +1,240 @@
+import { useState } from 'react';
+import {
+  STATE_ATTRIBUTE,
+  formatFrameRefs,
+  formatTrigger,
+  type InteractionModel,
+  type InteractionTransition,
+} from '@/lib/interactions';
+
+interface StateDiagramProps {
+  interactions: InteractionModel;
+}
+
+const NODE_WIDTH = 128;
+const NODE_HEIGHT = 36;
+// How far each transition between the same two states bends away from the
+// straight line, so transitions in both directions do not overlap
+const EDGE_BEND = 28;
+
+interface Point {
+  x: number;
+  y: number;
+}
+
+// Place the states on a circle, the initial state at the top
+function layoutStates(interactions: InteractionModel) {
+  const ids = [
+    interactions.initialState,
+    ...interactions.states.map((state) => state.id).filter((id) => id !== interactions.initialState),
+  ];
+  const radius = ids.length > 1 ? Math.max(110, ids.length * 34) : 0;
+  const size = { width: radius * 2 + NODE_WIDTH + 80, height: radius * 2 + NODE_HEIGHT + 100 };
+  const center = { x: size.width / 2, y: size.height / 2 + 10 };
+
+  const positions = new Map<string, Point>(
+    ids.map((id, index) => {
+      const angle = (index / ids.length) * 2 * Math.PI - Math.PI / 2;
+      return [id, { x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) }];
+    }),
+  );
+
+  return { positions, size };
+}
+
+// Where a line from the center of a state towards `toward` leaves its box
+function clipToNode(center: Point, toward: Point): Point {
+  const dx = toward.x - center.x;
+  const dy = toward.y - center.y;
+  const scale = Math.min(
+    dx === 0 ? Infinity : NODE_WIDTH / 2 / Math.abs(dx),
+    dy === 0 ? Infinity : NODE_HEIGHT / 2 / Math.abs(dy),
+  );
+  return { x: center.x + dx * scale, y: center.y + dy * scale };
+}
+
+// Path and label position of a transition; `rank` counts the transitions
+// drawn before it between the same two states
+function edgeGeometry(from: Point, to: Point, rank: number) {
+  if (from === to) {
+    const top = from.y - NODE_HEIGHT / 2;
+    const height = 44 + rank * 18;
+    return {
+      path: `M ${from.x - 16} ${top} C ${from.x - 44} ${top - height}, ${from.x + 44} ${top - height}, ${from.x + 16} ${top}`,
+      label: { x: from.x, y: top - height * 0.75 - 4 },
+    };
+  }
+
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  const bend = EDGE_BEND * (rank + 1);
+  const control = {
+    x: (from.x + to.x) / 2 + ((to.y - from.y) / length) * bend,
+    y: (from.y + to.y) / 2 - ((to.x - from.x) / length) * bend,
+  };
+  const start = clipToNode(from, control);
+  const end = clipToNode(to, control);
+
+  return {
+    path: `M ${start.x} ${start.y} Q ${control.x} ${control.y} ${end.x} ${end.y}`,
+    // The middle of the curve
+    label: { x: (start.x + 2 * control.x + end.x) / 4, y: (start.y + 2 * control.y + end.y) / 4 },
+  };
+}
+
+function formatAnimation(transition: InteractionTransition) {
+  const { animation } = transition;
+  if (!animation) return 'Instant';
+  const properties = animation.properties.length > 0 ? ` of ${animation.properties.join(', ')}` : '';
+  return `${animation.durationMs} ms ${animation.easing}${properties}`;
+}
+
+// The state machine inferred from a video: the states with their transitions
+// as arrows, and a table of what triggers each transition
+export function StateDiagram({ interactions }: StateDiagramProps) {
+  const [highlighted, setHighlighted] = useState<string | null>(null);
+  const { positions, size } = layoutStates(interactions);
+
+  const ranks = new Map<string, number>();
+  const edges = interactions.transitions.map((transition) => {
+    const key = [transition.from, transition.to].join('>');
+    const rank = ranks.get(key) ?? 0;
+    ranks.set(key, rank + 1);
+    const from = positions.get(transition.from)!;
+    const to = transition.from === transition.to ? from : positions.get(transition.to)!;
+    return { transition, ...edgeGeometry(from, to, rank) };
+  });
+
+  return (
+    <div className="flex flex-col gap-4">
+      <p className="text-xs text-muted-foreground">
+        {interactions.states.length} state{interactions.states.length === 1 ? '' : 's'} and{' '}
+        {interactions.transitions.length} transition{interactions.transitions.length === 1 ? '' : 's'}, saved as
+        interactions.json in the ZIP. The generated script keeps <code>{STATE_ATTRIBUTE}</code> on the body set to the
+        current state.
+      </p>
+
+      <svg
+        viewBox={`0 0 ${size.width} ${size.height}`}
+        className="w-full max-h-96 border rounded-md bg-white"
+        role="img"
+        aria-label="State diagram of the interactions"
+      >
+        <defs>
+          <marker id="state-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="#6b7280" />
+          </marker>
+          <marker id="state-arrow-highlighted" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="#2563eb" />
+          </marker>
+        </defs>
+
+        {edges.map(({ transition, path, label }) => {
+          const isHighlighted = highlighted === transition.id;
+          return (
+            <g
+              key={transition.id}
+              onMouseEnter={() => setHighlighted(transition.id)}
+              onMouseLeave={() => setHighlighted(null)}
+            >
+              <path
+                d={path}
+                fill="none"
+                stroke={isHighlighted ? '#2563eb' : '#6b7280'}
+                strokeWidth={isHighlighted ? 2 : 1.5}
+                strokeDasharray={transition.event === 'timer' ? '4 3' : undefined}
+                markerEnd={`url(#${isHighlighted ? 'state-arrow-highlighted' : 'state-arrow'})`}
+              />
+              <text
+                x={label.x}
+                y={label.y}
+                textAnchor="middle"
+                dominantBaseline="middle"
+                className="text-[11px]"
+                fill={isHighlighted ? '#2563eb' : '#374151'}
+                paintOrder="stroke"
+                stroke="white"
+                strokeWidth={4}
+              >
+                {transition.id}: {transition.event}
+              </text>
+            </g>
+          );
+        })}
+
+        {interactions.states.map((state) => {
+          const { x, y } = positions.get(state.id)!;
+          const isInitial = state.id === interactions.initialState;
+          return (
+            <g key={state.id}>
+              <title>{state.description}</title>
+              <rect
+                x={x - NODE_WIDTH / 2}
+                y={y - NODE_HEIGHT / 2}
+                width={NODE_WIDTH}
+                height={NODE_HEIGHT}
+                rx={8}
+                fill={isInitial ? '#eff6ff' : '#f9fafb'}
+                stroke={isInitial ? '#2563eb' : '#9ca3af'}
+                strokeWidth={isInitial ? 2 : 1}
+              />
+              <text x={x} y={y} textAnchor="middle" dominantBaseline="middle" className="text-xs font-medium" fill="#111827">
+                {state.id.length > 18 ? `${state.id.slice(0, 17)}…` : state.id}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-muted-foreground border-b">
+              <th className="py-1 pr-3 font-medium">Transition</th>
+              <th className="py-1 pr-3 font-medium">Trigger</th>
+              <th className="py-1 pr-3 font-medium">Animation</th>
+              <th className="py-1 font-medium">Seen in</th>
+            </tr>
+          </thead>
+          <tbody>
+            {interactions.transitions.map((transition) => (
+              <tr
+                key={transition.id}
+                className={`border-b align-top ${highlighted === transition.id ? 'bg-blue-50' : ''}`}
+                onMouseEnter={() => setHighlighted(transition.id)}
+                onMouseLeave={() => setHighlighted(null)}
+              >
+                <td className="py-1 pr-3 whitespace-nowrap">
+                  <span className="text-muted-foreground">{transition.id}</span> {transition.from} → {transition.to}
+                </td>
+                <td className="py-1 pr-3">
+                  <code className="text-xs">{formatTrigger(transition)}</code>
+                  {transition.trigger?.description && (
+                    <div className="text-xs text-muted-foreground">{transition.trigger.description}</div>
+                  )}
+                </td>
+                <td className="py-1 pr-3 text-xs">{formatAnimation(transition)}</td>
+                <td className="py-1 text-xs text-muted-foreground">{formatFrameRefs(transition.frames)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {interactions.transitions.length === 0 && (
+          <p className="text-sm text-muted-foreground mt-2">The model found no transitions between the states.</p>
+        )}
+      </div>
+
+      <ul className="flex flex-col gap-1 text-sm">
+        {interactions.states.map((state) => (
+          <li key={state.id}>
+            <span className="font-medium">{state.id}</span>
+            {state.id === interactions.initialState && <span className="text-xs text-blue-600"> (initial)</span>}
+            {state.description && `: ${state.description}`}
+            {state.frames.length > 0 && (
+              <span className="text-xs text-muted-foreground"> · {formatFrameRefs(state.frames)}</span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import {
+  TOKEN_GROUPS,
+  getTokenProperty,
+  isValidTokenValue,
+  type DesignTokens,
+  type TokenGroup,
+} from '@/lib/design-tokens';
+
+interface TokensEditorProps {
+  tokens: DesignTokens;
+  onApply: (tokens: DesignTokens) => Promise<void>;
+}
+
+const GROUP_LABELS: Record<TokenGroup, string> = {
+  color: 'Colors',
+  font: 'Typography',
+};
+
+// The native color picker only takes six-digit hex colors
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Edit the design tokens of a result and apply them to its stylesheets.
+// Remount it with a new key to start over from other tokens.
+export function TokensEditor({ tokens, onApply }: TokensEditorProps) {
+  const [draft, setDraft] = useState<DesignTokens>(tokens);
+  const [isApplying, setIsApplying] = useState(false);
+
+  const isChanged = JSON.stringify(draft) !== JSON.stringify(tokens);
+  const isValid = TOKEN_GROUPS.every((group) =>
+    Object.values(draft[group]).every(isValidTokenValue)
+  );
+
+  const setToken = (group: TokenGroup, name: string, value: string) => {
+    setDraft((current) => ({ ...current, [group]: { ...current[group], [name]: value } }));
+  };
+
+  const apply = async () => {
+    setIsApplying(true);
+    try {
+      await onApply(draft);
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-4">
+      {TOKEN_GROUPS.map((group) => {
+        const entries = Object.entries(draft[group]);
+        if (entries.length === 0) return null;
+
+        return (
+          <section key={group} className="flex flex-col gap-2">
+            <h3 className="text-sm font-medium">{GROUP_LABELS[group]}</h3>
+            {entries.map(([name, value]) => (
+              <div key={name} className="grid grid-cols-[minmax(0,12rem)_1fr] items-center gap-2">
+                <label
+                  htmlFor={`token-${group}-${name}`}
+                  className="font-mono text-xs truncate"
+                  title={getTokenProperty(group, name)}
+                >
+                  {getTokenProperty(group, name)}
+                </label>
+                <div className="flex items-center gap-2">
+                  {group === 'color' && HEX_COLOR_PATTERN.test(value) && (
+                    <input
+                      type="color"
+                      aria-label={`${name} color`}
+                      className="h-8 w-10 shrink-0 cursor-pointer rounded border bg-white"
+                      value={value}
+                      onChange={(e) => setToken(group, name, e.target.value)}
+                    />
+                  )}
+                  <Input
+                    id={`token-${group}-${name}`}
+                    className={`h-8 font-mono text-xs ${isValidTokenValue(value) ? '' : 'border-red-500'}`}
+                    value={value}
+                    onChange={(e) => setToken(group, name, e.target.value)}
+                  />
+                </div>
+              </div>
+            ))}
+          </section>
+        );
+      })}
+
+      <div className="flex items-center gap-2">
+        <Button size="sm" onClick={apply} disabled={!isChanged || !isValid || isApplying}>
+          {isApplying ? 'Applying...' : 'Apply tokens'}
+        </Button>
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={() => setDraft(tokens)}
+          disabled={!isChanged || isApplying}
+        >
+          Reset
+        </Button>
+        {!isValid && (
+          <span className="text-xs text-red-600">
+            Values cannot be empty or contain ;, {'{'}, {'}'}, &lt; or &gt;
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import { Label } from '@/components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import type { VideoAnalysisReport } from '@/hooks/use-task-events';
+import {
+  VIDEO_ANALYSIS_LABELS,
+  VIDEO_ANALYSIS_STRATEGIES,
+  formatVideoAnalysis,
+  type VideoAnalysisStrategy,
+} from '@/lib/video-analysis';
+
+interface VideoAnalysisSettingsProps {
+  strategy: VideoAnalysisStrategy;
+  onStrategyChange: (strategy: VideoAnalysisStrategy) => void;
+  // Last report of each strategy on the current video
+  reports: Partial<Record<VideoAnalysisStrategy, VideoAnalysisReport>>;
+  disabled?: boolean;
+}
+
+// Pick how the frames of the video are analyzed, and compare the strategies
+// once the video was generated with them
+export function VideoAnalysisSettings({ strategy, onStrategyChange, reports, disabled = false }: VideoAnalysisSettingsProps) {
+  const measured = VIDEO_ANALYSIS_STRATEGIES.flatMap((name) => {
+    const report = reports[name];
+    return report ? [{ name, report }] : [];
+  });
+
+  return (
+    <div className="mt-4 space-y-2">
+      <Label htmlFor="video-analysis-select">Frame analysis</Label>
+      <Select
+        value={strategy}
+        onValueChange={(value) => onStrategyChange(value as VideoAnalysisStrategy)}
+        disabled={disabled}
+      >
+        <SelectTrigger id="video-analysis-select">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          {VIDEO_ANALYSIS_STRATEGIES.map((name) => (
+            <SelectItem key={name} value={name}>
+              {VIDEO_ANALYSIS_LABELS[name]}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <p className="text-xs text-muted-foreground">
+        {strategy === 'batched'
+          ? 'Sends up to 10 frames per request and asks for the interaction summary right away. Fewer calls and tokens.'
+          : 'Asks what changed after every frame, re-sending the conversation each time. Slower, with a closer look at each change.'}
+      </p>
+      {measured.length > 0 && (
+        <ul className="text-xs text-gray-500 space-y-1">
+          {measured.map(({ name, report }) => (
+            <li key={name}>
+              <span className="font-medium">{VIDEO_ANALYSIS_LABELS[name]}:</span>{' '}
+              {formatVideoAnalysis(report)}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,302 @@
+import { useEffect, useRef } from "react";
+import { API_BASE_URL } from "@/lib/api";
+import type { ExportTarget } from "@/lib/export-targets";
+import type { DesignTokens } from "@/lib/design-tokens";
+import type { Device } from "@/lib/breakpoints";
+import type { VideoAnalysisStrategy } from "@/lib/video-analysis";
+import type { InteractionModel, InteractionReplay } from "@/lib/interactions";
+
+export type TaskStatus =
+  | "queued"
+  | "processing"
+  | "completed"
+  | "error"
+  | "cancelled";
+
+export interface SimilarityScore {
+  iteration: number;
+  ssim: number;
+  pixelSimilarity: number;
+}
+
+export interface UsageTotals {
+  calls: number;
+  inputTokens: number;
+  outputTokens: number;
+  estimatedCost: number;
+  costIsComplete: boolean;
+}
+
+export interface TaskUsage {
+  steps: {
+    step: string;
+    provider: string;
+    model: string;
+    inputTokens: number;
+    outputTokens: number;
+    estimatedCost: number | null;
+  }[];
+  totals: UsageTotals;
+  byModel: Record<string, UsageTotals>;
+}
+
+// Files of one export target; `directory` is where they sit in the ZIP
+export interface TaskExport {
+  target: ExportTarget;
+  directory: string;
+  componentPath?: string;
+  files: { path: string; content: string }[];
+}
+
+// An image cropped from the original design, served under assetBaseUrl
+export interface TaskAsset {
+  name: string;
+  kind: "logo" | "avatar" | "icon" | "photo" | "illustration";
+  file: string;
+  box: { x: number; y: number; width: number; height: number };
+  image: number | null;
+}
+
+// Severities of axe-core, from the most to the least severe
+export type AccessibilityImpact = "critical" | "serious" | "moderate" | "minor";
+
+// A violated axe-core rule with the first elements that violate it
+export interface AccessibilityViolation {
+  rule: string;
+  impact: AccessibilityImpact;
+  help: string;
+  helpUrl: string;
+  elementCount: number;
+  elements: { selector: string; html: string; summary: string }[];
+}
+
+export interface AccessibilityReport {
+  violations: AccessibilityViolation[];
+  counts: Record<AccessibilityImpact, number>;
+}
+
+// Model output the server could not place as HTML, CSS or JavaScript
+export interface UnclassifiedBlock {
+  type: "text" | "fence";
+  language: string;
+  content: string;
+}
+
+// One page of a multi-screen project, with the page files it links to
+export interface TaskPage {
+  name: string;
+  file: string;
+  links: string[];
+  html: string;
+  // The page as written, with its base styles and Tailwind CSS inlined
+  previewHtml?: string;
+  accessibility?: AccessibilityReport | null;
+}
+
+// Model calls of a video analysis, for comparing the strategies
+export interface VideoAnalysisReport {
+  strategy: VideoAnalysisStrategy;
+  frameCount: number;
+  calls: number;
+  inputTokens: number;
+  outputTokens: number;
+  estimatedCost: number;
+  costIsComplete: boolean;
+  durationMs: number;
+}
+
+// How the frames of a video were picked, with its ffprobe metadata. A
+// frame's score is the strongest change it shows; null for the first frame.
+export interface VideoFrameExtraction {
+  metadata: {
+    duration: number;
+    fps: number;
+    width?: number;
+    height?: number;
+    codec?: string;
+    bitRate: number | null;
+    formatName?: string;
+    frameCount: number;
+  };
+  strategy: "scene-change" | "interval" | "manual";
+  motionThreshold: number | null;
+  changeCount: number | null;
+  analysis?: VideoAnalysisReport | null;
+  frames: {
+    index: number;
+    timestamp: number;
+    changeStartTime: number | null;
+    score: number | null;
+    note: string;
+  }[];
+}
+
+export interface TaskResult {
+  generationId?: string;
+  html: string;
+  // The page as written, with its base styles and Tailwind CSS inlined;
+  // missing from results made before it was added
+  previewHtml?: string;
+  zipPath: string;
+  standalonePath?: string;
+  iterationCount: number;
+  isMatch: boolean;
+  frameCount?: number;
+  duration?: number;
+  video?: VideoFrameExtraction;
+  // Null when the model gave no usable state machine
+  interactions?: InteractionModel | null;
+  // Null when there were no interactions or the page could not be rendered
+  replay?: InteractionReplay | null;
+  similarity?: {
+    ssim: number;
+    pixelSimilarity: number;
+    threshold: number;
+    history: SimilarityScore[];
+  } | null;
+  unclassified?: UnclassifiedBlock[];
+  target?: ExportTarget;
+  exports?: TaskExport[];
+  assets?: TaskAsset[];
+  assetBaseUrl?: string;
+  tokens?: DesignTokens | null;
+  pages?: TaskPage[];
+  components?: string[];
+  breakpoints?: Device[];
+  // Null when the audit could not run
+  accessibility?: AccessibilityReport | null;
+}
+
+export interface TaskSnapshot {
+  id: string;
+  status: TaskStatus;
+  progress: number;
+  message: string;
+  iterationCount?: number;
+  queuePosition?: number | null;
+  estimatedWaitSeconds?: number | null;
+  queueWaitSeconds?: number;
+  estimatedRemainingSeconds?: number | null;
+  usage?: TaskUsage;
+  error?: { code: string; message: string };
+  result?: TaskResult;
+  partialText?: string;
+}
+
+interface TaskEventHandlers {
+  onUpdate?: (task: TaskSnapshot) => void;
+  onComplete?: (task: TaskSnapshot) => void;
+  onError?: (task: TaskSnapshot) => void;
+  onCancel?: (task: TaskSnapshot) => void;
+  onPartial?: (text: string) => void;
+}
+
+const TASK_EVENT_TYPES = [
+  "snapshot",
+  "progress",
+  "message",
+  "queue",
+  "usage",
+  "iteration",
+  "result",
+  "status",
+] as const;
+
+const MAX_RECONNECT_DELAY = 30000;
+
+/**
+ * Subscribes to the server's event stream for a task and reconnects with
+ * backoff until the task completes, fails or is cancelled. Every event is
+ * merged into a running snapshot, so handlers always receive the full task
+ * state.
+ */
+export function useTaskEvents(
+  taskId: string | null,
+  handlers: TaskEventHandlers
+) {
+  // Keep the latest handlers without re-subscribing on every render
+  const handlersRef = useRef(handlers);
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    if (!taskId) return;
+
+    let eventSource: EventSource | null = null;
+    let reconnectTimer: number | null = null;
+    let reconnectAttempts = 0;
+    let finished = false;
+    let snapshot = { id: taskId } as TaskSnapshot;
+    let partialText = "";
+
+    const handleEvent = (event: MessageEvent) => {
+      reconnectAttempts = 0;
+      snapshot = { ...snapshot, ...JSON.parse(event.data) };
+
+      // A snapshot carries everything streamed so far, e.g. after a reconnect
+      if (event.type === "snapshot" && snapshot.partialText) {
+        partialText = snapshot.partialText;
+        handlersRef.current.onPartial?.(partialText);
+      }
+
+      handlersRef.current.onUpdate?.(snapshot);
+
+      // Wait for the result before reporting completion
+      if (snapshot.status === "completed" && snapshot.result) {
+        finished = true;
+        eventSource?.close();
+        handlersRef.current.onComplete?.(snapshot);
+      } else if (snapshot.status === "error") {
+        finished = true;
+        eventSource?.close();
+        handlersRef.current.onError?.(snapshot);
+      } else if (snapshot.status === "cancelled") {
+        finished = true;
+        eventSource?.close();
+        handlersRef.current.onCancel?.(snapshot);
+      }
+    };
+
+    // Streamed model output arrives as deltas, with a reset on every attempt
+    const handlePartial = (event: MessageEvent) => {
+      const data = JSON.parse(event.data) as { delta?: string; reset?: boolean };
+      partialText = data.reset ? "" : partialText + (data.delta ?? "");
+      handlersRef.current.onPartial?.(partialText);
+    };
+
+    const connect = () => {
+      eventSource = new EventSource(`${API_BASE_URL}/tasks/${taskId}/events`);
+
+      TASK_EVENT_TYPES.forEach((type) =>
+        eventSource?.addEventListener(type, handleEvent)
+      );
+      eventSource.addEventListener("partial", handlePartial);
+
+      eventSource.onerror = () => {
+        if (finished) return;
+
+        // The browser retries on its own unless the connection is closed,
+        // e.g. while the server restarts, so retry closed ones ourselves
+        if (eventSource?.readyState === EventSource.CLOSED) {
+          const delay = Math.min(
+            1000 * Math.pow(2, reconnectAttempts),
+            MAX_RECONNECT_DELAY
+          );
+          reconnectAttempts++;
+          reconnectTimer = window.setTimeout(connect, delay);
+        }
+      };
+    };
+
+    connect();
+
+    return () => {
+      finished = true;
+      eventSource?.close();
+      if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+      }
+    };
+  }, [taskId]);
+}
@@ -0,0 +1,26 @@
+// Client helpers for the server's versioned API (see GET /api/v1/openapi.json)
+
+export const API_BASE_URL = "http://localhost:3000/api/v1";
+
+export interface ApiErrorBody {
+  error: {
+    code: string;
+    message: string;
+    details?: { path: string; message: string }[];
+  };
+}
+
+// Read the message of a failed API response, including validation details
+export async function getApiErrorMessage(response: Response, fallback: string) {
+  try {
+    const { error } = (await response.json()) as ApiErrorBody;
+    const details = error.details?.map((detail) =>
+      detail.path ? `${detail.path}: ${detail.message}` : detail.message
+    );
+    return details?.length
+      ? `${error.message} (${details.join("; ")})`
+      : error.message || fallback;
+  } catch {
+    return fallback;
+  }
+}
@@ -0,0 +1,15 @@
+// Devices a responsive generation takes screenshots of (see
+// server-js/lib/breakpoints.js)
+
+export type Device = "mobile" | "tablet" | "desktop";
+
+export const BREAKPOINT_LABELS: Record<Device, string> = {
+  mobile: "Mobile (375px)",
+  tablet: "Tablet (768px)",
+  desktop: "Desktop (1280px)",
+};
+
+export const DEVICES = Object.keys(BREAKPOINT_LABELS) as Device[];
+
+// Object URLs of the screenshots, by the device they show
+export type BreakpointScreenshots = Partial<Record<Device, string>>;
@@ -0,0 +1,51 @@
+// Design tokens of a generation, defined as CSS custom properties in a marked
+// :root block. Mirrors tokensToCss and applyTokenBlock of
+// server-js/lib/designTokens.js; keep the two in sync.
+
+export interface DesignTokens {
+  color: Record<string, string>;
+  font: Record<string, string>;
+}
+
+export const TOKEN_GROUPS = ["color", "font"] as const;
+
+export type TokenGroup = (typeof TOKEN_GROUPS)[number];
+
+const TOKEN_BLOCK_START = "/* design-tokens:start */";
+const TOKEN_BLOCK_END = "/* design-tokens:end */";
+
+// Characters that would end a declaration or break out of the stylesheet
+const UNSAFE_VALUE_PATTERN = /[;{}<>]/;
+
+export function isValidTokenValue(value: string) {
+  return value.trim() !== "" && !UNSAFE_VALUE_PATTERN.test(value);
+}
+
+// The custom property a token is defined as, e.g. --color-primary
+export function getTokenProperty(group: TokenGroup, name: string) {
+  return `--${group}-${name}`;
+}
+
+// The tokens as a marked :root block of custom properties
+export function tokensToCss(tokens: DesignTokens) {
+  const declarations = TOKEN_GROUPS.flatMap((group) =>
+    Object.entries(tokens[group] || {}).map(
+      ([name, value]) => `  ${getTokenProperty(group, name)}: ${value};`
+    )
+  );
+
+  return `${TOKEN_BLOCK_START}\n:root {\n${declarations.join("\n")}\n}\n${TOKEN_BLOCK_END}`;
+}
+
+// Replace the marked token block of a stylesheet or document, or put it
+// first in a stylesheet that has none yet
+export function applyTokenBlock(css: string, tokens: DesignTokens) {
+  const block = tokensToCss(tokens);
+  const start = css.indexOf(TOKEN_BLOCK_START);
+  const end = css.indexOf(TOKEN_BLOCK_END, start);
+
+  if (start !== -1 && end !== -1) {
+    return `${css.slice(0, start)}${block}${css.slice(end + TOKEN_BLOCK_END.length)}`;
+  }
+  return css ? `${block}\n\n${css}` : block;
+}
@@ -0,0 +1,30 @@
+// Frameworks the server can export generated code to (see
+// server-js/lib/exportTargets.js)
+
+export type ExportTarget = "html" | "react-tsx" | "vue-sfc" | "svelte";
+
+export const EXPORT_TARGET_LABELS: Record<ExportTarget, string> = {
+  html: "HTML",
+  "react-tsx": "React (TypeScript)",
+  "vue-sfc": "Vue (single-file component)",
+  svelte: "Svelte",
+};
+
+export const EXPORT_TARGETS = Object.keys(
+  EXPORT_TARGET_LABELS
+) as ExportTarget[];
+
+export function isExportTarget(value: string | null): value is ExportTarget {
+  return EXPORT_TARGETS.includes(value as ExportTarget);
+}
+
+// Major Tailwind CSS versions the server compiles the used classes with
+export type TailwindVersion = "3" | "4";
+
+export const TAILWIND_VERSIONS: TailwindVersion[] = ["3", "4"];
+
+export function isTailwindVersion(
+  value: string | null
+): value is TailwindVersion {
+  return TAILWIND_VERSIONS.includes(value as TailwindVersion);
+}
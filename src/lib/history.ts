@@ -0,0 +1,36 @@
+// Past generations the server keeps in its history (see
+// server-js/lib/historyStore.js and GET /api/v1/history)
+
+import type { TaskResult } from "@/hooks/use-task-events";
+
+export type HistoryKind = "generation" | "responsive" | "refinement" | "project";
+
+export const HISTORY_KIND_LABELS: Record<HistoryKind, string> = {
+  generation: "Generation",
+  responsive: "Responsive page",
+  refinement: "Refinement",
+  project: "Multi-page site",
+};
+
+export interface HistoryEntry {
+  id: string;
+  taskId: string;
+  kind: HistoryKind;
+  model: string;
+  provider: string;
+  sourceType: "image" | "video" | "screenshots";
+  iterationCount: number;
+  createdAt: number;
+  pinned: boolean;
+  zipPath: string;
+  standalonePath?: string;
+  pageCount: number;
+  thumbnailPath: string | null;
+  // Null when the result cannot be refined against one uploaded image or video
+  sourcePath: string | null;
+  sourceMimeType: string | null;
+}
+
+export interface HistoryEntryWithResult extends HistoryEntry {
+  result: TaskResult;
+}
@@ -0,0 +1,96 @@
+// The interactions of a video as a state machine. Mirrors the result of
+// parseInteractionModel in server-js/lib/interactionModel.js, which is also
+// shipped in the ZIP as interactions.json.
+
+export type InteractionEvent =
+  | "click"
+  | "dblclick"
+  | "hover"
+  | "focus"
+  | "input"
+  | "change"
+  | "submit"
+  | "keydown"
+  | "scroll"
+  | "timer";
+
+// An extracted frame of the video
+export interface FrameRef {
+  index: number;
+  timestamp: number;
+}
+
+export interface InteractionState {
+  id: string;
+  description: string;
+  frames: FrameRef[];
+}
+
+export interface InteractionTransition {
+  id: string;
+  from: string;
+  to: string;
+  event: InteractionEvent;
+  // Null for timer transitions
+  trigger: { selector: string; description: string } | null;
+  value: string | null;
+  // Null when the change is instant
+  animation: { properties: string[]; durationMs: number; easing: string } | null;
+  frames: FrameRef[];
+}
+
+export interface InteractionModel {
+  version: number;
+  initialState: string;
+  states: InteractionState[];
+  transitions: InteractionTransition[];
+}
+
+// Attribute of <body> the generated script keeps set to the current state
+export const STATE_ATTRIBUTE = "data-ui-state";
+
+// e.g. "Frames 2, 3" for the frames a state or transition was seen in
+export function formatFrameRefs(frames: FrameRef[]) {
+  if (frames.length === 0) return "";
+  return `Frame${frames.length === 1 ? "" : "s"} ${frames.map((frame) => frame.index + 1).join(", ")}`;
+}
+
+// What sets off a transition, e.g. "click #save-button" or "timer"
+export function formatTrigger(transition: InteractionTransition) {
+  const value = transition.value ? ` "${transition.value}"` : "";
+  return transition.trigger
+    ? `${transition.event} ${transition.trigger.selector}${value}`
+    : transition.event;
+}
+
+// A step of replaying the interactions on the generated page; step 0 is the
+// page as loaded. Mirrors replayInteractions of
+// server-js/lib/interactionReplay.js.
+export interface ReplayStep {
+  index: number;
+  transition: {
+    id: string;
+    from: string;
+    event: InteractionEvent;
+    selector: string | null;
+    value: string | null;
+  } | null;
+  expectedState: string;
+  actualState: string | null;
+  frame: FrameRef | null;
+  ssim: number | null;
+  pixelSimilarity: number | null;
+  passed: boolean;
+  // Why the action could not be performed
+  error: string | null;
+  screenshotPath: string | null;
+  framePath: string | null;
+}
+
+export interface InteractionReplay {
+  threshold: number;
+  passed: number;
+  failed: number;
+  skippedTransitions: number;
+  steps: ReplayStep[];
+}
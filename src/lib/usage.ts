@@ -0,0 +1,26 @@
+import type { TaskUsage } from "@/hooks/use-task-events";
+
+const numberFormat = new Intl.NumberFormat("en-US");
+
+// One-line summary of a task's token usage, e.g. for a progress dialog
+export function formatUsageSummary(usage: TaskUsage) {
+  const { inputTokens, outputTokens, estimatedCost, costIsComplete } =
+    usage.totals;
+  const cost = `$${estimatedCost.toFixed(4)}${costIsComplete ? "" : "+"}`;
+
+  return `${numberFormat.format(inputTokens)} in / ${numberFormat.format(
+    outputTokens
+  )} out tokens · ~${cost}`;
+}
+
+// Per-model breakdown for tooltips
+export function formatUsageByModel(usage: TaskUsage) {
+  return Object.entries(usage.byModel).map(
+    ([model, totals]) =>
+      `${model}: ${totals.calls} calls, ${numberFormat.format(
+        totals.inputTokens
+      )} in / ${numberFormat.format(totals.outputTokens)} out, ~$${totals.estimatedCost.toFixed(4)}${
+        totals.costIsComplete ? "" : " (partly unpriced)"
+      }`
+  );
+}
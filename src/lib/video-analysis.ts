@@ -0,0 +1,31 @@
+// Ways the server shows the frames of a video to the model (see
+// server-js/lib/videoAnalysis.js)
+
+import type { VideoAnalysisReport } from "@/hooks/use-task-events";
+
+export type VideoAnalysisStrategy = "sequential" | "batched";
+
+export const VIDEO_ANALYSIS_LABELS: Record<VideoAnalysisStrategy, string> = {
+  sequential: "Frame by frame",
+  batched: "Batched",
+};
+
+export const VIDEO_ANALYSIS_STRATEGIES = Object.keys(
+  VIDEO_ANALYSIS_LABELS
+) as VideoAnalysisStrategy[];
+
+const numberFormat = new Intl.NumberFormat("en-US");
+
+// One-line summary of a video analysis, e.g. "13 calls · 12.3s · 178,547 in
+// / 859 out tokens · ~$0.1234"
+export function formatVideoAnalysis(report: VideoAnalysisReport) {
+  const cost = `$${report.estimatedCost.toFixed(4)}${
+    report.costIsComplete ? "" : "+"
+  }`;
+
+  return `${report.calls} call${report.calls === 1 ? "" : "s"} · ${(
+    report.durationMs / 1000
+  ).toFixed(1)}s · ${numberFormat.format(
+    report.inputTokens
+  )} in / ${numberFormat.format(report.outputTokens)} out tokens · ~${cost}`;
+}